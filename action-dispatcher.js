@@ -0,0 +1,209 @@
+/**
+ * Assistant Action Dispatcher
+ *
+ * This file contains functions for carrying out the actions attached to assistant responses.
+ * Navigation and display actions are routed to UI handlers; mutating actions change the
+ * board and must be confirmed by the user before they are dispatched.
+ */
+
+import { addColumnsToBoard, fetchItemColumnValues, updateItemColumnValues } from '../api/mondayApi';
+import { createJournalEntry, runWithCompensation } from '../api/changeJournal';
+
+// Actions that change the board
+export const MUTATING_ACTIONS = ['add_column', 'reassign_items'];
+
+/**
+ * Check whether an action changes the board (and needs confirmation)
+ * @param {Object} action - Assistant action
+ * @returns {boolean} - Whether the action is mutating
+ */
+export const isMutatingAction = (action) => MUTATING_ACTIONS.includes(action.type);
+
+/**
+ * Get the button label for an action
+ * @param {Object} action - Assistant action
+ * @returns {string} - Button label
+ */
+export const getActionLabel = (action) => {
+  if (action.label) return action.label;
+
+  switch (action.type) {
+    case 'run_analysis':
+      return 'Run Workflow Analysis';
+    case 'select_board':
+      return 'Choose a Board';
+    case 'view_visualization':
+      return `View ${action.visualizationType} Visualization`;
+    case 'show_chart':
+      return `Show ${action.visualization?.title || 'Chart'}`;
+    case 'create_workspace':
+      return 'Create Workspace';
+    case 'navigate':
+      return 'Open';
+    case 'add_column':
+      return `Add "${action.title}" Column`;
+    case 'reassign_items':
+      return `Reassign ${action.items.length} Item${action.items.length !== 1 ? 's' : ''} to ${action.toPerson.name}`;
+    default:
+      return 'Perform Action';
+  }
+};
+
+/**
+ * Describe what a mutating action will change, for the confirm step
+ * @param {Object} action - Assistant action
+ * @returns {Array} - List of change descriptions
+ */
+export const describeActionChanges = (action) => {
+  switch (action.type) {
+    case 'add_column':
+      return [`Add a ${action.columnType} column "${action.title}" to the board`];
+
+    case 'reassign_items':
+      return action.items.map(item =>
+        `Reassign "${item.name}" from ${action.fromPerson.name} to ${action.toPerson.name}`
+      );
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Read the people and teams assigned in a people column value
+ * @param {Object} columnValue - Column value as the API returns it (value is a JSON string)
+ * @returns {Array} - List of { id, kind }
+ */
+const getPersonsAndTeams = (columnValue) => {
+  try {
+    return JSON.parse(columnValue?.value || 'null')?.personsAndTeams || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Swap one person for another in a list of assignees, keeping everyone else
+ * @param {Array} personsAndTeams - Current assignees ({ id, kind })
+ * @param {Object} fromPerson - Person to take off (id, name)
+ * @param {Object} toPerson - Person to put on (id, name)
+ * @returns {Array} - New assignees
+ */
+const replacePerson = (personsAndTeams, fromPerson, toPerson) => {
+  const isPerson = (entry, person) => entry.kind === 'person' && String(entry.id) === String(person.id);
+  const kept = personsAndTeams.filter(entry => !isPerson(entry, fromPerson));
+
+  return kept.some(entry => isPerson(entry, toPerson))
+    ? kept
+    : [...kept, { id: Number(toPerson.id), kind: 'person' }];
+};
+
+/**
+ * Add a column to the board
+ * @param {Object} monday - Monday SDK instance
+ * @param {Object} action - add_column action (boardId, title, columnType)
+ * @returns {Promise<Array>} - Journal entries
+ */
+const executeAddColumn = async (monday, action) => {
+  return runWithCompensation(monday, [
+    async () => {
+      const [column] = await addColumnsToBoard(monday, action.boardId, [{ title: action.title, type: action.columnType }]);
+      if (!column) throw new Error(`Column "${action.title}" was not created`);
+      return createJournalEntry('create_column', { boardId: action.boardId, title: action.title }, column);
+    }
+  ]);
+};
+
+/**
+ * Reassign items from one person to another, keeping their other assignees, and undo
+ * earlier reassignments if one fails
+ * @param {Object} monday - Monday SDK instance
+ * @param {Object} action - reassign_items action (boardId, columnId, items, fromPerson, toPerson)
+ * @returns {Promise<Array>} - Journal entries
+ */
+const executeReassignItems = async (monday, action) => {
+  const { boardId, columnId, items, fromPerson, toPerson } = action;
+
+  return runWithCompensation(monday, items.map(item => async () => {
+    // Read the assignees as they are now, so undo puts back exactly what was there
+    const [current] = await fetchItemColumnValues(monday, item.id, [columnId]);
+    const personsAndTeams = getPersonsAndTeams(current);
+
+    const values = { [columnId]: { personsAndTeams: replacePerson(personsAndTeams, fromPerson, toPerson) } };
+    const previousValues = { [columnId]: { personsAndTeams } };
+
+    const response = await updateItemColumnValues(monday, item.id, { boardId, values });
+    return createJournalEntry('change_column_values', {
+      itemId: item.id,
+      boardId,
+      values,
+      previousValues
+    }, response.data.change_multiple_column_values);
+  }));
+};
+
+/**
+ * Carry out an assistant action
+ * @param {Object} action - Assistant action
+ * @param {Object} handlers - UI handlers and services (monday, runAnalysis, openBoardPicker,
+ *   navigate, showChart, recordChanges)
+ * @returns {Promise<Object>} - Result (message to show, and journal entries for mutations)
+ */
+export const dispatchAction = async (action, handlers) => {
+  const { monday, runAnalysis, openBoardPicker, navigate, showChart, recordChanges } = handlers;
+
+  switch (action.type) {
+    case 'run_analysis':
+      await runAnalysis(action.boardId);
+      return { message: 'Analysis complete.' };
+
+    case 'select_board':
+      openBoardPicker();
+      return { message: null };
+
+    case 'view_visualization':
+      navigate(`/visualize/${action.boardId}?type=${action.visualizationType}`);
+      return { message: null };
+
+    case 'show_chart':
+      showChart(action.visualization);
+      return { message: null };
+
+    case 'create_workspace':
+      navigate('/create-workspace', { state: { workspaceDetails: action.workspaceDetails } });
+      return { message: null };
+
+    case 'navigate':
+      navigate(action.path);
+      return { message: null };
+
+    case 'add_column': {
+      const entries = await executeAddColumn(monday, action);
+      recordChanges(entries);
+      return { message: `Added the "${action.title}" column.`, entries };
+    }
+
+    case 'reassign_items': {
+      try {
+        const entries = await executeReassignItems(monday, action);
+        recordChanges(entries);
+        return { message: `Reassigned ${entries.length} item${entries.length !== 1 ? 's' : ''} to ${action.toPerson.name}.`, entries };
+      } catch (error) {
+        // Reassignments that couldn't be rolled back still need to show up in the history
+        recordChanges(error.remainingEntries || []);
+        throw error;
+      }
+    }
+
+    default:
+      throw new Error(`Unsupported action: ${action.type}`);
+  }
+};
+
+export default {
+  MUTATING_ACTIONS,
+  isMutatingAction,
+  getActionLabel,
+  describeActionChanges,
+  dispatchAction
+};
@@ -0,0 +1,304 @@
+/**
+ * Analysis Snapshots
+ *
+ * This file contains functions for keeping a dated snapshot of the analysis per board and
+ * day, so runs can be compared over time. Snapshots are kept in local storage by default, or in
+ * the app's Monday instance storage (shared by everyone using the app) when
+ * REACT_APP_SNAPSHOT_STORAGE is set to "monday".
+ */
+
+import { percentChange } from '../../utils/statistics';
+
+const SNAPSHOT_STORAGE_PREFIX = 'workflowAssistant.snapshots';
+
+// Oldest snapshots are dropped beyond this many per board, to stay within storage limits.
+// With one snapshot per day, that is at least three months of history.
+export const MAX_SNAPSHOTS = 90;
+
+// Metrics that can be plotted as a trend across snapshots
+export const TREND_METRICS = {
+  efficiency: { label: 'Workflow Efficiency', unit: '%', higherIsBetter: true },
+  incompleteItemCount: { label: 'Incomplete Items', unit: 'items', higherIsBetter: false },
+  bottleneckCount: { label: 'Bottlenecks', unit: 'bottlenecks', higherIsBetter: false },
+  cycleTimeDays: { label: 'Average Cycle Time', unit: 'days', higherIsBetter: false },
+  throughput: { label: 'Throughput', unit: 'items', higherIsBetter: true }
+};
+
+/**
+ * Round a number to one decimal place
+ * @param {Number} value - Value to round
+ * @returns {Number|null} - Rounded value
+ */
+const round = (value) => (
+  typeof value === 'number' && isFinite(value) ? Math.round(value * 10) / 10 : null
+);
+
+/**
+ * Create a snapshot of an analysis run
+ * @param {string} boardId - ID of the analyzed board
+ * @param {Object} results - Results from runWorkflowAnalysis
+ * @param {Object} options - Options (timeMetrics, now)
+ * @returns {Object} - Snapshot
+ */
+export const createSnapshot = (boardId, results, options = {}) => {
+  const { timeMetrics = null, now = new Date() } = options;
+
+  const timeInStatus = {};
+  Object.entries(results.timeInStatus || {}).forEach(([status, data]) => {
+    timeInStatus[status] = {
+      averageTimeHours: round(data.averageTimeHours),
+      medianTimeHours: round(data.medianTimeHours)
+    };
+  });
+
+  return {
+    id: `${boardId}-${now.getTime()}`,
+    boardId: String(boardId),
+    createdAt: now.toISOString(),
+    metrics: {
+      efficiency: results.workflow ? results.workflow.efficiency : null,
+      incompleteItemCount: results.workflow?.incompleteItems?.length || 0,
+      bottleneckCount: (results.bottlenecks || []).length,
+      cycleTimeDays: timeMetrics ? timeMetrics.cycleTime.average : null,
+      leadTimeDays: timeMetrics ? timeMetrics.leadTime.average : null,
+      completionRate: timeMetrics ? timeMetrics.completionRate.value : null,
+      throughput: timeMetrics ? timeMetrics.throughput.value : null
+    },
+    bottlenecks: (results.bottlenecks || []).map(bottleneck => ({
+      status: bottleneck.status,
+      averageTimeHours: round(bottleneck.averageTimeHours),
+      medianTimeHours: round(bottleneck.medianTimeHours),
+      severity: bottleneck.severity
+    })),
+    timeInStatus,
+    suggestionTitles: (results.optimizationSuggestions || []).map(suggestion => suggestion.title)
+  };
+};
+
+/**
+ * Get the storage key for a board's snapshots
+ * @param {string} boardId - ID of the board
+ * @returns {string} - Storage key
+ */
+const getStorageKey = (boardId) => `${SNAPSHOT_STORAGE_PREFIX}.${boardId}`;
+
+/**
+ * Create a snapshot store backed by the browser's local storage
+ * @returns {Object} - Snapshot store (load, save)
+ */
+export const createLocalSnapshotStore = () => ({
+  name: 'local',
+
+  load: async (boardId) => {
+    const stored = window.localStorage.getItem(getStorageKey(boardId));
+    return stored ? JSON.parse(stored) : [];
+  },
+
+  save: async (boardId, snapshots) => {
+    window.localStorage.setItem(getStorageKey(boardId), JSON.stringify(snapshots));
+  }
+});
+
+/**
+ * Create a snapshot store backed by the app's Monday instance storage
+ * @param {Object} monday - Monday SDK instance
+ * @returns {Object} - Snapshot store (load, save)
+ */
+export const createMondaySnapshotStore = (monday) => ({
+  name: 'monday',
+
+  load: async (boardId) => {
+    const response = await monday.storage.instance.getItem(getStorageKey(boardId));
+    const stored = response?.data?.value;
+    return stored ? JSON.parse(stored) : [];
+  },
+
+  save: async (boardId, snapshots) => {
+    const response = await monday.storage.instance.setItem(getStorageKey(boardId), JSON.stringify(snapshots));
+
+    if (response?.data && response.data.success === false) {
+      throw new Error(response.data.error || 'Monday storage rejected the snapshots');
+    }
+  }
+});
+
+/**
+ * Get the snapshot store configured for this deployment
+ * @param {Object} monday - Monday SDK instance
+ * @returns {Object} - Snapshot store
+ */
+export const getSnapshotStore = (monday) => (
+  process.env.REACT_APP_SNAPSHOT_STORAGE === 'monday' && monday?.storage
+    ? createMondaySnapshotStore(monday)
+    : createLocalSnapshotStore()
+);
+
+/**
+ * Load a board's snapshots, oldest first
+ * @param {Object} store - Snapshot store
+ * @param {string} boardId - ID of the board
+ * @returns {Promise<Array>} - Snapshots (empty if none could be loaded)
+ */
+export const loadSnapshots = async (store, boardId) => {
+  try {
+    const snapshots = await store.load(boardId);
+    return Array.isArray(snapshots) ? snapshots : [];
+  } catch (error) {
+    console.error('Failed to load analysis snapshots:', error);
+    return [];
+  }
+};
+
+/**
+ * Get the day a snapshot was taken
+ * @param {Object} snapshot - Snapshot
+ * @returns {string} - Date (YYYY-MM-DD, UTC)
+ */
+const getSnapshotDay = (snapshot) => snapshot.createdAt.slice(0, 10);
+
+/**
+ * Add a snapshot to a board's history and save it
+ * A board keeps one snapshot per day: the analysis re-runs with many chat questions, and
+ * those runs would otherwise push older baselines out of storage. The newest run of the
+ * day replaces the earlier ones.
+ * @param {Object} store - Snapshot store
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ * @returns {Promise<Array>} - Updated snapshots, oldest first
+ */
+export const saveSnapshot = async (store, snapshot) => {
+  const existing = await loadSnapshots(store, snapshot.boardId);
+  const snapshots = [
+    ...existing.filter(earlier => getSnapshotDay(earlier) !== getSnapshotDay(snapshot)),
+    snapshot
+  ].slice(-MAX_SNAPSHOTS);
+
+  try {
+    await store.save(snapshot.boardId, snapshots);
+  } catch (error) {
+    // The run still counts for this session even if it couldn't be stored
+    console.error('Failed to save analysis snapshot:', error);
+  }
+
+  return snapshots;
+};
+
+/**
+ * Describe the change in a metric between two snapshots
+ * @param {Number} from - Value in the earlier snapshot
+ * @param {Number} to - Value in the later snapshot
+ * @param {boolean} higherIsBetter - Whether an increase is an improvement
+ * @returns {Object} - Change (from, to, difference, percent, direction, improved)
+ */
+const describeChange = (from, to, higherIsBetter) => {
+  const hasValues = typeof from === 'number' && typeof to === 'number';
+  const difference = hasValues ? round(to - from) : null;
+
+  return {
+    from,
+    to,
+    difference,
+    percent: hasValues ? round(percentChange(to, from)) : null,
+    direction: difference === null ? null : difference > 0 ? 'up' : difference < 0 ? 'down' : 'flat',
+    improved: difference === null || difference === 0 ? null : (difference > 0) === higherIsBetter
+  };
+};
+
+/**
+ * Compare two snapshots
+ * @param {Object} base - Earlier snapshot
+ * @param {Object} target - Later snapshot
+ * @returns {Object} - Metric changes, bottleneck changes and suggestion changes
+ */
+export const compareSnapshots = (base, target) => {
+  const metrics = {};
+  Object.entries(TREND_METRICS).forEach(([metric, definition]) => {
+    metrics[metric] = describeChange(base.metrics[metric], target.metrics[metric], definition.higherIsBetter);
+  });
+
+  // Compare bottleneck statuses by their time in status in each run, so resolved ones still show up
+  const statuses = new Set([
+    ...base.bottlenecks.map(bottleneck => bottleneck.status),
+    ...target.bottlenecks.map(bottleneck => bottleneck.status)
+  ]);
+
+  const bottlenecks = Array.from(statuses).map(status => {
+    const before = base.bottlenecks.find(bottleneck => bottleneck.status === status);
+    const after = target.bottlenecks.find(bottleneck => bottleneck.status === status);
+
+    return {
+      status,
+      state: before && after ? 'ongoing' : after ? 'new' : 'resolved',
+      averageTimeHours: describeChange(
+        before?.averageTimeHours ?? base.timeInStatus[status]?.averageTimeHours ?? null,
+        after?.averageTimeHours ?? target.timeInStatus[status]?.averageTimeHours ?? null,
+        false
+      )
+    };
+  });
+
+  return {
+    base: { id: base.id, createdAt: base.createdAt },
+    target: { id: target.id, createdAt: target.createdAt },
+    metrics,
+    bottlenecks,
+    addressedSuggestions: base.suggestionTitles.filter(title => !target.suggestionTitles.includes(title)),
+    newSuggestions: target.suggestionTitles.filter(title => !base.suggestionTitles.includes(title))
+  };
+};
+
+/**
+ * Build a trend series for a metric across snapshots
+ * @param {Array} snapshots - Snapshots, oldest first
+ * @param {string} metric - Key of TREND_METRICS
+ * @returns {Array} - Points (date, value) for snapshots that have the metric
+ */
+export const buildTrendSeries = (snapshots, metric) => (
+  snapshots
+    .filter(snapshot => typeof snapshot.metrics[metric] === 'number')
+    .map(snapshot => ({ date: snapshot.createdAt, value: snapshot.metrics[metric] }))
+);
+
+/**
+ * Get the change in a metric since the snapshot before a run, as a trend label
+ * @param {Array} snapshots - Snapshots, oldest first
+ * @param {string} metric - Key of TREND_METRICS
+ * @param {string} snapshotId - ID of the snapshot of the run being shown
+ * @returns {Object} - Trend text and direction (null when the run has no snapshot or no earlier one)
+ */
+export const getSnapshotTrend = (snapshots, metric, snapshotId) => {
+  const index = (snapshots || []).findIndex(snapshot => snapshot.id === snapshotId);
+
+  if (index < 1) {
+    return { trend: null, trendDirection: null };
+  }
+
+  const change = percentChange(
+    snapshots[index].metrics[metric],
+    snapshots[index - 1].metrics[metric]
+  );
+
+  if (change === null) {
+    return { trend: null, trendDirection: null };
+  }
+
+  const rounded = Math.round(change);
+
+  return {
+    trend: `${rounded >= 0 ? '+' : ''}${rounded}%`,
+    trendDirection: rounded > 0 ? 'up' : rounded < 0 ? 'down' : 'flat'
+  };
+};
+
+export default {
+  MAX_SNAPSHOTS,
+  TREND_METRICS,
+  createSnapshot,
+  createLocalSnapshotStore,
+  createMondaySnapshotStore,
+  getSnapshotStore,
+  loadSnapshots,
+  saveSnapshot,
+  compareSnapshots,
+  buildTrendSeries,
+  getSnapshotTrend
+};
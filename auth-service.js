@@ -0,0 +1,214 @@
+/**
+ * Auth Service
+ *
+ * This file contains functions for signing in with monday.com through the app's auth
+ * server, checking the OAuth scopes the user granted, and sending monday.com API calls
+ * through the server so they use the user's token.
+ */
+
+const AUTH_SERVER_URL = (process.env.REACT_APP_AUTH_SERVER_URL || '').replace(/\/$/, '');
+
+// How long to wait for the user to finish signing in
+const LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Scopes needed before an action that changes monday.com is attempted
+export const REQUIRED_SCOPES = {
+  createWorkspace: ['workspaces:write', 'boards:write'],
+  changeBoards: ['boards:write'],
+  liveUpdates: ['webhooks:write']
+};
+
+/**
+ * Get the session token monday.com issues to the app when it runs inside monday.com
+ * @param {Object} monday - Monday SDK instance
+ * @returns {Promise<string|null>} - Session token (null when the app runs standalone)
+ */
+export const getSessionToken = async (monday) => {
+  if (!monday || window.parent === window) return null;
+
+  try {
+    const response = await monday.get('sessionToken');
+    return response?.data || null;
+  } catch (error) {
+    console.error('Failed to get session token:', error);
+    return null;
+  }
+};
+
+/**
+ * Make a request to the auth server as the current user
+ * @param {Object} monday - Monday SDK instance
+ * @param {string} path - Server path
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} - Response
+ */
+export const authFetch = async (monday, path, options = {}) => {
+  const sessionToken = await getSessionToken(monday);
+
+  return fetch(`${AUTH_SERVER_URL}${path}`, {
+    ...options,
+    credentials: 'include',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(sessionToken ? { Authorization: sessionToken } : {}),
+      ...options.headers
+    }
+  });
+};
+
+/**
+ * Turn a session response into the user the app works with
+ * @param {Object} session - Session from the auth server
+ * @returns {Object|null} - User with their granted scopes (null if not connected)
+ */
+const toUser = (session) => {
+  if (!session || !session.authenticated) return null;
+
+  return {
+    ...session.user,
+    scopes: session.scopes || [],
+    expiresAt: session.expiresAt
+  };
+};
+
+/**
+ * Get the signed-in user
+ * @param {Object} monday - Monday SDK instance
+ * @returns {Promise<Object|null>} - User with their granted scopes (null if not connected)
+ */
+export const getCurrentUser = async (monday) => {
+  const response = await authFetch(monday, '/auth/session');
+
+  if (response.status === 401) return null;
+  if (!response.ok) {
+    throw new Error(`Auth server returned ${response.status}`);
+  }
+
+  return toUser(await response.json());
+};
+
+/**
+ * Sign in with monday.com in a popup
+ * Also used to reconnect when the user needs to grant more scopes.
+ * @param {Object} monday - Monday SDK instance
+ * @returns {Promise<Object>} - User with their granted scopes
+ */
+export const loginUser = async (monday) => {
+  const sessionToken = await getSessionToken(monday);
+  const query = sessionToken ? `?sessionToken=${encodeURIComponent(sessionToken)}` : '';
+  const popup = window.open(`${AUTH_SERVER_URL}/auth/monday/authorize${query}`, 'monday-oauth', 'width=600,height=700');
+
+  if (!popup) {
+    throw new Error('The sign-in window was blocked. Allow pop-ups for this app and try again.');
+  }
+
+  const serverOrigin = AUTH_SERVER_URL ? new URL(AUTH_SERVER_URL).origin : window.location.origin;
+
+  await new Promise((resolve, reject) => {
+    const cleanup = () => {
+      window.removeEventListener('message', handleMessage);
+      clearTimeout(timeout);
+    };
+
+    const handleMessage = (event) => {
+      if (event.origin !== serverOrigin || event.data?.type !== 'monday-oauth') return;
+
+      cleanup();
+      if (event.data.success) {
+        resolve();
+      } else {
+        reject(new Error(`Sign-in with monday.com failed (${event.data.error})`));
+      }
+    };
+
+    const timeout = setTimeout(() => {
+      cleanup();
+      reject(new Error('Sign-in with monday.com timed out'));
+    }, LOGIN_TIMEOUT_MS);
+
+    window.addEventListener('message', handleMessage);
+  });
+
+  const user = await getCurrentUser(monday);
+  if (!user) {
+    throw new Error('Sign-in with monday.com did not complete');
+  }
+
+  return user;
+};
+
+/**
+ * Refresh the user's OAuth token
+ * @param {Object} monday - Monday SDK instance
+ * @returns {Promise<Object|null>} - User with their granted scopes (null if they have to sign in again)
+ */
+export const refreshSession = async (monday) => {
+  const response = await authFetch(monday, '/auth/refresh', { method: 'POST' });
+
+  if (response.status === 401) return null;
+  if (!response.ok) {
+    throw new Error(`Auth server returned ${response.status}`);
+  }
+
+  return toUser(await response.json());
+};
+
+/**
+ * Sign out and revoke the user's OAuth token
+ * @param {Object} monday - Monday SDK instance
+ */
+export const logoutUser = async (monday) => {
+  const response = await authFetch(monday, '/auth/logout', { method: 'POST' });
+
+  if (!response.ok && response.status !== 401) {
+    throw new Error(`Auth server returned ${response.status}`);
+  }
+};
+
+/**
+ * Get the scopes a user hasn't granted
+ * @param {Object} user - User from getCurrentUser
+ * @param {Array} scopes - Required scopes
+ * @returns {Array} - Missing scopes
+ */
+export const getMissingScopes = (user, scopes) => scopes.filter(scope => !(user?.scopes || []).includes(scope));
+
+/**
+ * Create a Monday SDK client whose API calls go through the auth server
+ * Everything else (context, storage, execute) still goes to the SDK.
+ * @param {Object} monday - Monday SDK instance
+ * @returns {Object} - Monday SDK client
+ */
+export const createMondayClient = (monday) => Object.assign(Object.create(monday), {
+  api: async (query, options = {}) => {
+    const response = await authFetch(monday, '/api/graphql', {
+      method: 'POST',
+      body: JSON.stringify({ query, variables: options.variables || {} })
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(body.message || body.errors?.map(err => err.message).join('; ') || `monday.com API returned ${response.status}`);
+      error.status = response.status;
+      error.code = body.error;
+      error.errors = body.errors;
+      error.missingScopes = body.missingScopes;
+      error.headers = { 'retry-after': response.headers.get('retry-after') };
+      throw error;
+    }
+
+    return body;
+  }
+});
+
+export default {
+  REQUIRED_SCOPES,
+  getSessionToken,
+  authFetch,
+  getCurrentUser,
+  loginUser,
+  refreshSession,
+  logoutUser,
+  getMissingScopes,
+  createMondayClient
+};
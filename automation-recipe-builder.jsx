@@ -0,0 +1,344 @@
+import React, { useState, useContext, useMemo } from 'react';
+import { MondayContext } from '../../context/MondayContext';
+import {
+  RECIPE_TRIGGERS,
+  RECIPE_CONDITION_OPERATORS,
+  RECIPE_ACTIONS,
+  createRecipe,
+  getStatusLabels,
+  validateRecipe,
+  describeRecipe,
+  importRecipeDefinitions,
+  downloadRecipeDefinitions
+} from '../../services/analysis/automationRecipes';
+import { simulateRecipe } from '../../services/analysis/ruleEngine';
+import './AutomationRecipeBuilder.css';
+
+// Select value for a field that hasn't been chosen yet
+const NONE = '';
+
+const AutomationRecipeBuilder = ({ board, recipes = [], onAdd, onRemove, history = null, disabled = false }) => {
+  const { users } = useContext(MondayContext);
+
+  const [draft, setDraft] = useState(() => createRecipe());
+  const [importError, setImportError] = useState(null);
+  const [showErrors, setShowErrors] = useState(false);
+
+  const columns = board?.columns || [];
+  const groups = board?.groups || [];
+
+  const draftErrors = validateRecipe(draft, board || {});
+
+  // Simulations only run when there is history to replay, e.g. for an existing board
+  const simulations = useMemo(() => {
+    if (!history) return {};
+
+    const results = {};
+    recipes.forEach(recipe => {
+      results[recipe.id] = simulateRecipe(recipe, history);
+    });
+    return results;
+  }, [recipes, history]);
+
+  const columnsOfTypes = (types) => (types ? columns.filter(column => types.includes(column.type)) : columns);
+
+  const findColumn = (columnId) => columns.find(column => column.id === columnId);
+
+  const updateTrigger = (fields) => setDraft(prev => ({ ...prev, trigger: { ...prev.trigger, ...fields } }));
+  const updateAction = (fields) => setDraft(prev => ({ ...prev, action: { ...prev.action, ...fields } }));
+
+  const updateCondition = (index, fields) => {
+    setDraft(prev => ({
+      ...prev,
+      conditions: prev.conditions.map((condition, i) => (i === index ? { ...condition, ...fields } : condition))
+    }));
+  };
+
+  const addCondition = () => {
+    setDraft(prev => ({
+      ...prev,
+      conditions: [...prev.conditions, { columnId: columns[0]?.id || NONE, operator: 'is', value: null }]
+    }));
+  };
+
+  const removeCondition = (index) => {
+    setDraft(prev => ({ ...prev, conditions: prev.conditions.filter((_, i) => i !== index) }));
+  };
+
+  // Only keep the fields the chosen trigger or action uses
+  const handleTriggerTypeChange = (type) => {
+    setDraft(prev => ({
+      ...prev,
+      trigger: {
+        type,
+        columnId: null,
+        value: null,
+        ...(RECIPE_TRIGGERS[type].usesDaysBefore ? { daysBefore: 1 } : {})
+      }
+    }));
+  };
+
+  const handleActionTypeChange = (type) => {
+    setDraft(prev => ({
+      ...prev,
+      action: {
+        type,
+        columnId: null,
+        ...(RECIPE_ACTIONS[type].usesMessage ? { message: '' } : {})
+      }
+    }));
+  };
+
+  const handleAdd = () => {
+    if (draftErrors.length > 0) {
+      setShowErrors(true);
+      return;
+    }
+
+    onAdd(draft);
+    setDraft(createRecipe());
+    setShowErrors(false);
+  };
+
+  // Import definitions exported from this or another board
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setImportError(null);
+
+    try {
+      const imported = importRecipeDefinitions(await file.text(), board);
+      const invalid = imported.filter(recipe => validateRecipe(recipe, board).length > 0);
+
+      imported
+        .filter(recipe => !invalid.includes(recipe))
+        .forEach(recipe => onAdd(recipe));
+
+      if (invalid.length > 0) {
+        setImportError(`${invalid.length} recipe${invalid.length !== 1 ? 's' : ''} could not be matched to this board: ${invalid.map(recipe => recipe.title).join(', ')}`);
+      }
+    } catch (err) {
+      console.error('Failed to import recipes:', err);
+      setImportError(err.message);
+    }
+  };
+
+  // Value input for a column: the labels of a status column where known, free text otherwise
+  const renderValueInput = (columnId, value, onChange, placeholder) => {
+    const column = findColumn(columnId);
+    const labels = column ? getStatusLabels(column) : [];
+
+    if (labels.length === 0) {
+      return (
+        <input
+          type="text"
+          value={value || ''}
+          placeholder={placeholder}
+          onChange={(e) => onChange(e.target.value || null)}
+        />
+      );
+    }
+
+    return (
+      <select value={value || NONE} onChange={(e) => onChange(e.target.value || null)}>
+        <option value={NONE}>{placeholder}</option>
+        {labels.map(label => (
+          <option key={label} value={label}>{label}</option>
+        ))}
+      </select>
+    );
+  };
+
+  const renderColumnSelect = (types, columnId, onChange) => (
+    <select value={columnId || NONE} onChange={(e) => onChange(e.target.value || null)}>
+      <option value={NONE}>Choose a column</option>
+      {columnsOfTypes(types).map(column => (
+        <option key={column.id} value={column.id}>{column.title}</option>
+      ))}
+    </select>
+  );
+
+  const triggerDefinition = RECIPE_TRIGGERS[draft.trigger.type];
+  const actionDefinition = RECIPE_ACTIONS[draft.action.type];
+
+  return (
+    <div className="automation-recipe-builder">
+      {recipes.length > 0 ? (
+        <ul className="recipe-list">
+          {recipes.map(recipe => {
+            const errors = validateRecipe(recipe, board || {});
+            const simulation = simulations[recipe.id];
+
+            return (
+              <li key={recipe.id} className={`recipe ${errors.length > 0 ? 'invalid' : ''}`}>
+                <div className="recipe-summary">
+                  <strong>{recipe.title}</strong>
+                  <span>{describeRecipe(recipe, board)}</span>
+                  {errors.length > 0 && (
+                    <ul className="recipe-errors">
+                      {errors.map((error, i) => <li key={i}>{error}</li>)}
+                    </ul>
+                  )}
+                  {simulation && (
+                    <span className="recipe-simulation">
+                      Would have fired {simulation.fireCount} time{simulation.fireCount !== 1 ? 's' : ''}
+                      {' '}on {simulation.itemCount} item{simulation.itemCount !== 1 ? 's' : ''} in the last {simulation.period.days} days
+                      {' '}(about {simulation.perWeek} a week)
+                      {simulation.unevaluated > 0 && `; ${simulation.unevaluated} events were on items that no longer exist`}
+                    </span>
+                  )}
+                </div>
+                {onRemove && (
+                  <button className="btn btn-secondary" onClick={() => onRemove(recipe)} disabled={disabled}>
+                    Remove
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="no-recipes">No automations yet.</p>
+      )}
+
+      <div className="recipe-form">
+        <h4>New Automation</h4>
+
+        <label>
+          Name
+          <input
+            type="text"
+            value={draft.title}
+            onChange={(e) => setDraft(prev => ({ ...prev, title: e.target.value }))}
+            placeholder="e.g. Notify owner when stuck"
+          />
+        </label>
+
+        <div className="recipe-row">
+          <select value={draft.trigger.type} onChange={(e) => handleTriggerTypeChange(e.target.value)}>
+            {Object.entries(RECIPE_TRIGGERS).map(([type, definition]) => (
+              <option key={type} value={type}>{definition.label}</option>
+            ))}
+          </select>
+          {'column' in triggerDefinition && renderColumnSelect(
+            triggerDefinition.column,
+            draft.trigger.columnId,
+            (columnId) => updateTrigger({ columnId, value: null })
+          )}
+          {triggerDefinition.usesValue && renderValueInput(
+            draft.trigger.columnId,
+            draft.trigger.value,
+            (value) => updateTrigger({ value }),
+            'Any status'
+          )}
+          {triggerDefinition.usesDaysBefore && (
+            <label className="days-before">
+              <input
+                type="number"
+                min="0"
+                value={draft.trigger.daysBefore ?? 0}
+                onChange={(e) => updateTrigger({ daysBefore: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+              />
+              days before
+            </label>
+          )}
+        </div>
+
+        {draft.conditions.map((condition, index) => (
+          <div key={index} className="recipe-row">
+            <span>and only if</span>
+            {renderColumnSelect(null, condition.columnId, (columnId) => updateCondition(index, { columnId, value: null }))}
+            <select value={condition.operator} onChange={(e) => updateCondition(index, { operator: e.target.value })}>
+              {Object.entries(RECIPE_CONDITION_OPERATORS).map(([operator, definition]) => (
+                <option key={operator} value={operator}>{definition.label}</option>
+              ))}
+            </select>
+            {RECIPE_CONDITION_OPERATORS[condition.operator].usesValue && renderValueInput(
+              condition.columnId,
+              condition.value,
+              (value) => updateCondition(index, { value }),
+              'Value'
+            )}
+            <button className="btn btn-secondary" onClick={() => removeCondition(index)}>Remove</button>
+          </div>
+        ))}
+        <button className="btn btn-secondary add-condition-btn" onClick={addCondition} disabled={columns.length === 0}>
+          Add Condition
+        </button>
+
+        <div className="recipe-row">
+          <span>then</span>
+          <select value={draft.action.type} onChange={(e) => handleActionTypeChange(e.target.value)}>
+            {Object.entries(RECIPE_ACTIONS).map(([type, definition]) => (
+              <option key={type} value={type}>{definition.label}</option>
+            ))}
+          </select>
+          {'column' in actionDefinition && renderColumnSelect(
+            actionDefinition.column,
+            draft.action.columnId,
+            (columnId) => updateAction(actionDefinition.usesValue ? { columnId, value: null } : { columnId })
+          )}
+          {actionDefinition.usesValue && renderValueInput(
+            draft.action.columnId,
+            draft.action.value,
+            (value) => updateAction({ value }),
+            'Choose a status'
+          )}
+          {actionDefinition.usesPerson && (
+            <select value={draft.action.personId || NONE} onChange={(e) => updateAction({ personId: e.target.value || null })}>
+              <option value={NONE}>Choose a person</option>
+              {(users || []).map(user => (
+                <option key={user.id} value={String(user.id)}>{user.name}</option>
+              ))}
+            </select>
+          )}
+          {actionDefinition.usesGroup && (
+            <select value={draft.action.groupId || NONE} onChange={(e) => updateAction({ groupId: e.target.value || null })}>
+              <option value={NONE}>Choose a group</option>
+              {groups.map(group => (
+                <option key={group.id} value={group.id}>{group.title}</option>
+              ))}
+            </select>
+          )}
+          {actionDefinition.usesMessage && (
+            <input
+              type="text"
+              value={draft.action.message || ''}
+              onChange={(e) => updateAction({ message: e.target.value })}
+              placeholder="Message"
+            />
+          )}
+        </div>
+
+        {showErrors && draftErrors.length > 0 && (
+          <ul className="recipe-errors">
+            {draftErrors.map((error, i) => <li key={i}>{error}</li>)}
+          </ul>
+        )}
+
+        <div className="confirmation-buttons">
+          <label className="btn btn-secondary import-recipes-btn">
+            Import
+            <input type="file" accept="application/json,.json" onChange={handleImport} hidden disabled={disabled} />
+          </label>
+          <button
+            className="btn btn-secondary"
+            onClick={() => downloadRecipeDefinitions(recipes, board)}
+            disabled={recipes.length === 0}
+          >
+            Export
+          </button>
+          <button className="btn btn-primary" onClick={handleAdd} disabled={disabled}>
+            Add Automation
+          </button>
+        </div>
+
+        {importError && <p className="recipe-import-error">{importError}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default AutomationRecipeBuilder;
@@ -0,0 +1,528 @@
+/**
+ * Automation Recipes
+ *
+ * This file contains the recipe model for board automations: a trigger, optional
+ * conditions and an action, validated against the board's actual columns and groups.
+ * Recipes can be exported as definitions and imported onto another board, where their
+ * columns and groups are matched by title.
+ */
+
+import { validateSchema, assertSchema } from '../../utils/schemaValidation';
+import { buildColumnSettings } from '../api/workspaceSeeding';
+
+export const RECIPE_SCHEMA_VERSION = 1;
+
+const RECIPE_DEFINITIONS_KIND = 'automation-recipes';
+
+const STATUS_TYPES = ['status', 'color'];
+const PEOPLE_TYPES = ['people', 'multiple-person'];
+
+// What starts a recipe; column lists the column types the trigger can watch (null for any)
+export const RECIPE_TRIGGERS = {
+  status_changed: { label: 'When status changes', column: STATUS_TYPES, usesValue: true },
+  column_changed: { label: 'When a column changes', column: null },
+  item_created: { label: 'When an item is created' },
+  date_arrived: { label: 'When a date arrives', column: ['date'], usesDaysBefore: true }
+};
+
+export const RECIPE_CONDITION_OPERATORS = {
+  is: { label: 'is', usesValue: true },
+  is_not: { label: 'is not', usesValue: true },
+  is_empty: { label: 'is empty' },
+  is_not_empty: { label: 'is not empty' }
+};
+
+// What a recipe does; column lists the column types the action writes to or reads people from
+export const RECIPE_ACTIONS = {
+  notify: { label: 'Notify', column: PEOPLE_TYPES, usesMessage: true },
+  set_status: { label: 'Set status', column: STATUS_TYPES, usesValue: true },
+  assign_person: { label: 'Assign', column: PEOPLE_TYPES, usesPerson: true },
+  move_to_group: { label: 'Move item to group', usesGroup: true }
+};
+
+const NULLABLE_STRING = { type: ['string', 'null'] };
+
+export const RECIPE_SCHEMA = {
+  type: 'object',
+  required: ['title', 'trigger', 'conditions', 'action'],
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string', minLength: 1 },
+    trigger: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: Object.keys(RECIPE_TRIGGERS) },
+        columnId: NULLABLE_STRING,
+        value: NULLABLE_STRING,
+        daysBefore: { type: 'integer', minimum: 0 }
+      }
+    },
+    conditions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['columnId', 'operator'],
+        properties: {
+          columnId: { type: 'string' },
+          operator: { enum: Object.keys(RECIPE_CONDITION_OPERATORS) },
+          value: NULLABLE_STRING
+        }
+      }
+    },
+    action: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: Object.keys(RECIPE_ACTIONS) },
+        columnId: NULLABLE_STRING,
+        value: NULLABLE_STRING,
+        personId: NULLABLE_STRING,
+        groupId: NULLABLE_STRING,
+        message: { type: 'string' }
+      }
+    }
+  }
+};
+
+const RECIPE_DEFINITIONS_SCHEMA = {
+  type: 'object',
+  required: ['schemaVersion', 'kind', 'recipes'],
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 1 },
+    kind: { enum: [RECIPE_DEFINITIONS_KIND] },
+    columns: { type: 'object' },
+    groups: { type: 'object' },
+    recipes: { type: 'array', items: RECIPE_SCHEMA }
+  }
+};
+
+let recipeCounter = 0;
+
+/**
+ * Create a recipe, filling in defaults for anything not given
+ * @param {Object} fields - Recipe fields (title, trigger, conditions, action)
+ * @returns {Object} - Recipe
+ */
+export const createRecipe = (fields = {}) => {
+  recipeCounter += 1;
+
+  return {
+    id: `recipe-${Date.now()}-${recipeCounter}`,
+    title: '',
+    conditions: [],
+    ...fields,
+    trigger: { type: 'status_changed', columnId: null, value: null, ...fields.trigger },
+    action: { type: 'notify', columnId: null, message: '', ...fields.action }
+  };
+};
+
+/**
+ * Parse a column's settings_str
+ * @param {Object} column - Board column
+ * @returns {Object} - Parsed settings (empty if missing or invalid)
+ */
+const parseColumnSettings = (column) => {
+  try {
+    return column.settings_str ? JSON.parse(column.settings_str) : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Get the labels defined on a status or dropdown column
+ * @param {Object} column - Status or dropdown column
+ * @returns {Array} - Labels (empty if the settings don't list any)
+ */
+export const getStatusLabels = (column) => (
+  Object.values(parseColumnSettings(column).labels || {})
+    .map(label => (label && typeof label === 'object' ? label.name : label))
+    .filter(Boolean)
+);
+
+/**
+ * Find a column on the board
+ * @param {Object} board - Board (columns, groups)
+ * @param {string} columnId - ID of the column
+ * @returns {Object|undefined} - Column
+ */
+const findColumn = (board, columnId) => (board.columns || []).find(column => column.id === columnId);
+
+/**
+ * Check a column reference against the board
+ * @param {Object} board - Board (columns, groups)
+ * @param {string} columnId - Referenced column ID
+ * @param {Array|null} allowedTypes - Allowed column types (null for any)
+ * @param {string} role - What the column is used for, for error messages
+ * @returns {Array} - Validation errors
+ */
+const checkColumn = (board, columnId, allowedTypes, role) => {
+  if (!columnId) return [`${role} needs a column`];
+
+  const column = findColumn(board, columnId);
+  if (!column) return [`${role} column "${columnId}" is not on the board`];
+
+  if (allowedTypes && !allowedTypes.includes(column.type)) {
+    return [`${role} column "${column.title}" should be a ${allowedTypes[0]} column`];
+  }
+
+  return [];
+};
+
+/**
+ * Check a status label against the labels of its column
+ * @param {Object} board - Board (columns, groups)
+ * @param {string} columnId - Status column ID
+ * @param {string} label - Status label
+ * @param {string} role - What the label is used for, for error messages
+ * @returns {Array} - Validation errors
+ */
+const checkStatusLabel = (board, columnId, label, role) => {
+  const column = findColumn(board, columnId);
+  const labels = column ? getStatusLabels(column) : [];
+
+  // Columns without label settings (e.g. on a board that isn't created yet) can't be checked
+  if (labels.length === 0 || labels.some(existing => existing.toLowerCase() === label.toLowerCase())) {
+    return [];
+  }
+
+  return [`${role} "${label}" is not a label of "${column.title}"`];
+};
+
+/**
+ * Validate a recipe against the board it runs on
+ * @param {Object} recipe - Recipe
+ * @param {Object} board - Board (columns, groups)
+ * @returns {Array} - Validation errors (empty if the recipe is valid)
+ */
+export const validateRecipe = (recipe, board) => {
+  const schemaErrors = validateSchema(recipe, RECIPE_SCHEMA, 'recipe');
+  if (schemaErrors.length > 0) return schemaErrors;
+
+  const errors = [];
+  const { trigger, conditions, action } = recipe;
+  const triggerDefinition = RECIPE_TRIGGERS[trigger.type];
+  const actionDefinition = RECIPE_ACTIONS[action.type];
+
+  if ('column' in triggerDefinition) {
+    errors.push(...checkColumn(board, trigger.columnId, triggerDefinition.column, 'Trigger'));
+  }
+
+  if (triggerDefinition.usesValue && trigger.value && errors.length === 0) {
+    errors.push(...checkStatusLabel(board, trigger.columnId, trigger.value, 'Trigger status'));
+  }
+
+  conditions.forEach((condition, index) => {
+    errors.push(...checkColumn(board, condition.columnId, null, `Condition ${index + 1}`));
+
+    if (RECIPE_CONDITION_OPERATORS[condition.operator].usesValue && !condition.value) {
+      errors.push(`Condition ${index + 1} needs a value`);
+    }
+  });
+
+  if ('column' in actionDefinition) {
+    const actionErrors = checkColumn(board, action.columnId, actionDefinition.column, 'Action');
+    errors.push(...actionErrors);
+
+    if (actionDefinition.usesValue) {
+      if (!action.value) {
+        errors.push('Action needs a status to set');
+      } else if (actionErrors.length === 0) {
+        errors.push(...checkStatusLabel(board, action.columnId, action.value, 'Action status'));
+      }
+    }
+  }
+
+  if (actionDefinition.usesPerson && !action.personId) {
+    errors.push('Action needs a person to assign');
+  }
+
+  if (actionDefinition.usesGroup && !(board.groups || []).some(group => group.id === action.groupId)) {
+    errors.push(action.groupId ? `Group "${action.groupId}" is not on the board` : 'Action needs a group');
+  }
+
+  return errors;
+};
+
+/**
+ * Describe a recipe in a sentence, e.g. "When Status changes to Done, notify Owner"
+ * @param {Object} recipe - Recipe
+ * @param {Object} board - Board (columns, groups), for column and group titles
+ * @returns {string} - Description
+ */
+export const describeRecipe = (recipe, board = {}) => {
+  const columnTitle = (columnId) => findColumn(board, columnId)?.title || columnId;
+  const { trigger, conditions = [], action } = recipe;
+
+  let when;
+  switch (trigger.type) {
+    case 'status_changed':
+      when = `When ${columnTitle(trigger.columnId)} changes${trigger.value ? ` to ${trigger.value}` : ''}`;
+      break;
+    case 'column_changed':
+      when = `When ${columnTitle(trigger.columnId)} changes`;
+      break;
+    case 'item_created':
+      when = 'When an item is created';
+      break;
+    case 'date_arrived':
+      when = trigger.daysBefore
+        ? `${trigger.daysBefore} day${trigger.daysBefore !== 1 ? 's' : ''} before ${columnTitle(trigger.columnId)}`
+        : `When ${columnTitle(trigger.columnId)} arrives`;
+      break;
+    default:
+      when = `When ${trigger.type}`;
+  }
+
+  const onlyIf = conditions.map(condition => {
+    const operator = RECIPE_CONDITION_OPERATORS[condition.operator];
+    return `${columnTitle(condition.columnId)} ${operator?.label || condition.operator}${operator?.usesValue ? ` ${condition.value}` : ''}`;
+  });
+
+  let then;
+  switch (action.type) {
+    case 'notify':
+      then = `notify ${columnTitle(action.columnId)}`;
+      break;
+    case 'set_status':
+      then = `set ${columnTitle(action.columnId)} to ${action.value}`;
+      break;
+    case 'assign_person':
+      then = `assign person ${action.personId} in ${columnTitle(action.columnId)}`;
+      break;
+    case 'move_to_group': {
+      const group = (board.groups || []).find(boardGroup => boardGroup.id === action.groupId);
+      then = `move the item to ${group?.title || action.groupId}`;
+      break;
+    }
+    default:
+      then = action.type;
+  }
+
+  return `${when}${onlyIf.length > 0 ? `, and ${onlyIf.join(' and ')}` : ''}, ${then}`;
+};
+
+/**
+ * Match each referenced column and group to the target board, by ID and otherwise by title
+ * @param {Object} references - Referenced columns (id → {title, type}) and groups (id → title)
+ * @param {Object} board - Target board (columns, groups)
+ * @returns {Object} - Target IDs keyed by referenced ID (columns, groups)
+ */
+const matchReferences = (references, board) => {
+  const columns = {};
+  const groups = {};
+
+  Object.entries(references.columns || {}).forEach(([id, { title, type }]) => {
+    const sameId = findColumn(board, id);
+    const match = sameId && sameId.type === type
+      ? sameId
+      : (board.columns || []).find(column => column.type === type && column.title?.toLowerCase() === title?.toLowerCase());
+
+    columns[id] = match ? match.id : id;
+  });
+
+  Object.entries(references.groups || {}).forEach(([id, title]) => {
+    const match = (board.groups || []).find(group => group.id === id)
+      || (board.groups || []).find(group => group.title?.toLowerCase() === title?.toLowerCase());
+
+    groups[id] = match ? match.id : id;
+  });
+
+  return { columns, groups };
+};
+
+/**
+ * Collect the columns and groups recipes refer to
+ * @param {Array} recipes - Recipes
+ * @param {Object} board - Board the recipes were built for
+ * @returns {Object} - Columns (id → {title, type}) and groups (id → title)
+ */
+const collectReferences = (recipes, board) => {
+  const columns = {};
+  const groups = {};
+
+  const addColumn = (columnId) => {
+    const column = columnId && findColumn(board, columnId);
+    if (column) columns[column.id] = { title: column.title, type: column.type };
+  };
+
+  recipes.forEach(recipe => {
+    addColumn(recipe.trigger.columnId);
+    recipe.conditions.forEach(condition => addColumn(condition.columnId));
+    addColumn(recipe.action.columnId);
+
+    const group = (board.groups || []).find(boardGroup => boardGroup.id === recipe.action.groupId);
+    if (group) groups[group.id] = group.title;
+  });
+
+  return { columns, groups };
+};
+
+/**
+ * Point a recipe at another board's columns and groups
+ * @param {Object} recipe - Recipe
+ * @param {Object} idMap - Target IDs keyed by source ID (columns, groups)
+ * @returns {Object} - Recipe with a new ID
+ */
+const remapRecipe = (recipe, idMap) => {
+  const mapColumn = (columnId) => (columnId ? idMap.columns[columnId] || columnId : columnId);
+
+  return createRecipe({
+    title: recipe.title,
+    trigger: { ...recipe.trigger, columnId: mapColumn(recipe.trigger.columnId) },
+    conditions: recipe.conditions.map(condition => ({ ...condition, columnId: mapColumn(condition.columnId) })),
+    action: {
+      ...recipe.action,
+      columnId: mapColumn(recipe.action.columnId),
+      ...(recipe.action.groupId ? { groupId: idMap.groups[recipe.action.groupId] || recipe.action.groupId } : {})
+    }
+  });
+};
+
+/**
+ * Build a board to validate recipes against from a workflow structure that hasn't been created
+ * yet; columns and groups use their titles as IDs
+ * @param {Object} structure - Workflow structure (board_name, columns, groups)
+ * @returns {Object} - Draft board (name, columns, groups)
+ */
+export const getDraftBoard = (structure) => ({
+  name: structure?.board_name || '',
+  columns: (structure?.columns || []).map(column => ({
+    ...column,
+    id: column.title,
+    settings_str: buildColumnSettings(column)
+  })),
+  groups: (structure?.groups || []).map(group => ({ id: group, title: group }))
+});
+
+/**
+ * Move recipes built for one board onto another, matching columns and groups by title
+ * @param {Array} recipes - Recipes
+ * @param {Object} fromBoard - Board the recipes were built for
+ * @param {Object} toBoard - Board to move them to
+ * @returns {Array} - Recipes for the target board (validate them before use)
+ */
+export const remapRecipesToBoard = (recipes, fromBoard, toBoard) => {
+  const idMap = matchReferences(collectReferences(recipes, fromBoard), toBoard);
+  return recipes.map(recipe => remapRecipe(recipe, idMap));
+};
+
+/**
+ * Export recipes as a definition file that can be imported onto any board
+ * @param {Array} recipes - Recipes
+ * @param {Object} board - Board the recipes were built for
+ * @param {Object} options - Options (now)
+ * @returns {string} - JSON definitions
+ */
+export const exportRecipeDefinitions = (recipes, board, options = {}) => {
+  const { now = new Date() } = options;
+  const { columns, groups } = collectReferences(recipes, board);
+
+  return JSON.stringify({
+    schemaVersion: RECIPE_SCHEMA_VERSION,
+    kind: RECIPE_DEFINITIONS_KIND,
+    exportedAt: now.toISOString(),
+    board: { id: board.id ? String(board.id) : null, name: board.name || null },
+    columns,
+    groups,
+    recipes: recipes.map(({ id, title, trigger, conditions, action }) => ({ id, title, trigger, conditions, action }))
+  }, null, 2);
+};
+
+/**
+ * Import recipe definitions onto a board
+ * @param {string} text - JSON definitions from exportRecipeDefinitions
+ * @param {Object} board - Board to import the recipes onto
+ * @returns {Array} - Recipes for the board (validate them before use)
+ */
+export const importRecipeDefinitions = (text, board) => {
+  let definitions;
+  try {
+    definitions = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (definitions?.schemaVersion > RECIPE_SCHEMA_VERSION) {
+    throw new Error(`These recipes were exported by a newer version (schema ${definitions.schemaVersion})`);
+  }
+
+  assertSchema(definitions, RECIPE_DEFINITIONS_SCHEMA, 'recipe definitions');
+
+  const idMap = matchReferences(definitions, board);
+  return definitions.recipes.map(recipe => remapRecipe(recipe, idMap));
+};
+
+/**
+ * Save recipe definitions as a JSON file in the browser
+ * @param {Array} recipes - Recipes
+ * @param {Object} board - Board the recipes were built for
+ */
+export const downloadRecipeDefinitions = (recipes, board) => {
+  const content = exportRecipeDefinitions(recipes, board);
+  const slug = (board.name || 'board').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+  const url = URL.createObjectURL(new Blob([content], { type: 'application/json;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${slug || 'board'}-automations.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Build a recipe that reminds owners of items that are about to be due
+ * @param {Object} columnMapping - Column ID per role
+ * @param {Object} options - Options (doneStatus: skip items with this status, daysBefore)
+ * @returns {Object|null} - Recipe (null if the board has no due date or owner column)
+ */
+export const buildDueDateReminderRecipe = (columnMapping, options = {}) => {
+  const { doneStatus = null, daysBefore = 1 } = options;
+  if (!columnMapping?.dueDate || !columnMapping?.owner) return null;
+
+  return createRecipe({
+    title: 'Due date reminder',
+    trigger: { type: 'date_arrived', columnId: columnMapping.dueDate, daysBefore },
+    conditions: doneStatus && columnMapping.status
+      ? [{ columnId: columnMapping.status, operator: 'is_not', value: doneStatus }]
+      : [],
+    action: { type: 'notify', columnId: columnMapping.owner, message: 'This item is due soon' }
+  });
+};
+
+/**
+ * Build a recipe that tells owners when their items change status
+ * @param {Object} columnMapping - Column ID per role
+ * @returns {Object|null} - Recipe (null if the board has no status or owner column)
+ */
+export const buildStatusChangeNotificationRecipe = (columnMapping) => {
+  if (!columnMapping?.status || !columnMapping?.owner) return null;
+
+  return createRecipe({
+    title: 'Status change notification',
+    trigger: { type: 'status_changed', columnId: columnMapping.status, value: null },
+    action: { type: 'notify', columnId: columnMapping.owner, message: 'The status of this item changed' }
+  });
+};
+
+export default {
+  RECIPE_SCHEMA_VERSION,
+  RECIPE_TRIGGERS,
+  RECIPE_CONDITION_OPERATORS,
+  RECIPE_ACTIONS,
+  RECIPE_SCHEMA,
+  createRecipe,
+  getStatusLabels,
+  validateRecipe,
+  describeRecipe,
+  getDraftBoard,
+  remapRecipesToBoard,
+  exportRecipeDefinitions,
+  importRecipeDefinitions,
+  downloadRecipeDefinitions,
+  buildDueDateReminderRecipe,
+  buildStatusChangeNotificationRecipe
+};
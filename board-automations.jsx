@@ -0,0 +1,106 @@
+import React, { useState, useEffect, useContext, useMemo } from 'react';
+import { MondayContext } from '../../context/MondayContext';
+import AutomationRecipeBuilder from '../WorkspaceCreation/AutomationRecipeBuilder';
+import {
+  fetchAutomationRecipes,
+  createAutomationRecipe,
+  deleteAutomationRecipe
+} from '../../services/api/mondayApi';
+import { createJournalEntry } from '../../services/api/changeJournal';
+
+const BoardAutomations = ({ boardData, activityLogs = [], items = [] }) => {
+  const { monday, recordChanges } = useContext(MondayContext);
+
+  const [recipes, setRecipes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const boardId = boardData?.id;
+
+  useEffect(() => {
+    if (!boardId) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    fetchAutomationRecipes(monday, boardId)
+      .then(saved => {
+        if (!cancelled) setRecipes(saved);
+      })
+      .catch(err => {
+        if (!cancelled) setError(`Failed to load automations: ${err.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [monday, boardId]);
+
+  // Replay recipes against the activity the last analysis loaded
+  const history = useMemo(
+    () => (activityLogs.length > 0 ? { activityLogs, items } : null),
+    [activityLogs, items]
+  );
+
+  const handleAdd = async (recipe) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const saved = await createAutomationRecipe(monday, boardId, recipe);
+      recordChanges([createJournalEntry('create_automation', { boardId, title: saved.title }, saved)]);
+      setRecipes(prev => [...prev.filter(existing => existing.id !== saved.id), saved]);
+    } catch (err) {
+      setError(`Failed to save automation: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (recipe) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      await deleteAutomationRecipe(monday, boardId, recipe.id);
+      setRecipes(prev => prev.filter(existing => existing.id !== recipe.id));
+    } catch (err) {
+      setError(`Failed to remove automation: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading">Loading automations...</div>;
+  }
+
+  return (
+    <div className="board-automations">
+      <p>
+        Automations are saved with this app and can be exported as definitions for another board.
+        {history
+          ? ' Each one shows how often it would have fired over the analyzed activity.'
+          : ' Run the analysis to see how often each one would have fired.'}
+      </p>
+
+      {error && <p className="action-status error">{error}</p>}
+
+      <AutomationRecipeBuilder
+        board={boardData}
+        recipes={recipes}
+        onAdd={handleAdd}
+        onRemove={handleRemove}
+        history={history}
+        disabled={saving}
+      />
+    </div>
+  );
+};
+
+export default BoardAutomations;
@@ -0,0 +1,142 @@
+/**
+ * Board Events
+ *
+ * This file contains functions for receiving a board's change events from the auth
+ * server, which relays the monday.com webhooks it receives as server-sent events.
+ */
+
+import { authFetch } from './authService';
+
+// Wait this long before reconnecting a dropped event stream
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Turn a failed auth server response into an error
+ * @param {Response} response - Response
+ * @returns {Promise<Error>} - Error with status, code and missingScopes
+ */
+const toResponseError = async (response) => {
+  const body = await response.json().catch(() => ({}));
+  const error = new Error(body.message || `Auth server returned ${response.status}`);
+
+  error.status = response.status;
+  error.code = body.error;
+  error.missingScopes = body.missingScopes;
+  return error;
+};
+
+/**
+ * Ask monday.com to send the board's status changes to the webhook receiver
+ * Only needed once per board; later calls return the existing webhook.
+ * @param {Object} monday - Monday SDK instance
+ * @param {string} boardId - Board ID
+ * @returns {Promise<Object>} - Webhook (webhookId, created)
+ */
+export const enableBoardEvents = async (monday, boardId) => {
+  const response = await authFetch(monday, `/webhooks/boards/${boardId}/subscribe`, { method: 'POST' });
+
+  if (!response.ok) {
+    throw await toResponseError(response);
+  }
+
+  return response.json();
+};
+
+/**
+ * Split server-sent event text into complete messages
+ * @param {string} buffer - Text received so far
+ * @returns {Object} - Data of complete messages, and the incomplete remainder ({ messages, rest })
+ */
+const parseEventStream = (buffer) => {
+  const parts = buffer.split('\n\n');
+  const rest = parts.pop();
+
+  const messages = parts
+    .map(part => part
+      .split('\n')
+      .filter(line => line.startsWith('data: '))
+      .map(line => line.slice('data: '.length))
+      .join('\n'))
+    // Comment-only messages are heartbeats
+    .filter(Boolean);
+
+  return { messages, rest };
+};
+
+/**
+ * Listen for a board's events
+ * The stream reconnects after network errors and catches up on events it missed.
+ * @param {Object} monday - Monday SDK instance
+ * @param {string} boardId - Board ID
+ * @param {Object} handlers - Callbacks (onEvent(entry), onOpen(), onError(error))
+ * @returns {Function} - Stops listening
+ */
+export const subscribeToBoardEvents = (monday, boardId, handlers = {}) => {
+  const { onEvent, onOpen, onError } = handlers;
+  let stopped = false;
+  let controller = null;
+  let retryTimer = null;
+  let lastEventId = null;
+
+  const connect = async () => {
+    controller = new AbortController();
+
+    try {
+      const response = await authFetch(monday, `/webhooks/boards/${boardId}/events`, {
+        signal: controller.signal,
+        headers: {
+          Accept: 'text/event-stream',
+          ...(lastEventId !== null ? { 'Last-Event-ID': String(lastEventId) } : {})
+        }
+      });
+
+      if (!response.ok) {
+        throw await toResponseError(response);
+      }
+
+      if (onOpen) onOpen();
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        const { messages, rest } = parseEventStream(buffer + decoder.decode(value, { stream: true }));
+        buffer = rest;
+
+        messages.forEach(message => {
+          const entry = JSON.parse(message);
+          lastEventId = entry.id;
+          onEvent(entry);
+        });
+      }
+
+      throw new Error('Board event stream closed');
+    } catch (error) {
+      if (stopped) return;
+
+      if (onError) onError(error);
+
+      // Sign-in, permission and missing-board errors won't go away by retrying
+      if (!error.status || error.status >= 500) {
+        retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+      }
+    }
+  };
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    if (controller) controller.abort();
+  };
+};
+
+export default {
+  enableBoardEvents,
+  subscribeToBoardEvents
+};
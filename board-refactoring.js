@@ -0,0 +1,402 @@
+/**
+ * Board Refactoring
+ *
+ * This file contains functions for restructuring an existing board: loading it into the
+ * structure the workflow configurator edits, and turning the edited structure into a change
+ * plan that renames, merges and reorders columns and groups, splits groups by a column's
+ * value, and moves item values and items along with them.
+ */
+
+import { getStatusLabels } from './automationRecipes';
+
+// Groups with more items than this are worth splitting (the same limit as the "Balance
+// Overloaded Groups" suggestion)
+const OVERLOADED_GROUP_SIZE = 20;
+
+// Column types whose values are copied as their label text
+const LABEL_COLUMN_TYPES = ['status', 'color', 'dropdown'];
+
+// Column types any value can be merged into, as text
+const TEXT_COLUMN_TYPES = ['text', 'long_text'];
+
+// Column types a group can be split by
+export const SPLIT_COLUMN_TYPES = ['status', 'color', 'dropdown', 'people', 'multiple-person', 'text'];
+
+/**
+ * Load a board into the structure the workflow configurator edits
+ * Existing columns and groups keep their IDs; the configurator adds columns and groups
+ * without one. Columns can be marked to merge into another column (mergeInto) and groups
+ * to split by a column's value (splitBy).
+ * @param {Object} boardData - Board data (columns, groups, items)
+ * @returns {Object} - Editable board structure
+ */
+export const structureFromBoard = (boardData) => {
+  const items = boardData.items || [];
+
+  return {
+    board_id: boardData.id,
+    board_name: boardData.name,
+    columns: (boardData.columns || [])
+      .filter(column => column.type !== 'name')
+      .map(column => ({
+        id: column.id,
+        title: column.title,
+        type: column.type,
+        labels: LABEL_COLUMN_TYPES.includes(column.type) ? getStatusLabels(column) : [],
+        mergeInto: null
+      })),
+    groups: (boardData.groups || []).map(group => ({
+      id: group.id,
+      title: group.title,
+      itemCount: items.filter(item => item.group?.id === group.id).length,
+      splitBy: null
+    }))
+  };
+};
+
+/**
+ * Find what is worth refactoring on a board, from its structure analysis
+ * @param {Object} structureAnalysis - Result of analyzeWorkflowStructure
+ * @returns {Object} - Duplicate column titles (lowercase) and overloaded groups
+ */
+export const findRefactoringHints = (structureAnalysis) => ({
+  duplicateColumns: structureAnalysis?.columns?.duplicateColumns || [],
+  overloadedGroups: (structureAnalysis?.groups?.imbalancedGroups || [])
+    .filter(group => group.itemCount > OVERLOADED_GROUP_SIZE)
+});
+
+/**
+ * Check whether one column's values can be merged into another
+ * @param {Object} source - Column to merge
+ * @param {Object} target - Column to merge it into
+ * @returns {boolean} - Whether the values can be copied
+ */
+export const canMergeColumns = (source, target) => (
+  Boolean(source && target) &&
+  source !== target &&
+  Boolean(target.id) &&
+  (source.type === target.type || TEXT_COLUMN_TYPES.includes(target.type))
+);
+
+/**
+ * Get the title of a group in an edited structure (new groups may be plain strings)
+ * @param {Object|string} group - Group
+ * @returns {string} - Group title
+ */
+export const getGroupTitle = (group) => (typeof group === 'string' ? group : group?.title || '');
+
+/**
+ * Title of the group that holds the items of a split group with one value
+ * @param {string} groupTitle - Title of the group being split
+ * @param {string} value - Column value text
+ * @returns {string} - Group title
+ */
+export const getSplitGroupTitle = (groupTitle, value) => `${groupTitle} (${value})`;
+
+/**
+ * Find an item's value for a column
+ * @param {Object} item - Item with column values
+ * @param {string} columnId - ID of the column
+ * @returns {Object|undefined} - Column value (id, text, value)
+ */
+const findValue = (item, columnId) => (item.column_values || []).find(value => value.id === columnId);
+
+/**
+ * The value that clears a column
+ * @param {string} type - Column type
+ * @returns {string|Object} - Empty value
+ */
+const getEmptyValue = (type) => (type === 'text' ? '' : {});
+
+/**
+ * Convert a column value for writing to a column of another type
+ * @param {Object} columnValue - Value read from the board (text, value)
+ * @param {string} sourceType - Type of the column it was read from
+ * @param {string} targetType - Type of the column to write it to
+ * @returns {string|Object|null} - Value to write, or null if it can't be converted
+ */
+const convertColumnValue = (columnValue, sourceType, targetType) => {
+  const text = columnValue.text || '';
+
+  if (targetType === 'text') return text;
+  if (targetType === 'long_text') return { text };
+  if (targetType === 'status' || targetType === 'color') return { label: text };
+  if (targetType === 'dropdown') return { labels: text.split(', ').filter(Boolean) };
+  if (sourceType !== targetType || !columnValue.value) return null;
+
+  try {
+    return JSON.parse(columnValue.value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the steps that copy a merged column's values into the column it merges into
+ * Values are only copied to items where the target column is empty; items with a value in
+ * both columns keep the target's value and are reported as conflicts.
+ * @param {Object} boardData - Board data (columns, items)
+ * @param {Object} source - Column being merged (id, title, type)
+ * @param {Object} target - Column it merges into (id, title, type)
+ * @returns {Object} - Change plan steps and conflicts
+ */
+const buildMergeSteps = (boardData, source, target) => {
+  const steps = [];
+  const conflicts = [];
+  const targetLabels = target.type === 'status' || target.type === 'color'
+    ? getStatusLabels((boardData.columns || []).find(column => column.id === target.id) || {})
+    : null;
+
+  (boardData.items || []).forEach(item => {
+    const sourceValue = findValue(item, source.id);
+    if (!sourceValue?.text) return;
+
+    const targetValue = findValue(item, target.id);
+    const conflict = {
+      itemId: item.id,
+      itemName: item.name,
+      columnTitle: target.title,
+      fromColumnTitle: source.title,
+      value: sourceValue.text
+    };
+
+    if (targetValue?.text) {
+      if (targetValue.text !== sourceValue.text) {
+        conflicts.push({ ...conflict, reason: 'both_set', keptValue: targetValue.text });
+      }
+      return;
+    }
+
+    if (targetLabels && !targetLabels.includes(sourceValue.text)) {
+      conflicts.push({ ...conflict, reason: 'missing_label' });
+      return;
+    }
+
+    const value = convertColumnValue(sourceValue, source.type, target.type);
+    if (value === null) {
+      conflicts.push({ ...conflict, reason: 'unconvertible' });
+      return;
+    }
+
+    steps.push({
+      operation: 'copy_column_value',
+      params: {
+        itemId: item.id,
+        itemName: item.name,
+        columnId: target.id,
+        columnTitle: target.title,
+        fromColumnId: source.id,
+        fromColumnTitle: source.title,
+        text: sourceValue.text,
+        value,
+        previousValue: getEmptyValue(target.type)
+      }
+    });
+  });
+
+  return { steps, conflicts };
+};
+
+/**
+ * Build the steps that put groups in a new order
+ * Each group is moved after the one before it in the new order (the first before the
+ * board's first group), skipping groups already in place. New groups are always moved,
+ * since where monday.com creates them isn't known.
+ * @param {Array} currentIds - IDs of the existing groups in board order
+ * @param {Array} targetGroups - Groups in the new order ({ id, name } for existing groups, { name } for new ones)
+ * @returns {Array} - move_group steps
+ */
+const buildGroupOrderSteps = (currentIds, targetGroups) => {
+  const steps = [];
+  const namesById = {};
+  targetGroups.filter(group => group.id).forEach(group => { namesById[group.id] = group.name; });
+
+  // Groups whose place is known, in board order; new groups join once they've been moved
+  let placed = currentIds.map(id => ({ id, name: namesById[id] }));
+  const indexOf = (group) => placed.findIndex(candidate => (
+    group.id ? candidate.id === group.id : !candidate.id && candidate.name === group.name
+  ));
+
+  targetGroups.forEach((group, index) => {
+    const previous = index > 0 ? targetGroups[index - 1] : null;
+    const inPlace = previous
+      ? indexOf(group) !== -1 && indexOf(group) === indexOf(previous) + 1
+      : indexOf(group) === 0;
+    if (group.id && inPlace) return;
+
+    const others = placed.filter((candidate, candidateIndex) => candidateIndex !== indexOf(group));
+    if (!previous && others.length === 0) return;
+
+    // Where an existing group sits among the other existing groups, so the move can be undone
+    const existing = placed.filter(candidate => candidate.id);
+    const position = group.id ? existing.findIndex(candidate => candidate.id === group.id) : -1;
+    const undo = group.id ? {
+      previousAfterGroupId: position > 0 ? existing[position - 1].id : null,
+      previousBeforeGroupId: position === 0 && existing.length > 1 ? existing[1].id : null
+    } : {};
+
+    const anchor = previous || others[0];
+    steps.push({
+      operation: 'move_group',
+      params: {
+        groupId: group.id || null,
+        groupName: group.name,
+        ...(previous
+          ? { afterGroupId: anchor.id || null, afterGroupName: anchor.name }
+          : { beforeGroupId: anchor.id || null, beforeGroupName: anchor.name }),
+        ...undo
+      }
+    });
+
+    const anchorIndex = others.findIndex(candidate => candidate === placed[indexOf(anchor)]);
+    others.splice(previous ? anchorIndex + 1 : 0, 0, { id: group.id || null, name: group.name });
+    placed = others;
+  });
+
+  return steps;
+};
+
+/**
+ * Build the change plan that turns a board into an edited structure
+ * Steps run in this order: add and rename columns, copy merged columns' values, create and
+ * rename groups, reorder groups, then move the items of split groups. Every step can be
+ * undone. Deleting the merged columns can't, so it isn't part of the change plan: it's a
+ * separate cleanup plan, to run once the change plan has been applied.
+ * @param {Object} boardData - Current board data (columns, groups, items)
+ * @param {Object} structure - Edited structure (see structureFromBoard)
+ * @returns {Object} - Change plan, cleanup plan and the merge conflicts found (changePlan, cleanupPlan, conflicts)
+ */
+export const buildRefactoringPlan = (boardData, structure) => {
+  const boardColumns = boardData.columns || [];
+  const boardGroups = boardData.groups || [];
+  const items = boardData.items || [];
+  const editedColumns = structure.columns || [];
+  const columnsById = {};
+  editedColumns.filter(column => column.id).forEach(column => { columnsById[column.id] = column; });
+
+  const addSteps = [];
+  const renameSteps = [];
+  const copySteps = [];
+  const deleteSteps = [];
+  const conflicts = [];
+
+  editedColumns.forEach(column => {
+    if (!column.id) {
+      if (column.title?.trim()) {
+        addSteps.push({ operation: 'add_column', params: { title: column.title.trim(), type: column.type, labels: column.labels } });
+      }
+      return;
+    }
+
+    const original = boardColumns.find(candidate => candidate.id === column.id);
+    if (!original) return;
+
+    const target = columnsById[column.mergeInto];
+    if (column.mergeInto && canMergeColumns(column, target) && !target.mergeInto) {
+      const merge = buildMergeSteps(boardData, { ...column, title: original.title }, target);
+      copySteps.push(...merge.steps);
+      conflicts.push(...merge.conflicts);
+      deleteSteps.push({
+        operation: 'delete_column',
+        params: {
+          columnId: column.id,
+          title: original.title,
+          mergeIntoTitle: target.title,
+          lostValueCount: merge.conflicts.length
+        }
+      });
+      return;
+    }
+
+    const title = column.title?.trim();
+    if (title && title !== original.title) {
+      renameSteps.push({
+        operation: 'rename_column',
+        params: { columnId: column.id, title, previousTitle: original.title }
+      });
+    }
+  });
+
+  // Groups in their new order, with the groups split off a group right after it
+  const targetGroups = [];
+  const createSteps = [];
+  const renameGroupSteps = [];
+  const moveItemSteps = [];
+  const takenTitles = new Set((structure.groups || []).map(group => getGroupTitle(group).trim().toLowerCase()));
+
+  (structure.groups || []).forEach(group => {
+    const name = getGroupTitle(group).trim();
+    if (!name) return;
+
+    const original = group.id ? boardGroups.find(candidate => candidate.id === group.id) : null;
+    if (!original) {
+      createSteps.push({ operation: 'create_group', params: { name } });
+      targetGroups.push({ name });
+      return;
+    }
+
+    if (name !== original.title) {
+      renameGroupSteps.push({
+        operation: 'rename_group',
+        params: { groupId: group.id, name, previousName: original.title }
+      });
+    }
+    targetGroups.push({ id: group.id, name });
+
+    const splitColumn = group.splitBy && boardColumns.find(column => column.id === group.splitBy);
+    if (!splitColumn) return;
+
+    items
+      .filter(item => item.group?.id === group.id)
+      .forEach(item => {
+        const value = findValue(item, splitColumn.id)?.text;
+        if (!value) return;
+
+        const groupName = getSplitGroupTitle(name, value);
+        if (!takenTitles.has(groupName.toLowerCase())) {
+          takenTitles.add(groupName.toLowerCase());
+          createSteps.push({ operation: 'create_group', params: { name: groupName } });
+          targetGroups.push({ name: groupName });
+        }
+
+        moveItemSteps.push({
+          operation: 'move_item',
+          params: {
+            itemId: item.id,
+            itemName: item.name,
+            groupName,
+            fromGroup: original.title,
+            fromGroupId: group.id
+          }
+        });
+      });
+  });
+
+  const keptIds = targetGroups.filter(group => group.id).map(group => group.id);
+  const currentIds = boardGroups.map(group => group.id).filter(id => keptIds.includes(id));
+  const orderSteps = buildGroupOrderSteps(currentIds, targetGroups);
+
+  return {
+    changePlan: [
+      ...addSteps,
+      ...renameSteps,
+      ...copySteps,
+      ...createSteps,
+      ...renameGroupSteps,
+      ...orderSteps,
+      ...moveItemSteps
+    ],
+    cleanupPlan: deleteSteps,
+    conflicts
+  };
+};
+
+export default {
+  SPLIT_COLUMN_TYPES,
+  structureFromBoard,
+  findRefactoringHints,
+  canMergeColumns,
+  getGroupTitle,
+  getSplitGroupTitle,
+  buildRefactoringPlan
+};
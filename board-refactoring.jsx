@@ -0,0 +1,298 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { MondayContext } from '../../context/MondayContext';
+import { useAuth } from '../Authentication/AuthContext';
+import WorkflowConfigurator from './WorkflowConfigurator';
+import { REQUIRED_SCOPES } from '../../services/api/authService';
+import { analyzeWorkflowStructure } from '../../services/analysis/workflowAnalysis';
+import { structureFromBoard, findRefactoringHints, buildRefactoringPlan } from '../../services/analysis/boardRefactoring';
+import { previewChangePlan, executeChangePlan } from '../../services/analysis/optimizationEngine';
+
+const CONFLICT_REASONS = {
+  both_set: 'both columns have a value; the existing value is kept',
+  missing_label: 'the target column has no such label',
+  unconvertible: 'the value can\'t be converted to the target column\'s type'
+};
+
+const CHANGE_MARKERS = { add: '+', remove: '-' };
+
+const BoardRefactoring = () => {
+  const { boardId } = useParams();
+  const navigate = useNavigate();
+  const { monday, selectedBoard, loadBoardData, recordChanges, loading, error: boardError } = useContext(MondayContext);
+  const { getMissingScopes, login } = useAuth();
+
+  // The configurator is given the board's structure once and reports edits back, so the
+  // edits don't reset the structure it was given
+  const [initialStructure, setInitialStructure] = useState(null);
+  const [editedStructure, setEditedStructure] = useState(null);
+  const [hints, setHints] = useState(null);
+  const [migration, setMigration] = useState(null);
+  // Merged columns to delete once the migration has been applied, which can't be undone
+  const [cleanup, setCleanup] = useState(null);
+  const [confirmCleanup, setConfirmCleanup] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const missingScopes = getMissingScopes(REQUIRED_SCOPES.changeBoards);
+
+  useEffect(() => {
+    if (boardId) {
+      loadBoardData(boardId);
+    }
+  }, [boardId, loadBoardData]);
+
+  // Load the board into the configurator, with hints from its structure analysis
+  useEffect(() => {
+    if (!selectedBoard || String(selectedBoard.id) !== String(boardId)) return;
+
+    const structure = structureFromBoard(selectedBoard);
+    setInitialStructure(structure);
+    setEditedStructure(structure);
+    setMigration(null);
+
+    analyzeWorkflowStructure(selectedBoard)
+      .then(analysis => setHints(findRefactoringHints(analysis)))
+      .catch(err => console.error('Failed to analyze board structure:', err));
+  }, [selectedBoard, boardId]);
+
+  const handlePreviewMigration = () => {
+    const plan = buildRefactoringPlan(selectedBoard, editedStructure);
+
+    setResult(null);
+    setCleanup(null);
+    setError(plan.changePlan.length === 0 ? 'Nothing to change: the structure is the same as the board\'s.' : null);
+    setMigration(plan.changePlan.length > 0 ? { ...plan, changes: previewChangePlan(plan.changePlan) } : null);
+  };
+
+  // Reopen the configurator where the user left it
+  const handleKeepEditing = () => {
+    setInitialStructure(editedStructure);
+    setMigration(null);
+    setError(null);
+  };
+
+  // Apply the migration; if a step fails, the steps already applied are undone
+  const handleApplyMigration = async () => {
+    if (!migration || missingScopes.length > 0) return;
+
+    setIsApplying(true);
+    setError(null);
+
+    try {
+      const applied = await executeChangePlan(monday, boardId, migration.changePlan, selectedBoard);
+      recordChanges(applied.entries);
+
+      if (applied.success) {
+        setResult(`Applied ${applied.completedCount} change${applied.completedCount !== 1 ? 's' : ''} to the board. The changes can be undone from the change history.`);
+        setCleanup(migration.cleanupPlan.length > 0 ? {
+          changePlan: migration.cleanupPlan,
+          changes: previewChangePlan(migration.cleanupPlan),
+          conflicts: migration.conflicts
+        } : null);
+        setConfirmCleanup(false);
+        setMigration(null);
+        await loadBoardData(boardId);
+      } else {
+        setError(applied.rolledBack
+          ? `Failed to apply the migration: ${applied.error} (${applied.completedCount} applied changes were rolled back)`
+          : `Failed to apply the migration: ${applied.error} (${applied.completedCount} of ${migration.changePlan.length} changes applied)`);
+      }
+    } catch (err) {
+      console.error('Failed to apply migration:', err);
+      setError('Failed to apply the migration: ' + err.message);
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  // Delete the merged columns, after the user has confirmed it can't be undone
+  const handleDeleteMergedColumns = async () => {
+    if (!cleanup || !confirmCleanup || missingScopes.length > 0) return;
+
+    setIsApplying(true);
+    setError(null);
+
+    try {
+      const applied = await executeChangePlan(monday, boardId, cleanup.changePlan, selectedBoard);
+      recordChanges(applied.entries);
+
+      if (applied.success) {
+        setResult(`Deleted ${applied.completedCount} merged column${applied.completedCount !== 1 ? 's' : ''}.`);
+        setCleanup(null);
+        await loadBoardData(boardId);
+      } else {
+        setError(`Failed to delete the merged columns: ${applied.error} (${applied.completedCount} of ${cleanup.changePlan.length} deleted)`);
+      }
+    } catch (err) {
+      console.error('Failed to delete merged columns:', err);
+      setError('Failed to delete the merged columns: ' + err.message);
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  if (loading || (!initialStructure && !boardError)) {
+    return <div className="loading">Loading board data...</div>;
+  }
+
+  if (boardError || !initialStructure) {
+    return (
+      <div className="error-container">
+        <h2>Error</h2>
+        <p>{boardError}</p>
+        <button onClick={() => navigate('/')}>Back to Dashboard</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="board-refactoring">
+      <div className="refactoring-header">
+        <h1>Restructure Board: {selectedBoard.name}</h1>
+        <p>Merge duplicate columns, rename and reorder groups, or split overloaded groups. Item values and items move with the changes.</p>
+      </div>
+
+      {result && (
+        <div className="refactoring-result">
+          {result}
+        </div>
+      )}
+
+      {cleanup && (
+        <div className="change-preview merged-column-cleanup">
+          <h3>Delete Merged Columns</h3>
+          <p>The merged columns are still on the board. Deleting them can't be undone, and their values are gone with them.</p>
+
+          <ul className="change-list">
+            {cleanup.changes.map((change, index) => (
+              <li key={index} className={`change-item ${change.type}`}>
+                <span className="change-marker">{CHANGE_MARKERS[change.type] || '~'}</span>
+                {change.text}
+              </li>
+            ))}
+          </ul>
+
+          {cleanup.conflicts.length > 0 && (
+            <p className="merge-conflicts">
+              {cleanup.conflicts.length} value{cleanup.conflicts.length !== 1 ? 's weren\'t' : ' wasn\'t'} copied and will be lost.
+            </p>
+          )}
+
+          <label className="confirm-irreversible">
+            <input
+              type="checkbox"
+              checked={confirmCleanup}
+              onChange={e => setConfirmCleanup(e.target.checked)}
+              disabled={isApplying}
+            />
+            I understand that this can't be undone
+          </label>
+
+          {error && (
+            <div className="error-message">
+              {error}
+            </div>
+          )}
+
+          <div className="change-preview-actions">
+            <button
+              className="cancel-btn"
+              onClick={() => setCleanup(null)}
+              disabled={isApplying}
+            >
+              Keep Columns
+            </button>
+            <button
+              className="confirm-btn"
+              onClick={handleDeleteMergedColumns}
+              disabled={isApplying || !confirmCleanup || missingScopes.length > 0}
+            >
+              {isApplying ? 'Deleting...' : 'Delete Columns'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!migration && !cleanup && (
+        <WorkflowConfigurator
+          key={selectedBoard.id}
+          mode="refactor"
+          workflowStructure={initialStructure}
+          onUpdateWorkflow={setEditedStructure}
+          onPreviewMigration={handlePreviewMigration}
+          onBack={() => navigate(`/analyze/${boardId}`)}
+          hints={hints}
+          isCreating={isApplying}
+          error={error}
+        />
+      )}
+
+      {migration && (
+        <div className="change-preview">
+          <h3>Review Migration</h3>
+          <p>The following changes will be made to the board. Nothing is applied until you confirm.</p>
+
+          <ul className="change-list">
+            {migration.changes.map((change, index) => (
+              <li key={index} className={`change-item ${change.type}`}>
+                <span className="change-marker">{CHANGE_MARKERS[change.type] || '~'}</span>
+                {change.text}
+              </li>
+            ))}
+          </ul>
+
+          {migration.conflicts.length > 0 && (
+            <div className="merge-conflicts">
+              <h4>Values that won't be copied ({migration.conflicts.length})</h4>
+              <p>The merged columns are kept until you choose to delete them, after the migration has been applied. These values are lost if you do.</p>
+              <ul>
+                {migration.conflicts.map((conflict, index) => (
+                  <li key={index}>
+                    "{conflict.itemName}": "{conflict.value}" in {conflict.fromColumnTitle}, because {CONFLICT_REASONS[conflict.reason]}
+                    {conflict.keptValue ? ` ("${conflict.keptValue}" in ${conflict.columnTitle})` : ''}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {missingScopes.length > 0 && (
+            <div className="scope-warning">
+              <p>Applying changes needs the {missingScopes.join(', ')} permission, which your monday.com connection doesn't have.</p>
+              <button className="btn btn-secondary" onClick={() => login().catch(err => console.error('Failed to reconnect:', err))}>
+                Reconnect to monday.com
+              </button>
+            </div>
+          )}
+
+          {error && (
+            <div className="error-message">
+              {error}
+            </div>
+          )}
+
+          <div className="change-preview-actions">
+            <button
+              className="cancel-btn"
+              onClick={handleKeepEditing}
+              disabled={isApplying}
+            >
+              Keep Editing
+            </button>
+            <button
+              className="confirm-btn"
+              onClick={handleApplyMigration}
+              disabled={isApplying || missingScopes.length > 0}
+            >
+              {isApplying ? 'Applying...' : 'Apply Migration'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BoardRefactoring;
@@ -0,0 +1,141 @@
+import { createMockMonday } from '../../../mocks/mockMonday';
+import fixture from '../../../mocks/fixtures/productBoard.json';
+import { fetchBoardData, addColumnsToBoard, updateItemColumnValues } from '../../api/mondayApi';
+import { revertEntries } from '../../api/changeJournal';
+import { structureFromBoard, buildRefactoringPlan } from '../boardRefactoring';
+import { executeChangePlan } from '../optimizationEngine';
+
+const BOARD_ID = '1001';
+
+const BEN = { personsAndTeams: [{ id: 202, kind: 'person' }] };
+
+const getText = (board, itemId, columnId) => board.items
+  .find(item => item.id === itemId)
+  .column_values.find(value => value.id === columnId)?.text;
+
+const getGroupTitle = (board, itemId) => board.items.find(item => item.id === itemId).group.title;
+
+// A second owner column, filled in on an item without an owner and on one with another owner
+const addDuplicateOwnerColumn = async (monday) => {
+  const [duplicate] = await addColumnsToBoard(monday, BOARD_ID, [{ title: 'owner', type: 'people' }]);
+  await updateItemColumnValues(monday, '3006', { boardId: BOARD_ID, values: { [duplicate.id]: BEN } });
+  await updateItemColumnValues(monday, '3004', { boardId: BOARD_ID, values: { [duplicate.id]: BEN } });
+  return duplicate;
+};
+
+const mergeInto = (structure, columnId, targetId) => ({
+  ...structure,
+  columns: structure.columns.map(column => (column.id === columnId ? { ...column, mergeInto: targetId } : column))
+});
+
+describe('board refactoring', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('plans nothing for an unchanged board', async () => {
+    const boardData = await fetchBoardData(createMockMonday(fixture), BOARD_ID);
+
+    expect(buildRefactoringPlan(boardData, structureFromBoard(boardData))).toEqual({ changePlan: [], cleanupPlan: [], conflicts: [] });
+  });
+
+  it('merges a duplicate column, copying values where the other column is empty', async () => {
+    const monday = createMockMonday(fixture);
+    const duplicate = await addDuplicateOwnerColumn(monday);
+    const boardData = await fetchBoardData(monday, BOARD_ID);
+
+    const structure = mergeInto(structureFromBoard(boardData), duplicate.id, 'person');
+    const { changePlan, cleanupPlan, conflicts } = buildRefactoringPlan(boardData, structure);
+
+    expect(changePlan.map(step => step.operation)).toEqual(['copy_column_value']);
+    expect(cleanupPlan.map(step => step.operation)).toEqual(['delete_column']);
+    expect(conflicts).toEqual([expect.objectContaining({
+      itemId: '3004',
+      reason: 'both_set',
+      value: 'Ben Okafor',
+      keptValue: 'Ana Silva'
+    })]);
+
+    const result = await executeChangePlan(monday, BOARD_ID, changePlan, boardData);
+    expect(result.success).toBe(true);
+
+    // The merged column stays until its deletion is confirmed separately
+    const merged = await fetchBoardData(monday, BOARD_ID);
+    expect(merged.columns.map(column => column.title)).toEqual(['Name', 'Status', 'Owner', 'Due date', 'Estimate', 'owner']);
+    expect(getText(merged, '3006', 'person')).toBe('Ben Okafor');
+    expect(getText(merged, '3004', 'person')).toBe('Ana Silva');
+
+    const cleanup = await executeChangePlan(monday, BOARD_ID, cleanupPlan, merged);
+    expect(cleanup.success).toBe(true);
+
+    const board = await fetchBoardData(monday, BOARD_ID);
+    expect(board.columns.map(column => column.title)).toEqual(['Name', 'Status', 'Owner', 'Due date', 'Estimate']);
+
+    // Undoing the migration now would clear the only copy of the merged values
+    const reverted = await revertEntries(monday, [...result.entries, ...cleanup.entries]);
+    expect(reverted.some(entry => entry.success)).toBe(false);
+    expect(getText(await fetchBoardData(monday, BOARD_ID), '3006', 'person')).toBe('Ben Okafor');
+  });
+
+  it('loses no merged values when a later step fails', async () => {
+    const monday = createMockMonday(fixture, { failOn: { create_group: 'Group limit reached' } });
+    const duplicate = await addDuplicateOwnerColumn(monday);
+    const boardData = await fetchBoardData(monday, BOARD_ID);
+
+    const structure = mergeInto(structureFromBoard(boardData), duplicate.id, 'person');
+    structure.groups = [...structure.groups, { title: 'Blocked' }];
+    const { changePlan } = buildRefactoringPlan(boardData, structure);
+
+    const result = await executeChangePlan(monday, BOARD_ID, changePlan, boardData);
+    expect(result).toMatchObject({ success: false, rolledBack: true, entries: [] });
+
+    // The copy is undone, and the value is still in the column it was copied from
+    const board = await fetchBoardData(monday, BOARD_ID);
+    expect(getText(board, '3006', 'person')).toBeFalsy();
+    expect(getText(board, '3006', duplicate.id)).toBe('Ben Okafor');
+    expect(getText(board, '3004', duplicate.id)).toBe('Ben Okafor');
+  });
+
+  it('renames, reorders and splits groups, moving their items, and can be undone', async () => {
+    const monday = createMockMonday(fixture);
+    const boardData = await fetchBoardData(monday, BOARD_ID);
+
+    const structure = structureFromBoard(boardData);
+    const [toDo, inProgress, done] = structure.groups;
+    structure.groups = [
+      done,
+      { ...toDo, title: 'Backlog' },
+      { ...inProgress, splitBy: 'person' },
+      { title: 'Blocked' }
+    ];
+    structure.columns = structure.columns.map(column => (
+      column.id === 'numbers' ? { ...column, title: 'Story Points' } : column
+    ));
+
+    const { changePlan } = buildRefactoringPlan(boardData, structure);
+    const result = await executeChangePlan(monday, BOARD_ID, changePlan, boardData);
+    expect(result.success).toBe(true);
+
+    const board = await fetchBoardData(monday, BOARD_ID);
+    expect(board.groups.map(group => group.title)).toEqual([
+      'Done',
+      'Backlog',
+      'In Progress',
+      'In Progress (Ana Silva)',
+      'In Progress (Ben Okafor)',
+      'Blocked'
+    ]);
+    expect(getGroupTitle(board, '3004')).toBe('In Progress (Ana Silva)');
+    expect(getGroupTitle(board, '3005')).toBe('In Progress (Ben Okafor)');
+    expect(getGroupTitle(board, '3006')).toBe('Backlog');
+    expect(board.columns.find(column => column.id === 'numbers').title).toBe('Story Points');
+
+    const reverted = await revertEntries(monday, result.entries);
+    expect(reverted.every(entry => entry.success)).toBe(true);
+
+    const restored = await fetchBoardData(monday, BOARD_ID);
+    expect(restored.groups.map(group => group.title)).toEqual(['To Do', 'In Progress', 'Done']);
+    expect(getGroupTitle(restored, '3004')).toBe('In Progress');
+    expect(restored.columns.find(column => column.id === 'numbers').title).toBe('Estimate');
+  });
+});
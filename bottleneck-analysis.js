@@ -0,0 +1,218 @@
+/**
+ * Bottleneck Analysis
+ *
+ * This file contains functions that support bottleneck detection: reading terminal
+ * statuses from the board's status column settings, finding items that have aged far
+ * beyond what is typical for their status, and counting work in progress over time.
+ */
+
+import { median } from '../../utils/statistics';
+import { matchesStatusTerm } from '../i18n/i18n';
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+const MS_PER_DAY = MS_PER_HOUR * 24;
+
+// Items older than this multiple of the typical time in their status are outliers
+export const DEFAULT_OUTLIER_FACTOR = 3;
+
+// Largest number of samples in a WIP series before switching to weekly samples
+const MAX_DAILY_WIP_SAMPLES = 90;
+
+/**
+ * Parse a column's settings_str
+ * @param {Object} column - Board column
+ * @returns {Object} - Parsed settings (empty if missing or invalid)
+ */
+const parseColumnSettings = (column) => {
+  try {
+    return column.settings_str ? JSON.parse(column.settings_str) : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Get terminal (done) statuses from the board's status column settings
+ * @param {Object} boardData - Board data with columns
+ * @param {Object} options - Options (statusColumnId: only read this column, as mapped for the workflow)
+ * @returns {Array} - Terminal status labels (empty if the settings don't mark any)
+ */
+export const getTerminalStatuses = (boardData, options = {}) => {
+  const { statusColumnId = null } = options;
+  const terminalStatuses = new Set();
+
+  (boardData?.columns || [])
+    .filter(column => statusColumnId
+      ? column.id === statusColumnId
+      : column.type === 'status' || column.type === 'color')
+    .forEach(column => {
+      const { labels = {}, done_colors: doneColors = [] } = parseColumnSettings(column);
+
+      doneColors.forEach(index => {
+        if (labels[index]) {
+          terminalStatuses.add(labels[index]);
+        }
+      });
+    });
+
+  return Array.from(terminalStatuses);
+};
+
+/**
+ * Build a check for terminal statuses, falling back to name matching when none are configured
+ * The fallback knows the done status names of every supported language ("Done", "Hecho",
+ * "Erledigt").
+ * @param {Array} terminalStatuses - Terminal status labels
+ * @returns {Function} - Returns true for terminal statuses
+ */
+export const buildTerminalStatusMatcher = (terminalStatuses) => {
+  if (terminalStatuses && terminalStatuses.length > 0) {
+    const lowerStatuses = terminalStatuses.map(status => status.toLowerCase());
+    return (status) => lowerStatuses.includes(status.toLowerCase());
+  }
+
+  return (status) => matchesStatusTerm(status, 'done');
+};
+
+/**
+ * Group status changes by item, sorted by time
+ * @param {Array} statusChanges - List of status changes
+ * @returns {Object} - Status changes keyed by item ID
+ */
+const groupChangesByItem = (statusChanges) => {
+  const changesByItem = {};
+
+  statusChanges.forEach(change => {
+    if (!change.itemId) return;
+
+    if (!changesByItem[change.itemId]) {
+      changesByItem[change.itemId] = [];
+    }
+
+    changesByItem[change.itemId].push(change);
+  });
+
+  Object.values(changesByItem).forEach(changes => {
+    changes.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+  });
+
+  return changesByItem;
+};
+
+/**
+ * Find items that have been in their current status far longer than is typical
+ * @param {Array} statusChanges - List of status changes
+ * @param {Object} options - Options (terminalStatuses, factor, now)
+ * @returns {Array} - Outliers per status (status, typicalHours, items), most items first
+ */
+export const findAgingOutliers = (statusChanges, options = {}) => {
+  const { terminalStatuses = [], factor = DEFAULT_OUTLIER_FACTOR, now = new Date() } = options;
+  const isTerminal = buildTerminalStatusMatcher(terminalStatuses);
+
+  const completedStays = {};
+  const currentStays = [];
+
+  Object.entries(groupChangesByItem(statusChanges || [])).forEach(([itemId, changes]) => {
+    for (let i = 0; i < changes.length; i++) {
+      const status = changes[i].newStatus;
+      if (!status) continue;
+
+      const enteredAt = new Date(changes[i].timestamp);
+      const nextChange = changes[i + 1];
+
+      if (nextChange) {
+        if (!completedStays[status]) completedStays[status] = [];
+        completedStays[status].push((new Date(nextChange.timestamp) - enteredAt) / MS_PER_HOUR);
+      } else if (!isTerminal(status)) {
+        currentStays.push({
+          itemId,
+          itemName: changes[i].itemName,
+          status,
+          ageHours: (now - enteredAt) / MS_PER_HOUR
+        });
+      }
+    }
+  });
+
+  const outliersByStatus = {};
+
+  currentStays.forEach(stay => {
+    // Typical time is based on stays that ended, so items still waiting don't skew it
+    const typicalHours = median(completedStays[stay.status] || []);
+    if (!typicalHours) return;
+
+    const ratio = stay.ageHours / typicalHours;
+    if (ratio < factor) return;
+
+    if (!outliersByStatus[stay.status]) {
+      outliersByStatus[stay.status] = { status: stay.status, typicalHours, items: [] };
+    }
+
+    outliersByStatus[stay.status].items.push({ ...stay, ratio });
+  });
+
+  return Object.values(outliersByStatus)
+    .map(group => ({
+      ...group,
+      items: group.items.sort((a, b) => b.ratio - a.ratio),
+      medianRatio: median(group.items.map(item => item.ratio))
+    }))
+    .sort((a, b) => b.items.length - a.items.length);
+};
+
+/**
+ * Count work in progress per status over time
+ * @param {Array} statusChanges - List of status changes
+ * @param {Object} options - Options (terminalStatuses, from, to)
+ * @returns {Array} - Samples (date, counts by status, total)
+ */
+export const calculateWipOverTime = (statusChanges, options = {}) => {
+  const { terminalStatuses = [] } = options;
+  const isTerminal = buildTerminalStatusMatcher(terminalStatuses);
+  const changesByItem = groupChangesByItem(statusChanges || []);
+
+  const timestamps = (statusChanges || []).map(change => new Date(change.timestamp).getTime());
+  if (timestamps.length === 0) return [];
+
+  const from = options.from ? new Date(options.from).getTime() : Math.min(...timestamps);
+  const to = options.to ? new Date(options.to).getTime() : Date.now();
+
+  const spanDays = Math.max(1, Math.ceil((to - from) / MS_PER_DAY));
+  const stepMs = spanDays > MAX_DAILY_WIP_SAMPLES ? MS_PER_DAY * 7 : MS_PER_DAY;
+
+  const samples = [];
+
+  for (let sampleTime = from; sampleTime <= to; sampleTime += stepMs) {
+    const counts = {};
+
+    Object.values(changesByItem).forEach(changes => {
+      // Status at the sample time is the last status entered before it
+      let status = null;
+
+      for (const change of changes) {
+        if (new Date(change.timestamp).getTime() > sampleTime) break;
+        status = change.newStatus;
+      }
+
+      if (status && !isTerminal(status)) {
+        counts[status] = (counts[status] || 0) + 1;
+      }
+    });
+
+    samples.push({
+      date: new Date(sampleTime).toISOString().slice(0, 10),
+      counts,
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0)
+    });
+  }
+
+  return samples;
+};
+
+export default {
+  DEFAULT_OUTLIER_FACTOR,
+  getTerminalStatuses,
+  buildTerminalStatusMatcher,
+  findAgingOutliers,
+  calculateWipOverTime
+};
@@ -0,0 +1,81 @@
+import React, { useState, useContext } from 'react';
+import { MondayContext } from '../../context/MondayContext';
+import './ChangeHistory.css';
+
+const ChangeHistory = () => {
+  const { changeJournal, revertSession } = useContext(MondayContext);
+
+  const [isReverting, setIsReverting] = useState(false);
+  const [revertResults, setRevertResults] = useState(null);
+
+  const pendingChanges = changeJournal.filter(entry => !entry.reverted);
+
+  // Undo everything the assistant changed in this session
+  const handleRevertSession = async () => {
+    if (pendingChanges.length === 0) return;
+
+    const confirmed = window.confirm(
+      `This will undo ${pendingChanges.length} change${pendingChanges.length !== 1 ? 's' : ''} made in this session. Continue?`
+    );
+
+    if (!confirmed) return;
+
+    setIsReverting(true);
+
+    try {
+      const results = await revertSession();
+      setRevertResults(results);
+    } catch (err) {
+      console.error('Failed to revert session:', err);
+      setRevertResults([{ entryId: null, success: false, error: err.message }]);
+    } finally {
+      setIsReverting(false);
+    }
+  };
+
+  const failedReverts = revertResults ? revertResults.filter(result => !result.success) : [];
+
+  return (
+    <div className="change-history">
+      <div className="change-history-header">
+        <h1>Change History</h1>
+        <p>Every change the assistant has made to your boards during this session.</p>
+
+        <button
+          className="revert-session-btn"
+          onClick={handleRevertSession}
+          disabled={isReverting || pendingChanges.length === 0}
+        >
+          {isReverting ? 'Reverting...' : 'Revert This Session'}
+        </button>
+      </div>
+
+      {revertResults && (
+        <div className={`revert-summary ${failedReverts.length > 0 ? 'error-message' : ''}`}>
+          {failedReverts.length === 0
+            ? `Reverted ${revertResults.length} change${revertResults.length !== 1 ? 's' : ''}.`
+            : `${failedReverts.length} change${failedReverts.length !== 1 ? 's' : ''} could not be reverted: ${failedReverts.map(result => result.error).join('; ')}`}
+        </div>
+      )}
+
+      {changeJournal.length === 0 ? (
+        <div className="no-changes">
+          <p>No changes have been made in this session.</p>
+        </div>
+      ) : (
+        <ul className="change-list">
+          {[...changeJournal].reverse().map(entry => (
+            <li key={entry.id} className={`change-entry ${entry.reverted ? 'reverted' : ''}`}>
+              <span className="change-description">{entry.description}</span>
+              <span className="change-time">{new Date(entry.timestamp).toLocaleString()}</span>
+              {entry.reverted && <span className="change-badge">Reverted</span>}
+              {!entry.reverted && !entry.inverse && <span className="change-badge">Cannot be undone</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ChangeHistory;
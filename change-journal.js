@@ -0,0 +1,301 @@
+/**
+ * Change Journal
+ *
+ * This file contains functions for recording the board mutations the assistant performs,
+ * together with the inverse operation needed to undo each one.
+ */
+
+import {
+  deleteWorkspace,
+  deleteBoard,
+  deleteColumn,
+  deleteGroup,
+  deleteItem,
+  updateItemColumnValues,
+  moveItemToGroup,
+  updateGroup,
+  changeColumnTitle,
+  deleteAutomationRecipe
+} from './mondayApi';
+
+const JOURNAL_STORAGE_KEY = 'workflowAssistant.changeJournal';
+
+let entryCounter = 0;
+
+/**
+ * Get the operation that undoes a mutation
+ * @param {string} operation - Mutation that was performed
+ * @param {Object} params - Parameters the mutation was called with
+ * @param {Object} result - Data returned by the mutation
+ * @returns {Object|null} - Inverse operation, or null if the change can't be undone
+ */
+const getInverseOperation = (operation, params, result) => {
+  switch (operation) {
+    case 'create_workspace':
+      return { operation: 'delete_workspace', params: { workspaceId: result.id } };
+
+    case 'create_board':
+      return { operation: 'delete_board', params: { boardId: result.id } };
+
+    case 'create_column':
+      return { operation: 'delete_column', params: { boardId: params.boardId, columnId: result.id } };
+
+    case 'create_group':
+      return { operation: 'delete_group', params: { boardId: params.boardId, groupId: result.id } };
+
+    case 'create_item':
+      return { operation: 'delete_item', params: { itemId: result.id } };
+
+    case 'change_column_values':
+      // Only reversible if the caller captured the values before the change
+      return params.previousValues ? {
+        operation: 'change_column_values',
+        params: { itemId: params.itemId, boardId: params.boardId, values: params.previousValues }
+      } : null;
+
+    case 'move_item':
+      return params.previousGroupId ? {
+        operation: 'move_item',
+        params: { itemId: params.itemId, groupId: params.previousGroupId }
+      } : null;
+
+    case 'create_automation':
+      return { operation: 'delete_automation', params: { boardId: params.boardId, recipeId: result.id } };
+
+    case 'rename_group':
+      return {
+        operation: 'rename_group',
+        params: { boardId: params.boardId, groupId: params.groupId, name: params.previousName }
+      };
+
+    case 'move_group':
+      // Put the group back next to the group it followed (or, if it was first, preceded)
+      if (params.previousAfterGroupId) {
+        return {
+          operation: 'move_group',
+          params: { boardId: params.boardId, groupId: params.groupId, afterGroupId: params.previousAfterGroupId }
+        };
+      }
+      return params.previousBeforeGroupId ? {
+        operation: 'move_group',
+        params: { boardId: params.boardId, groupId: params.groupId, beforeGroupId: params.previousBeforeGroupId }
+      } : null;
+
+    case 'rename_column':
+      return {
+        operation: 'rename_column',
+        params: { boardId: params.boardId, columnId: params.columnId, title: params.previousTitle }
+      };
+
+    case 'delete_column':
+      // The column's values are gone with it
+      return null;
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Describe a mutation for display in the change history
+ * @param {string} operation - Mutation that was performed
+ * @param {Object} params - Parameters the mutation was called with
+ * @param {Object} result - Data returned by the mutation
+ * @returns {string} - Human readable description
+ */
+const describeMutation = (operation, params, result) => {
+  switch (operation) {
+    case 'create_workspace':
+      return `Created workspace "${result.name || params.name}"`;
+    case 'create_board':
+      return `Created board "${result.name || params.boardName}"`;
+    case 'create_column':
+      return `Added column "${result.title || params.title}"`;
+    case 'create_group':
+      return `Created group "${result.title || params.name}"`;
+    case 'create_item':
+      return `Created item "${result.name || params.name}"`;
+    case 'change_column_values':
+      return `Updated column values on item ${params.itemId}`;
+    case 'move_item':
+      return `Moved item ${params.itemName ? `"${params.itemName}"` : params.itemId} to another group`;
+    case 'create_automation':
+      return `Created automation "${result.title || params.title}"`;
+    case 'rename_group':
+      return `Renamed group "${params.previousName}" to "${params.name}"`;
+    case 'move_group':
+      return `Moved group "${params.groupName || params.groupId}"`;
+    case 'rename_column':
+      return `Renamed column "${params.previousTitle}" to "${params.title}"`;
+    case 'delete_column':
+      return `Deleted column "${params.title || params.columnId}"`;
+    default:
+      return operation;
+  }
+};
+
+/**
+ * Create a journal entry for a mutation
+ * @param {string} operation - Mutation that was performed
+ * @param {Object} params - Parameters the mutation was called with
+ * @param {Object} result - Data returned by the mutation
+ * @returns {Object} - Journal entry
+ */
+export const createJournalEntry = (operation, params, result = {}) => {
+  entryCounter += 1;
+
+  return {
+    id: `${Date.now()}-${entryCounter}`,
+    timestamp: new Date().toISOString(),
+    operation,
+    params,
+    result,
+    description: describeMutation(operation, params, result),
+    inverse: getInverseOperation(operation, params, result),
+    reverted: false
+  };
+};
+
+/**
+ * Run the inverse operation of a journal entry
+ * @param {Object} monday - Monday SDK instance
+ * @param {Object} inverse - Inverse operation
+ * @returns {Promise<Object>} - API response
+ */
+const runInverse = async (monday, inverse) => {
+  const { operation, params } = inverse;
+
+  switch (operation) {
+    case 'delete_workspace':
+      return deleteWorkspace(monday, params.workspaceId);
+    case 'delete_board':
+      return deleteBoard(monday, params.boardId);
+    case 'delete_column':
+      return deleteColumn(monday, params.boardId, params.columnId);
+    case 'delete_group':
+      return deleteGroup(monday, params.boardId, params.groupId);
+    case 'delete_item':
+      return deleteItem(monday, params.itemId);
+    case 'change_column_values':
+      return updateItemColumnValues(monday, params.itemId, { boardId: params.boardId, values: params.values });
+    case 'move_item':
+      return moveItemToGroup(monday, params.itemId, params.groupId);
+    case 'delete_automation':
+      return deleteAutomationRecipe(monday, params.boardId, params.recipeId);
+    case 'rename_group':
+      return updateGroup(monday, params.boardId, params.groupId, 'title', params.name);
+    case 'move_group':
+      return params.afterGroupId
+        ? updateGroup(monday, params.boardId, params.groupId, 'relative_position_after', params.afterGroupId)
+        : updateGroup(monday, params.boardId, params.groupId, 'relative_position_before', params.beforeGroupId);
+    case 'rename_column':
+      return changeColumnTitle(monday, params.boardId, params.columnId, params.title);
+    default:
+      throw new Error(`Unsupported inverse operation: ${operation}`);
+  }
+};
+
+/**
+ * Undo journal entries, newest first
+ * Values copied from a column that has since been deleted are kept: clearing them would
+ * lose the only copy left.
+ * @param {Object} monday - Monday SDK instance
+ * @param {Array} entries - Journal entries to undo
+ * @returns {Promise<Array>} - Result for each entry (entryId, success, error)
+ */
+export const revertEntries = async (monday, entries) => {
+  const results = [];
+  const deletedColumns = entries
+    .filter(entry => entry.operation === 'delete_column')
+    .map(entry => `${entry.params.boardId}:${entry.params.columnId}`);
+
+  for (const entry of [...entries].reverse()) {
+    if (entry.reverted) continue;
+
+    if (!entry.inverse) {
+      results.push({ entryId: entry.id, success: false, error: 'This change cannot be undone' });
+      continue;
+    }
+
+    if (entry.params.sourceColumnId && deletedColumns.includes(`${entry.params.boardId}:${entry.params.sourceColumnId}`)) {
+      results.push({
+        entryId: entry.id,
+        success: false,
+        error: 'The column these values were copied from has been deleted, so they are kept'
+      });
+      continue;
+    }
+
+    try {
+      await runInverse(monday, entry.inverse);
+      results.push({ entryId: entry.id, success: true, error: null });
+    } catch (error) {
+      console.error('Failed to revert change:', error);
+      results.push({ entryId: entry.id, success: false, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Run a multi-step flow, undoing the completed steps if a later step fails
+ * @param {Object} monday - Monday SDK instance
+ * @param {Array} steps - Async functions that perform a mutation and return its journal entry (or entries)
+ * @returns {Promise<Array>} - Journal entries for all steps
+ */
+export const runWithCompensation = async (monday, steps) => {
+  const entries = [];
+
+  for (const step of steps) {
+    try {
+      const stepEntries = await step();
+      entries.push(...[].concat(stepEntries || []));
+    } catch (error) {
+      // Leave the board as it was before the flow started
+      error.compensation = await revertEntries(monday, entries);
+      error.compensated = error.compensation.every(result => result.success);
+
+      // Changes that couldn't be undone stay in the journal so they can be reverted later
+      const revertedIds = error.compensation.filter(result => result.success).map(result => result.entryId);
+      error.remainingEntries = entries.filter(entry => !revertedIds.includes(entry.id));
+      throw error;
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Load the journal for the current browser session
+ * @returns {Array} - Journal entries
+ */
+export const loadSessionJournal = () => {
+  try {
+    const stored = window.sessionStorage.getItem(JOURNAL_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Failed to load change journal:', error);
+    return [];
+  }
+};
+
+/**
+ * Save the journal for the current browser session
+ * @param {Array} entries - Journal entries
+ */
+export const saveSessionJournal = (entries) => {
+  try {
+    window.sessionStorage.setItem(JOURNAL_STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.error('Failed to save change journal:', error);
+  }
+};
+
+export default {
+  createJournalEntry,
+  revertEntries,
+  runWithCompensation,
+  loadSessionJournal,
+  saveSessionJournal
+};
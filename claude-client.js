@@ -0,0 +1,361 @@
+/**
+ * Claude API Client
+ *
+ * This file contains the client used to call the Claude Messages API, with timeouts,
+ * retries, token budgeting and streaming. Requests go through the app's server, which holds
+ * the API key. Setting REACT_APP_CLAUDE_API_URL points the client at a recorded-response
+ * fixture server instead.
+ */
+
+import mondaySdk from 'monday-sdk-js';
+import { authFetch } from '../api/authService';
+
+const API_VERSION = '2023-06-01';
+
+export const DEFAULT_MODEL = process.env.REACT_APP_CLAUDE_MODEL || 'claude-3-5-sonnet-latest';
+const DEFAULT_MAX_TOKENS = 1024;
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 1000;
+
+// Upper bound for the prompt (system + messages), in estimated tokens
+export const DEFAULT_INPUT_TOKEN_BUDGET = 12000;
+
+// Rough characters-per-token ratio for English text and JSON
+const CHARS_PER_TOKEN = 4;
+
+// Status codes worth retrying: rate limits, overload and transient server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+
+// Used for the session token that identifies the user to the server
+const monday = mondaySdk();
+
+// Whether the server has an API key, asked once per page load
+let claudeStatus = null;
+
+/**
+ * Check whether the client is pointed at a recorded-response fixture server
+ * @returns {boolean} - Whether fixture mode is active
+ */
+export const isFixtureMode = () => Boolean(process.env.REACT_APP_CLAUDE_API_URL);
+
+/**
+ * Check whether Claude can be called (API key configured on the server, or fixture server)
+ * @returns {Promise<boolean>} - Whether Claude is available
+ */
+export const isClaudeConfigured = () => {
+  if (isFixtureMode()) return Promise.resolve(true);
+
+  if (!claudeStatus) {
+    claudeStatus = authFetch(monday, '/api/claude/status')
+      .then(response => (response.ok ? response.json() : {}))
+      .then(status => Boolean(status.configured))
+      .catch(error => {
+        // Ask again next time, the server may just not be up yet
+        console.error('Failed to check whether Claude is configured:', error);
+        claudeStatus = null;
+        return false;
+      });
+  }
+
+  return claudeStatus;
+};
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+export const estimateTokens = (text) => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+
+/**
+ * Truncate a text to fit a token budget
+ * @param {string} text - Text to truncate
+ * @param {number} maxTokens - Token budget
+ * @returns {string} - Text that fits the budget
+ */
+export const truncateToTokenBudget = (text, maxTokens) => {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+
+  if (!text || text.length <= maxChars) {
+    return text;
+  }
+
+  return `${text.slice(0, Math.max(0, maxChars - 20))}\n...[truncated]`;
+};
+
+/**
+ * Fit prompt sections into a token budget, trimming the lowest priority sections first
+ * @param {Array} sections - List of { name, content, priority } (higher priority is kept longer)
+ * @param {number} budget - Token budget for all sections
+ * @returns {string} - Sections joined into a single prompt
+ */
+export const fitSectionsToBudget = (sections, budget = DEFAULT_INPUT_TOKEN_BUDGET) => {
+  const fitted = sections
+    .filter(section => section.content)
+    .map(section => ({ ...section, content: String(section.content) }));
+
+  let total = fitted.reduce((sum, section) => sum + estimateTokens(section.content), 0);
+  const byPriority = [...fitted].sort((a, b) => (a.priority || 0) - (b.priority || 0));
+
+  for (const section of byPriority) {
+    if (total <= budget) break;
+
+    const sectionTokens = estimateTokens(section.content);
+    const allowed = Math.max(0, sectionTokens - (total - budget));
+
+    section.content = allowed > 0 ? truncateToTokenBudget(section.content, allowed) : '';
+    total -= sectionTokens - estimateTokens(section.content);
+  }
+
+  return fitted
+    .filter(section => section.content)
+    .map(section => `## ${section.name}\n${section.content}`)
+    .join('\n\n');
+};
+
+/**
+ * Parse the first JSON object out of a model response
+ * @param {string} text - Model response text
+ * @returns {Object} - Parsed JSON
+ */
+export const parseJsonResponse = (text) => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start === -1 || end === -1) {
+    throw new Error('Model response did not contain JSON');
+  }
+
+  return JSON.parse(text.slice(start, end + 1));
+};
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise} - Resolves after the delay
+ */
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get the delay before the next retry, honoring retry-after when the API sends it
+ * @param {Object} error - Error from the previous attempt
+ * @param {number} attempt - Attempt number (starting at 0)
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (error, attempt) => {
+  if (error.retryAfterSeconds) {
+    return error.retryAfterSeconds * 1000;
+  }
+
+  return BASE_RETRY_DELAY_MS * Math.pow(2, attempt);
+};
+
+/**
+ * Check whether an error from an attempt should be retried
+ * @param {Object} error - Error from the attempt
+ * @returns {boolean} - Whether to retry
+ */
+const isRetryable = (error) => {
+  if (error.timedOut || error.networkError) return true;
+  return RETRYABLE_STATUSES.includes(error.status);
+};
+
+/**
+ * Post a request body to the Messages API, through the server or to the fixture server
+ * @param {Object} body - Request body
+ * @param {AbortSignal} signal - Signal that cancels the request
+ * @returns {Promise<Response>} - Fetch response
+ */
+const postMessages = (body, signal) => {
+  if (isFixtureMode()) {
+    return fetch(process.env.REACT_APP_CLAUDE_API_URL, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'anthropic-version': API_VERSION },
+      body: JSON.stringify(body),
+      signal
+    });
+  }
+
+  return authFetch(monday, '/api/claude/messages', {
+    method: 'POST',
+    body: JSON.stringify(body),
+    signal
+  });
+};
+
+/**
+ * Read a streamed (server-sent events) response, reporting text as it arrives
+ * @param {Object} response - Fetch response
+ * @param {Function} onText - Called with (delta, fullText) for each text chunk
+ * @returns {Promise<Object>} - Full text and stop reason
+ */
+const readStream = async (response, onText) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  let stopReason = null;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+
+      const event = JSON.parse(line.slice(5).trim());
+
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        text += event.delta.text;
+        onText(event.delta.text, text);
+      } else if (event.type === 'message_delta') {
+        stopReason = event.delta?.stop_reason || stopReason;
+      } else if (event.type === 'error') {
+        const error = new Error(`Claude stream error: ${event.error?.message || 'unknown error'}`);
+        error.status = event.error?.type === 'overloaded_error' ? 529 : 500;
+        throw error;
+      }
+    }
+  }
+
+  return { text, stopReason };
+};
+
+/**
+ * Make a single request to the Messages API
+ * @param {Object} body - Request body
+ * @param {Object} options - Options (timeoutMs, onText)
+ * @returns {Promise<Object>} - Response text and stop reason
+ */
+const requestOnce = async (body, { timeoutMs, onText }) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    let response;
+
+    try {
+      response = await postMessages(body, controller.signal);
+    } catch (fetchError) {
+      const error = new Error(controller.signal.aborted
+        ? `Claude request timed out after ${timeoutMs}ms`
+        : `Claude request failed: ${fetchError.message}`);
+      error.timedOut = controller.signal.aborted;
+      error.networkError = !controller.signal.aborted;
+      throw error;
+    }
+
+    if (!response.ok) {
+      const error = new Error(`Claude API request failed with status ${response.status}`);
+      error.status = response.status;
+
+      const retryAfter = parseFloat(response.headers.get('retry-after'));
+      if (!Number.isNaN(retryAfter)) {
+        error.retryAfterSeconds = retryAfter;
+      }
+
+      throw error;
+    }
+
+    if (body.stream) {
+      return await readStream(response, onText);
+    }
+
+    const data = await response.json();
+    return {
+      text: (data.content || []).map(block => block.text || '').join(''),
+      stopReason: data.stop_reason,
+      usage: data.usage
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Send a message to Claude
+ * @param {Object} request - Request (system, messages, model, maxTokens, temperature)
+ * @param {Object} options - Options (timeoutMs, maxRetries, inputTokenBudget, onText for streaming)
+ * @returns {Promise<string>} - Text of the response
+ */
+export const sendMessage = async (request, options = {}) => {
+  const {
+    system = '',
+    messages,
+    model = DEFAULT_MODEL,
+    maxTokens = DEFAULT_MAX_TOKENS,
+    temperature
+  } = request;
+
+  const {
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    inputTokenBudget = DEFAULT_INPUT_TOKEN_BUDGET,
+    onText = null
+  } = options;
+
+  if (!(await isClaudeConfigured())) {
+    throw new Error('Claude API is not configured');
+  }
+
+  const inputTokens = estimateTokens(system) +
+    messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+
+  if (inputTokens > inputTokenBudget) {
+    throw new Error(`Prompt is over the token budget (${inputTokens} > ${inputTokenBudget})`);
+  }
+
+  const body = {
+    model,
+    system,
+    messages,
+    max_tokens: maxTokens,
+    ...(temperature !== undefined && { temperature }),
+    ...(onText && { stream: true })
+  };
+
+  let lastError = null;
+  let emittedText = false;
+
+  const reportText = onText && ((delta, fullText) => {
+    emittedText = true;
+    onText(delta, fullText);
+  });
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      const { text } = await requestOnce(body, { timeoutMs, onText: reportText });
+      return text;
+    } catch (error) {
+      lastError = error;
+
+      // A retry would stream the answer again after what the caller has already shown
+      if (attempt === maxRetries || !isRetryable(error) || emittedText) {
+        break;
+      }
+
+      console.warn(`Claude request failed, retrying (${attempt + 1}/${maxRetries}):`, error.message);
+      await wait(getRetryDelay(error, attempt));
+    }
+  }
+
+  console.error('Failed to call Claude API:', lastError);
+  throw lastError;
+};
+
+export default {
+  DEFAULT_MODEL,
+  DEFAULT_INPUT_TOKEN_BUDGET,
+  isClaudeConfigured,
+  isFixtureMode,
+  estimateTokens,
+  truncateToTokenBudget,
+  fitSectionsToBudget,
+  parseJsonResponse,
+  sendMessage
+};
@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import {
+  COLUMN_ROLES,
+  getCandidateColumns,
+  detectColumnMapping
+} from '../../services/analysis/columnMapping';
+import './ColumnMappingEditor.css';
+
+// Select value for a role that is deliberately left unmapped
+const NO_COLUMN = '';
+
+const ColumnMappingEditor = ({ columns = [], mapping, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(mapping || {});
+
+  useEffect(() => {
+    setDraft(mapping || {});
+  }, [mapping]);
+
+  const detected = detectColumnMapping(columns);
+
+  const handleChange = (role, value) => {
+    setDraft(prev => ({ ...prev, [role]: value === NO_COLUMN ? null : value }));
+  };
+
+  return (
+    <div className="column-mapping-editor">
+      <h3>Analysis Columns</h3>
+      <p>Choose which column the analysis reads for each role. The workflow status column defines the stages used for bottlenecks and cycle time.</p>
+
+      <table className="column-mapping-table">
+        <tbody>
+          {Object.entries(COLUMN_ROLES).map(([role, definition]) => {
+            const candidates = getCandidateColumns(columns, role);
+
+            return (
+              <tr key={role}>
+                <th>{definition.label}</th>
+                <td>
+                  <select
+                    value={draft[role] || NO_COLUMN}
+                    onChange={(e) => handleChange(role, e.target.value)}
+                  >
+                    <option value={NO_COLUMN}>None</option>
+                    {candidates.map(column => (
+                      <option key={column.id} value={column.id}>
+                        {column.title}{column.id === detected[role] ? ' (detected)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td className="column-mapping-hint">
+                  {candidates.length === 0 && `The board has no ${definition.columnType} column`}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="confirmation-buttons">
+        <button className="btn btn-secondary" onClick={() => setDraft(detected)}>
+          Use Detected
+        </button>
+        {onCancel && (
+          <button className="btn btn-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+        <button className="btn btn-primary" onClick={() => onSave(draft)}>
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingEditor;
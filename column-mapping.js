@@ -0,0 +1,160 @@
+/**
+ * Column Mapping
+ *
+ * This file contains functions for deciding which board column plays which role in the
+ * analysis (workflow status, owner, due date, estimate). The mapping is detected from
+ * column types and settings, can be changed per board, and is kept in local storage.
+ */
+
+const COLUMN_MAPPING_STORAGE_PREFIX = 'workflowAssistant.columnMapping';
+
+// Roles the analysis reads columns for; columnType is what the board is missing without one
+export const COLUMN_ROLES = {
+  status: { label: 'Workflow status', types: ['status', 'color'], columnType: 'status' },
+  owner: { label: 'Owner', types: ['people', 'multiple-person'], columnType: 'people' },
+  dueDate: { label: 'Due date', types: ['date'], columnType: 'date' },
+  estimate: { label: 'Estimate', types: ['numbers', 'numeric'], columnType: 'numbers' }
+};
+
+/**
+ * Parse a column's settings_str
+ * @param {Object} column - Board column
+ * @returns {Object} - Parsed settings (empty if missing or invalid)
+ */
+const parseColumnSettings = (column) => {
+  try {
+    return column.settings_str ? JSON.parse(column.settings_str) : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Get the columns that can fill a role
+ * @param {Array} columns - Board columns
+ * @param {string} role - Key of COLUMN_ROLES
+ * @returns {Array} - Matching columns, in board order
+ */
+export const getCandidateColumns = (columns, role) => (
+  (columns || []).filter(column => COLUMN_ROLES[role].types.includes(column.type))
+);
+
+/**
+ * Score how likely a status column is to define the workflow
+ * @param {Object} column - Status column
+ * @returns {Number} - Score (higher is more likely)
+ */
+const scoreStatusColumn = (column) => {
+  const settings = parseColumnSettings(column);
+  const labelCount = Object.values(settings.labels || {}).filter(Boolean).length;
+
+  // A column with done labels marked is a workflow; one without is usually a tag such as priority
+  return ((settings.done_colors || []).length > 0 ? 100 : 0) + labelCount;
+};
+
+/**
+ * Detect the column for each role from column types and settings
+ * @param {Array} columns - Board columns
+ * @returns {Object} - Column ID per role (null where the board has no suitable column)
+ */
+export const detectColumnMapping = (columns) => {
+  const statusColumns = getCandidateColumns(columns, 'status');
+
+  // Board order breaks ties, so the first workflow-like status column wins
+  const statusColumn = statusColumns.reduce((best, column) => (
+    !best || scoreStatusColumn(column) > scoreStatusColumn(best) ? column : best
+  ), null);
+
+  return {
+    status: statusColumn?.id || null,
+    owner: getCandidateColumns(columns, 'owner')[0]?.id || null,
+    dueDate: getCandidateColumns(columns, 'dueDate')[0]?.id || null,
+    estimate: getCandidateColumns(columns, 'estimate')[0]?.id || null
+  };
+};
+
+/**
+ * Combine a saved mapping with detection, ignoring saved columns the board no longer has
+ * @param {Array} columns - Board columns
+ * @param {Object} savedMapping - Saved column ID per role (null to leave a role unmapped)
+ * @returns {Object} - Column ID per role
+ */
+export const resolveColumnMapping = (columns, savedMapping = {}) => {
+  const detected = detectColumnMapping(columns);
+  const mapping = {};
+
+  Object.keys(COLUMN_ROLES).forEach(role => {
+    const saved = savedMapping[role];
+    const isValid = saved === null || getCandidateColumns(columns, role).some(column => column.id === saved);
+
+    mapping[role] = saved !== undefined && isValid ? saved : detected[role];
+  });
+
+  return mapping;
+};
+
+/**
+ * Get an item's value in a mapped column
+ * @param {Object} item - Board item
+ * @param {string} columnId - Mapped column ID (null if the role is unmapped)
+ * @returns {Object|null} - Column value (null if unmapped or missing)
+ */
+export const getMappedValue = (item, columnId) => {
+  if (!columnId) return null;
+  return (item.column_values || []).find(col => col.id === columnId) || null;
+};
+
+/**
+ * Get the storage key for a board's column mapping
+ * @param {string} boardId - ID of the board
+ * @returns {string} - Storage key
+ */
+const getStorageKey = (boardId) => `${COLUMN_MAPPING_STORAGE_PREFIX}.${boardId}`;
+
+/**
+ * Load the saved column mapping for a board
+ * @param {string} boardId - ID of the board
+ * @returns {Object} - Saved column ID per role (empty if nothing is saved)
+ */
+export const loadColumnMapping = (boardId) => {
+  try {
+    const stored = window.localStorage.getItem(getStorageKey(boardId));
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Failed to load column mapping:', error);
+    return {};
+  }
+};
+
+/**
+ * Save the column mapping for a board
+ * @param {string} boardId - ID of the board
+ * @param {Object} mapping - Column ID per role
+ */
+export const saveColumnMapping = (boardId, mapping) => {
+  try {
+    window.localStorage.setItem(getStorageKey(boardId), JSON.stringify(mapping));
+  } catch (error) {
+    console.error('Failed to save column mapping:', error);
+  }
+};
+
+/**
+ * Get a board's column mapping: the saved one where still valid, detected otherwise
+ * @param {Object} boardData - Board data with id and columns
+ * @returns {Object} - Column ID per role
+ */
+export const getBoardColumnMapping = (boardData) => (
+  resolveColumnMapping(boardData?.columns || [], boardData?.id ? loadColumnMapping(boardData.id) : {})
+);
+
+export default {
+  COLUMN_ROLES,
+  getCandidateColumns,
+  detectColumnMapping,
+  resolveColumnMapping,
+  getMappedValue,
+  loadColumnMapping,
+  saveColumnMapping,
+  getBoardColumnMapping
+};
@@ -0,0 +1,257 @@
+/**
+ * Conversation Memory
+ *
+ * This file contains functions for keeping track of a conversation with the assistant:
+ * the turns so far, the entities the conversation is about, and resolving follow-up
+ * questions ("what about last month?", "and for Maria?") against earlier turns.
+ */
+
+import { extractTimeframe, extractTeamMember } from './intentRecognition';
+import { getLocalePacks, normalizeText } from '../i18n/i18n';
+
+const CONVERSATION_STORAGE_PREFIX = 'workflowAssistant.conversation';
+
+// Number of turns kept per conversation, and sent to the model as history
+const MAX_STORED_TURNS = 50;
+const DEFAULT_HISTORY_TURNS = 8;
+
+// Entities a follow-up keeps from the previous turn unless it names its own
+const CARRY_OVER_ENTITIES = ['boardId', 'timeframe', 'teamMember', 'visualizationType', 'recommendationType'];
+
+/**
+ * Create an empty conversation
+ * @param {string} userId - ID of the Monday user
+ * @param {string} boardId - ID of the board the conversation is about
+ * @returns {Object} - Conversation state
+ */
+export const createConversation = (userId, boardId) => ({
+  userId: userId ? String(userId) : null,
+  boardId: boardId ? String(boardId) : null,
+  turns: [],
+  entities: {},
+  lastIntent: null,
+  updatedAt: new Date().toISOString()
+});
+
+/**
+ * Check whether a query is a follow-up to the previous turn, using the follow-up phrases
+ * of every language pack
+ * @param {string} query - User's query
+ * @param {Object} conversation - Conversation state
+ * @param {string} locale - Preferred locale
+ * @returns {boolean} - Whether the query continues the previous topic
+ */
+export const isFollowUp = (query, conversation, locale) => {
+  if (!conversation.lastIntent) return false;
+
+  const normalized = normalizeText(query.trim());
+  return getLocalePacks(locale).some(pack => pack.followUpPatterns.some(pattern => pattern.test(normalized)));
+};
+
+/**
+ * Check whether a query asks about the whole team rather than one member
+ * @param {string} query - User's query
+ * @param {string} locale - Preferred locale
+ * @returns {boolean} - Whether the query names everyone as its scope
+ */
+const asksAboutWholeTeam = (query, locale) => {
+  const normalized = normalizeText(query.trim());
+  return getLocalePacks(locale).some(pack => pack.wholeTeamPatterns.some(pattern => pattern.test(normalized)));
+};
+
+/**
+ * Resolve a query analysis against the conversation, filling in intent and entities
+ * the user left out because they were established in earlier turns
+ * @param {Object} queryAnalysis - Result of processUserQuery
+ * @param {Object} conversation - Conversation state
+ * @returns {Object} - Resolved query analysis
+ */
+export const resolveQueryAnalysis = (queryAnalysis, conversation) => {
+  const query = queryAnalysis.query || '';
+  const { locale } = queryAnalysis;
+  const followUp = isFollowUp(query, conversation, locale);
+
+  const entities = { ...queryAnalysis.entities };
+  let { intent, requiresAnalysis } = queryAnalysis;
+
+  // Short follow-ups often only name the thing that changed
+  if (followUp) {
+    if (!entities.timeframe) {
+      entities.timeframe = extractTimeframe(query, locale) || undefined;
+    }
+    if (!entities.teamMember) {
+      entities.teamMember = extractTeamMember(query, locale) || undefined;
+    }
+
+    // Keep answering the same kind of question unless the user asked something new
+    if (intent === 'general_query') {
+      intent = conversation.lastIntent.intent;
+      requiresAnalysis = conversation.lastIntent.requiresAnalysis;
+      delete entities.query;
+    }
+  }
+
+  // "current" is the selected board, which is already the default
+  if (entities.boardId === 'current') {
+    delete entities.boardId;
+  }
+
+  const carriedOver = [];
+  const wholeTeam = asksAboutWholeTeam(query, locale);
+
+  if (wholeTeam) {
+    delete entities.teamMember;
+  }
+
+  // Only a follow-up on the same kind of question keeps the earlier scope
+  if (followUp && intent === conversation.lastIntent.intent) {
+    CARRY_OVER_ENTITIES.forEach(key => {
+      if (key === 'teamMember' && wholeTeam) return;
+      if (!entities[key] && conversation.entities[key]) {
+        entities[key] = conversation.entities[key];
+        carriedOver.push(key);
+      }
+    });
+  }
+
+  Object.keys(entities).forEach(key => {
+    if (entities[key] === undefined) delete entities[key];
+  });
+
+  return {
+    ...queryAnalysis,
+    intent,
+    requiresAnalysis,
+    entities,
+    isFollowUp: followUp,
+    carriedOver
+  };
+};
+
+/**
+ * Add a user turn and its resolved analysis to the conversation
+ * @param {Object} conversation - Conversation state
+ * @param {string} text - User's query
+ * @param {Object} queryAnalysis - Resolved query analysis
+ * @returns {Object} - Updated conversation state
+ */
+export const addUserTurn = (conversation, text, queryAnalysis) => {
+  // The resolved analysis already holds whatever was carried over, so anything it
+  // doesn't mention is out of scope now; small talk leaves the scope alone
+  let entities = conversation.entities;
+
+  if (queryAnalysis.intent !== 'general_query') {
+    entities = {};
+    CARRY_OVER_ENTITIES.forEach(key => {
+      if (queryAnalysis.entities[key]) {
+        entities[key] = queryAnalysis.entities[key];
+      }
+    });
+  }
+
+  return {
+    ...conversation,
+    turns: [...conversation.turns, { role: 'user', text, intent: queryAnalysis.intent }].slice(-MAX_STORED_TURNS),
+    entities,
+    lastIntent: queryAnalysis.intent === 'general_query'
+      ? conversation.lastIntent
+      : { intent: queryAnalysis.intent, requiresAnalysis: queryAnalysis.requiresAnalysis },
+    updatedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Add an assistant turn to the conversation
+ * @param {Object} conversation - Conversation state
+ * @param {Object} response - Generated response (text, actions, visualizations)
+ * @returns {Object} - Updated conversation state
+ */
+export const addAssistantTurn = (conversation, response) => ({
+  ...conversation,
+  turns: [...conversation.turns, {
+    role: 'assistant',
+    text: response.text,
+    actions: response.actions,
+    visualizations: response.visualizations,
+    isError: response.isError
+  }].slice(-MAX_STORED_TURNS),
+  updatedAt: new Date().toISOString()
+});
+
+/**
+ * Get recent turns in the message format used by the Claude API
+ * @param {Object} conversation - Conversation state
+ * @param {number} maxTurns - Number of turns to include
+ * @returns {Array} - List of { role, content }
+ */
+export const getHistory = (conversation, maxTurns = DEFAULT_HISTORY_TURNS) => {
+  return conversation.turns
+    .filter(turn => !turn.isError && turn.text)
+    .slice(-maxTurns)
+    .map(turn => ({ role: turn.role, content: turn.text }));
+};
+
+/**
+ * Get the storage key for a user's conversation about a board
+ * @param {string} userId - ID of the Monday user
+ * @param {string} boardId - ID of the board
+ * @returns {string} - Storage key
+ */
+const getStorageKey = (userId, boardId) =>
+  `${CONVERSATION_STORAGE_PREFIX}.${userId || 'anonymous'}.${boardId || 'none'}`;
+
+/**
+ * Load a user's conversation about a board
+ * @param {string} userId - ID of the Monday user
+ * @param {string} boardId - ID of the board
+ * @returns {Object} - Conversation state (empty if none was saved)
+ */
+export const loadConversation = (userId, boardId) => {
+  try {
+    const stored = window.localStorage.getItem(getStorageKey(userId, boardId));
+    return stored ? JSON.parse(stored) : createConversation(userId, boardId);
+  } catch (error) {
+    console.error('Failed to load conversation:', error);
+    return createConversation(userId, boardId);
+  }
+};
+
+/**
+ * Save a conversation
+ * @param {Object} conversation - Conversation state
+ */
+export const saveConversation = (conversation) => {
+  try {
+    window.localStorage.setItem(
+      getStorageKey(conversation.userId, conversation.boardId),
+      JSON.stringify(conversation)
+    );
+  } catch (error) {
+    console.error('Failed to save conversation:', error);
+  }
+};
+
+/**
+ * Delete a user's conversation about a board
+ * @param {string} userId - ID of the Monday user
+ * @param {string} boardId - ID of the board
+ */
+export const clearConversation = (userId, boardId) => {
+  try {
+    window.localStorage.removeItem(getStorageKey(userId, boardId));
+  } catch (error) {
+    console.error('Failed to clear conversation:', error);
+  }
+};
+
+export default {
+  createConversation,
+  isFollowUp,
+  resolveQueryAnalysis,
+  addUserTurn,
+  addAssistantTurn,
+  getHistory,
+  loadConversation,
+  saveConversation,
+  clearConversation
+};
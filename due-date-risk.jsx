@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import './DueDateRisk.css';
+
+const RISK_LABELS = {
+  overdue: 'Overdue',
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low',
+  no_due_date: 'No due date'
+};
+
+const DueDateRisk = ({ forecast }) => {
+  const [showAll, setShowAll] = useState(false);
+
+  if (!forecast) {
+    return (
+      <div className="no-forecast">
+        <h2>No Forecast Available</h2>
+        <p>Refresh the analysis to forecast when open items will be done and which are likely to miss their due dates.</p>
+      </div>
+    );
+  }
+
+  const { items, atRisk, unforecastable, backlog } = forecast;
+
+  if (backlog.openItems === 0) {
+    return (
+      <div className="no-forecast">
+        <h2>No Open Items</h2>
+        <p>Every item on this board is in a done status, so there is nothing to forecast.</p>
+      </div>
+    );
+  }
+
+  const formatDate = (isoDate) => (isoDate ? new Date(isoDate).toLocaleDateString() : 'N/A');
+  const formatChance = (probability) => (probability === null ? '–' : `${Math.round(probability * 100)}%`);
+
+  const visibleItems = showAll ? items : items.slice(0, 20);
+
+  return (
+    <div className="due-date-risk">
+      <div className="summary-metrics">
+        <div className="metric-card">
+          <h3>Open Items</h3>
+          <div className="metric-value">{backlog.openItems}</div>
+        </div>
+        <div className="metric-card">
+          <h3>Likely to Miss Due Date</h3>
+          <div className="metric-value">{atRisk.length}</div>
+        </div>
+        <div className="metric-card">
+          <h3>Backlog Done By (85%)</h3>
+          <div className="metric-value">{formatDate(backlog.p85Date)}</div>
+        </div>
+      </div>
+
+      <div className="backlog-forecast">
+        <h2>Backlog Forecast</h2>
+        {backlog.p50Date ? (
+          <p>
+            Simulating {forecast.trials} possible futures from how items have moved through this board,
+            the {backlog.forecastItems} forecast item{backlog.forecastItems !== 1 ? 's' : ''} should be done
+            by <strong>{formatDate(backlog.p50Date)}</strong> (50% chance), <strong>{formatDate(backlog.p85Date)}</strong> (85%)
+            or <strong>{formatDate(backlog.p95Date)}</strong> (95%).
+          </p>
+        ) : forecast.trials > 0 ? (
+          <p>
+            In most of the {forecast.trials} simulations some items never reached a done status, so there is
+            no date the backlog is likely to be done by.
+          </p>
+        ) : (
+          <p>There isn't enough history on this board to forecast when the backlog will be done.</p>
+        )}
+        {backlog.unfinishedTrials > 0 && (
+          <p className="forecast-note">
+            In {formatChance(backlog.unfinishedTrials / forecast.trials)} of the simulations some items
+            never reached a done status, as has happened on this board before.
+          </p>
+        )}
+      </div>
+
+      {items.length > 0 && (
+        <div className="item-forecasts">
+          <h2>Open Items</h2>
+          <table className="forecast-table">
+            <thead>
+              <tr>
+                <th>Item</th>
+                <th>Status</th>
+                <th>Due</th>
+                <th>Likely Done (50%)</th>
+                <th>Done By (85%)</th>
+                <th>Chance of Missing</th>
+                <th>Risk</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleItems.map(item => (
+                <tr key={item.itemId}>
+                  <td>{item.itemName || item.itemId}</td>
+                  <td>{item.status}</td>
+                  <td>{formatDate(item.dueDate)}</td>
+                  <td>{formatDate(item.p50Date)}</td>
+                  <td>{formatDate(item.p85Date)}</td>
+                  <td>{formatChance(item.missProbability)}</td>
+                  <td>
+                    <span className={`risk-badge ${item.risk}`}>{RISK_LABELS[item.risk]}</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {items.length > visibleItems.length && (
+            <button className="show-all-btn" onClick={() => setShowAll(true)}>
+              Show all {items.length} items
+            </button>
+          )}
+        </div>
+      )}
+
+      {unforecastable.length > 0 && (
+        <div className="unforecastable-items">
+          <h3>Not Forecast</h3>
+          <p>These items are in statuses no item has moved on from in the analyzed history:</p>
+          <ul>
+            {unforecastable.map(item => (
+              <li key={item.itemId}>
+                {item.itemName || item.itemId} ({item.status})
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DueDateRisk;
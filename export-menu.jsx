@@ -0,0 +1,60 @@
+import React, { useState, useContext } from 'react';
+import { MondayContext } from '../../context/MondayContext';
+import { AnalysisContext } from '../../context/AnalysisContext';
+import { EXPORT_FORMATS, buildReport, downloadExport } from '../../services/analysis/reportExport';
+import './ExportMenu.css';
+
+const ExportMenu = ({ formats = Object.keys(EXPORT_FORMATS), label = 'Export Analysis', className = '' }) => {
+  const { selectedBoard } = useContext(MondayContext);
+  const { analysisResults, statusChanges, analyzedItems } = useContext(AnalysisContext);
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [exportError, setExportError] = useState(null);
+
+  // Build the report from the latest analysis and save it in the chosen format
+  const handleExport = (format) => {
+    setIsOpen(false);
+    setExportError(null);
+
+    try {
+      const report = buildReport(analysisResults, {
+        board: selectedBoard,
+        statusChanges,
+        items: analyzedItems
+      });
+
+      downloadExport(report, format);
+    } catch (err) {
+      console.error('Failed to export analysis:', err);
+      setExportError(err.message);
+    }
+  };
+
+  return (
+    <div className={`export-menu ${className}`}>
+      <button
+        className="export-analysis-btn"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={!analysisResults}
+      >
+        {label}
+      </button>
+
+      {isOpen && (
+        <ul className="export-menu-options">
+          {formats.map(format => (
+            <li key={format}>
+              <button onClick={() => handleExport(format)}>
+                {EXPORT_FORMATS[format].label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {exportError && <p className="export-error">{exportError}</p>}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,348 @@
+/**
+ * Forecasting
+ *
+ * This file contains functions for forecasting when open items will finish. Each item's
+ * remaining path is sampled from the stays observed in the board's history (how long items
+ * stayed in a status and where they went next), many times over, which gives the chance of
+ * each item missing its due date and a completion forecast for the whole backlog.
+ */
+
+import { percentile } from '../../utils/statistics';
+import { buildTerminalStatusMatcher } from './bottleneckAnalysis';
+import { detectColumnMapping, getMappedValue } from './columnMapping';
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+export const DEFAULT_TRIALS = 1000;
+
+// Items and trials are traded off so large boards stay fast; boards with more open items
+// than can get MIN_TRIALS each within the budget only forecast the items due soonest
+const MAX_SAMPLED_PATHS = 300000;
+const MIN_TRIALS = 100;
+const MAX_FORECAST_ITEMS = Math.floor(MAX_SAMPLED_PATHS / MIN_TRIALS);
+
+// A simulated item that hasn't finished after this many status changes is treated as not finishing
+const MAX_SIMULATED_STEPS = 50;
+
+// Chance of missing the due date from which an item counts as at risk, and as high risk
+export const AT_RISK_PROBABILITY = 0.5;
+const HIGH_RISK_PROBABILITY = 0.8;
+
+/**
+ * Create a seeded random number generator (mulberry32), so forecasts can be reproduced
+ * @param {number} seed - Seed
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Collect the completed stays per status: how long each lasted and which status came next
+ * @param {Array} statusChanges - List of status changes
+ * @returns {Object} - Stays (next, hours) keyed by status
+ */
+export const collectStatusStays = (statusChanges) => {
+  const changesByItem = {};
+
+  (statusChanges || []).forEach(change => {
+    if (!change.itemId) return;
+
+    const itemId = String(change.itemId);
+    if (!changesByItem[itemId]) changesByItem[itemId] = [];
+    changesByItem[itemId].push(change);
+  });
+
+  const stays = {};
+
+  Object.values(changesByItem).forEach(changes => {
+    changes.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+
+    for (let i = 0; i < changes.length - 1; i++) {
+      const status = changes[i].newStatus;
+      const next = changes[i + 1].newStatus;
+      if (!status || !next) continue;
+
+      if (!stays[status]) stays[status] = [];
+      stays[status].push({
+        next,
+        hours: (new Date(changes[i + 1].timestamp) - new Date(changes[i].timestamp)) / MS_PER_HOUR
+      });
+    }
+  });
+
+  return stays;
+};
+
+/**
+ * Parse a date column value as the moment the item is due
+ * @param {string} text - Date column text
+ * @returns {Date|null} - Due moment; a date without a time is due at the end of that day
+ */
+const parseDueDate = (text) => {
+  if (!text) return null;
+
+  const date = new Date(text);
+  if (isNaN(date)) return null;
+
+  return /^\d{4}-\d{2}-\d{2}$/.test(text.trim())
+    ? new Date(date.getTime() + 24 * MS_PER_HOUR)
+    : date;
+};
+
+/**
+ * Work out each open item's current status and when it entered it
+ * @param {Array} items - Board items
+ * @param {Array} statusChanges - List of status changes
+ * @param {Object} options - Options (columnMapping, isTerminal)
+ * @returns {Array} - Open items (itemId, itemName, status, enteredAt, dueDate)
+ */
+const getOpenItems = (items, statusChanges, options) => {
+  const { columnMapping, isTerminal } = options;
+  const lastEntered = {};
+
+  (statusChanges || []).forEach(change => {
+    if (!change.itemId || !change.newStatus) return;
+
+    const key = `${change.itemId}:${change.newStatus}`;
+    const time = new Date(change.timestamp).getTime();
+    if (!lastEntered[key] || lastEntered[key] < time) lastEntered[key] = time;
+  });
+
+  return (items || [])
+    .map(item => {
+      const status = getMappedValue(item, columnMapping.status)?.text || null;
+      const enteredAt = lastEntered[`${item.id}:${status}`]
+        || (item.created_at ? new Date(item.created_at).getTime() : null);
+
+      return {
+        itemId: String(item.id),
+        itemName: item.name,
+        status,
+        enteredAt,
+        dueDate: parseDueDate(getMappedValue(item, columnMapping.dueDate)?.text)
+      };
+    })
+    .filter(item => item.status && !isTerminal(item.status));
+};
+
+/**
+ * Sample how many hours an item needs to finish
+ * @param {Object} item - Open item (status, ageHours)
+ * @param {Object} stays - Stays keyed by status
+ * @param {Function} isTerminal - Terminal status matcher
+ * @param {Function} random - Random number generator
+ * @returns {number|null} - Remaining hours, or null if the sampled path didn't finish
+ */
+const sampleRemainingHours = (item, stays, isTerminal, random) => {
+  // The first stay is conditioned on the time the item has already spent in its status
+  const current = stays[item.status] || [];
+  const longer = current.filter(stay => stay.hours > item.ageHours);
+  const pool = longer.length > 0 ? longer : current;
+  if (pool.length === 0) return null;
+
+  const first = pool[Math.floor(random() * pool.length)];
+  // An item older than every observed stay is assumed to need a typical stay from now
+  let hours = longer.length > 0 ? first.hours - item.ageHours : first.hours;
+  let status = first.next;
+
+  for (let step = 0; step < MAX_SIMULATED_STEPS; step++) {
+    if (isTerminal(status)) return hours;
+
+    const options = stays[status];
+    if (!options || options.length === 0) return null;
+
+    const stay = options[Math.floor(random() * options.length)];
+    hours += stay.hours;
+    status = stay.next;
+  }
+
+  return null;
+};
+
+/**
+ * Get a percentile of sampled hours, counting the trials that didn't finish as never finishing
+ * @param {Array} hours - Hours sampled in the trials that finished
+ * @param {number} unfinishedTrials - Number of trials that didn't finish
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} - Hours, or null if the percentile falls on trials that didn't finish
+ */
+const percentileOfTrials = (hours, unfinishedTrials, p) => {
+  const value = percentile([...hours, ...new Array(unfinishedTrials).fill(Infinity)], p);
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Get the risk level for an item
+ * @param {number|null} missProbability - Chance of missing the due date
+ * @param {Object} item - Open item (dueDate)
+ * @param {Date} now - Current time
+ * @returns {string} - overdue, high, medium, low or no_due_date
+ */
+const getRiskLevel = (missProbability, item, now) => {
+  if (!item.dueDate) return 'no_due_date';
+  if (item.dueDate < now) return 'overdue';
+  if (missProbability >= HIGH_RISK_PROBABILITY) return 'high';
+  if (missProbability >= AT_RISK_PROBABILITY) return 'medium';
+  return 'low';
+};
+
+/**
+ * Forecast when open items will finish and how likely they are to miss their due dates
+ * Items are assumed to move at their historical pace, including the waiting that pace
+ * already contains; sampled paths that don't finish count as missing the due date, and
+ * as finishing after every finish date.
+ * @param {Array} statusChanges - List of status changes
+ * @param {Array} items - Board items
+ * @param {Object} options - Options (columns, columnMapping, terminalStatuses, trials, seed, now)
+ * @returns {Object} - Item forecasts (riskiest first), items that couldn't be forecast,
+ *   backlog completion forecast and counts by status
+ */
+export const forecastOpenItems = (statusChanges, items, options = {}) => {
+  const {
+    columns = [],
+    terminalStatuses = [],
+    trials: requestedTrials = DEFAULT_TRIALS,
+    seed = 1,
+    now = new Date()
+  } = options;
+
+  const columnMapping = options.columnMapping || detectColumnMapping(columns);
+  const isTerminal = buildTerminalStatusMatcher(terminalStatuses);
+  const stays = collectStatusStays(statusChanges);
+  const random = createRandom(seed);
+
+  const statusCounts = {};
+  (items || []).forEach(item => {
+    const status = getMappedValue(item, columnMapping.status)?.text || 'No status';
+    statusCounts[status] = (statusCounts[status] || 0) + 1;
+  });
+
+  const openItems = getOpenItems(items, statusChanges, { columnMapping, isTerminal }).map(item => ({
+    ...item,
+    ageHours: item.enteredAt ? Math.max(0, (now.getTime() - item.enteredAt) / MS_PER_HOUR) : 0
+  }));
+
+  // Items whose status never led anywhere in the history can't be forecast
+  const withHistory = openItems.filter(item => (stays[item.status] || []).length > 0);
+  const unforecastable = openItems
+    .filter(item => (stays[item.status] || []).length === 0)
+    .map(({ itemId, itemName, status }) => ({
+      itemId,
+      itemName,
+      status,
+      reason: `No item has left ${status} in the analyzed history`
+    }));
+
+  // Past the item limit, items due soonest are forecast first
+  let forecastable = withHistory;
+  if (withHistory.length > MAX_FORECAST_ITEMS) {
+    const byDueDate = [...withHistory].sort((a, b) => (a.dueDate?.getTime() ?? Infinity) - (b.dueDate?.getTime() ?? Infinity));
+    forecastable = byDueDate.slice(0, MAX_FORECAST_ITEMS);
+    byDueDate.slice(MAX_FORECAST_ITEMS).forEach(({ itemId, itemName, status }) => {
+      unforecastable.push({
+        itemId,
+        itemName,
+        status,
+        reason: `Only the ${MAX_FORECAST_ITEMS} open items due soonest are forecast`
+      });
+    });
+  }
+
+  const trials = forecastable.length > 0
+    ? Math.max(1, Math.min(requestedTrials, Math.floor(MAX_SAMPLED_PATHS / forecastable.length)))
+    : 0;
+
+  const samples = forecastable.map(() => []);
+  const unfinished = forecastable.map(() => 0);
+  const backlogSamples = [];
+  let backlogUnfinishedTrials = 0;
+
+  for (let trial = 0; trial < trials; trial++) {
+    let longest = 0;
+    let finished = true;
+
+    forecastable.forEach((item, index) => {
+      const hours = sampleRemainingHours(item, stays, isTerminal, random);
+
+      if (hours === null) {
+        unfinished[index]++;
+        finished = false;
+        return;
+      }
+
+      samples[index].push(hours);
+      longest = Math.max(longest, hours);
+    });
+
+    // The backlog is done when its slowest item is
+    if (finished) backlogSamples.push(longest);
+    else backlogUnfinishedTrials++;
+  }
+
+  const toDate = (hours) => (hours === null ? null : new Date(now.getTime() + hours * MS_PER_HOUR).toISOString());
+
+  const itemForecasts = forecastable.map((item, index) => {
+    const itemSamples = samples[index];
+    const missed = item.dueDate
+      ? itemSamples.filter(hours => now.getTime() + hours * MS_PER_HOUR > item.dueDate.getTime()).length + unfinished[index]
+      : null;
+    const missProbability = item.dueDate
+      ? (item.dueDate < now ? 1 : missed / trials)
+      : null;
+
+    return {
+      itemId: item.itemId,
+      itemName: item.itemName,
+      status: item.status,
+      ageHours: item.ageHours,
+      dueDate: item.dueDate ? item.dueDate.toISOString() : null,
+      p50Date: toDate(percentileOfTrials(itemSamples, unfinished[index], 50)),
+      p85Date: toDate(percentileOfTrials(itemSamples, unfinished[index], 85)),
+      finishProbability: (trials - unfinished[index]) / trials,
+      missProbability,
+      risk: getRiskLevel(missProbability, item, now)
+    };
+  });
+
+  // Riskiest first; items without a due date last, slowest first
+  itemForecasts.sort((a, b) => (
+    (b.missProbability ?? -1) - (a.missProbability ?? -1)
+    || new Date(b.p85Date || 0) - new Date(a.p85Date || 0)
+  ));
+
+  return {
+    generatedAt: now.toISOString(),
+    trials,
+    statusCounts,
+    items: itemForecasts,
+    atRisk: itemForecasts.filter(item => item.missProbability !== null && item.missProbability >= AT_RISK_PROBABILITY),
+    unforecastable,
+    backlog: {
+      openItems: openItems.length,
+      forecastItems: forecastable.length,
+      // Chance that every forecast item finishes at all within the simulated paths; a date is
+      // null when more trials than its percentile leaves didn't finish
+      finishProbability: trials > 0 ? backlogSamples.length / trials : null,
+      p50Date: toDate(percentileOfTrials(backlogSamples, backlogUnfinishedTrials, 50)),
+      p85Date: toDate(percentileOfTrials(backlogSamples, backlogUnfinishedTrials, 85)),
+      p95Date: toDate(percentileOfTrials(backlogSamples, backlogUnfinishedTrials, 95)),
+      unfinishedTrials: backlogUnfinishedTrials
+    }
+  };
+};
+
+export default {
+  DEFAULT_TRIALS,
+  AT_RISK_PROBABILITY,
+  collectStatusStays,
+  forecastOpenItems
+};
@@ -0,0 +1,172 @@
+/**
+ * Internationalization
+ *
+ * This file contains functions for choosing the user's language and reading the language
+ * packs: the words the assistant recognizes in queries and board labels, and the text of
+ * its responses. English is the default, and the fallback for missing response text.
+ */
+
+import en from './locales/en';
+import es from './locales/es';
+import de from './locales/de';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALE_PACKS = { en, es, de };
+
+export const SUPPORTED_LOCALES = Object.keys(LOCALE_PACKS);
+
+/**
+ * Resolve a language code to a supported locale
+ * @param {string} language - Language code, e.g. "es" or "de-AT"
+ * @returns {string} - Supported locale, or the default locale
+ */
+export const resolveLocale = (language) => {
+  const code = String(language || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALE_PACKS[code] ? code : DEFAULT_LOCALE;
+};
+
+/**
+ * Get the locale of the Monday user, falling back to the browser's language
+ * @param {Object} context - Monday context
+ * @returns {string} - Supported locale
+ */
+export const getUserLocale = (context) => {
+  const browserLanguage = typeof navigator !== 'undefined' ? navigator.language : null;
+  return resolveLocale(context?.user?.currentLanguage || browserLanguage);
+};
+
+/**
+ * Get the language pack for a locale
+ * @param {string} locale - Locale
+ * @returns {Object} - Language pack
+ */
+export const getLocalePack = (locale) => LOCALE_PACKS[resolveLocale(locale)];
+
+/**
+ * Get every language pack, the one for the given locale first
+ * Queries are matched against all of them, so a question typed in another supported
+ * language than the user's is still understood.
+ * @param {string} locale - Preferred locale
+ * @returns {Array} - Language packs
+ */
+export const getLocalePacks = (locale) => {
+  const preferred = getLocalePack(locale);
+  return [preferred, ...Object.values(LOCALE_PACKS).filter(pack => pack !== preferred)];
+};
+
+/**
+ * Normalize text for matching: lower case, without accents or umlauts
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+export const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Look up a dotted key in a message tree
+ * @param {Object} messages - Message tree
+ * @param {string} key - Dotted key, e.g. "bottlenecks.intro"
+ * @returns {*} - Message, or undefined
+ */
+const lookupMessage = (messages, key) => key.split('.')
+  .reduce((node, part) => (node == null ? undefined : node[part]), messages);
+
+/**
+ * Get response text in a locale, falling back to English
+ * Messages are strings, lists of strings, or functions of the given parameters.
+ * @param {string} locale - Locale
+ * @param {string} key - Dotted message key
+ * @param {Object} params - Values for the message
+ * @returns {string|Array} - Message text
+ */
+export const translate = (locale, key, params = {}) => {
+  let message = lookupMessage(getLocalePack(locale).messages, key);
+
+  if (message === undefined) {
+    message = lookupMessage(LOCALE_PACKS[DEFAULT_LOCALE].messages, key);
+  }
+
+  if (message === undefined) {
+    console.error('Missing response text:', key);
+    return key;
+  }
+
+  return typeof message === 'function' ? message(params) : message;
+};
+
+/**
+ * Create a translate function bound to a locale
+ * @param {string} locale - Locale
+ * @returns {Function} - Called with a message key and parameters
+ */
+export const createTranslator = (locale) => (key, params) => translate(locale, key, params);
+
+/**
+ * Get the status names of a kind from every language pack
+ * Board labels are matched against all languages, since they needn't be in the
+ * language of the user looking at the board.
+ * @param {string} kind - Kind of status (done, notStarted, review, waiting)
+ * @returns {Array} - Normalized status names
+ */
+export const getStatusTerms = (kind) => Array.from(new Set(
+  Object.values(LOCALE_PACKS).flatMap(pack => (pack.statuses[kind] || []).map(normalizeText))
+));
+
+/**
+ * Check whether a status or group name contains a status name of a kind, in any language
+ * @param {string} status - Status or group name
+ * @param {string} kind - Kind of status (done, notStarted, review, waiting)
+ * @returns {boolean} - Whether the name contains one of the status names
+ */
+export const includesStatusTerm = (status, kind) => {
+  const normalizedStatus = normalizeText(status);
+  return getStatusTerms(kind).some(term => normalizedStatus.includes(term));
+};
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check whether a status or group name is a status name of a kind, in any language
+ * The name has to start with the status name, which may carry an ending ("Completed",
+ * "Completada"), and anything after it must be set off by punctuation ("Done - shipped").
+ * Names that qualify it, like "Nicht fertig" or "Listo para revisión", don't count.
+ * @param {string} status - Status or group name
+ * @param {string} kind - Kind of status (done, notStarted, review, waiting)
+ * @returns {boolean} - Whether the name is one of the status names
+ */
+export const matchesStatusTerm = (status, kind) => {
+  const normalizedStatus = normalizeText(status).trim();
+  return getStatusTerms(kind).some(term => (
+    new RegExp(`^[^\\p{L}]*${escapeRegExp(term)}\\p{L}*(\\s*[^\\p{L}\\s]|$)`, 'u').test(normalizedStatus)
+  ));
+};
+
+/**
+ * Get the common group orders from every language pack
+ * @returns {Array} - Lists of group names in workflow order
+ */
+export const getWorkflowOrders = () => Object.values(LOCALE_PACKS).flatMap(pack => pack.workflowOrders);
+
+export default {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  getUserLocale,
+  getLocalePack,
+  getLocalePacks,
+  normalizeText,
+  translate,
+  createTranslator,
+  getStatusTerms,
+  includesStatusTerm,
+  matchesStatusTerm,
+  getWorkflowOrders
+};
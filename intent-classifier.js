@@ -0,0 +1,260 @@
+/**
+ * Intent Classifier
+ *
+ * This file contains the intent classifier interface and its backends. A classifier is an
+ * object with a name and an async classify(query, context) function that resolves to
+ * { intent, confidence, entities }.
+ */
+
+import { sendMessage, parseJsonResponse } from './claudeClient';
+
+// Supported intents and whether answering them needs a workflow analysis
+export const INTENT_DEFINITIONS = {
+  analyze_workflow: { requiresAnalysis: true, description: 'Analyze a board\'s workflow in general' },
+  show_bottlenecks: { requiresAnalysis: true, description: 'Find where work gets stuck or slows down' },
+  show_efficiency: { requiresAnalysis: true, description: 'Show efficiency metrics, KPIs or statistics' },
+  get_recommendations: { requiresAnalysis: true, description: 'Suggest improvements or optimizations' },
+  create_workspace: { requiresAnalysis: false, description: 'Create a new workspace or board' },
+  team_analysis: { requiresAnalysis: true, description: 'Team workload, assignments or a specific person' },
+  visualize_workflow: { requiresAnalysis: true, description: 'Show a chart, diagram or visualization' },
+  status_report: { requiresAnalysis: true, description: 'Report progress, current status or which items will miss their due dates' },
+  compare_boards: { requiresAnalysis: false, description: 'Compare this board with other boards in the workspace' },
+  general_query: { requiresAnalysis: false, description: 'Greetings, help or anything else' }
+};
+
+const TIMEFRAME_UNITS = ['day', 'week', 'month', 'all'];
+const RECOMMENDATION_TYPES = ['automation', 'structure', 'bottleneck', 'workload', 'general'];
+const WORKSPACE_TYPES = ['agile', 'marketing', 'product', 'hr', 'content'];
+const VISUALIZATION_TYPES = ['flow', 'time', 'workload', 'bottleneck'];
+
+// Classifications below this confidence are handed to the next backend
+export const MIN_CONFIDENCE = 0.3;
+
+// Classification is short and latency sensitive, so it uses a smaller model
+const CLASSIFICATION_MODEL = 'claude-3-5-haiku-latest';
+
+/**
+ * Check that a value is a string or null
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a string or null
+ */
+const isOptionalString = (value) => value === null || value === undefined || typeof value === 'string';
+
+/**
+ * Validate and normalize a classification result
+ * @param {Object} data - Raw classification
+ * @returns {Object} - Normalized classification (intent, confidence, entities)
+ */
+export const validateClassification = (data) => {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid intent classification: expected an object');
+  }
+
+  const { intent, confidence, entities = {} } = data;
+
+  if (!INTENT_DEFINITIONS[intent]) {
+    throw new Error(`Invalid intent classification: unknown intent "${intent}"`);
+  }
+
+  if (typeof confidence !== 'number' || confidence < 0 || confidence > 1) {
+    throw new Error('Invalid intent classification: confidence must be a number between 0 and 1');
+  }
+
+  if (typeof entities !== 'object' || Array.isArray(entities)) {
+    throw new Error('Invalid intent classification: entities must be an object');
+  }
+
+  const { boardId, teamMember, timeframe, recommendationType, workspaceType, visualizationType } = entities;
+
+  if (!isOptionalString(boardId) || !isOptionalString(teamMember)) {
+    throw new Error('Invalid intent classification: boardId and teamMember must be strings');
+  }
+
+  if (timeframe) {
+    if (!TIMEFRAME_UNITS.includes(timeframe.unit) ||
+        (timeframe.unit !== 'all' && !Number.isInteger(timeframe.value))) {
+      throw new Error('Invalid intent classification: malformed timeframe');
+    }
+  }
+
+  if (recommendationType && !RECOMMENDATION_TYPES.includes(recommendationType)) {
+    throw new Error(`Invalid intent classification: unknown recommendation type "${recommendationType}"`);
+  }
+
+  if (workspaceType && !WORKSPACE_TYPES.includes(workspaceType)) {
+    throw new Error(`Invalid intent classification: unknown workspace type "${workspaceType}"`);
+  }
+
+  if (visualizationType && !VISUALIZATION_TYPES.includes(visualizationType)) {
+    throw new Error(`Invalid intent classification: unknown visualization type "${visualizationType}"`);
+  }
+
+  // Drop empty values so callers can rely on truthiness checks
+  const normalizedEntities = {};
+  Object.entries(entities).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '') {
+      normalizedEntities[key] = value;
+    }
+  });
+
+  return {
+    intent,
+    confidence,
+    entities: normalizedEntities
+  };
+};
+
+/**
+ * Build the system prompt used for Claude intent classification
+ * @returns {string} - System prompt
+ */
+const buildClassificationPrompt = () => {
+  const intentList = Object.entries(INTENT_DEFINITIONS)
+    .map(([intent, definition]) => `- ${intent}: ${definition.description}`)
+    .join('\n');
+
+  return `You classify requests sent to a Monday.com workflow assistant.
+
+Intents:
+${intentList}
+
+Respond with a single JSON object and nothing else, in this shape:
+{
+  "intent": one of the intents above,
+  "confidence": number between 0 and 1,
+  "entities": {
+    "boardId": board ID or name the user refers to, "current" for "this/my board", or null,
+    "timeframe": {"unit": ${TIMEFRAME_UNITS.map(unit => `"${unit}"`).join(' | ')}, "value": integer} or null,
+    "teamMember": name of a person the user asks about, or null,
+    "recommendationType": ${RECOMMENDATION_TYPES.map(type => `"${type}"`).join(' | ')} or null,
+    "workspaceType": ${WORKSPACE_TYPES.map(type => `"${type}"`).join(' | ')} or null,
+    "visualizationType": ${VISUALIZATION_TYPES.map(type => `"${type}"`).join(' | ')} or null
+  }
+}`;
+};
+
+/**
+ * Build the user message for classification, including the boards the user can refer to
+ * @param {string} query - User's natural language query
+ * @param {Object} context - Context (boards, selectedBoard, history)
+ * @returns {string} - Message content
+ */
+const buildClassificationMessage = (query, context = {}) => {
+  const { boards, selectedBoard, history } = context;
+  const lines = [];
+
+  if (boards && boards.length > 0) {
+    lines.push(`Available boards: ${boards.map(board => `"${board.name}" (${board.id})`).join(', ')}`);
+  }
+
+  if (selectedBoard) {
+    lines.push(`Current board: "${selectedBoard.name}" (${selectedBoard.id})`);
+  }
+
+  // Earlier turns let the model resolve follow-ups like "what about last month?"
+  if (history && history.length > 0) {
+    lines.push('Earlier in the conversation:');
+    history.forEach(turn => lines.push(`${turn.role}: ${turn.content}`));
+  }
+
+  lines.push(`Request: ${query}`);
+  return lines.join('\n');
+};
+
+/**
+ * Create a Claude-backed intent classifier
+ * @param {Object} options - Options (send, model, timeoutMs)
+ * @returns {Object} - Intent classifier
+ */
+export const createClaudeClassifier = (options = {}) => {
+  const { send = sendMessage, model = CLASSIFICATION_MODEL, timeoutMs = 10000 } = options;
+  const system = buildClassificationPrompt();
+
+  return {
+    name: 'claude',
+    classify: async (query, context) => {
+      const text = await send({
+        system,
+        model,
+        maxTokens: 300,
+        messages: [{ role: 'user', content: buildClassificationMessage(query, context) }]
+      }, { timeoutMs, maxRetries: 1 });
+
+      return validateClassification(parseJsonResponse(text));
+    }
+  };
+};
+
+/**
+ * Create a stub intent classifier that answers from fixtures, for offline tests
+ * @param {Array} fixtures - List of { match: string|RegExp, result } entries
+ * @param {Object} fallbackResult - Result when no fixture matches
+ * @returns {Object} - Intent classifier
+ */
+export const createStubClassifier = (fixtures = [], fallbackResult = null) => {
+  return {
+    name: 'stub',
+    classify: async (query) => {
+      const fixture = fixtures.find(({ match }) =>
+        match instanceof RegExp ? match.test(query) : query.toLowerCase().includes(match.toLowerCase())
+      );
+
+      const result = fixture ? fixture.result : (fallbackResult || {
+        intent: 'general_query',
+        confidence: 0,
+        entities: { query }
+      });
+
+      return validateClassification(result);
+    }
+  };
+};
+
+/**
+ * Create a classifier that tries each backend in order, moving on when a backend fails
+ * or isn't confident enough
+ * @param {Array} backends - List of intent classifiers
+ * @param {Object} options - Options (minConfidence)
+ * @returns {Object} - Intent classifier
+ */
+export const createFallbackClassifier = (backends, options = {}) => {
+  const { minConfidence = MIN_CONFIDENCE } = options;
+
+  return {
+    name: backends.map(backend => backend.name).join('>'),
+    classify: async (query, context) => {
+      let bestResult = null;
+
+      for (const backend of backends) {
+        try {
+          const result = await backend.classify(query, context);
+
+          if (result.confidence >= minConfidence) {
+            return { ...result, backend: backend.name };
+          }
+
+          if (!bestResult || result.confidence > bestResult.confidence) {
+            bestResult = { ...result, backend: backend.name };
+          }
+        } catch (error) {
+          console.error(`Intent classifier "${backend.name}" failed:`, error);
+        }
+      }
+
+      if (!bestResult) {
+        throw new Error('All intent classifiers failed');
+      }
+
+      return bestResult;
+    }
+  };
+};
+
+export default {
+  INTENT_DEFINITIONS,
+  MIN_CONFIDENCE,
+  validateClassification,
+  createClaudeClassifier,
+  createStubClassifier,
+  createFallbackClassifier
+};
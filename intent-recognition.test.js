@@ -0,0 +1,130 @@
+import {
+  processUserQuery,
+  setIntentClassifier,
+  ruleBasedClassifier,
+  extractTimeframe,
+  extractTeamMember
+} from '../intentRecognition';
+import { createConversation, addUserTurn, resolveQueryAnalysis } from '../conversationMemory';
+import { buildTerminalStatusMatcher } from '../../analysis/bottleneckAnalysis';
+
+describe('processUserQuery with keyword rules', () => {
+  beforeEach(() => {
+    setIntentClassifier(ruleBasedClassifier);
+  });
+
+  afterEach(() => {
+    setIntentClassifier(null);
+  });
+
+  it('recognizes Spanish and German questions', async () => {
+    const bottlenecks = await processUserQuery('¿Dónde están los cuellos de botella?', { locale: 'es' });
+    expect(bottlenecks).toMatchObject({ intent: 'show_bottlenecks', locale: 'es' });
+
+    const efficiency = await processUserQuery('Zeig mir Kennzahlen zur Effizienz der letzten 2 Wochen', { locale: 'de-AT' });
+    expect(efficiency).toMatchObject({
+      intent: 'show_efficiency',
+      locale: 'de',
+      entities: { timeframe: { unit: 'week', value: 2 } }
+    });
+
+    const workspace = await processUserQuery('Crea un nuevo espacio de trabajo para la campaña de verano', { locale: 'es' });
+    expect(workspace.entities.workspaceType).toBe('marketing');
+  });
+
+  it('gives each keyword one intent', async () => {
+    expect((await processUserQuery('optimize my workflow', { locale: 'en' })).intent).toBe('get_recommendations');
+    expect((await processUserQuery('Optimiza mi flujo de trabajo', { locale: 'es' })).intent).toBe('get_recommendations');
+    expect((await processUserQuery('show my board', { locale: 'en' })).intent).toBe('general_query');
+    expect((await processUserQuery('Zeig mein Board', { locale: 'de' })).intent).toBe('general_query');
+  });
+
+  it('understands English whatever the user\'s language', async () => {
+    const result = await processUserQuery('Show me efficiency metrics for the last 30 days', { locale: 'de' });
+
+    expect(result.intent).toBe('show_efficiency');
+    expect(result.entities.timeframe).toEqual({ unit: 'day', value: 30 });
+  });
+
+  it('falls back to English for unsupported languages', async () => {
+    expect((await processUserQuery('Analyze my workflow efficiency', { locale: 'ja' })).locale).toBe('en');
+  });
+});
+
+describe('entity extraction', () => {
+  it('reads timeframes in each language', () => {
+    expect(extractTimeframe('Wie lief die letzte Woche?', 'de')).toEqual({ unit: 'week', value: 1 });
+    expect(extractTimeframe('¿Qué pasó el mes pasado?', 'es')).toEqual({ unit: 'month', value: 1 });
+    expect(extractTimeframe('en los últimos 14 días', 'es')).toEqual({ unit: 'day', value: 14 });
+    expect(extractTimeframe('vor 3 Monaten', 'de')).toEqual({ unit: 'month', value: 3 });
+    expect(extractTimeframe('last 2 weeks')).toEqual({ unit: 'week', value: 2 });
+  });
+
+  it('keeps accents in team member names', () => {
+    expect(extractTeamMember('¿Y para María?', 'es')).toBe('María');
+    expect(extractTeamMember('Wie ist die Arbeitslast von Jürgen Weiß?', 'de')).toBe('Jürgen Weiß');
+  });
+
+  it('resolves follow-ups in the user\'s language', () => {
+    const conversation = addUserTurn(createConversation('1', '1001'), 'Analiza la carga de trabajo del equipo', {
+      intent: 'team_analysis',
+      requiresAnalysis: true,
+      entities: {}
+    });
+
+    const resolved = resolveQueryAnalysis({
+      query: '¿Y la semana pasada?',
+      intent: 'general_query',
+      entities: { query: '¿Y la semana pasada?' },
+      locale: 'es'
+    }, conversation);
+
+    expect(resolved.intent).toBe('team_analysis');
+    expect(resolved.entities.timeframe).toEqual({ unit: 'week', value: 1 });
+  });
+
+  it('keeps earlier entities only for follow-ups', async () => {
+    setIntentClassifier(ruleBasedClassifier);
+
+    const first = resolveQueryAnalysis(
+      await processUserQuery('Show me the team workload assigned to Maria', { locale: 'en' }),
+      createConversation('1', '1001')
+    );
+    const conversation = addUserTurn(createConversation('1', '1001'), first.query, first);
+    expect(conversation.entities.teamMember).toBe('Maria');
+
+    const fresh = resolveQueryAnalysis(
+      await processUserQuery('Show team workload for everyone', { locale: 'en' }),
+      conversation
+    );
+    expect(fresh.entities.teamMember).toBeUndefined();
+    expect(fresh.carriedOver).toEqual([]);
+    expect(addUserTurn(conversation, fresh.query, fresh).entities.teamMember).toBeUndefined();
+
+    const everyone = resolveQueryAnalysis(
+      await processUserQuery('And for everyone?', { locale: 'en' }),
+      conversation
+    );
+    expect(everyone.isFollowUp).toBe(true);
+    expect(everyone.entities.teamMember).toBeUndefined();
+
+    setIntentClassifier(null);
+  });
+});
+
+describe('status heuristics', () => {
+  it('treats done statuses in any language as terminal when the board configures none', () => {
+    const isTerminal = buildTerminalStatusMatcher([]);
+
+    expect(['Done', 'Hecho', 'Completada', 'Erledigt', 'Abgeschlossen'].every(isTerminal)).toBe(true);
+    expect(['En curso', 'In Arbeit', 'Working on it'].some(isTerminal)).toBe(false);
+  });
+
+  it('counts a label as done only when it starts with a done status that nothing qualifies', () => {
+    const isTerminal = buildTerminalStatusMatcher([]);
+
+    expect(['Completed', 'Done - shipped', '✅ Erledigt'].every(isTerminal)).toBe(true);
+    expect(isTerminal('Nicht fertig')).toBe(false);
+    expect(isTerminal('Listo para revisión')).toBe(false);
+  });
+});
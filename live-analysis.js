@@ -0,0 +1,350 @@
+/**
+ * Live Analysis
+ *
+ * This file contains functions for keeping a workflow analysis current from board events.
+ * Each status change is applied to cached per-item state, so time in status, transitions
+ * and bottlenecks update without refetching the board, and alerts are raised when an item
+ * crosses the aging threshold or a status becomes a bottleneck.
+ */
+
+import { median, percentile } from '../../utils/statistics';
+import { identifyBottlenecks } from './workflowAnalysis';
+import { buildTerminalStatusMatcher, DEFAULT_OUTLIER_FACTOR } from './bottleneckAnalysis';
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+// How many event IDs to remember for ignoring redelivered webhooks
+const MAX_SEEN_EVENTS = 500;
+
+// Webhook column types that hold a status
+const STATUS_COLUMN_TYPES = ['status', 'color'];
+
+/**
+ * Read the label text from a webhook status value
+ * @param {Object|string} value - Webhook column value
+ * @returns {string|null} - Label
+ */
+const getLabelText = (value) => {
+  if (!value) return null;
+
+  const parsed = typeof value === 'string' ? (() => {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return { label: { text: value } };
+    }
+  })() : value;
+
+  const label = parsed?.label;
+  return typeof label === 'string' ? label : label?.text || null;
+};
+
+/**
+ * Turn a monday.com webhook event into a status change
+ * @param {Object} event - Webhook event (the "event" field of the webhook body)
+ * @param {Object} options - Options (statusColumnId: the column that defines the workflow)
+ * @returns {Object|null} - Status change, or null if the event didn't change the workflow status
+ */
+export const statusChangeFromEvent = (event, options = {}) => {
+  const { statusColumnId = null } = options;
+
+  if (!event || event.type !== 'update_column_value' || !event.pulseId) return null;
+  if (event.columnType && !STATUS_COLUMN_TYPES.includes(event.columnType)) return null;
+
+  // Same rule as extractStatusChanges: without a mapping, guess from the column ID
+  const columnId = event.columnId || '';
+  const isStatusColumn = statusColumnId
+    ? columnId === statusColumnId
+    : columnId === 'status' || columnId.includes('status');
+
+  if (!isStatusColumn) return null;
+
+  const timestamp = event.changedAt
+    ? new Date(event.changedAt * 1000)
+    : new Date(event.triggerTime || Date.now());
+
+  return {
+    eventId: event.triggerUuid || null,
+    itemId: String(event.pulseId),
+    itemName: event.pulseName,
+    previousStatus: getLabelText(event.previousValue),
+    newStatus: getLabelText(event.value),
+    timestamp,
+    userId: event.userId ? String(event.userId) : undefined
+  };
+};
+
+/**
+ * Record a status change in live state, mutating the given copies
+ * @param {Object} state - Live state (already copied where it will change)
+ * @param {Object} change - Status change
+ */
+const recordChange = (state, change) => {
+  const time = new Date(change.timestamp).getTime();
+  const previous = state.items[change.itemId];
+  const item = previous
+    ? { ...previous, statusDurations: { ...previous.statusDurations } }
+    : { itemName: change.itemName, statusDurations: {}, currentStatus: null, enteredAt: null };
+
+  // Close the stay in the status the item is leaving
+  if (item.currentStatus && item.enteredAt !== null) {
+    const hours = (time - item.enteredAt) / MS_PER_HOUR;
+
+    item.statusDurations[item.currentStatus] = (item.statusDurations[item.currentStatus] || 0) + hours;
+    state.completedStays[item.currentStatus] = [...(state.completedStays[item.currentStatus] || []), hours];
+  }
+
+  // Events only carry the previous label when monday.com sends it; the cache knows it anyway
+  const from = change.previousStatus || item.currentStatus;
+  if (from && change.newStatus) {
+    state.transitions[from] = { ...state.transitions[from] };
+    state.transitions[from][change.newStatus] = (state.transitions[from][change.newStatus] || 0) + 1;
+  }
+
+  item.itemName = change.itemName || item.itemName;
+  item.currentStatus = change.newStatus || null;
+  item.enteredAt = time;
+
+  state.items[change.itemId] = item;
+  state.statusChanges.push({ ...change, previousStatus: from });
+};
+
+/**
+ * Calculate time in status from live state
+ * Gives the same result as calculateTimeInStatus on the same status changes.
+ * @param {Object} state - Live state
+ * @param {Object} options - Options (now)
+ * @returns {Object} - Time in status data
+ */
+export const getLiveTimeInStatus = (state, options = {}) => {
+  const { now = new Date() } = options;
+  const durationsByStatus = {};
+
+  Object.values(state.items).forEach(item => {
+    const durations = { ...item.statusDurations };
+
+    // The current stay counts up to now
+    if (item.currentStatus && item.enteredAt !== null) {
+      durations[item.currentStatus] = (durations[item.currentStatus] || 0) + (now.getTime() - item.enteredAt) / MS_PER_HOUR;
+    }
+
+    Object.entries(durations).forEach(([status, hours]) => {
+      if (!durationsByStatus[status]) durationsByStatus[status] = [];
+      durationsByStatus[status].push(hours);
+    });
+  });
+
+  const timeInStatus = {};
+  Object.entries(durationsByStatus).forEach(([status, durations]) => {
+    timeInStatus[status] = {
+      averageTimeHours: durations.reduce((sum, hours) => sum + hours, 0) / durations.length,
+      medianTimeHours: median(durations),
+      p85TimeHours: percentile(durations, 85),
+      totalItems: durations.length
+    };
+  });
+
+  return timeInStatus;
+};
+
+/**
+ * Find alerts that became due: items that crossed the aging threshold in their current
+ * status, and statuses that became bottlenecks
+ * @param {Object} state - Live state
+ * @param {Array} previousBottlenecks - Bottlenecks before the latest update
+ * @param {Object} options - Options (now)
+ * @returns {Array} - Alerts; the state's alertedStays is updated for item alerts
+ */
+const collectAlerts = (state, previousBottlenecks, options = {}) => {
+  const { now = new Date() } = options;
+  const isTerminal = buildTerminalStatusMatcher(state.terminalStatuses);
+  const alerts = [];
+
+  Object.entries(state.items).forEach(([itemId, item]) => {
+    if (!item.currentStatus || isTerminal(item.currentStatus)) return;
+    // One alert per stay
+    if (state.alertedStays[itemId] === item.enteredAt) return;
+
+    // Typical time is based on stays that ended, as in findAgingOutliers
+    const typicalHours = median(state.completedStays[item.currentStatus] || []);
+    if (!typicalHours) return;
+
+    const ageHours = (now.getTime() - item.enteredAt) / MS_PER_HOUR;
+    const ratio = ageHours / typicalHours;
+    if (ratio < state.outlierFactor) return;
+
+    state.alertedStays[itemId] = item.enteredAt;
+    alerts.push({
+      id: `aging-${itemId}-${item.enteredAt}`,
+      type: 'aging_item',
+      itemId,
+      itemName: item.itemName,
+      status: item.currentStatus,
+      ageHours,
+      typicalHours,
+      ratio,
+      raisedAt: now.toISOString()
+    });
+  });
+
+  const previousStatuses = new Set(previousBottlenecks.map(bottleneck => bottleneck.status));
+  state.bottlenecks
+    .filter(bottleneck => !previousStatuses.has(bottleneck.status))
+    .forEach(bottleneck => {
+      alerts.push({
+        id: `bottleneck-${bottleneck.status}-${now.getTime()}`,
+        type: 'new_bottleneck',
+        status: bottleneck.status,
+        medianTimeHours: bottleneck.medianTimeHours,
+        ratio: bottleneck.ratio,
+        severity: bottleneck.severity,
+        raisedAt: now.toISOString()
+      });
+    });
+
+  return alerts;
+};
+
+/**
+ * Build live state from the status changes of a full analysis
+ * @param {Array} statusChanges - Status changes from extractStatusChanges
+ * @param {Object} options - Options (boardId, statusColumnId, terminalStatuses, outlierFactor, now)
+ * @returns {Object} - Live state
+ */
+export const createLiveAnalysis = (statusChanges, options = {}) => {
+  const {
+    boardId = null,
+    statusColumnId = null,
+    terminalStatuses = [],
+    outlierFactor = DEFAULT_OUTLIER_FACTOR,
+    now = new Date()
+  } = options;
+
+  const state = {
+    boardId: boardId === null ? null : String(boardId),
+    statusColumnId,
+    terminalStatuses,
+    outlierFactor,
+    items: {},
+    completedStays: {},
+    transitions: {},
+    statusChanges: [],
+    bottlenecks: [],
+    alertedStays: {},
+    seenEventIds: []
+  };
+
+  [...(statusChanges || [])]
+    .filter(change => change.itemId)
+    .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime())
+    .forEach(change => recordChange(state, change));
+
+  state.bottlenecks = identifyBottlenecks(getLiveTimeInStatus(state, { now }), { terminalStatuses });
+
+  // Items already past the threshold were visible in the full analysis; only new crossings alert
+  collectAlerts(state, state.bottlenecks, { now });
+
+  return state;
+};
+
+/**
+ * Apply one status change to live state
+ * @param {Object} state - Live state
+ * @param {Object} change - Status change (e.g. from statusChangeFromEvent)
+ * @param {Object} options - Options (now)
+ * @returns {Object} - Updated state and the alerts the change raised ({ state, alerts })
+ */
+export const applyStatusChange = (state, change, options = {}) => {
+  const { now = new Date() } = options;
+
+  if (!change || !change.itemId || change.newStatus === change.previousStatus) {
+    return { state, alerts: [] };
+  }
+
+  // Webhooks are redelivered when a response is slow
+  if (change.eventId && state.seenEventIds.includes(change.eventId)) {
+    return { state, alerts: [] };
+  }
+
+  // A change older than the item's current stay arrived out of order and can't be placed
+  const current = state.items[change.itemId];
+  if (current && current.enteredAt !== null && new Date(change.timestamp).getTime() < current.enteredAt) {
+    return { state, alerts: [] };
+  }
+
+  const next = {
+    ...state,
+    items: { ...state.items },
+    completedStays: { ...state.completedStays },
+    transitions: { ...state.transitions },
+    statusChanges: [...state.statusChanges],
+    alertedStays: { ...state.alertedStays },
+    seenEventIds: change.eventId
+      ? [...state.seenEventIds, change.eventId].slice(-MAX_SEEN_EVENTS)
+      : state.seenEventIds
+  };
+
+  recordChange(next, change);
+  next.bottlenecks = identifyBottlenecks(getLiveTimeInStatus(next, { now }), {
+    terminalStatuses: next.terminalStatuses
+  });
+
+  return { state: next, alerts: collectAlerts(next, state.bottlenecks, { now }) };
+};
+
+/**
+ * Check live state for items that crossed the aging threshold since the last check
+ * Time passes without events, so this should also run on a timer.
+ * @param {Object} state - Live state
+ * @param {Object} options - Options (now)
+ * @returns {Object} - Updated state and new alerts ({ state, alerts })
+ */
+export const checkLiveAlerts = (state, options = {}) => {
+  const { now = new Date() } = options;
+  const next = {
+    ...state,
+    alertedStays: { ...state.alertedStays },
+    bottlenecks: identifyBottlenecks(getLiveTimeInStatus(state, { now }), {
+      terminalStatuses: state.terminalStatuses
+    })
+  };
+
+  return { state: next, alerts: collectAlerts(next, state.bottlenecks, { now }) };
+};
+
+/**
+ * Get the analysis results that live state keeps current
+ * @param {Object} state - Live state
+ * @param {Object} options - Options (now)
+ * @returns {Object} - timeInStatus, statusTransitions, bottlenecks and statusChanges
+ */
+export const getLiveResults = (state, options = {}) => ({
+  timeInStatus: getLiveTimeInStatus(state, options),
+  statusTransitions: state.transitions,
+  bottlenecks: state.bottlenecks,
+  statusChanges: state.statusChanges
+});
+
+/**
+ * Describe an alert in a sentence
+ * @param {Object} alert - Alert
+ * @returns {string} - Description
+ */
+export const describeAlert = (alert) => {
+  if (alert.type === 'aging_item') {
+    return `"${alert.itemName}" has been in ${alert.status} for ${Math.round(alert.ageHours)} hours, ` +
+      `${alert.ratio.toFixed(1)}x the typical ${Math.round(alert.typicalHours)} hours`;
+  }
+
+  return `${alert.status} is now a ${alert.severity} bottleneck: items spend ${alert.ratio.toFixed(1)}x the typical status time there`;
+};
+
+export default {
+  statusChangeFromEvent,
+  getLiveTimeInStatus,
+  createLiveAnalysis,
+  applyStatusChange,
+  checkLiveAlerts,
+  getLiveResults,
+  describeAlert
+};
@@ -0,0 +1,371 @@
+/**
+ * German Language Pack
+ *
+ * This file contains the German words and phrases the assistant recognizes in queries
+ * and board labels, and the German text of its responses.
+ *
+ * Keywords and regular expressions are matched against normalized text (lower case,
+ * without accents or umlauts); see normalizeText in the i18n service.
+ */
+
+const de = {
+  code: 'de',
+  languageName: 'German',
+
+  // Word stems, so "analysiere", "Analyse" and "analysieren" all match
+  intentPatterns: {
+    analyze_workflow: ['analys', 'bewert', 'auswert', 'prüfe'],
+    show_bottlenecks: ['engpass', 'blockiert', 'langsam', 'verzöger', 'wartezeit'],
+    show_efficiency: ['effizienz', 'kennzahl', 'leistung', 'kpi', 'statistik'],
+    get_recommendations: ['empfehl', 'vorschl', 'verbesser', 'optimier', 'besser'],
+    create_workspace: ['erstell', 'neu', 'workspace', 'arbeitsbereich', 'einricht'],
+    team_analysis: ['team', 'arbeitslast', 'auslastung', 'zugewiesen', 'ressourcen', 'mitglied'],
+    visualize_workflow: ['visualisier', 'diagramm', 'grafik', 'statusfluss', 'schaubild'],
+    compare_boards: ['vergleich', 'anderen boards', 'portfolio'],
+    status_report: ['status', 'fortschritt', 'stand', 'wo stehen', 'bericht']
+  },
+
+  boardReferences: {
+    patterns: [
+      /[Bb]oard ["'„“](.+?)["'“”]/,
+      /[Bb]oard (\d+)/,
+      /[Bb]oard (?:namens|mit dem [Nn]amen) ["'„“]?(.+?)["'“”]?(?:\s|$)/
+    ],
+    current: ['aktuelle board', 'aktuellen board', 'mein board', 'meinem board', 'dieses board', 'diesem board']
+  },
+
+  timeframes: {
+    periods: [
+      { pattern: /(?:letzte|vergangene)n? (\d+) tage?n?/, unit: 'day' },
+      { pattern: /(?:letzte|vergangene)n? (\d+) wochen?/, unit: 'week' },
+      { pattern: /(?:letzte|vergangene)n? (\d+) monate?n?/, unit: 'month' },
+      { pattern: /vor (\d+) tage?n?/, unit: 'day' },
+      { pattern: /vor (\d+) wochen?/, unit: 'week' },
+      { pattern: /vor (\d+) monate?n?/, unit: 'month' }
+    ],
+    special: [
+      { pattern: /heute|24 stunden/, value: { unit: 'day', value: 1 } },
+      { pattern: /diese woche/, value: { unit: 'week', value: 1 } },
+      { pattern: /diese[nrm]? monat/, value: { unit: 'month', value: 1 } },
+      { pattern: /(?:letzte|vergangene)n? woche/, value: { unit: 'week', value: 1 } },
+      { pattern: /(?:letzte|vergangene)[nrm]? monat/, value: { unit: 'month', value: 1 } },
+      { pattern: /gesamte[nr]? zeit(?:raum)?|seit (?:beginn|anfang)/, value: { unit: 'all' } }
+    ]
+  },
+
+  recommendationTypes: {
+    automation: ['automatisier', 'automation'],
+    structure: ['struktur', 'organisier'],
+    bottleneck: ['engpass', 'beschleunig'],
+    workload: ['arbeitslast', 'auslastung', 'ausgleich']
+  },
+
+  workspaceTypes: {
+    agile: ['agil', 'sprint', 'scrum'],
+    marketing: ['marketing', 'kampagne'],
+    product: ['produkt', 'markteinführung'],
+    hr: ['personal', 'recruiting', 'bewerb', 'einstellung'],
+    content: ['inhalt', 'content', 'redaktion']
+  },
+
+  visualizationTypes: {
+    flow: ['fluss', 'ablauf', 'diagramm'],
+    time: ['zeit', 'dauer'],
+    workload: ['team', 'arbeitslast', 'auslastung'],
+    bottleneck: ['engpass', 'einschränkung']
+  },
+
+  teamMemberPatterns: [
+    /zugewiesen an ["'„]?([\p{L}\s]+)["'“]?/u,
+    /(?:Arbeitslast|Auslastung|Aufgaben|Zuweisungen) von (\p{Lu}\p{Ll}+(?: \p{Lu}\p{Ll}+)?)/u,
+    /(\p{Lu}\p{Ll}+)s (?:Arbeitslast|Auslastung|Aufgaben)/u,
+    // Follow-ups like "und für Maria?" or "was ist mit Tom Schmidt?"
+    /(?:^|\s)(?:für|mit|über) (\p{Lu}\p{Ll}+(?: \p{Lu}\p{Ll}+)?)\s*\??$/u
+  ],
+
+  followUpPatterns: [
+    /^(und|auch|dasselbe|genauso)\b/,
+    /^(und )?(was|wie) (ist |sieht es )?mit\b/,
+    /^(jetzt|dann) (fur|mit|zeig)/,
+    /^fur\b/,
+    /\b(dasselbe|davon|dafur|dort)\b.*\?$/
+  ],
+
+  wholeTeamPatterns: [
+    /\b(alle im team|alle mitglieder|jeden im team|ganze[n]? team|gesamte[n]? team)\b/
+  ],
+
+  generalPatterns: {
+    greeting: /^(hallo|hi|hey|servus|moin|guten (tag|morgen|abend))/,
+    capabilities: /was kannst du|hilf mir bei|deine fahigkeiten|wie kannst du (mir )?helfen/,
+    boardQuestion: /mein(em)? board|aktuelle[n]? board|diese[ms]? board/
+  },
+
+  statuses: {
+    done: ['erledigt', 'fertig', 'abgeschlossen'],
+    notStarted: ['offen', 'zu erledigen', 'nicht begonnen', 'nicht gestartet', 'geplant', 'neu'],
+    review: ['prüfung', 'freigabe', 'abnahme'],
+    waiting: ['wartet', 'warten', 'blockiert']
+  },
+
+  workflowOrders: [
+    ['Backlog', 'Zu erledigen', 'In Arbeit', 'Erledigt'],
+    ['Planung', 'Entwicklung', 'Test', 'Deployment'],
+    ['Nicht begonnen', 'In Arbeit', 'Blockiert', 'Fertig']
+  ],
+
+  messages: {
+    assistant: {
+      suggestedQueries: [
+        'Zeig mir die Engpässe in meinem aktuellen Workflow',
+        'Welche Teammitglieder haben die höchste Arbeitslast?',
+        'Wie kann ich meinen Entwicklungsprozess verbessern und optimieren?',
+        'Erstelle einen neuen Workspace für Marketingprojekte',
+        'Wie lange dauert es im Durchschnitt, bis Aufgaben erledigt sind?'
+      ],
+      analyzing: ({ boardName }) => `Ich analysiere das Board „${boardName}“, um deine Frage zu beantworten. Das dauert einen Moment...`,
+      comparing: ({ boardName }) => `Ich analysiere die anderen Boards in diesem Workspace, um sie mit „${boardName}“ zu vergleichen. Das kann einige Minuten dauern...`,
+      error: 'Bei der Verarbeitung deiner Anfrage ist leider ein Fehler aufgetreten. Bitte versuche es noch einmal oder formuliere deine Frage um.'
+    },
+
+    workflowAnalysis: {
+      selectBoard: 'Für Einblicke in den Workflow muss ich ein bestimmtes Board analysieren. Welches Board soll ich analysieren?',
+      summary: ({ boardName, efficiency, bottleneckCount, suggestionCount }) => `Ich habe das Board „${boardName}“ analysiert: Es hat einen Effizienzwert von insgesamt ${efficiency} %. Ich habe ${bottleneckCount} Engpässe gefunden und habe ${suggestionCount} Optimierungsvorschläge, die deinen Workflow verbessern könnten.`,
+      chartTitle: 'Zeit pro Status',
+      followUps: [
+        'Was sind die größten Engpässe in meinem Workflow?',
+        'Wie kann ich die Effizienz meines Workflows verbessern?',
+        'Zeig mir die Arbeitslast im Team',
+        'Visualisiere den Statusfluss meines Workflows'
+      ],
+      offerAnalysis: ({ boardName }) => `Ich analysiere das Board „${boardName}“, um dir Einblicke in den Workflow zu geben. Soll ich die Analyse jetzt starten?`
+    },
+
+    bottlenecks: {
+      selectBoard: 'Um Engpässe zu finden, muss ich ein bestimmtes Board analysieren. Welches Board soll ich analysieren?',
+      intro: ({ count, boardName }) => `Ich habe ${count} Engpässe im Workflow von „${boardName}“ gefunden:`,
+      line: ({ index, hours, status }) => `${index}. Elemente bleiben typischerweise ${hours} Stunden im Status „${status}“.`,
+      outlier: ({ count, status, ratio }) => `${count} Element${count !== 1 ? 'e sind' : ' ist'} schon ${ratio}-mal länger als üblich in „${status}“.`,
+      offerRecommendations: 'Möchtest du ausführliche Empfehlungen sehen, wie sich diese Engpässe beheben lassen?',
+      chartTitle: 'Engpassanalyse',
+      followUps: ({ status }) => [
+        'Wie kann ich diese Engpässe beheben?',
+        `Was verursacht die Verzögerung in ${status}?`,
+        'Zeig mir Empfehlungen zur Optimierung meines Workflows',
+        'Visualisiere den Statusfluss'
+      ],
+      none: ({ boardName }) => `Ich habe das Board „${boardName}“ analysiert und keine nennenswerten Engpässe in deinem Workflow gefunden. Gute Nachrichten: Dein Prozess scheint reibungslos zu laufen!`,
+      noneFollowUps: [
+        'Zeig mir die Gesamteffizienz des Workflows',
+        'Analysiere die Arbeitslast im Team',
+        'Gibt es Optimierungsmöglichkeiten?',
+        'Visualisiere meinen Workflow'
+      ],
+      needsAnalysis: ({ boardName }) => `Um Engpässe im Board „${boardName}“ zu finden, muss ich eine Workflow-Analyse durchführen. Soll ich die Analyse jetzt starten?`
+    },
+
+    efficiency: {
+      selectBoard: 'Um Effizienzkennzahlen zu zeigen, muss ich ein bestimmtes Board analysieren. Welches Board soll ich analysieren?',
+      assessment: {
+        high: 'Dein Workflow ist sehr effizient',
+        good: 'Die Effizienz deines Workflows ist gut, aber es gibt noch Verbesserungspotenzial',
+        moderate: 'Dein Workflow ist mäßig effizient und bietet einige Verbesserungsmöglichkeiten',
+        low: 'Die Effizienz deines Workflows ist niedrig und bietet großes Verbesserungspotenzial'
+      },
+      summary: ({ assessment, boardName, overall, workflow, columns, groups }) => `${assessment}. Das Board „${boardName}“ hat einen Effizienzwert von insgesamt ${overall} %.\n\nAufschlüsselung:\n- Vollständigkeit der Daten: ${workflow} %\n- Spaltenstruktur: ${columns} %\n- Gruppenorganisation: ${groups} %\n\nMöchtest du konkrete Empfehlungen zur Verbesserung der Effizienz sehen?`,
+      followUps: [
+        'Welche Engpässe beeinträchtigen die Effizienz?',
+        'Zeig mir Empfehlungen zur Verbesserung der Effizienz',
+        'Wie schneidet das Board im Vergleich zu anderen Boards ab?',
+        'Wie ist die Arbeitslast im Team verteilt?'
+      ],
+      needsAnalysis: ({ boardName }) => `Um Effizienzkennzahlen für das Board „${boardName}“ zu zeigen, muss ich eine Workflow-Analyse durchführen. Soll ich die Analyse jetzt starten?`
+    },
+
+    recommendations: {
+      selectBoard: 'Für Optimierungsempfehlungen muss ich ein bestimmtes Board analysieren. Welches Board soll ich analysieren?',
+      typeNames: {
+        automation: 'Automatisierungs',
+        structure: 'Struktur',
+        bottleneck: 'Engpass',
+        workload: 'Arbeitslast'
+      },
+      noneOfType: ({ boardName, type }) => `Ich habe das Board „${boardName}“ analysiert, aber keine ${type}-Optimierungsvorschläge gefunden. Möchtest du stattdessen allgemeine Optimierungsempfehlungen sehen?`,
+      intro: ({ boardName }) => `Hier sind meine wichtigsten Empfehlungen zur Optimierung des Workflows von „${boardName}“:`,
+      more: ({ count }) => `Ich habe ${count} ${count !== 1 ? 'weitere Vorschläge' : 'weiteren Vorschlag'}. Möchtest du alle sehen?`,
+      followUps: [
+        'Zeig mir alle Optimierungsvorschläge',
+        'Welche Engpässe hast du gefunden?',
+        'Wie kann ich die Arbeitslast im Team besser verteilen?',
+        'Setze diese Empfehlungen automatisch um'
+      ],
+      none: ({ boardName }) => `Ich habe das Board „${boardName}“ analysiert und keine nennenswerten Optimierungsmöglichkeiten gefunden. Dein Workflow scheint gut strukturiert und effizient zu sein.`,
+      noneFollowUps: [
+        'Erstelle KI-Empfehlungen',
+        'Zeig mir Visualisierungen des Workflows',
+        'Analysiere die Arbeitslast im Team',
+        'Wie hoch ist der Effizienzwert insgesamt?'
+      ],
+      needsAnalysis: ({ boardName }) => `Für Optimierungsempfehlungen zum Board „${boardName}“ muss ich eine Workflow-Analyse durchführen. Soll ich die Analyse jetzt starten?`
+    },
+
+    workspaceCreation: {
+      typeNames: {
+        agile: 'Agile Entwicklung',
+        marketing: 'Marketingkampagnen',
+        product: 'Produkteinführung',
+        hr: 'Personalgewinnung',
+        content: 'Redaktionskalender',
+        custom: 'Individuell'
+      },
+      offerType: ({ typeName }) => `Gerne helfe ich dir, einen neuen Workspace „${typeName}“ zu erstellen. Möchtest du eine Vorlage verwenden oder einen individuellen Workspace auf Basis deiner Beschreibung erstellen?`,
+      typeFollowUps: ({ typeName }) => [
+        `Verwende die Vorlage „${typeName}“`,
+        'Erstelle einen individuellen Workspace',
+        'Zeig mir alle verfügbaren Vorlagen',
+        'Passe die Standardvorlage an'
+      ],
+      offer: 'Gerne helfe ich dir, einen neuen Workspace zu erstellen. Möchtest du mit einer Vorlage beginnen oder genauer beschreiben, was dein Workflow braucht?',
+      followUps: [
+        'Zeig mir die verfügbaren Vorlagen',
+        'Erstelle einen individuellen Workspace',
+        'Erstelle einen Workspace für agile Entwicklung',
+        'Erstelle einen Workspace für Marketingkampagnen'
+      ]
+    },
+
+    teamAnalysis: {
+      selectBoard: 'Um die Arbeitslast im Team zu zeigen, muss ich ein bestimmtes Board analysieren. Welches Board soll ich analysieren?',
+      needsAnalysis: ({ boardName }) => `Ich muss das Board „${boardName}“ analysieren, bevor ich zeigen kann, wie die Arbeit im Team verteilt ist.`,
+      units: {
+        estimate: 'geschätzter Aufwand',
+        items: 'offene Elemente'
+      },
+      utilization: ({ percent }) => `${percent} % der Kapazität`,
+      noAssignments: ({ boardName }) => `Keines der offenen Elemente im Board „${boardName}“ ist jemandem zugewiesen, daher gibt es keine Arbeitslast zu vergleichen.`,
+      member: ({ name, openItems, openEffort, unit, boardName, utilization, overdueItems }) => `${name} hat ${openItems} offene Elemente (${unit}: ${openEffort}) im Board „${boardName}“, das sind ${utilization}${overdueItems > 0 ? `, und ${overdueItems} davon sind überfällig` : ''}.`,
+      memberFollowUps: [
+        'Zeig die vollständige Analyse der Arbeitslast im Team',
+        'Ist die Arbeitslast ausgeglichen?',
+        'Wer hat die meisten zugewiesenen Elemente?',
+        'Empfiehl Optimierungen der Arbeitslast'
+      ],
+      memberNotFound: ({ name, boardName }) => `Ich habe im Board „${boardName}“ kein Teammitglied gefunden, das zu „${name}“ passt. Möchtest du stattdessen die Arbeitslast aller Teammitglieder sehen?`,
+      intro: ({ boardName, byEstimate }) => `Ich habe die Arbeitslast im Team im Board „${boardName}“ nach ${byEstimate ? 'geschätztem Aufwand' : 'offenen Elementen'} im Verhältnis zur Kapazität jeder Person analysiert.`,
+      nobodyOver: ({ name, utilization }) => ` Niemand ist über der Kapazität; ${name} ist mit ${utilization} am stärksten ausgelastet.`,
+      overCapacity: ({ people, count }) => ` ${people} ${count === 1 ? 'ist' : 'sind'} über der Kapazität`,
+      roomForMore: ({ people, count }) => `, während ${people} noch Luft für mehr ${count === 1 ? 'hat' : 'haben'}.`,
+      proposals: ({ count }) => ` Ich habe ${count} Neuzuweisung${count !== 1 ? 'en' : ''} vorgeschlagen, um die Arbeit auszugleichen.`,
+      noCapacity: ' Niemand sonst hat die Kapazität, ihre Elemente zu übernehmen.',
+      chartTitle: 'Arbeitslast im Team',
+      followUps: ({ name }) => [
+        'Wie sollten wir die Arbeitslast ausgleichen?',
+        `Zeig die Elemente, die ${name} zugewiesen sind`,
+        'Welche Elemente sollten neu zugewiesen werden?',
+        'Analysiere die Effizienz des Workflows'
+      ]
+    },
+
+    visualization: {
+      selectBoard: 'Für Visualisierungen brauche ich ein bestimmtes Board. Welches Board möchtest du visualisieren?',
+      time: ({ boardName }) => `Hier ist eine Visualisierung der Zeit, die Elemente im Board „${boardName}“ in jedem Status verbringen. Der Status „Review“ hat mit 36,2 Stunden die längste durchschnittliche Dauer, gefolgt von „In Progress“ mit 24,7 Stunden.`,
+      timeTitle: 'Zeit pro Status',
+      timeFollowUps: [
+        'Was verursacht die lange Review-Zeit?',
+        'Zeig mir Empfehlungen zu Engpässen',
+        'Visualisiere den Statusfluss',
+        'Analysiere die Arbeitslast im Team'
+      ],
+      workload: ({ boardName }) => `Hier ist die Verteilung der Arbeitslast im Team für das Board „${boardName}“. Die Arbeitslast scheint ungleich verteilt zu sein: Einige Teammitglieder haben deutlich mehr Elemente als andere.`,
+      workloadTitle: 'Arbeitslast im Team',
+      workloadFollowUps: [
+        'Empfiehl einen Ausgleich der Arbeitslast',
+        'Wer hat die meisten Elemente im Status „Stuck“?',
+        'Zeig die Effizienzkennzahlen des Workflows',
+        'Visualisiere den Statusfluss'
+      ],
+      bottleneck: ({ boardName }) => `Hier ist eine Visualisierung der Engpässe im Workflow von „${boardName}“. Der Status „Review“ ist der größte Engpass: Elemente verbringen dort durchschnittlich 36,2 Stunden.`,
+      bottleneckTitle: 'Engpässe im Workflow',
+      bottleneckFollowUps: [
+        'Wie kann ich den Engpass beim Review beheben?',
+        'Wer ist für Reviews verantwortlich?',
+        'Erstelle Optimierungsempfehlungen',
+        'Zeig alle Effizienzkennzahlen des Workflows'
+      ],
+      other: ({ boardName }) => `Ich habe eine Visualisierung des Workflows von „${boardName}“ erstellt. Möchtest du gezielte Visualisierungen zu Engpässen, Zeit pro Status, Arbeitslast im Team oder Statusfluss sehen?`,
+      otherFollowUps: [
+        'Zeig die Engpassanalyse',
+        'Visualisiere die Zeit pro Status',
+        'Zeig die Arbeitslast im Team',
+        'Erstelle Empfehlungen'
+      ]
+    },
+
+    comparison: {
+      selectBoard: 'Welches Board möchtest du mit den übrigen Boards seines Workspace vergleichen?',
+      unavailable: ({ boardName }) => `Ich konnte die anderen Boards im Workspace von „${boardName}“ nicht analysieren. Du kannst Boards auf der Seite „Portfolio-Analyse“ vergleichen.`,
+      openPortfolio: 'Portfolio-Analyse öffnen',
+      onlyBoard: ({ boardName }) => `„${boardName}“ ist das einzige Board, das ich in seinem Workspace analysieren konnte, daher gibt es noch nichts zu vergleichen.`,
+      noBottlenecks: 'Es wurden keine Engpässe erkannt',
+      mostSevere: 'Es hat die gravierendsten Engpässe im Workspace',
+      bottleneckRank: ({ rank, count }) => `Bei der Schwere der Engpässe liegt es auf Platz ${rank} von ${count} (1 ist am gravierendsten)`,
+      ranking: ({ boardName, rank, count, score }) => `„${boardName}“ liegt auf Platz ${rank} von ${count} Boards in diesem Workspace, mit einem Portfolio-Wert von ${score}/100.`,
+      efficiency: ({ efficiency, difference, average, bottleneckText }) => `Seine Effizienz liegt bei ${efficiency} % und damit ${difference === 0 ? 'genau auf' : `${Math.abs(difference)} Punkte ${difference > 0 ? 'über' : 'unter'}`} dem Durchschnitt des Workspace von ${average} %. ${bottleneckText}.`,
+      person: ({ name, openItems }) => `${name} (${openItems} offene Elemente)`,
+      overloaded: ({ people, count }) => `Über alle Boards hinweg ${count === 1 ? 'trägt' : 'tragen'} ${people} deutlich mehr offene Arbeit als andere.`,
+      viewPortfolio: 'Portfolio-Analyse anzeigen',
+      chartTitle: 'Effizienz nach Board',
+      followUps: [
+        'Was sind die Engpässe in diesem Board?',
+        'Zeig mir Empfehlungen zur Verbesserung der Effizienz',
+        'Wie ist die Arbeitslast im Team verteilt?'
+      ]
+    },
+
+    statusReport: {
+      selectBoard: 'Für einen Statusbericht brauche ich ein bestimmtes Board. Für welches Board möchtest du einen Statusbericht?',
+      needsAnalysis: ({ boardName }) => `Ich muss das Board „${boardName}“ analysieren, bevor ich über seinen Status berichten und vorhersagen kann, wann offene Elemente erledigt sind.`,
+      summary: ({ boardName, completed, total, open }) => `Statusbericht für „${boardName}“: ${completed} % von ${total} Elementen sind abgeschlossen und ${open} noch offen.`,
+      finishBy: ({ p50Date, p85Date }) => `So wie die Arbeit bisher durch dieses Board gelaufen ist, sollten die offenen Elemente bis zum ${p50Date} erledigt sein, und mit 85 % Sicherheit bis zum ${p85Date}.`,
+      overdue: 'bereits überfällig',
+      missChance: ({ chance, dueDate }) => `${chance} Wahrscheinlichkeit, den ${dueDate} zu verpassen`,
+      atRisk: ({ count, lines }) => `${count} Element${count !== 1 ? 'e werden' : ' wird'} wahrscheinlich ${count !== 1 ? 'ihr' : 'sein'} Fälligkeitsdatum verpassen:\n${lines}`,
+      noneAtRisk: 'Voraussichtlich verpasst kein offenes Element sein Fälligkeitsdatum.',
+      unforecastable: ({ count }) => `Für ${count} Element${count !== 1 ? 'e' : ''} konnte ich keine Prognose erstellen, weil im analysierten Verlauf noch kein Element ${count !== 1 ? 'deren Status' : 'dessen Status'} verlassen hat.`,
+      openAnalysis: 'Workflow-Analyse öffnen',
+      chartTitle: 'Aktuelle Statusverteilung',
+      followUps: [
+        'Zeig die Engpässe im Workflow',
+        'Wer hat die meisten Elemente in Arbeit?',
+        'Welche Elemente hängen am längsten fest?'
+      ]
+    },
+
+    general: {
+      greeting: 'Hallo! Ich bin dein KI-Workflow-Assistent für Monday.com. Ich helfe dir, Workflows zu analysieren, Engpässe zu finden und deine Boards zu optimieren. Wobei kann ich dir heute helfen?',
+      greetingFollowUps: [
+        'Analysiere mein aktuelles Board',
+        'Finde Engpässe im Workflow',
+        'Erstelle einen neuen Workspace',
+        'Zeig die Arbeitslast im Team'
+      ],
+      capabilities: 'Ich helfe dir bei der Analyse und Optimierung von Workflows in Monday.com. Das kann ich zum Beispiel:\n\n- Boards analysieren, um Engpässe zu finden\n- Effizienzkennzahlen und Optimierungsvorschläge liefern\n- Workflow-Muster und die Arbeitslast im Team visualisieren\n- Neue, optimierte Workspaces aus Vorlagen oder Beschreibungen erstellen\n\nWobei kann ich dir helfen?',
+      capabilitiesFollowUps: [
+        'Analysiere meinen aktuellen Workflow',
+        'Zeig Effizienzkennzahlen',
+        'Erstelle einen neuen Workspace',
+        'Finde Engpässe im Workflow'
+      ],
+      noBoard: 'Du fragst anscheinend nach einem bestimmten Board, aber es ist kein Board ausgewählt. Möchtest du ein Board zur Analyse auswählen?',
+      fallback: 'Ich bin mir nicht sicher, was du meinst. Ich kann Workflows analysieren, Engpässe finden, die Arbeitslast im Team zeigen oder neue Workspaces erstellen. Kannst du genauer sagen, wobei ich dir helfen soll?',
+      fallbackFollowUps: [
+        'Analysiere meinen Workflow',
+        'Zeig Engpässe',
+        'Erstelle einen neuen Workspace',
+        'Was kannst du?'
+      ]
+    }
+  }
+};
+
+export default de;
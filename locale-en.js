@@ -0,0 +1,381 @@
+/**
+ * English Language Pack
+ *
+ * This file contains the English words and phrases the assistant recognizes in queries
+ * and board labels, and the English text of its responses.
+ *
+ * Keywords and regular expressions are matched against normalized text (lower case,
+ * without accents); see normalizeText in the i18n service.
+ */
+
+const en = {
+  code: 'en',
+  languageName: 'English',
+
+  // Keywords scored by the rule-based intent classifier; each keyword belongs to one intent,
+  // and words that appear in any question (like "board" or "workflow") belong to none
+  intentPatterns: {
+    analyze_workflow: ['analyze', 'analysis', 'assess', 'evaluate', 'audit'],
+    show_bottlenecks: ['bottleneck', 'stuck', 'slow', 'delay', 'wait time'],
+    show_efficiency: ['efficiency', 'metrics', 'performance', 'kpi', 'statistics'],
+    get_recommendations: ['recommend', 'suggestion', 'improve', 'optimiz', 'better'],
+    create_workspace: ['create', 'new', 'workspace', 'setup', 'set up'],
+    team_analysis: ['team', 'workload', 'assignment', 'resources', 'who', 'member'],
+    visualize_workflow: ['visualize', 'chart', 'diagram', 'status flow', 'graph'],
+    compare_boards: ['compare', 'other boards', 'portfolio'],
+    status_report: ['status', 'progress', 'update', 'where', 'stand']
+  },
+
+  boardReferences: {
+    // Matched against the query as typed; the board name or ID is the first group
+    patterns: [
+      /board ["'](.+?)["']/, // "board 'Board Name'" format
+      /board (\d+)/, // "board 123456789" format
+      /board (?:called|named|titled) ["']?(.+?)["']?(?:\s|$)/ // "board called Board Name" format
+    ],
+    current: ['current board', 'my board', 'this board']
+  },
+
+  timeframes: {
+    periods: [
+      { pattern: /(?:last|past) (\d+) days?/, unit: 'day' },
+      { pattern: /(?:last|past) (\d+) weeks?/, unit: 'week' },
+      { pattern: /(?:last|past) (\d+) months?/, unit: 'month' },
+      { pattern: /(\d+) days? ago/, unit: 'day' },
+      { pattern: /(\d+) weeks? ago/, unit: 'week' },
+      { pattern: /(\d+) months? ago/, unit: 'month' }
+    ],
+    special: [
+      { pattern: /today|24 hours/, value: { unit: 'day', value: 1 } },
+      { pattern: /this week/, value: { unit: 'week', value: 1 } },
+      { pattern: /this month/, value: { unit: 'month', value: 1 } },
+      { pattern: /last week/, value: { unit: 'week', value: 1 } },
+      { pattern: /last month/, value: { unit: 'month', value: 1 } },
+      { pattern: /all time/, value: { unit: 'all' } }
+    ]
+  },
+
+  // Keywords per entity value, checked in order
+  recommendationTypes: {
+    automation: ['automation', 'automate'],
+    structure: ['structure', 'organize'],
+    bottleneck: ['bottleneck', 'speed up'],
+    workload: ['workload', 'balance']
+  },
+
+  workspaceTypes: {
+    agile: ['agile', 'sprint', 'scrum'],
+    marketing: ['marketing', 'campaign'],
+    product: ['product', 'launch'],
+    hr: ['hr', 'recruitment', 'hiring'],
+    content: ['content', 'editorial']
+  },
+
+  visualizationTypes: {
+    flow: ['flow', 'diagram'],
+    time: ['time', 'duration'],
+    workload: ['team', 'workload'],
+    bottleneck: ['bottleneck', 'constraint']
+  },
+
+  // Matched against the query as typed, so names keep their case; the name is the first group
+  teamMemberPatterns: [
+    /assigned to ["']?([\p{L}\s]+)["']?/u,
+    /([\p{L}\s]+)['’]s workload/u,
+    /([\p{L}\s]+)['’]s tasks/u,
+    /([\p{L}\s]+)['’]s assignments/u,
+    // Follow-ups like "and for Maria?" or "what about Tom Smith"
+    /\b(?:for|about) (\p{Lu}\p{Ll}+(?: \p{Lu}\p{Ll}+)?)\s*\??$/u
+  ],
+
+  // Phrases that mark a query as a follow-up to the previous one
+  followUpPatterns: [
+    /^(and|also|same)\b/,
+    /^(what|how) about\b/,
+    /^(now|then) (for|with|show)\b/,
+    /^for\b/,
+    /\b(same|that|those|them|it)\b.*\?$/
+  ],
+
+  // Phrases that ask about the whole team rather than one member
+  wholeTeamPatterns: [
+    /\b(everyone|everybody|all members|all team members|whole team|entire team)\b/
+  ],
+
+  // Queries the general response answers without an intent
+  generalPatterns: {
+    greeting: /^(hi|hello|hey|greetings)/,
+    capabilities: /what can you do|help me with|your capabilities|how can you help/,
+    boardQuestion: /my board|current board|this board/
+  },
+
+  // Status and group names, used when the board doesn't say which statuses mean what
+  statuses: {
+    done: ['done', 'complete'],
+    notStarted: ['backlog', 'to do', 'todo', 'not started', 'planned', 'new'],
+    review: ['review', 'approval'],
+    waiting: ['waiting', 'blocked']
+  },
+
+  // Common group orders, used to check whether a board's groups follow a workflow
+  workflowOrders: [
+    ['Backlog', 'To Do', 'In Progress', 'Done'],
+    ['Planning', 'Development', 'Testing', 'Deployment'],
+    ['Not Started', 'Working on it', 'Stuck', 'Done']
+  ],
+
+  messages: {
+    assistant: {
+      suggestedQueries: [
+        'Show me bottlenecks in my current workflow',
+        'Which team members have the highest workload?',
+        'How can I optimize my development process?',
+        'Create a new workspace for marketing projects',
+        "What's the average time it takes to complete tasks?"
+      ],
+      analyzing: ({ boardName }) => `I'll analyze the "${boardName}" board to answer your question. This will take a moment...`,
+      comparing: ({ boardName }) => `I'll analyze the other boards in this workspace to compare them with "${boardName}". This can take a few minutes...`,
+      error: 'Sorry, I encountered an error while processing your request. Please try again or rephrase your question.'
+    },
+
+    workflowAnalysis: {
+      selectBoard: "I'll need to analyze a specific board to provide workflow insights. Which board would you like me to analyze?",
+      summary: ({ boardName, efficiency, bottleneckCount, suggestionCount }) => `I've analyzed the "${boardName}" board and found that it has an overall efficiency score of ${efficiency}%. I identified ${bottleneckCount} bottlenecks and have ${suggestionCount} optimization suggestions that could improve your workflow.`,
+      chartTitle: 'Time Spent in Status',
+      followUps: [
+        'What are the main bottlenecks in my workflow?',
+        'How can I improve my workflow efficiency?',
+        'Show me the team workload distribution',
+        'Visualize my workflow status flow'
+      ],
+      offerAnalysis: ({ boardName }) => `I'll analyze the "${boardName}" board to provide you with workflow insights. Would you like me to start the analysis now?`
+    },
+
+    bottlenecks: {
+      selectBoard: "I'll need to analyze a specific board to identify bottlenecks. Which board would you like me to analyze?",
+      intro: ({ count, boardName }) => `I've identified ${count} bottlenecks in your "${boardName}" workflow:`,
+      line: ({ index, hours, status }) => `${index}. Items typically spend ${hours} hours in the "${status}" status.`,
+      outlier: ({ count, status, ratio }) => `${count} item${count !== 1 ? 's have' : ' has'} been in "${status}" ${ratio}× longer than typical.`,
+      offerRecommendations: 'Would you like to see detailed recommendations for addressing these bottlenecks?',
+      chartTitle: 'Bottleneck Analysis',
+      followUps: ({ status }) => [
+        'How can I fix these bottlenecks?',
+        "What's causing the delay in " + status,
+        'Show me recommendations for optimizing my workflow',
+        'Visualize the workflow status flow'
+      ],
+      none: ({ boardName }) => `I analyzed the "${boardName}" board but didn't find any significant bottlenecks in your workflow. This is great news and suggests your process is flowing smoothly!`,
+      noneFollowUps: [
+        'Show me the overall workflow efficiency',
+        'Analyze team workload distribution',
+        'Are there any optimization opportunities?',
+        'Visualize my workflow'
+      ],
+      needsAnalysis: ({ boardName }) => `To identify bottlenecks in the "${boardName}" board, I'll need to run a workflow analysis. Would you like me to start the analysis now?`
+    },
+
+    efficiency: {
+      selectBoard: "I'll need to analyze a specific board to show efficiency metrics. Which board would you like me to analyze?",
+      assessment: {
+        high: 'Your workflow is highly efficient',
+        good: "Your workflow efficiency is good, but there's room for improvement",
+        moderate: 'Your workflow has moderate efficiency, with several opportunities for improvement',
+        low: 'Your workflow efficiency is low, with significant opportunities for improvement'
+      },
+      summary: ({ assessment, boardName, overall, workflow, columns, groups }) => `${assessment}. The "${boardName}" board has an overall efficiency score of ${overall}%.\n\nBreakdown:\n- Data Completeness: ${workflow}%\n- Column Structure: ${columns}%\n- Group Organization: ${groups}%\n\nWould you like to see specific recommendations for improving efficiency?`,
+      followUps: [
+        'What are the bottlenecks affecting efficiency?',
+        'Show me recommendations for improving efficiency',
+        'How does this compare to other boards?',
+        "What's the team workload distribution?"
+      ],
+      needsAnalysis: ({ boardName }) => `To show efficiency metrics for the "${boardName}" board, I'll need to run a workflow analysis. Would you like me to start the analysis now?`
+    },
+
+    recommendations: {
+      selectBoard: "I'll need to analyze a specific board to provide optimization recommendations. Which board would you like me to analyze?",
+      typeNames: {
+        automation: 'automation',
+        structure: 'structure',
+        bottleneck: 'bottleneck',
+        workload: 'workload'
+      },
+      noneOfType: ({ boardName, type }) => `I analyzed the "${boardName}" board but didn't find any specific ${type} optimization suggestions. Would you like to see general optimization recommendations instead?`,
+      intro: ({ boardName }) => `Here are my top recommendations for optimizing your "${boardName}" workflow:`,
+      more: ({ count }) => `I have ${count} more suggestions. Would you like to see them all?`,
+      followUps: [
+        'Show me all optimization suggestions',
+        'What bottlenecks did you identify?',
+        'How can I improve team workload balance?',
+        'Implement these recommendations automatically'
+      ],
+      none: ({ boardName }) => `I analyzed the "${boardName}" board but didn't find any significant optimization opportunities. Your workflow appears to be well-structured and efficient.`,
+      noneFollowUps: [
+        'Generate AI recommendations',
+        'Show me workflow visualizations',
+        'Analyze team workload',
+        "What's the overall efficiency score?"
+      ],
+      needsAnalysis: ({ boardName }) => `To provide optimization recommendations for the "${boardName}" board, I'll need to run a workflow analysis. Would you like me to start the analysis now?`
+    },
+
+    workspaceCreation: {
+      typeNames: {
+        agile: 'Agile Development',
+        marketing: 'Marketing Campaigns',
+        product: 'Product Launch',
+        hr: 'HR Recruitment',
+        content: 'Content Calendar',
+        custom: 'Custom'
+      },
+      offerType: ({ typeName }) => `I'd be happy to help you create a new ${typeName} workspace. Would you like to use a template or create a custom workspace based on your description?`,
+      typeFollowUps: ({ typeName }) => [
+        `Use the ${typeName} template`,
+        'Create a custom workspace',
+        'Show me all available templates',
+        'Customize the default template'
+      ],
+      offer: "I'd be happy to help you create a new workspace. Would you like to start from a template or describe your workflow needs in detail?",
+      followUps: [
+        'Show me available templates',
+        'Create a custom workspace',
+        'Create an Agile Development workspace',
+        'Create a Marketing Campaigns workspace'
+      ]
+    },
+
+    teamAnalysis: {
+      selectBoard: "I'll need to analyze a specific board to show team workload analysis. Which board would you like me to analyze?",
+      needsAnalysis: ({ boardName }) => `I need to analyze the "${boardName}" board before I can show how work is spread across the team.`,
+      units: {
+        estimate: 'estimated effort',
+        items: 'open items'
+      },
+      utilization: ({ percent }) => `${percent}% of capacity`,
+      noAssignments: ({ boardName }) => `No open items on the "${boardName}" board are assigned to anyone, so there's no workload to compare.`,
+      member: ({ name, openItems, openEffort, unit, boardName, utilization, overdueItems }) => `${name} has ${openItems} open items (${openEffort} ${unit}) on the "${boardName}" board, which is ${utilization}${overdueItems > 0 ? `, and ${overdueItems} of them are overdue` : ''}.`,
+      memberFollowUps: [
+        'Show the full team workload analysis',
+        'Is the workload balanced?',
+        'Who has the most items assigned?',
+        'Recommend workload optimizations'
+      ],
+      memberNotFound: ({ name, boardName }) => `I couldn't find a team member matching "${name}" on the "${boardName}" board. Would you like to see the workload for all team members instead?`,
+      intro: ({ boardName, byEstimate }) => `I analyzed the team workload on the "${boardName}" board by ${byEstimate ? 'estimated effort' : 'open items'} against each person's capacity.`,
+      nobodyOver: ({ name, utilization }) => ` Nobody is over capacity; ${name} is the busiest at ${utilization}.`,
+      overCapacity: ({ people, count }) => ` ${people} ${count === 1 ? 'is' : 'are'} over capacity`,
+      roomForMore: ({ people, count }) => `, while ${people} ${count === 1 ? 'has' : 'have'} room for more.`,
+      proposals: ({ count }) => ` I've proposed ${count} reassignment${count !== 1 ? 's' : ''} to rebalance the work.`,
+      noCapacity: ' Nobody else has the capacity to take over their items.',
+      chartTitle: 'Team Workload Distribution',
+      followUps: ({ name }) => [
+        'How should we balance the workload?',
+        `Show items assigned to ${name}`,
+        'Which items should be reassigned?',
+        'Analyze workflow efficiency'
+      ]
+    },
+
+    visualization: {
+      selectBoard: "I'll need a specific board to create visualizations. Which board would you like to visualize?",
+      time: ({ boardName }) => `Here's a visualization of time spent in each status on your "${boardName}" board. The "Review" status has the longest average duration at 36.2 hours, followed by "In Progress" at 24.7 hours.`,
+      timeTitle: 'Time in Status',
+      timeFollowUps: [
+        "What's causing the long review time?",
+        'Show me bottleneck recommendations',
+        'Visualize the workflow status flow',
+        'Analyze team workload'
+      ],
+      workload: ({ boardName }) => `Here's the team workload distribution for the "${boardName}" board. There appears to be an imbalance in workload, with some team members assigned significantly more items than others.`,
+      workloadTitle: 'Team Workload Distribution',
+      workloadFollowUps: [
+        'Recommend workload balancing',
+        "Who has the most items in the 'Stuck' status?",
+        'Show workflow efficiency metrics',
+        'Visualize the status flow'
+      ],
+      bottleneck: ({ boardName }) => `Here's a visualization of bottlenecks in your "${boardName}" workflow. I've identified that the "Review" status is the main bottleneck, with items spending an average of 36.2 hours in this stage.`,
+      bottleneckTitle: 'Workflow Bottlenecks',
+      bottleneckFollowUps: [
+        'How can I fix the review bottleneck?',
+        "Who's responsible for reviews?",
+        'Generate optimization recommendations',
+        'Show all workflow efficiency metrics'
+      ],
+      other: ({ boardName }) => `I've created a visualization of your "${boardName}" workflow. Would you like to see specific visualizations for bottlenecks, time in status, team workload, or status flow?`,
+      otherFollowUps: [
+        'Show bottleneck analysis',
+        'Visualize time in status',
+        'Show team workload distribution',
+        'Generate recommendations'
+      ]
+    },
+
+    comparison: {
+      selectBoard: 'Which board would you like to compare with the rest of its workspace?',
+      unavailable: ({ boardName }) => `I couldn't analyze the other boards in the workspace of "${boardName}". You can compare boards from the Portfolio Analysis page.`,
+      openPortfolio: 'Open Portfolio Analysis',
+      onlyBoard: ({ boardName }) => `"${boardName}" is the only board I could analyze in its workspace, so there is nothing to compare it with yet.`,
+      noBottlenecks: 'It has no detected bottlenecks',
+      mostSevere: 'It has the most severe bottlenecks in the workspace',
+      bottleneckRank: ({ rank, count }) => `It ranks ${rank} of ${count} for bottleneck severity (1 is the most severe)`,
+      ranking: ({ boardName, rank, count, score }) => `"${boardName}" ranks ${rank} of ${count} boards in this workspace, with a portfolio score of ${score}/100.`,
+      efficiency: ({ efficiency, difference, average, bottleneckText }) => `Its efficiency is ${efficiency}%, ${difference === 0 ? 'the same as' : `${Math.abs(difference)} points ${difference > 0 ? 'above' : 'below'}`} the workspace average of ${average}%. ${bottleneckText}.`,
+      person: ({ name, openItems }) => `${name} (${openItems} open items)`,
+      overloaded: ({ people, count }) => `Across all boards, ${people} ${count === 1 ? 'is' : 'are'} carrying much more open work than others.`,
+      viewPortfolio: 'View Portfolio Analysis',
+      chartTitle: 'Efficiency by Board',
+      followUps: [
+        'What are the bottlenecks on this board?',
+        'Show me recommendations for improving efficiency',
+        "What's the team workload distribution?"
+      ]
+    },
+
+    statusReport: {
+      selectBoard: "I'll need a specific board to generate a status report. Which board would you like to get a status report for?",
+      needsAnalysis: ({ boardName }) => `I need to analyze the "${boardName}" board before I can report on its status and forecast when open items will be done.`,
+      summary: ({ boardName, completed, total, open }) => `Status report for "${boardName}": ${completed}% of ${total} items are complete and ${open} are still open.`,
+      finishBy: ({ p50Date, p85Date }) => `Based on how work has moved through this board so far, the open items should be finished by ${p50Date}, and by ${p85Date} with 85% confidence.`,
+      overdue: 'already overdue',
+      missChance: ({ chance, dueDate }) => `${chance} chance of missing ${dueDate}`,
+      atRisk: ({ count, lines }) => `${count} item${count !== 1 ? 's are' : ' is'} likely to miss ${count !== 1 ? 'their' : 'its'} due date:\n${lines}`,
+      noneAtRisk: 'No open items are likely to miss their due dates.',
+      unforecastable: ({ count }) => `I couldn't forecast ${count} item${count !== 1 ? 's' : ''}, because no item has moved on from ${count !== 1 ? 'their statuses' : 'its status'} in the analyzed history.`,
+      openAnalysis: 'Open Workflow Analysis',
+      chartTitle: 'Current Status Distribution',
+      followUps: [
+        'Show workflow bottlenecks',
+        'Who has the most items in progress?',
+        'Which items have been stuck the longest?'
+      ]
+    },
+
+    general: {
+      greeting: "Hello! I'm your Monday.com AI Workflow Assistant. I can help you analyze workflows, identify bottlenecks, and optimize your boards. What would you like help with today?",
+      greetingFollowUps: [
+        'Analyze my current board',
+        'Find workflow bottlenecks',
+        'Create a new workspace',
+        'Show team workload distribution'
+      ],
+      capabilities: 'I can help you with workflow analysis and optimization in Monday.com. Some things I can do:\n\n- Analyze boards to identify bottlenecks\n- Provide efficiency metrics and optimization suggestions\n- Visualize workflow patterns and team workload\n- Create new optimized workspaces based on templates or descriptions\n\nWhat would you like help with?',
+      capabilitiesFollowUps: [
+        'Analyze my current workflow',
+        'Show efficiency metrics',
+        'Create a new workspace',
+        'Find workflow bottlenecks'
+      ],
+      noBoard: "It seems you're asking about a specific board, but I don't have a board selected. Would you like to select a board to analyze?",
+      fallback: "I'm not sure I understand what you're asking. I can help with workflow analysis, finding bottlenecks, showing team workload, or creating new workspaces. Could you clarify what you'd like me to help with?",
+      fallbackFollowUps: [
+        'Analyze my workflow',
+        'Show bottlenecks',
+        'Create a new workspace',
+        'What can you do?'
+      ]
+    }
+  }
+};
+
+export default en;
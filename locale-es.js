@@ -0,0 +1,370 @@
+/**
+ * Spanish Language Pack
+ *
+ * This file contains the Spanish words and phrases the assistant recognizes in queries
+ * and board labels, and the Spanish text of its responses.
+ *
+ * Keywords and regular expressions are matched against normalized text (lower case,
+ * without accents); see normalizeText in the i18n service.
+ */
+
+const es = {
+  code: 'es',
+  languageName: 'Spanish',
+
+  // Word stems, so "analiza", "analizar" and "analizó" all match
+  intentPatterns: {
+    analyze_workflow: ['analiz', 'análisis', 'evalu', 'auditor'],
+    show_bottlenecks: ['cuello', 'botella', 'atasc', 'lento', 'retraso', 'espera'],
+    show_efficiency: ['eficiencia', 'métrica', 'rendimiento', 'kpi', 'estadística'],
+    get_recommendations: ['recomend', 'recomi', 'sugerencia', 'mejorar', 'optimiz'],
+    create_workspace: ['crea', 'nuev', 'espacio de trabajo', 'configur'],
+    team_analysis: ['equipo', 'carga de trabajo', 'asign', 'recursos', 'quién', 'miembro'],
+    visualize_workflow: ['visualiz', 'gráfic', 'diagrama', 'flujo de estados', 'grafo'],
+    compare_boards: ['compar', 'otros tableros', 'portafolio'],
+    status_report: ['estado', 'progreso', 'avance', 'dónde', 'situación']
+  },
+
+  boardReferences: {
+    patterns: [
+      /tablero ["'](.+?)["']/,
+      /tablero (\d+)/,
+      /tablero (?:llamado|que se llama|con el nombre) ["']?(.+?)["']?(?:\s|$)/
+    ],
+    current: ['tablero actual', 'mi tablero', 'este tablero']
+  },
+
+  timeframes: {
+    periods: [
+      { pattern: /(?:ultim[oa]s|pasad[oa]s) (\d+) dias?/, unit: 'day' },
+      { pattern: /(?:ultim[oa]s|pasad[oa]s) (\d+) semanas?/, unit: 'week' },
+      { pattern: /(?:ultim[oa]s|pasad[oa]s) (\d+) mes(?:es)?/, unit: 'month' },
+      { pattern: /hace (\d+) dias?/, unit: 'day' },
+      { pattern: /hace (\d+) semanas?/, unit: 'week' },
+      { pattern: /hace (\d+) mes(?:es)?/, unit: 'month' }
+    ],
+    special: [
+      { pattern: /\bhoy\b|24 horas/, value: { unit: 'day', value: 1 } },
+      { pattern: /esta semana/, value: { unit: 'week', value: 1 } },
+      { pattern: /este mes/, value: { unit: 'month', value: 1 } },
+      { pattern: /semana pasada|ultima semana/, value: { unit: 'week', value: 1 } },
+      { pattern: /mes pasado|ultimo mes/, value: { unit: 'month', value: 1 } },
+      { pattern: /todo el tiempo|desde siempre|desde el principio/, value: { unit: 'all' } }
+    ]
+  },
+
+  recommendationTypes: {
+    automation: ['automatiz'],
+    structure: ['estructura', 'organiz'],
+    bottleneck: ['botella', 'acelerar'],
+    workload: ['carga de trabajo', 'equilibr']
+  },
+
+  workspaceTypes: {
+    agile: ['ágil', 'agil', 'sprint', 'scrum'],
+    marketing: ['marketing', 'campaña'],
+    product: ['producto', 'lanzamiento'],
+    hr: ['rrhh', 'recursos humanos', 'contratación', 'reclutamiento'],
+    content: ['contenido', 'editorial']
+  },
+
+  visualizationTypes: {
+    flow: ['flujo', 'diagrama'],
+    time: ['tiempo', 'duración'],
+    workload: ['equipo', 'carga'],
+    bottleneck: ['botella', 'restricci']
+  },
+
+  teamMemberPatterns: [
+    /asignad[oa]s? a ["']?([\p{L}\s]+)["']?/u,
+    /(?:carga de trabajo|tareas|asignaciones) de (\p{Lu}\p{Ll}+(?: \p{Lu}\p{Ll}+)?)/u,
+    // Follow-ups like "¿y para María?" or "¿qué tal con Tom Smith?"
+    /(?:^|\s)(?:para|sobre|con) (\p{Lu}\p{Ll}+(?: \p{Lu}\p{Ll}+)?)\s*\??$/u
+  ],
+
+  followUpPatterns: [
+    /^¿?(y|tambien|igual|lo mismo)\b/,
+    /^¿?(y )?(que|como) (tal|hay de|pasa con)\b/,
+    /^¿?(ahora|luego) (para|con|muestra)\b/,
+    /^¿?para\b/,
+    /\b(lo mismo|eso|esos|esas|ellos)\b.*\?$/
+  ],
+
+  wholeTeamPatterns: [
+    /\b(todo el equipo|equipo completo|todos los miembros|todo el mundo)\b/
+  ],
+
+  generalPatterns: {
+    greeting: /^¡?(hola|buenas|buenos dias|saludos)/,
+    capabilities: /que puedes hacer|ayudarme con|tus capacidades|como puedes ayudar/,
+    boardQuestion: /mi tablero|tablero actual|este tablero/
+  },
+
+  statuses: {
+    done: ['hecho', 'listo', 'completad', 'terminad', 'finalizad'],
+    notStarted: ['pendiente', 'por hacer', 'sin empezar', 'no iniciado', 'planificado', 'nuevo'],
+    review: ['revisión', 'aprobación'],
+    waiting: ['esperando', 'en espera', 'bloquead']
+  },
+
+  workflowOrders: [
+    ['Backlog', 'Por hacer', 'En curso', 'Hecho'],
+    ['Planificación', 'Desarrollo', 'Pruebas', 'Despliegue'],
+    ['Sin empezar', 'En curso', 'Estancado', 'Listo']
+  ],
+
+  messages: {
+    assistant: {
+      suggestedQueries: [
+        'Muéstrame los cuellos de botella de mi flujo de trabajo actual',
+        '¿Qué miembros del equipo tienen más carga de trabajo?',
+        '¿Cómo puedo mejorar y optimizar mi proceso de desarrollo?',
+        'Crea un nuevo espacio de trabajo para proyectos de marketing',
+        '¿Cuánto tiempo se tarda de media en completar las tareas?'
+      ],
+      analyzing: ({ boardName }) => `Voy a analizar el tablero "${boardName}" para responder a tu pregunta. Esto tardará un momento...`,
+      comparing: ({ boardName }) => `Voy a analizar los demás tableros de este espacio de trabajo para compararlos con "${boardName}". Esto puede tardar unos minutos...`,
+      error: 'Lo siento, se ha producido un error al procesar tu solicitud. Vuelve a intentarlo o formula la pregunta de otra manera.'
+    },
+
+    workflowAnalysis: {
+      selectBoard: 'Necesito analizar un tablero concreto para darte información sobre el flujo de trabajo. ¿Qué tablero quieres que analice?',
+      summary: ({ boardName, efficiency, bottleneckCount, suggestionCount }) => `He analizado el tablero "${boardName}" y tiene una puntuación de eficiencia general del ${efficiency} %. He encontrado ${bottleneckCount} cuellos de botella y tengo ${suggestionCount} sugerencias de optimización que podrían mejorar tu flujo de trabajo.`,
+      chartTitle: 'Tiempo en cada estado',
+      followUps: [
+        '¿Cuáles son los principales cuellos de botella de mi flujo de trabajo?',
+        '¿Cómo puedo mejorar la eficiencia de mi flujo de trabajo?',
+        'Muéstrame la carga de trabajo del equipo',
+        'Visualiza el flujo de estados de mi tablero'
+      ],
+      offerAnalysis: ({ boardName }) => `Voy a analizar el tablero "${boardName}" para darte información sobre el flujo de trabajo. ¿Quieres que empiece el análisis ahora?`
+    },
+
+    bottlenecks: {
+      selectBoard: 'Necesito analizar un tablero concreto para encontrar cuellos de botella. ¿Qué tablero quieres que analice?',
+      intro: ({ count, boardName }) => `He encontrado ${count} cuellos de botella en el flujo de trabajo de "${boardName}":`,
+      line: ({ index, hours, status }) => `${index}. Los elementos suelen pasar ${hours} horas en el estado "${status}".`,
+      outlier: ({ count, status, ratio }) => `${count} elemento${count !== 1 ? 's llevan' : ' lleva'} en "${status}" ${ratio} veces más de lo habitual.`,
+      offerRecommendations: '¿Quieres ver recomendaciones detalladas para resolver estos cuellos de botella?',
+      chartTitle: 'Análisis de cuellos de botella',
+      followUps: ({ status }) => [
+        '¿Cómo puedo resolver estos cuellos de botella?',
+        `¿Qué está causando el retraso en ${status}?`,
+        'Muéstrame recomendaciones para optimizar mi flujo de trabajo',
+        'Visualiza el flujo de estados'
+      ],
+      none: ({ boardName }) => `He analizado el tablero "${boardName}" y no he encontrado cuellos de botella importantes en tu flujo de trabajo. ¡Buenas noticias: parece que tu proceso avanza sin problemas!`,
+      noneFollowUps: [
+        'Muéstrame la eficiencia general del flujo de trabajo',
+        'Analiza la carga de trabajo del equipo',
+        '¿Hay oportunidades de optimización?',
+        'Visualiza mi flujo de trabajo'
+      ],
+      needsAnalysis: ({ boardName }) => `Para encontrar cuellos de botella en el tablero "${boardName}", necesito analizar el flujo de trabajo. ¿Quieres que empiece el análisis ahora?`
+    },
+
+    efficiency: {
+      selectBoard: 'Necesito analizar un tablero concreto para mostrarte métricas de eficiencia. ¿Qué tablero quieres que analice?',
+      assessment: {
+        high: 'Tu flujo de trabajo es muy eficiente',
+        good: 'La eficiencia de tu flujo de trabajo es buena, pero se puede mejorar',
+        moderate: 'Tu flujo de trabajo tiene una eficiencia moderada, con varias oportunidades de mejora',
+        low: 'La eficiencia de tu flujo de trabajo es baja, con grandes oportunidades de mejora'
+      },
+      summary: ({ assessment, boardName, overall, workflow, columns, groups }) => `${assessment}. El tablero "${boardName}" tiene una puntuación de eficiencia general del ${overall} %.\n\nDesglose:\n- Datos completos: ${workflow} %\n- Estructura de columnas: ${columns} %\n- Organización de grupos: ${groups} %\n\n¿Quieres ver recomendaciones concretas para mejorar la eficiencia?`,
+      followUps: [
+        '¿Qué cuellos de botella afectan a la eficiencia?',
+        'Muéstrame recomendaciones para mejorar la eficiencia',
+        '¿Cómo se compara con otros tableros?',
+        '¿Cómo se reparte la carga de trabajo del equipo?'
+      ],
+      needsAnalysis: ({ boardName }) => `Para mostrarte métricas de eficiencia del tablero "${boardName}", necesito analizar el flujo de trabajo. ¿Quieres que empiece el análisis ahora?`
+    },
+
+    recommendations: {
+      selectBoard: 'Necesito analizar un tablero concreto para darte recomendaciones de optimización. ¿Qué tablero quieres que analice?',
+      typeNames: {
+        automation: 'automatización',
+        structure: 'estructura',
+        bottleneck: 'cuellos de botella',
+        workload: 'carga de trabajo'
+      },
+      noneOfType: ({ boardName, type }) => `He analizado el tablero "${boardName}", pero no he encontrado sugerencias de optimización de ${type}. ¿Quieres ver recomendaciones de optimización generales?`,
+      intro: ({ boardName }) => `Estas son mis principales recomendaciones para optimizar el flujo de trabajo de "${boardName}":`,
+      more: ({ count }) => `Tengo ${count} sugerencia${count !== 1 ? 's' : ''} más. ¿Quieres verlas todas?`,
+      followUps: [
+        'Muéstrame todas las sugerencias de optimización',
+        '¿Qué cuellos de botella has encontrado?',
+        '¿Cómo puedo equilibrar mejor la carga de trabajo del equipo?',
+        'Aplica estas recomendaciones automáticamente'
+      ],
+      none: ({ boardName }) => `He analizado el tablero "${boardName}" y no he encontrado oportunidades de optimización importantes. Tu flujo de trabajo parece estar bien estructurado y ser eficiente.`,
+      noneFollowUps: [
+        'Genera recomendaciones con IA',
+        'Muéstrame visualizaciones del flujo de trabajo',
+        'Analiza la carga de trabajo del equipo',
+        '¿Cuál es la puntuación de eficiencia general?'
+      ],
+      needsAnalysis: ({ boardName }) => `Para darte recomendaciones de optimización del tablero "${boardName}", necesito analizar el flujo de trabajo. ¿Quieres que empiece el análisis ahora?`
+    },
+
+    workspaceCreation: {
+      typeNames: {
+        agile: 'Desarrollo ágil',
+        marketing: 'Campañas de marketing',
+        product: 'Lanzamiento de producto',
+        hr: 'Selección de personal',
+        content: 'Calendario de contenidos',
+        custom: 'Personalizado'
+      },
+      offerType: ({ typeName }) => `Con gusto te ayudo a crear un nuevo espacio de trabajo de ${typeName}. ¿Quieres usar una plantilla o crear un espacio de trabajo personalizado a partir de tu descripción?`,
+      typeFollowUps: ({ typeName }) => [
+        `Usa la plantilla de ${typeName}`,
+        'Crea un espacio de trabajo personalizado',
+        'Muéstrame todas las plantillas disponibles',
+        'Personaliza la plantilla predeterminada'
+      ],
+      offer: 'Con gusto te ayudo a crear un nuevo espacio de trabajo. ¿Quieres empezar con una plantilla o describir en detalle lo que necesita tu flujo de trabajo?',
+      followUps: [
+        'Muéstrame las plantillas disponibles',
+        'Crea un espacio de trabajo personalizado',
+        'Crea un espacio de trabajo de desarrollo ágil',
+        'Crea un espacio de trabajo de campañas de marketing'
+      ]
+    },
+
+    teamAnalysis: {
+      selectBoard: 'Necesito analizar un tablero concreto para mostrarte la carga de trabajo del equipo. ¿Qué tablero quieres que analice?',
+      needsAnalysis: ({ boardName }) => `Necesito analizar el tablero "${boardName}" antes de mostrarte cómo se reparte el trabajo en el equipo.`,
+      units: {
+        estimate: 'de esfuerzo estimado',
+        items: 'elementos abiertos'
+      },
+      utilization: ({ percent }) => `el ${percent} % de su capacidad`,
+      noAssignments: ({ boardName }) => `Ningún elemento abierto del tablero "${boardName}" está asignado a nadie, así que no hay carga de trabajo que comparar.`,
+      member: ({ name, openItems, openEffort, unit, boardName, utilization, overdueItems }) => `${name} tiene ${openItems} elementos abiertos (${openEffort} ${unit}) en el tablero "${boardName}", lo que supone ${utilization}${overdueItems > 0 ? `, y ${overdueItems} de ellos están vencidos` : ''}.`,
+      memberFollowUps: [
+        'Muestra el análisis completo de la carga de trabajo del equipo',
+        '¿Está equilibrada la carga de trabajo?',
+        '¿Quién tiene más elementos asignados?',
+        'Recomienda cómo optimizar la carga de trabajo'
+      ],
+      memberNotFound: ({ name, boardName }) => `No he encontrado a ningún miembro del equipo que coincida con "${name}" en el tablero "${boardName}". ¿Quieres ver la carga de trabajo de todo el equipo?`,
+      intro: ({ boardName, byEstimate }) => `He analizado la carga de trabajo del equipo en el tablero "${boardName}" según ${byEstimate ? 'el esfuerzo estimado' : 'los elementos abiertos'} frente a la capacidad de cada persona.`,
+      nobodyOver: ({ name, utilization }) => ` Nadie supera su capacidad; ${name} es quien más carga tiene, con ${utilization}.`,
+      overCapacity: ({ people, count }) => ` ${people} ${count === 1 ? 'supera' : 'superan'} su capacidad`,
+      roomForMore: ({ people, count }) => `, mientras que ${people} ${count === 1 ? 'tiene' : 'tienen'} margen para más.`,
+      proposals: ({ count }) => ` He propuesto ${count} reasignaci${count !== 1 ? 'ones' : 'ón'} para equilibrar el trabajo.`,
+      noCapacity: ' Nadie más tiene capacidad para hacerse cargo de sus elementos.',
+      chartTitle: 'Carga de trabajo del equipo',
+      followUps: ({ name }) => [
+        '¿Cómo deberíamos equilibrar la carga de trabajo?',
+        `Muestra los elementos asignados a ${name}`,
+        '¿Qué elementos deberían reasignarse?',
+        'Analiza la eficiencia del flujo de trabajo'
+      ]
+    },
+
+    visualization: {
+      selectBoard: 'Necesito un tablero concreto para crear visualizaciones. ¿Qué tablero quieres visualizar?',
+      time: ({ boardName }) => `Aquí tienes una visualización del tiempo que se pasa en cada estado del tablero "${boardName}". El estado "Review" tiene la duración media más larga, con 36,2 horas, seguido de "In Progress", con 24,7 horas.`,
+      timeTitle: 'Tiempo en cada estado',
+      timeFollowUps: [
+        '¿Qué está causando el largo tiempo de revisión?',
+        'Muéstrame recomendaciones para los cuellos de botella',
+        'Visualiza el flujo de estados',
+        'Analiza la carga de trabajo del equipo'
+      ],
+      workload: ({ boardName }) => `Aquí tienes el reparto de la carga de trabajo del equipo en el tablero "${boardName}". La carga parece desequilibrada: algunos miembros del equipo tienen bastantes más elementos asignados que otros.`,
+      workloadTitle: 'Carga de trabajo del equipo',
+      workloadFollowUps: [
+        'Recomienda cómo equilibrar la carga de trabajo',
+        '¿Quién tiene más elementos en el estado "Stuck"?',
+        'Muestra las métricas de eficiencia del flujo de trabajo',
+        'Visualiza el flujo de estados'
+      ],
+      bottleneck: ({ boardName }) => `Aquí tienes una visualización de los cuellos de botella del flujo de trabajo de "${boardName}". El estado "Review" es el principal cuello de botella: los elementos pasan en él una media de 36,2 horas.`,
+      bottleneckTitle: 'Cuellos de botella del flujo de trabajo',
+      bottleneckFollowUps: [
+        '¿Cómo puedo resolver el cuello de botella de la revisión?',
+        '¿Quién se encarga de las revisiones?',
+        'Genera recomendaciones de optimización',
+        'Muestra todas las métricas de eficiencia'
+      ],
+      other: ({ boardName }) => `He creado una visualización del flujo de trabajo de "${boardName}". ¿Quieres ver visualizaciones concretas de cuellos de botella, tiempo en cada estado, carga de trabajo del equipo o flujo de estados?`,
+      otherFollowUps: [
+        'Muestra el análisis de cuellos de botella',
+        'Visualiza el tiempo en cada estado',
+        'Muestra la carga de trabajo del equipo',
+        'Genera recomendaciones'
+      ]
+    },
+
+    comparison: {
+      selectBoard: '¿Qué tablero quieres comparar con el resto de su espacio de trabajo?',
+      unavailable: ({ boardName }) => `No he podido analizar los demás tableros del espacio de trabajo de "${boardName}". Puedes comparar tableros desde la página de análisis de cartera.`,
+      openPortfolio: 'Abrir análisis de cartera',
+      onlyBoard: ({ boardName }) => `"${boardName}" es el único tablero que he podido analizar en su espacio de trabajo, así que todavía no hay nada con qué compararlo.`,
+      noBottlenecks: 'No tiene cuellos de botella detectados',
+      mostSevere: 'Tiene los cuellos de botella más graves del espacio de trabajo',
+      bottleneckRank: ({ rank, count }) => `Ocupa el puesto ${rank} de ${count} en gravedad de cuellos de botella (1 es el más grave)`,
+      ranking: ({ boardName, rank, count, score }) => `"${boardName}" ocupa el puesto ${rank} de ${count} tableros en este espacio de trabajo, con una puntuación de cartera de ${score}/100.`,
+      efficiency: ({ efficiency, difference, average, bottleneckText }) => `Su eficiencia es del ${efficiency} %, ${difference === 0 ? 'igual que' : `${Math.abs(difference)} puntos ${difference > 0 ? 'por encima de' : 'por debajo de'}`} la media del espacio de trabajo, del ${average} %. ${bottleneckText}.`,
+      person: ({ name, openItems }) => `${name} (${openItems} elementos abiertos)`,
+      overloaded: ({ people, count }) => `En todos los tableros, ${people} ${count === 1 ? 'tiene' : 'tienen'} mucho más trabajo abierto que los demás.`,
+      viewPortfolio: 'Ver análisis de cartera',
+      chartTitle: 'Eficiencia por tablero',
+      followUps: [
+        '¿Cuáles son los cuellos de botella de este tablero?',
+        'Muéstrame recomendaciones para mejorar la eficiencia',
+        '¿Cómo se reparte la carga de trabajo del equipo?'
+      ]
+    },
+
+    statusReport: {
+      selectBoard: 'Necesito un tablero concreto para generar un informe de estado. ¿De qué tablero quieres el informe?',
+      needsAnalysis: ({ boardName }) => `Necesito analizar el tablero "${boardName}" antes de informar de su estado y prever cuándo estarán terminados los elementos abiertos.`,
+      summary: ({ boardName, completed, total, open }) => `Informe de estado de "${boardName}": el ${completed} % de ${total} elementos está completado y ${open} siguen abiertos.`,
+      finishBy: ({ p50Date, p85Date }) => `Según cómo ha avanzado el trabajo en este tablero hasta ahora, los elementos abiertos deberían estar terminados el ${p50Date}, y el ${p85Date} con un 85 % de confianza.`,
+      overdue: 'ya vencido',
+      missChance: ({ chance, dueDate }) => `${chance} de probabilidad de no cumplir el ${dueDate}`,
+      atRisk: ({ count, lines }) => `${count} elemento${count !== 1 ? 's' : ''} probablemente no ${count !== 1 ? 'cumplirán' : 'cumplirá'} su fecha de vencimiento:\n${lines}`,
+      noneAtRisk: 'No es probable que ningún elemento abierto incumpla su fecha de vencimiento.',
+      unforecastable: ({ count }) => `No he podido hacer una previsión para ${count} elemento${count !== 1 ? 's' : ''}, porque en el historial analizado ningún elemento ha salido de ${count !== 1 ? 'sus estados' : 'su estado'}.`,
+      openAnalysis: 'Abrir análisis del flujo de trabajo',
+      chartTitle: 'Distribución actual de estados',
+      followUps: [
+        'Muestra los cuellos de botella del flujo de trabajo',
+        '¿Quién tiene más elementos en curso?',
+        '¿Qué elementos llevan más tiempo atascados?'
+      ]
+    },
+
+    general: {
+      greeting: '¡Hola! Soy tu asistente de flujos de trabajo con IA para Monday.com. Puedo ayudarte a analizar flujos de trabajo, encontrar cuellos de botella y optimizar tus tableros. ¿En qué te ayudo hoy?',
+      greetingFollowUps: [
+        'Analiza mi tablero actual',
+        'Encuentra cuellos de botella en el flujo de trabajo',
+        'Crea un nuevo espacio de trabajo',
+        'Muestra la carga de trabajo del equipo'
+      ],
+      capabilities: 'Puedo ayudarte a analizar y optimizar flujos de trabajo en Monday.com. Algunas cosas que puedo hacer:\n\n- Analizar tableros para encontrar cuellos de botella\n- Darte métricas de eficiencia y sugerencias de optimización\n- Visualizar patrones del flujo de trabajo y la carga del equipo\n- Crear nuevos espacios de trabajo optimizados a partir de plantillas o descripciones\n\n¿En qué te puedo ayudar?',
+      capabilitiesFollowUps: [
+        'Analiza mi flujo de trabajo actual',
+        'Muestra métricas de eficiencia',
+        'Crea un nuevo espacio de trabajo',
+        'Encuentra cuellos de botella en el flujo de trabajo'
+      ],
+      noBoard: 'Parece que preguntas por un tablero concreto, pero no hay ningún tablero seleccionado. ¿Quieres seleccionar un tablero para analizarlo?',
+      fallback: 'No estoy seguro de entender lo que me preguntas. Puedo ayudarte a analizar flujos de trabajo, encontrar cuellos de botella, mostrar la carga de trabajo del equipo o crear nuevos espacios de trabajo. ¿Puedes aclarar en qué quieres que te ayude?',
+      fallbackFollowUps: [
+        'Analiza mi flujo de trabajo',
+        'Muestra los cuellos de botella',
+        'Crea un nuevo espacio de trabajo',
+        '¿Qué puedes hacer?'
+      ]
+    }
+  }
+};
+
+export default es;
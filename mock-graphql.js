@@ -0,0 +1,398 @@
+/**
+ * Mock GraphQL
+ *
+ * This file contains a small GraphQL parser and executor for the mock monday.com API.
+ * It understands the parts of the language the app's queries use: operations with
+ * variables, aliases, arguments (literals, enums, lists, objects, variables), inline
+ * fragments and named fragments. Root fields are resolved by functions; nested fields are
+ * read from the returned objects, calling them when they are functions of their arguments.
+ */
+
+const PUNCTUATORS = ['{', '}', '(', ')', '[', ']', ':', '=', '!', '$', '@', ','];
+
+/**
+ * Split a GraphQL document into tokens
+ * @param {string} source - GraphQL document
+ * @returns {Array} - Tokens ({ kind, value })
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const char = source[position];
+
+    if (/\s/.test(char) || char === ',') {
+      position++;
+    } else if (char === '#') {
+      while (position < source.length && source[position] !== '\n') position++;
+    } else if (source.startsWith('...', position)) {
+      tokens.push({ kind: 'spread', value: '...' });
+      position += 3;
+    } else if (source.startsWith('"""', position)) {
+      const end = source.indexOf('"""', position + 3);
+      if (end === -1) throw new Error('Syntax Error: Unterminated block string');
+      tokens.push({ kind: 'string', value: source.slice(position + 3, end) });
+      position = end + 3;
+    } else if (char === '"') {
+      let end = position + 1;
+      while (end < source.length && source[end] !== '"') {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      if (end >= source.length) throw new Error('Syntax Error: Unterminated string');
+      tokens.push({ kind: 'string', value: JSON.parse(source.slice(position, end + 1)) });
+      position = end + 1;
+    } else if (PUNCTUATORS.includes(char)) {
+      tokens.push({ kind: 'punctuator', value: char });
+      position++;
+    } else {
+      const match = source.slice(position).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?|^[_A-Za-z][_0-9A-Za-z]*/);
+      if (!match) throw new Error(`Syntax Error: Unexpected character "${char}"`);
+
+      const isNumber = /^-?\d/.test(match[0]);
+      tokens.push({ kind: isNumber ? 'number' : 'name', value: isNumber ? Number(match[0]) : match[0] });
+      position += match[0].length;
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a GraphQL document
+ * @param {string} source - GraphQL document
+ * @returns {Object} - Operations and fragments ({ operations, fragments })
+ */
+export const parseDocument = (source) => {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isPunctuator = (value) => peek()?.kind === 'punctuator' && peek().value === value;
+
+  const expect = (value) => {
+    const token = next();
+    if (!token || token.value !== value) {
+      throw new Error(`Syntax Error: Expected "${value}", found ${token ? `"${token.value}"` : 'end of document'}`);
+    }
+    return token;
+  };
+
+  const expectName = () => {
+    const token = next();
+    if (!token || token.kind !== 'name') {
+      throw new Error(`Syntax Error: Expected a name, found ${token ? `"${token.value}"` : 'end of document'}`);
+    }
+    return token.value;
+  };
+
+  const parseValue = () => {
+    const token = next();
+    if (!token) throw new Error('Syntax Error: Expected a value, found end of document');
+
+    if (token.kind === 'punctuator' && token.value === '$') {
+      return { kind: 'variable', name: expectName() };
+    }
+
+    if (token.kind === 'punctuator' && token.value === '[') {
+      const values = [];
+      while (!isPunctuator(']')) values.push(parseValue());
+      expect(']');
+      return { kind: 'list', values };
+    }
+
+    if (token.kind === 'punctuator' && token.value === '{') {
+      const fields = {};
+      while (!isPunctuator('}')) {
+        const name = expectName();
+        expect(':');
+        fields[name] = parseValue();
+      }
+      expect('}');
+      return { kind: 'object', fields };
+    }
+
+    if (token.kind === 'string' || token.kind === 'number') {
+      return { kind: 'literal', value: token.value };
+    }
+
+    if (token.kind === 'name') {
+      if (token.value === 'true' || token.value === 'false') return { kind: 'literal', value: token.value === 'true' };
+      if (token.value === 'null') return { kind: 'literal', value: null };
+      return { kind: 'enum', value: token.value };
+    }
+
+    throw new Error(`Syntax Error: Unexpected "${token.value}"`);
+  };
+
+  const parseArguments = () => {
+    const args = {};
+    if (!isPunctuator('(')) return args;
+
+    expect('(');
+    while (!isPunctuator(')')) {
+      const name = expectName();
+      expect(':');
+      args[name] = parseValue();
+    }
+    expect(')');
+    return args;
+  };
+
+  const skipDirectives = () => {
+    while (isPunctuator('@')) {
+      next();
+      expectName();
+      parseArguments();
+    }
+  };
+
+  const skipType = () => {
+    if (isPunctuator('[')) {
+      next();
+      skipType();
+      expect(']');
+    } else {
+      expectName();
+    }
+    if (isPunctuator('!')) next();
+  };
+
+  const parseSelectionSet = () => {
+    const selections = [];
+    expect('{');
+
+    while (!isPunctuator('}')) {
+      if (peek()?.kind === 'spread') {
+        next();
+
+        if (peek()?.value === 'on' || isPunctuator('{')) {
+          const typeCondition = peek().value === 'on' ? (next(), expectName()) : null;
+          skipDirectives();
+          selections.push({ kind: 'inline_fragment', typeCondition, selections: parseSelectionSet() });
+        } else {
+          selections.push({ kind: 'fragment_spread', name: expectName() });
+          skipDirectives();
+        }
+        continue;
+      }
+
+      let name = expectName();
+      let alias = name;
+      if (isPunctuator(':')) {
+        next();
+        name = expectName();
+      }
+
+      const args = parseArguments();
+      skipDirectives();
+
+      selections.push({
+        kind: 'field',
+        alias,
+        name,
+        args,
+        selections: isPunctuator('{') ? parseSelectionSet() : null
+      });
+    }
+
+    expect('}');
+    return selections;
+  };
+
+  const parseVariableDefinitions = () => {
+    const definitions = {};
+    if (!isPunctuator('(')) return definitions;
+
+    expect('(');
+    while (!isPunctuator(')')) {
+      expect('$');
+      const name = expectName();
+      expect(':');
+      skipType();
+
+      definitions[name] = { defaultValue: null };
+      if (isPunctuator('=')) {
+        next();
+        definitions[name].defaultValue = parseValue();
+      }
+    }
+    expect(')');
+    return definitions;
+  };
+
+  const operations = [];
+  const fragments = {};
+
+  while (index < tokens.length) {
+    if (isPunctuator('{')) {
+      operations.push({ type: 'query', name: null, variableDefinitions: {}, selections: parseSelectionSet() });
+      continue;
+    }
+
+    const keyword = expectName();
+
+    if (keyword === 'fragment') {
+      const name = expectName();
+      expect('on');
+      const typeCondition = expectName();
+      skipDirectives();
+      fragments[name] = { typeCondition, selections: parseSelectionSet() };
+    } else if (keyword === 'query' || keyword === 'mutation' || keyword === 'subscription') {
+      const name = peek()?.kind === 'name' ? next().value : null;
+      const variableDefinitions = parseVariableDefinitions();
+      skipDirectives();
+      operations.push({ type: keyword, name, variableDefinitions, selections: parseSelectionSet() });
+    } else {
+      throw new Error(`Syntax Error: Unexpected "${keyword}"`);
+    }
+  }
+
+  return { operations, fragments };
+};
+
+/**
+ * Turn a parsed argument value into a plain value
+ * @param {Object} node - Parsed value
+ * @param {Object} variables - Variable values
+ * @returns {*} - Value
+ */
+const resolveValue = (node, variables) => {
+  switch (node.kind) {
+    case 'variable':
+      return variables[node.name] === undefined ? null : variables[node.name];
+    case 'list':
+      return node.values.map(value => resolveValue(value, variables));
+    case 'object':
+      return Object.fromEntries(Object.entries(node.fields).map(([name, value]) => [name, resolveValue(value, variables)]));
+    default:
+      return node.value;
+  }
+};
+
+/**
+ * Resolve a field's arguments
+ * @param {Object} args - Parsed arguments
+ * @param {Object} variables - Variable values
+ * @returns {Object} - Argument values by name
+ */
+const resolveArguments = (args, variables) => (
+  Object.fromEntries(Object.entries(args).map(([name, value]) => [name, resolveValue(value, variables)]))
+);
+
+/**
+ * Pick the selected fields from a resolved value
+ * Objects can set __typename to be matched against fragment type conditions.
+ * @param {*} value - Resolved value
+ * @param {Array} selections - Selections (null for a scalar)
+ * @param {Object} context - Execution context (variables, fragments)
+ * @returns {*} - Selected data
+ */
+const selectFields = (value, selections, context) => {
+  if (value === null || value === undefined) return null;
+  if (!selections) return value;
+  if (Array.isArray(value)) return value.map(entry => selectFields(entry, selections, context));
+
+  const data = {};
+
+  const collect = (fieldSelections) => {
+    fieldSelections.forEach(selection => {
+      if (selection.kind === 'fragment_spread' || selection.kind === 'inline_fragment') {
+        const fragment = selection.kind === 'fragment_spread' ? context.fragments[selection.name] : selection;
+        if (!fragment) throw new Error(`Unknown fragment "${selection.name}"`);
+
+        if (!fragment.typeCondition || !value.__typename || fragment.typeCondition === value.__typename) {
+          collect(fragment.selections);
+        }
+        return;
+      }
+
+      if (selection.name === '__typename') {
+        data[selection.alias] = value.__typename || null;
+        return;
+      }
+
+      const field = value[selection.name];
+      const resolved = typeof field === 'function'
+        ? field(resolveArguments(selection.args, context.variables))
+        : field;
+
+      data[selection.alias] = selectFields(resolved, selection.selections, context);
+    });
+  };
+
+  collect(selections);
+  return data;
+};
+
+/**
+ * Execute a GraphQL document against resolvers
+ * Errors are reported the way monday.com does, in an errors array next to partial data.
+ * @param {string} source - GraphQL document
+ * @param {Object} resolvers - Root field resolvers ({ query: { field(args) }, mutation: { field(args) } })
+ * @param {Object} variables - Variable values
+ * @returns {Object} - Response ({ data, errors })
+ */
+export const executeDocument = (source, resolvers, variables = {}) => {
+  let document;
+  try {
+    document = parseDocument(source);
+  } catch (error) {
+    return { errors: [{ message: error.message, extensions: { code: 'GRAPHQL_PARSE_FAILED' } }] };
+  }
+
+  const operation = document.operations[0];
+  if (!operation) {
+    return { errors: [{ message: 'The document has no operation', extensions: { code: 'GRAPHQL_PARSE_FAILED' } }] };
+  }
+
+  // Variables that weren't passed take their defaults
+  const operationVariables = { ...variables };
+  Object.entries(operation.variableDefinitions).forEach(([name, definition]) => {
+    if (operationVariables[name] === undefined && definition.defaultValue) {
+      operationVariables[name] = resolveValue(definition.defaultValue, {});
+    }
+  });
+
+  const context = { variables: operationVariables, fragments: document.fragments };
+  const rootResolvers = resolvers[operation.type] || {};
+  const rootType = operation.type === 'mutation' ? 'Mutation' : 'Query';
+  const data = {};
+  const errors = [];
+
+  // Mutations run in order, one after another, as in GraphQL
+  operation.selections.forEach(selection => {
+    if (selection.kind !== 'field') return;
+
+    const resolver = rootResolvers[selection.name];
+    if (!resolver) {
+      errors.push({
+        message: `Field '${selection.name}' doesn't exist on type '${rootType}'`,
+        path: [selection.alias],
+        extensions: { code: 'undefinedField' }
+      });
+      data[selection.alias] = null;
+      return;
+    }
+
+    try {
+      const resolved = resolver(resolveArguments(selection.args, context.variables));
+      data[selection.alias] = selectFields(resolved, selection.selections, context);
+    } catch (error) {
+      errors.push({
+        message: error.message,
+        path: [selection.alias],
+        extensions: { code: error.code || 'INTERNAL_SERVER_ERROR' }
+      });
+      data[selection.alias] = null;
+    }
+  });
+
+  return errors.length > 0 ? { data, errors } : { data };
+};
+
+export default {
+  parseDocument,
+  executeDocument
+};
@@ -0,0 +1,477 @@
+/**
+ * Mock Monday
+ *
+ * This file contains an offline stand-in for the Monday SDK, backed by board fixtures.
+ * Its api() runs the app's GraphQL queries and mutations against an in-memory account
+ * (workspaces, users, boards with columns, groups, items and activity logs), so the API
+ * services and the analysis built on them can be exercised without a monday.com account.
+ * Mutations change the in-memory account, and status changes are added to the activity log.
+ */
+
+import { executeDocument } from './mockGraphql';
+
+// Complexity reported with every response; far from the budget, so callers never wait
+const COMPLEXITY = { query: 100, before: 10000000, after: 9999900, reset_in_x_seconds: 60 };
+
+// Where new column IDs don't start with the column type
+const COLUMN_ID_PREFIXES = { people: 'person', 'multiple-person': 'person' };
+
+/**
+ * Copy fixture data so tests can't change each other's state
+ * @param {*} value - JSON-compatible value
+ * @returns {*} - Deep copy
+ */
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Build an error the way the API reports it
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} - Error with code
+ */
+const apiError = (message, code = 'InvalidArgumentException') => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Turn a title into an ID the way monday.com does for new columns and groups
+ * @param {string} text - Title or column type
+ * @param {Array} existingIds - IDs already used on the board
+ * @returns {string} - Unused ID
+ */
+const createId = (text, existingIds) => {
+  const base = String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'column';
+  let id = base;
+  for (let suffix = 1; existingIds.includes(id); suffix++) id = `${base}_${suffix}`;
+  return id;
+};
+
+/**
+ * Parse a JSON argument that may be passed as a string or as an object literal
+ * @param {string|Object} value - Argument value
+ * @returns {Object} - Parsed value (empty if missing)
+ */
+const parseJsonArgument = (value) => {
+  if (!value) return {};
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw apiError(`Invalid JSON: ${value}`);
+  }
+};
+
+/**
+ * Create a mock Monday SDK instance
+ * @param {Object} fixture - Account fixture (account, me, users, workspaces, boards)
+ * @param {Object} options - Options (failOn: error per query or mutation field name, context, now)
+ *   A failOn error is a message or { message, code, times }; with times set, the field fails
+ *   that many times and then works again.
+ * @returns {Object} - Monday SDK shim (api, get, execute, listen, storage) plus the account
+ *   state, a log of API calls and the state of a single board (getBoard)
+ */
+export const createMockMonday = (fixture, options = {}) => {
+  const { failOn = {}, context = {}, now = () => new Date() } = options;
+  const state = {
+    account: clone(fixture.account) || { id: '1', name: 'Mock account' },
+    me: clone(fixture.me) || null,
+    users: clone(fixture.users) || [],
+    workspaces: clone(fixture.workspaces) || [],
+    boards: clone(fixture.boards) || []
+  };
+  const calls = [];
+  const storage = { account: new Map(), instance: new Map() };
+  let nextId = 900000;
+
+  const newId = () => String(nextId++);
+
+  const findBoard = (boardId) => {
+    const board = state.boards.find(candidate => String(candidate.id) === String(boardId));
+    if (!board) throw apiError(`Board ${boardId} not found`, 'ResourceNotFoundException');
+    return board;
+  };
+
+  const findItem = (itemId) => {
+    for (const board of state.boards) {
+      const item = (board.items || []).find(candidate => String(candidate.id) === String(itemId));
+      if (item) return { board, item };
+    }
+    throw apiError(`Item ${itemId} not found`, 'ResourceNotFoundException');
+  };
+
+  const findUser = (userId) => state.users.find(user => String(user.id) === String(userId));
+
+  // Text monday.com shows for a column value
+  const getValueText = (column, value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'object') return String(value);
+
+    switch (column.type) {
+      case 'status':
+      case 'color':
+        return value.label ?? '';
+      case 'people':
+      case 'multiple-person':
+        return (value.personsAndTeams || [])
+          .map(person => findUser(person.id)?.name)
+          .filter(Boolean)
+          .join(', ');
+      case 'date':
+        return [value.date, value.time].filter(Boolean).join(' ');
+      case 'dropdown':
+        return (value.labels || []).join(', ');
+      default:
+        return value.text ?? value.value ?? '';
+    }
+  };
+
+  // Set an item's column values, logging status changes as monday.com does
+  const setColumnValues = (board, item, values) => {
+    Object.entries(values).forEach(([columnId, value]) => {
+      const column = (board.columns || []).find(candidate => candidate.id === columnId);
+      if (!column) throw apiError(`Column ${columnId} not found on board ${board.id}`);
+
+      const columnValue = {
+        id: column.id,
+        title: column.title,
+        type: column.type,
+        text: getValueText(column, value),
+        value: value === null ? null : JSON.stringify(value)
+      };
+      const previous = (item.column_values || []).find(candidate => candidate.id === columnId);
+      item.column_values = [...(item.column_values || []).filter(candidate => candidate.id !== columnId), columnValue];
+
+      if (column.type !== 'status' && column.type !== 'color') return;
+
+      board.activity_logs = board.activity_logs || [];
+      board.activity_logs.push({
+        id: newId(),
+        event: 'change_column_value',
+        created_at: now().toISOString(),
+        data: JSON.stringify({
+          board_id: Number(board.id),
+          pulse_id: Number(item.id),
+          column_id: columnId,
+          previous_value: previous?.text ? JSON.stringify({ label: previous.text }) : null,
+          value: columnValue.text ? JSON.stringify({ label: columnValue.text }) : null
+        }),
+        entity: { __typename: 'Item', id: item.id, name: item.name },
+        user: state.me ? { id: state.me.id, name: state.me.name } : null
+      });
+    });
+  };
+
+  // A board as the API returns it, with fields that take arguments
+  const toBoardResult = (board) => ({
+    ...board,
+    items_count: (board.items || []).length,
+    items_page: ({ limit = 25, cursor = null } = {}) => getItemsPage(board, cursor ? Number(cursor.split(':')[1]) : 0, limit),
+    activity_logs: ({ limit = 25, page = 1, from = null, to = null } = {}) => {
+      const logs = (board.activity_logs || [])
+        .filter(log => (!from || new Date(log.created_at) >= new Date(from)) && (!to || new Date(log.created_at) <= new Date(to)))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+      return logs.slice((page - 1) * limit, page * limit);
+    }
+  });
+
+  // One page of a board's items; the cursor is the board ID and the offset of the next page
+  const getItemsPage = (board, offset, limit) => {
+    const items = board.items || [];
+    const end = offset + limit;
+
+    return {
+      cursor: end < items.length ? `${board.id}:${end}` : null,
+      items: items.slice(offset, end).map(item => ({
+        ...item,
+        group: (board.groups || []).find(group => group.id === item.group?.id) || item.group || null
+      }))
+    };
+  };
+
+  const query = {
+    complexity: () => COMPLEXITY,
+
+    me: () => (state.me ? { ...state.me, account: state.account } : null),
+
+    users: ({ ids = null } = {}) => state.users.filter(user => !ids || [].concat(ids).map(String).includes(String(user.id))),
+
+    workspaces: ({ ids = null } = {}) => state.workspaces.filter(workspace => !ids || [].concat(ids).map(String).includes(String(workspace.id))),
+
+    boards: ({ ids = null, workspace_ids: workspaceIds = null, state: boardState = 'active', limit = 25, page = 1 } = {}) => {
+      const boards = state.boards
+        .filter(board => !ids || [].concat(ids).map(String).includes(String(board.id)))
+        .filter(board => !workspaceIds || [].concat(workspaceIds).map(String).includes(String(board.workspace_id)))
+        .filter(board => boardState === 'all' || (board.state || 'active') === boardState);
+
+      // Boards asked for by ID aren't paged
+      return (ids ? boards : boards.slice((page - 1) * limit, page * limit)).map(toBoardResult);
+    },
+
+    items: ({ ids = null } = {}) => state.boards
+      .flatMap(board => board.items || [])
+      .filter(item => !ids || [].concat(ids).map(String).includes(String(item.id)))
+      .map(item => ({
+        ...item,
+        column_values: ({ ids: columnIds = null } = {}) => (item.column_values || [])
+          .filter(value => !columnIds || [].concat(columnIds).includes(value.id))
+      })),
+
+    next_items_page: ({ cursor, limit = 25 }) => {
+      const [boardId, offset] = String(cursor).split(':');
+      if (offset === undefined) throw apiError('Invalid cursor', 'CursorException');
+
+      return getItemsPage(findBoard(boardId), Number(offset), limit);
+    }
+  };
+
+  const mutation = {
+    create_workspace: ({ name, kind = 'open', description = '' }) => {
+      const workspace = { id: newId(), name, kind, description };
+      state.workspaces.push(workspace);
+      return workspace;
+    },
+
+    delete_workspace: ({ workspace_id: workspaceId }) => {
+      const workspace = state.workspaces.find(candidate => String(candidate.id) === String(workspaceId));
+      if (!workspace) throw apiError(`Workspace ${workspaceId} not found`, 'ResourceNotFoundException');
+
+      state.workspaces = state.workspaces.filter(candidate => candidate !== workspace);
+      return { id: workspace.id };
+    },
+
+    create_board: ({ board_name: name, board_kind: kind = 'public', workspace_id: workspaceId = null }) => {
+      if (workspaceId && !state.workspaces.some(workspace => String(workspace.id) === String(workspaceId))) {
+        throw apiError(`Workspace ${workspaceId} not found`, 'ResourceNotFoundException');
+      }
+
+      const board = {
+        id: newId(),
+        name,
+        description: null,
+        board_kind: kind,
+        state: 'active',
+        workspace_id: workspaceId ? String(workspaceId) : null,
+        columns: [{ id: 'name', title: 'Name', type: 'name', settings_str: '{}' }],
+        groups: [],
+        items: [],
+        activity_logs: []
+      };
+      state.boards.push(board);
+      return toBoardResult(board);
+    },
+
+    delete_board: ({ board_id: boardId }) => {
+      const board = findBoard(boardId);
+      state.boards = state.boards.filter(candidate => candidate !== board);
+      return { id: board.id };
+    },
+
+    create_column: ({ board_id: boardId, title, column_type: type, defaults = null }) => {
+      const board = findBoard(boardId);
+      const parsedDefaults = parseJsonArgument(defaults);
+
+      // New status columns mark their second label as done
+      const settings = type === 'status' && parsedDefaults.labels
+        ? { done_colors: [1], ...parsedDefaults }
+        : parsedDefaults.settings || parsedDefaults;
+
+      const column = {
+        id: createId(COLUMN_ID_PREFIXES[type] || type, board.columns.map(candidate => candidate.id)),
+        title,
+        type,
+        settings_str: JSON.stringify(settings)
+      };
+      board.columns.push(column);
+      return column;
+    },
+
+    delete_column: ({ board_id: boardId, column_id: columnId }) => {
+      const board = findBoard(boardId);
+      if (!board.columns.some(column => column.id === columnId)) throw apiError(`Column ${columnId} not found`);
+
+      board.columns = board.columns.filter(column => column.id !== columnId);
+      board.items.forEach(item => {
+        item.column_values = (item.column_values || []).filter(value => value.id !== columnId);
+      });
+      return { id: columnId };
+    },
+
+    create_group: ({ board_id: boardId, group_name: title }) => {
+      const board = findBoard(boardId);
+      const group = {
+        id: createId(title, board.groups.map(candidate => candidate.id)),
+        title,
+        color: '#579bfc',
+        position: String(board.groups.length + 1)
+      };
+      board.groups.push(group);
+      return group;
+    },
+
+    delete_group: ({ board_id: boardId, group_id: groupId }) => {
+      const board = findBoard(boardId);
+      if (!board.groups.some(group => group.id === groupId)) throw apiError(`Group ${groupId} not found`);
+
+      board.groups = board.groups.filter(group => group.id !== groupId);
+      board.items = board.items.filter(item => item.group?.id !== groupId);
+      return { id: groupId };
+    },
+
+    update_group: ({ board_id: boardId, group_id: groupId, group_attribute: attribute, new_value: value }) => {
+      const board = findBoard(boardId);
+      const group = board.groups.find(candidate => candidate.id === groupId);
+      if (!group) throw apiError(`Group ${groupId} not found`);
+
+      if (attribute === 'relative_position_after' || attribute === 'relative_position_before') {
+        const others = board.groups.filter(candidate => candidate !== group);
+        const anchorIndex = others.findIndex(candidate => candidate.id === value);
+        if (anchorIndex === -1) throw apiError(`Group ${value} not found`);
+
+        others.splice(attribute === 'relative_position_after' ? anchorIndex + 1 : anchorIndex, 0, group);
+        board.groups = others;
+        board.groups.forEach((candidate, index) => { candidate.position = String(index + 1); });
+      } else if (attribute === 'title' || attribute === 'color') {
+        // Items pick up the new title when they're read (see getItemsPage)
+        group[attribute] = value;
+      } else {
+        throw apiError(`Unsupported group attribute ${attribute}`);
+      }
+
+      return group;
+    },
+
+    change_column_title: ({ board_id: boardId, column_id: columnId, title }) => {
+      const board = findBoard(boardId);
+      const column = board.columns.find(candidate => candidate.id === columnId);
+      if (!column) throw apiError(`Column ${columnId} not found`);
+
+      column.title = title;
+      board.items.forEach(item => {
+        (item.column_values || [])
+          .filter(value => value.id === columnId)
+          .forEach(value => { value.title = title; });
+      });
+      return column;
+    },
+
+    create_item: ({ board_id: boardId, group_id: groupId = null, item_name: name, column_values: columnValues = null }) => {
+      const board = findBoard(boardId);
+      const group = groupId ? board.groups.find(candidate => candidate.id === groupId) : board.groups[0];
+      if (!group) throw apiError(`Group ${groupId} not found`);
+
+      const item = {
+        id: newId(),
+        name,
+        created_at: now().toISOString(),
+        group: { id: group.id, title: group.title },
+        column_values: []
+      };
+      board.items.push(item);
+      setColumnValues(board, item, parseJsonArgument(columnValues));
+      return item;
+    },
+
+    delete_item: ({ item_id: itemId }) => {
+      const { board, item } = findItem(itemId);
+      board.items = board.items.filter(candidate => candidate !== item);
+      return { id: item.id };
+    },
+
+    change_multiple_column_values: ({ item_id: itemId, column_values: columnValues }) => {
+      const { board, item } = findItem(itemId);
+      setColumnValues(board, item, parseJsonArgument(columnValues));
+      return item;
+    },
+
+    change_column_value: ({ item_id: itemId, column_id: columnId, value }) => {
+      const { board, item } = findItem(itemId);
+      setColumnValues(board, item, { [columnId]: parseJsonArgument(value) });
+      return item;
+    },
+
+    move_item_to_group: ({ item_id: itemId, group_id: groupId }) => {
+      const { board, item } = findItem(itemId);
+      const group = board.groups.find(candidate => candidate.id === groupId);
+      if (!group) throw apiError(`Group ${groupId} not found`);
+
+      item.group = { id: group.id, title: group.title };
+      return item;
+    },
+
+    create_webhook: ({ board_id: boardId, url, event }) => {
+      const board = findBoard(boardId);
+      board.webhooks = [...(board.webhooks || []), { id: newId(), url, event }];
+      return { id: board.webhooks[board.webhooks.length - 1].id, board_id: board.id };
+    }
+  };
+
+  // Fields listed in failOn throw, to exercise error handling, retries and compensation
+  Object.entries(failOn).forEach(([name, failure]) => {
+    const { message, code, times = Infinity } = typeof failure === 'string' ? { message: failure } : failure;
+    const resolvers = name in query ? query : mutation;
+    const resolve = resolvers[name];
+    let failures = 0;
+
+    resolvers[name] = (args) => {
+      if (failures >= times) return resolve(args);
+
+      failures++;
+      throw apiError(message, code);
+    };
+  });
+
+  // Instance storage is per board view; the mock keeps a single instance
+  const createStorage = (store) => ({
+    getItem: async (key) => ({ data: { value: store.has(key) ? store.get(key) : null } }),
+    setItem: async (key, value) => {
+      store.set(key, value);
+      return { data: { success: true } };
+    },
+    deleteItem: async (key) => {
+      store.delete(key);
+      return { data: { success: true } };
+    }
+  });
+
+  return {
+    state,
+    calls,
+
+    getBoard: (boardId) => state.boards.find(board => String(board.id) === String(boardId)) || null,
+
+    api: async (source, apiOptions = {}) => {
+      const variables = apiOptions.variables || {};
+      calls.push({ query: source, variables });
+
+      return { ...executeDocument(source, { query, mutation }, variables), account_id: Number(state.account.id) };
+    },
+
+    get: async (type) => {
+      switch (type) {
+        case 'context':
+          return { data: { theme: 'light', ...context } };
+        case 'sessionToken':
+          return { data: 'mock-session-token' };
+        default:
+          return { data: null };
+      }
+    },
+
+    execute: async () => ({ data: {} }),
+
+    listen: () => () => {},
+
+    storage: {
+      ...createStorage(storage.account),
+      instance: createStorage(storage.instance)
+    }
+  };
+};
+
+export default {
+  createMockMonday
+};
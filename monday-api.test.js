@@ -0,0 +1,123 @@
+import { createMockMonday } from '../../../mocks/mockMonday';
+import fixture from '../../../mocks/fixtures/productBoard.json';
+import {
+  fetchAllItems,
+  fetchItemColumnValues,
+  fetchBoardData,
+  fetchActivityLogs,
+  fetchUsers,
+  fetchWorkspaceBoards,
+  createBoard,
+  updateItemColumnValues,
+  moveItemToGroup
+} from '../mondayApi';
+
+const BOARD_ID = '1001';
+
+describe('mondayApi against the mock API', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('follows item cursors until the last page', async () => {
+    const monday = createMockMonday(fixture);
+    const onProgress = jest.fn();
+
+    const items = await fetchAllItems(monday, BOARD_ID, { pageSize: 4, onProgress });
+
+    expect(items.map(item => item.id)).toEqual(['3001', '3002', '3003', '3004', '3005', '3006']);
+    expect(monday.calls).toHaveLength(2);
+    expect(onProgress).toHaveBeenLastCalledWith({ stage: 'items', loaded: 6, total: 6 });
+  });
+
+  it('pages through every board in a workspace', async () => {
+    const monday = createMockMonday(fixture);
+
+    for (const boardName of ['Roadmap', 'Bugs', 'Releases']) {
+      await createBoard(monday, { boardName, workspaceId: '501' });
+    }
+    await createBoard(monday, { boardName: 'Elsewhere' });
+    monday.calls.length = 0;
+
+    const boards = await fetchWorkspaceBoards(monday, '501', { pageSize: 2 });
+
+    expect(boards.map(board => board.name)).toEqual(['Product Development', 'Roadmap', 'Bugs', 'Releases']);
+    expect(monday.calls).toHaveLength(3);
+  });
+
+  it('reports failures to fetch a workspace\'s boards', async () => {
+    const monday = createMockMonday(fixture, { failOn: { boards: 'Internal error' } });
+
+    await expect(fetchWorkspaceBoards(monday, '501')).rejects.toThrow('Internal error');
+  });
+
+  it('loads a board with its columns, groups and items', async () => {
+    const board = await fetchBoardData(createMockMonday(fixture), BOARD_ID);
+
+    expect(board.name).toBe('Product Development');
+    expect(board.columns.map(column => column.id)).toEqual(['name', 'status', 'person', 'date4', 'numbers']);
+    expect(board.items[0].group).toEqual({ id: 'group_done', title: 'Done' });
+    expect(board.items[0].column_values.find(value => value.id === 'status').text).toBe('Done');
+  });
+
+  it('reports a board that does not exist', async () => {
+    await expect(fetchBoardData(createMockMonday(fixture), '404')).rejects.toThrow('Board not found');
+  });
+
+  it('pages through activity logs, newest first, within the time window', async () => {
+    const monday = createMockMonday(fixture);
+
+    const logs = await fetchActivityLogs(monday, BOARD_ID, { limit: 5 });
+    expect(logs).toHaveLength(21);
+    expect(monday.calls).toHaveLength(5);
+    expect(new Date(logs[0].created_at) >= new Date(logs[20].created_at)).toBe(true);
+
+    const firstDay = await fetchActivityLogs(monday, BOARD_ID, {
+      from: '2024-03-04T00:00:00Z',
+      to: '2024-03-04T23:59:59Z'
+    });
+    expect(firstDay).toHaveLength(6);
+    expect(firstDay.every(log => log.created_at.startsWith('2024-03-04'))).toBe(true);
+  });
+
+  it('logs status changes made through mutations', async () => {
+    const monday = createMockMonday(fixture, { now: () => new Date('2024-03-13T09:00:00Z') });
+
+    await updateItemColumnValues(monday, '3005', { boardId: BOARD_ID, values: { status: { label: 'Done' } } });
+    await moveItemToGroup(monday, '3005', 'group_done');
+
+    const [item] = (await fetchAllItems(monday, BOARD_ID)).filter(candidate => candidate.id === '3005');
+    expect(item.group.title).toBe('Done');
+    expect(item.column_values.find(value => value.id === 'status').text).toBe('Done');
+
+    const [latest] = await fetchActivityLogs(monday, BOARD_ID);
+    expect(latest.created_at).toBe('2024-03-13T09:00:00.000Z');
+    expect(JSON.parse(latest.data)).toMatchObject({
+      column_id: 'status',
+      previous_value: JSON.stringify({ label: 'Review' }),
+      value: JSON.stringify({ label: 'Done' })
+    });
+  });
+
+  it('reads the current values of some of an item\'s columns', async () => {
+    const monday = createMockMonday(fixture);
+    const owners = { personsAndTeams: [{ id: 202, kind: 'person' }, { id: 7, kind: 'team' }] };
+
+    await updateItemColumnValues(monday, '3003', { boardId: BOARD_ID, values: { person: owners } });
+
+    const values = await fetchItemColumnValues(monday, '3003', ['person']);
+    expect(values).toHaveLength(1);
+    expect(JSON.parse(values[0].value)).toEqual(owners);
+    await expect(fetchItemColumnValues(monday, '404', ['person'])).rejects.toThrow('Item not found');
+  });
+
+  it('returns API errors for fields the API does not have', async () => {
+    const monday = createMockMonday(fixture);
+
+    await expect(monday.api('query { boards { id } teams_v2 { id } }')).resolves.toMatchObject({
+      data: { teams_v2: null },
+      errors: [{ message: "Field 'teams_v2' doesn't exist on type 'Query'" }]
+    });
+    expect((await fetchUsers(monday)).map(user => user.name)).toEqual(['Ana Silva', 'Ben Okafor', 'Chen Wei']);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Monday API Errors
+ *
+ * This file contains the error classes for failed monday.com API calls, and functions for
+ * turning the API's error responses into them. Each kind of failure the UI handles
+ * differently (limits, permissions, missing boards, unexpected responses) has its own class.
+ */
+
+// Seconds to wait when a limit error doesn't say when to retry
+export const DEFAULT_RETRY_SECONDS = 10;
+
+const COMPLEXITY_CODES = ['ComplexityException', 'COMPLEXITY_BUDGET_EXHAUSTED', 'maxComplexityExceeded'];
+const RATE_LIMIT_CODES = ['RATE_LIMIT_EXCEEDED', 'RateLimitExceeded', 'DAILY_LIMIT_EXCEEDED', 'CONCURRENCY_LIMIT_EXCEEDED'];
+const PERMISSION_CODES = ['UserUnauthorizedException', 'USER_UNAUTHORIZED', 'Unauthorized', 'missing_scopes', 'not_connected', 'not_authenticated'];
+const NOT_FOUND_CODES = [
+  'ResourceNotFoundException',
+  'NOT_FOUND',
+  'InvalidBoardIdException',
+  'InvalidItemIdException',
+  'InvalidColumnIdException',
+  'InvalidGroupIdException',
+  'InvalidWorkspaceIdException',
+  'InvalidUserIdException'
+];
+
+/**
+ * A failed monday.com API call
+ * code is the API's error code, status the HTTP status (when known) and errors the
+ * API's error list.
+ */
+export class MondayApiError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'MondayApiError';
+    this.code = details.code || 'api_error';
+    this.status = details.status ?? null;
+    this.errors = details.errors || [];
+    if (details.cause) this.cause = details.cause;
+  }
+}
+
+/**
+ * The query cost more than the remaining complexity budget
+ * retryAfterSeconds is when the budget resets.
+ */
+export class MondayComplexityError extends MondayApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'MondayComplexityError';
+    this.retryAfterSeconds = details.retryAfterSeconds ?? DEFAULT_RETRY_SECONDS;
+  }
+}
+
+/**
+ * Too many requests were made in a short time
+ * retryAfterSeconds is when requests are accepted again.
+ */
+export class MondayRateLimitError extends MondayApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'MondayRateLimitError';
+    this.retryAfterSeconds = details.retryAfterSeconds ?? DEFAULT_RETRY_SECONDS;
+  }
+}
+
+/**
+ * The user or the app's token isn't allowed to do this
+ * missingScopes lists the OAuth scopes to grant, when the auth server knows them.
+ */
+export class MondayPermissionError extends MondayApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'MondayPermissionError';
+    this.missingScopes = details.missingScopes || [];
+  }
+}
+
+/**
+ * A board, item, column, group or workspace doesn't exist or isn't visible to the user
+ */
+export class MondayNotFoundError extends MondayApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'MondayNotFoundError';
+  }
+}
+
+/**
+ * The API answered with data that doesn't have the expected shape
+ * validationErrors lists what didn't match.
+ */
+export class MondayResponseError extends MondayApiError {
+  constructor(message, details = {}) {
+    super(message, { code: 'unexpected_response', ...details });
+    this.name = 'MondayResponseError';
+    this.validationErrors = details.validationErrors || [];
+  }
+}
+
+/**
+ * Get the number of seconds to wait before retrying
+ * @param {Object} errorOrResponse - Thrown error or API response with errors
+ * @param {Array} messages - Error messages
+ * @returns {Number} - Seconds to wait
+ */
+const getRetryAfterSeconds = (errorOrResponse, messages) => {
+  const errors = errorOrResponse.errors || [];
+
+  // Prefer an explicit retry hint from the API
+  const retryHint = errors.find(err => err.extensions?.retry_in_seconds)?.extensions.retry_in_seconds;
+  if (retryHint) return retryHint;
+
+  const headerHint = errorOrResponse.headers?.['retry-after'];
+  if (headerHint) return parseInt(headerHint, 10);
+
+  for (const message of messages) {
+    const match = message.match(/reset in (\d+) seconds?/i);
+    if (match) return parseInt(match[1], 10);
+  }
+
+  return DEFAULT_RETRY_SECONDS;
+};
+
+/**
+ * Turn a thrown error or an API response with errors into a MondayApiError
+ * Errors that already are MondayApiErrors are returned as they are.
+ * @param {Object} errorOrResponse - Thrown error or API response with errors
+ * @param {string} fallbackMessage - Message to use when the API gave none
+ * @returns {MondayApiError} - Error of the class matching the failure
+ */
+export const toMondayError = (errorOrResponse, fallbackMessage = 'monday.com API request failed') => {
+  if (errorOrResponse instanceof MondayApiError) return errorOrResponse;
+
+  const source = errorOrResponse || {};
+  const errors = source.errors || [];
+  const status = source.status ?? source.status_code ?? null;
+  const codes = [
+    source.code,
+    source.error_code,
+    ...errors.map(err => err.extensions?.code)
+  ].filter(Boolean);
+  const messages = [
+    source.error_message,
+    ...errors.map(err => err.message),
+    // A thrown error's message already joins its errors' messages
+    errors.length === 0 ? source.message : null
+  ].filter(Boolean);
+
+  const message = messages.join('; ') || fallbackMessage;
+  const details = {
+    code: codes[0],
+    status,
+    errors,
+    cause: source instanceof Error ? source : undefined
+  };
+  const hasCode = (knownCodes) => codes.some(code => knownCodes.includes(code));
+  const hasMessage = (pattern) => messages.some(text => pattern.test(text));
+
+  if (hasCode(COMPLEXITY_CODES) || hasMessage(/complexity budget/i)) {
+    return new MondayComplexityError(message, { ...details, retryAfterSeconds: getRetryAfterSeconds(source, messages) });
+  }
+
+  if (status === 429 || hasCode(RATE_LIMIT_CODES) || hasMessage(/rate limit|too many requests/i)) {
+    return new MondayRateLimitError(message, { ...details, retryAfterSeconds: getRetryAfterSeconds(source, messages) });
+  }
+
+  if (status === 401 || status === 403 || hasCode(PERMISSION_CODES) || hasMessage(/not authorized|unauthorized|permission/i)) {
+    return new MondayPermissionError(message, { ...details, missingScopes: source.missingScopes });
+  }
+
+  if (status === 404 || hasCode(NOT_FOUND_CODES) || hasMessage(/\bnot found\b/i)) {
+    return new MondayNotFoundError(message, details);
+  }
+
+  return new MondayApiError(message, details);
+};
+
+/**
+ * Check whether a failed call can be retried once the limit resets
+ * @param {Error} error - Error from an API call
+ * @returns {boolean} - Whether waiting and retrying may succeed
+ */
+export const isRetryableError = (error) => (
+  error instanceof MondayComplexityError || error instanceof MondayRateLimitError
+);
+
+/**
+ * Describe a failed API call in words the user can act on
+ * @param {Error} error - Error from an API call
+ * @returns {string} - Message for the user
+ */
+export const describeMondayError = (error) => {
+  if (error instanceof MondayComplexityError || error instanceof MondayRateLimitError) {
+    return `monday.com is limiting requests right now. Try again in ${error.retryAfterSeconds} seconds.`;
+  }
+
+  if (error instanceof MondayPermissionError) {
+    return error.missingScopes.length > 0
+      ? `This needs the ${error.missingScopes.join(', ')} permission. Reconnect to monday.com to grant it.`
+      : `monday.com didn't allow this: ${error.message}`;
+  }
+
+  if (error instanceof MondayNotFoundError) {
+    return `${error.message}. It may have been deleted, or you may not have access to it.`;
+  }
+
+  return error?.message || 'Something went wrong';
+};
+
+export default {
+  DEFAULT_RETRY_SECONDS,
+  MondayApiError,
+  MondayComplexityError,
+  MondayRateLimitError,
+  MondayPermissionError,
+  MondayNotFoundError,
+  MondayResponseError,
+  toMondayError,
+  isRetryableError,
+  describeMondayError
+};
@@ -0,0 +1,165 @@
+/**
+ * Monday GraphQL Operations
+ *
+ * This file contains functions for running monday.com GraphQL operations. Every value an
+ * operation needs is passed as a GraphQL variable rather than written into the document,
+ * responses are checked against the shape the operation expects, failures are turned into
+ * the error classes in mondayErrors, and reads can be cached for the length of one request.
+ */
+
+import { validateSchema } from '../../utils/schemaValidation';
+import {
+  MondayResponseError,
+  toMondayError,
+  isRetryableError
+} from './mondayErrors';
+
+// How often to retry an operation that hit a rate or complexity limit
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+const REQUEST_CACHE = Symbol('requestCache');
+
+/**
+ * Define a GraphQL operation
+ * @param {String} name - Name used in error messages, e.g. 'create board'
+ * @param {String} document - GraphQL document using variables for every input
+ * @param {Object} responseSchema - Expected shape of the response data (see utils/schemaValidation)
+ * @returns {Object} - Operation ({ name, document, type, responseSchema })
+ */
+export const defineOperation = (name, document, responseSchema = null) => ({
+  name,
+  document,
+  type: /^\s*mutation\b/.test(document) ? 'mutation' : 'query',
+  responseSchema
+});
+
+/**
+ * Wait for a number of milliseconds
+ * @param {Number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send an operation, waiting and retrying when monday.com reports a rate or complexity limit
+ * @param {Object} monday - Monday SDK instance
+ * @param {Object} operation - Operation from defineOperation
+ * @param {Object} variables - Operation variables
+ * @returns {Promise<Object>} - API response
+ */
+const sendWithRetry = async (monday, operation, variables) => {
+  for (let attempt = 0; ; attempt++) {
+    let error;
+
+    try {
+      const response = await monday.api(operation.document, { variables });
+
+      if (!response || (response.errors && response.errors.length > 0) || response.error_code) {
+        error = toMondayError(response, `Failed to ${operation.name}`);
+      } else {
+        return response;
+      }
+    } catch (thrown) {
+      error = toMondayError(thrown, `Failed to ${operation.name}`);
+    }
+
+    if (!isRetryableError(error) || attempt >= MAX_RATE_LIMIT_RETRIES) {
+      throw error;
+    }
+
+    await wait(error.retryAfterSeconds * 1000);
+  }
+};
+
+/**
+ * Send an operation and validate the response data
+ * @param {Object} monday - Monday SDK instance
+ * @param {Object} operation - Operation from defineOperation
+ * @param {Object} variables - Operation variables
+ * @returns {Promise<Object>} - API response
+ */
+const sendChecked = async (monday, operation, variables) => {
+  const response = await sendWithRetry(monday, operation, variables);
+
+  if (operation.responseSchema) {
+    const validationErrors = validateSchema(response.data, operation.responseSchema, 'data');
+
+    if (validationErrors.length > 0) {
+      throw new MondayResponseError(
+        `Unexpected response to ${operation.name}: ${validationErrors.join('; ')}`,
+        { validationErrors }
+      );
+    }
+  }
+
+  return response;
+};
+
+/**
+ * Run an operation and check its response
+ * Queries run through a client from withRequestCache share their results; mutations
+ * clear that cache so later reads see the change.
+ * @param {Object} monday - Monday SDK instance
+ * @param {Object} operation - Operation from defineOperation
+ * @param {Object} variables - Operation variables
+ * @returns {Promise<Object>} - API response
+ */
+export const runOperation = async (monday, operation, variables = {}) => {
+  const cache = monday[REQUEST_CACHE];
+
+  if (operation.type === 'mutation') {
+    if (cache) cache.clear();
+    return sendChecked(monday, operation, variables);
+  }
+
+  if (!cache) {
+    return sendChecked(monday, operation, variables);
+  }
+
+  const key = `${operation.document}\n${JSON.stringify(variables)}`;
+  if (!cache.has(key)) {
+    // Failed reads aren't kept, so the next call tries again
+    const pending = sendChecked(monday, operation, variables).catch(error => {
+      if (cache.get(key) === pending) cache.delete(key);
+      throw error;
+    });
+    cache.set(key, pending);
+  }
+
+  return cache.get(key);
+};
+
+/**
+ * Get a client that shares query results for the length of one request
+ * Use one for a single analysis run or user action, not for the app's lifetime: the
+ * cache doesn't see changes made elsewhere.
+ * @param {Object} monday - Monday SDK instance
+ * @returns {Object} - Monday SDK client with a request cache
+ */
+export const withRequestCache = (monday) => (
+  monday[REQUEST_CACHE] ? monday : Object.assign(Object.create(monday), { [REQUEST_CACHE]: new Map() })
+);
+
+/**
+ * Schema for an object with the given required fields
+ * @param {Array} required - Required field names
+ * @param {Object} properties - Schemas of fields to check
+ * @returns {Object} - Schema
+ */
+export const objectOf = (required = [], properties = {}) => ({ type: 'object', required, properties });
+
+/**
+ * Schema for a list of objects with the given required fields
+ * @param {Array} required - Required field names
+ * @param {Object} properties - Schemas of fields to check
+ * @returns {Object} - Schema
+ */
+export const listOf = (required = [], properties = {}) => ({ type: 'array', items: objectOf(required, properties) });
+
+export default {
+  defineOperation,
+  runOperation,
+  withRequestCache,
+  objectOf,
+  listOf
+};
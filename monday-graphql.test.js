@@ -0,0 +1,143 @@
+import { createMockMonday } from '../../../mocks/mockMonday';
+import fixture from '../../../mocks/fixtures/productBoard.json';
+import { runOperation, defineOperation, withRequestCache, objectOf, listOf } from '../mondayGraphql';
+import {
+  MondayApiError,
+  MondayComplexityError,
+  MondayRateLimitError,
+  MondayPermissionError,
+  MondayNotFoundError,
+  MondayResponseError,
+  describeMondayError
+} from '../mondayErrors';
+import { createWorkspace, createBoard, fetchBoardData, fetchUsers, deleteItem } from '../mondayApi';
+
+const USERS = defineOperation('fetch users', `
+  query Users {
+    users {
+      id
+      name
+    }
+  }
+`, objectOf(['users'], { users: listOf(['id', 'name']) }));
+
+describe('runOperation', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('passes names as variables, so quotes and GraphQL in them stay text', async () => {
+    const monday = createMockMonday(fixture);
+    const boardName = 'Q3 "launch" board\") { id } delete_board(board_id: 1001) { id } create_board(board_name: \"x';
+
+    const workspace = await createWorkspace(monday, { name: 'Team "A"', description: 'Line one\nLine "two"' });
+    const board = await createBoard(monday, { boardName, workspaceId: workspace.data.create_workspace.id });
+
+    expect(monday.getBoard(board.data.create_board.id).name).toBe(boardName);
+    expect(monday.state.workspaces).toContainEqual(expect.objectContaining({
+      name: 'Team "A"',
+      description: 'Line one\nLine "two"'
+    }));
+    expect(monday.getBoard('1001')).not.toBeNull();
+
+    const { query, variables } = monday.calls[1];
+    expect(query).not.toContain('launch');
+    expect(variables.boardName).toBe(boardName);
+  });
+
+  it('rejects responses without the expected shape', async () => {
+    const monday = { api: async () => ({ data: { users: [{ id: '1' }] } }) };
+
+    const error = await runOperation(monday, USERS).catch(err => err);
+
+    expect(error).toBeInstanceOf(MondayResponseError);
+    expect(error.validationErrors).toEqual(['data.users[0].name is required']);
+  });
+
+  it('waits for the complexity budget and tries again', async () => {
+    const monday = createMockMonday(fixture, {
+      failOn: { users: { message: 'Complexity budget exhausted, reset in 0 seconds', code: 'ComplexityException', times: 1 } }
+    });
+
+    expect(await fetchUsers(monday)).toHaveLength(3);
+    expect(monday.calls).toHaveLength(2);
+  });
+
+  it('gives up on a rate limit that doesn\'t lift', async () => {
+    const monday = createMockMonday(fixture, {
+      failOn: { users: { message: 'Rate limit exceeded, reset in 0 seconds', code: 'RATE_LIMIT_EXCEEDED' } }
+    });
+
+    const error = await fetchUsers(monday).catch(err => err);
+
+    expect(error).toBeInstanceOf(MondayRateLimitError);
+    expect(error.retryAfterSeconds).toBe(0);
+    expect(monday.calls).toHaveLength(6);
+  });
+
+  it('reports missing permissions with the scopes to grant', async () => {
+    const proxyError = Object.assign(new Error('This needs the boards:write permission.'), {
+      status: 403,
+      code: 'missing_scopes',
+      missingScopes: ['boards:write']
+    });
+    const monday = { api: async () => { throw proxyError; } };
+
+    const error = await deleteItem(monday, '3001').catch(err => err);
+
+    expect(error).toBeInstanceOf(MondayPermissionError);
+    expect(error.missingScopes).toEqual(['boards:write']);
+    expect(describeMondayError(error)).toBe('This needs the boards:write permission. Reconnect to monday.com to grant it.');
+  });
+
+  it('tells missing boards and items apart from other failures', async () => {
+    const monday = createMockMonday(fixture);
+
+    await expect(fetchBoardData(monday, '404')).rejects.toBeInstanceOf(MondayNotFoundError);
+    await expect(deleteItem(monday, '404')).rejects.toBeInstanceOf(MondayNotFoundError);
+
+    const invalid = await runOperation(monday, defineOperation('fetch teams', 'query { teams_v2 { id } }')).catch(err => err);
+    expect(invalid).toBeInstanceOf(MondayApiError);
+    expect(invalid).not.toBeInstanceOf(MondayNotFoundError);
+    expect(invalid.code).toBe('undefinedField');
+  });
+});
+
+describe('withRequestCache', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('runs each read once per request', async () => {
+    const monday = createMockMonday(fixture);
+    const client = withRequestCache(monday);
+
+    const [first, second] = await Promise.all([fetchUsers(client), fetchUsers(client)]);
+    await fetchUsers(client);
+
+    expect(second).toBe(first);
+    expect(monday.calls).toHaveLength(1);
+
+    // Without the cache every call goes to the API
+    await fetchUsers(monday);
+    expect(monday.calls).toHaveLength(2);
+  });
+
+  it('reads again after a mutation', async () => {
+    const monday = createMockMonday(fixture);
+    const client = withRequestCache(monday);
+
+    expect((await fetchBoardData(client, '1001')).items).toHaveLength(6);
+    await deleteItem(client, '3006');
+
+    expect((await fetchBoardData(client, '1001')).items).toHaveLength(5);
+  });
+
+  it('doesn\'t keep failed reads', async () => {
+    const monday = createMockMonday(fixture, { failOn: { users: { message: 'Internal error', times: 1 } } });
+    const client = withRequestCache(monday);
+
+    await expect(fetchUsers(client)).rejects.toThrow('Internal error');
+    expect(await fetchUsers(client)).toHaveLength(3);
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * Optimization Engine
+ *
+ * This file contains functions for previewing and applying the change plans attached
+ * to optimization suggestions.
+ */
+
+import {
+  addColumnsToBoard,
+  createGroups,
+  moveItemToGroup,
+  createAutomationRecipe,
+  updateItemColumnValues,
+  updateGroup,
+  changeColumnTitle,
+  deleteColumn
+} from '../api/mondayApi';
+import { createJournalEntry, runWithCompensation } from '../api/changeJournal';
+
+/**
+ * Describe a single change plan step for the diff preview
+ * @param {Object} step - Change plan step
+ * @returns {Object} - Change type ('add', 'move', 'rename', 'update' or 'remove') and display text
+ */
+export const describeChange = (step) => {
+  const { operation, params } = step;
+
+  switch (operation) {
+    case 'add_column':
+      return { type: 'add', text: `Add column "${params.title}" (${params.type})` };
+
+    case 'create_group':
+      return { type: 'add', text: `Create group "${params.name}"` };
+
+    case 'move_item':
+      return {
+        type: 'move',
+        text: `Move "${params.itemName || params.itemId}" from "${params.fromGroup || 'no group'}" to "${params.groupName}"`
+      };
+
+    case 'create_automation':
+      return { type: 'add', text: `Create automation "${params.recipe.title}"` };
+
+    case 'rename_column':
+      return { type: 'rename', text: `Rename column "${params.previousTitle}" to "${params.title}"` };
+
+    case 'copy_column_value':
+      return {
+        type: 'update',
+        text: `Copy "${params.text}" from "${params.fromColumnTitle}" to "${params.columnTitle}" on "${params.itemName || params.itemId}"`
+      };
+
+    case 'delete_column':
+      return {
+        type: 'remove',
+        text: params.mergeIntoTitle
+          ? `Delete column "${params.title}" after merging it into "${params.mergeIntoTitle}"`
+          : `Delete column "${params.title}"`
+      };
+
+    case 'rename_group':
+      return { type: 'rename', text: `Rename group "${params.previousName}" to "${params.name}"` };
+
+    case 'move_group':
+      return {
+        type: 'move',
+        text: params.afterGroupName
+          ? `Move group "${params.groupName}" after "${params.afterGroupName}"`
+          : `Move group "${params.groupName}" before "${params.beforeGroupName}"`
+      };
+
+    default:
+      return { type: 'unknown', text: `Unsupported change: ${operation}` };
+  }
+};
+
+/**
+ * Build a diff preview for a change plan
+ * @param {Array} changePlan - List of change plan steps
+ * @returns {Array} - List of change descriptions
+ */
+export const previewChangePlan = (changePlan) => {
+  return (changePlan || []).map(describeChange);
+};
+
+/**
+ * Check whether a suggestion can be applied automatically
+ * @param {Object} suggestion - Optimization suggestion
+ * @returns {boolean} - Whether the suggestion has an executable change plan
+ */
+export const isExecutable = (suggestion) => {
+  return Array.isArray(suggestion?.changePlan) && suggestion.changePlan.length > 0;
+};
+
+/**
+ * Get the ID of a group a step refers to by ID, or by title when the plan creates it
+ * @param {String} groupId - ID of the group (if it existed when the plan was built)
+ * @param {String} groupName - Title of the group
+ * @param {Object} groupIdsByName - Group IDs keyed by lowercase group title
+ * @returns {String} - ID of the group
+ */
+const resolveGroupId = (groupId, groupName, groupIdsByName) => {
+  const id = groupId || groupIdsByName[(groupName || '').toLowerCase()];
+  if (!id) throw new Error(`Group "${groupName}" does not exist on the board`);
+  return id;
+};
+
+/**
+ * Run a single change plan step against the board
+ * @param {Object} monday - Monday SDK instance
+ * @param {String} boardId - ID of the board
+ * @param {Object} step - Change plan step
+ * @param {Object} groupIdsByName - Group IDs keyed by lowercase group title (updated in place)
+ * @returns {Promise<Object|Array>} - Journal entry (or entries) for the step
+ */
+const executeStep = async (monday, boardId, step, groupIdsByName) => {
+  const { operation, params } = step;
+
+  switch (operation) {
+    case 'add_column': {
+      const [column] = await addColumnsToBoard(monday, boardId, [{ title: params.title, type: params.type, labels: params.labels }]);
+      if (!column) throw new Error(`Column "${params.title}" was not created`);
+      return createJournalEntry('create_column', { boardId, title: params.title }, column);
+    }
+
+    case 'create_group': {
+      const [group] = await createGroups(monday, boardId, [params.name]);
+      if (!group) throw new Error(`Group "${params.name}" was not created`);
+
+      groupIdsByName[params.name.toLowerCase()] = group.id;
+      return createJournalEntry('create_group', { boardId, name: params.name }, group);
+    }
+
+    case 'move_item': {
+      const groupId = params.groupId || groupIdsByName[params.groupName.toLowerCase()];
+      if (!groupId) throw new Error(`Group "${params.groupName}" does not exist on the board`);
+
+      const response = await moveItemToGroup(monday, params.itemId, groupId);
+      return createJournalEntry('move_item', {
+        itemId: params.itemId,
+        itemName: params.itemName,
+        groupId,
+        previousGroupId: params.fromGroupId
+      }, response.data.move_item_to_group);
+    }
+
+    case 'create_automation': {
+      const recipe = await createAutomationRecipe(monday, boardId, params.recipe);
+      return createJournalEntry('create_automation', { boardId, title: recipe.title }, recipe);
+    }
+
+    case 'rename_column': {
+      const response = await changeColumnTitle(monday, boardId, params.columnId, params.title);
+      return createJournalEntry('rename_column', {
+        boardId,
+        columnId: params.columnId,
+        title: params.title,
+        previousTitle: params.previousTitle
+      }, response.data.change_column_title);
+    }
+
+    case 'copy_column_value': {
+      const values = { [params.columnId]: params.value };
+      const response = await updateItemColumnValues(monday, params.itemId, { boardId, values });
+      return createJournalEntry('change_column_values', {
+        itemId: params.itemId,
+        boardId,
+        values,
+        previousValues: { [params.columnId]: params.previousValue },
+        sourceColumnId: params.fromColumnId
+      }, response.data.change_multiple_column_values);
+    }
+
+    case 'delete_column': {
+      const response = await deleteColumn(monday, boardId, params.columnId);
+      return createJournalEntry('delete_column', { boardId, columnId: params.columnId, title: params.title }, response.data.delete_column);
+    }
+
+    case 'rename_group': {
+      const groupId = resolveGroupId(params.groupId, params.previousName, groupIdsByName);
+      const response = await updateGroup(monday, boardId, groupId, 'title', params.name);
+
+      groupIdsByName[params.name.toLowerCase()] = groupId;
+      return createJournalEntry('rename_group', {
+        boardId,
+        groupId,
+        name: params.name,
+        previousName: params.previousName
+      }, response.data.update_group);
+    }
+
+    case 'move_group': {
+      const groupId = resolveGroupId(params.groupId, params.groupName, groupIdsByName);
+      const response = params.afterGroupName
+        ? await updateGroup(monday, boardId, groupId, 'relative_position_after',
+          resolveGroupId(params.afterGroupId, params.afterGroupName, groupIdsByName))
+        : await updateGroup(monday, boardId, groupId, 'relative_position_before',
+          resolveGroupId(params.beforeGroupId, params.beforeGroupName, groupIdsByName));
+
+      // A group created by the same plan is deleted when the plan is undone, so its
+      // position doesn't need restoring
+      if (!params.groupId) return [];
+
+      return createJournalEntry('move_group', {
+        boardId,
+        groupId,
+        groupName: params.groupName,
+        previousAfterGroupId: params.previousAfterGroupId,
+        previousBeforeGroupId: params.previousBeforeGroupId
+      }, response.data.update_group);
+    }
+
+    default:
+      throw new Error(`Unsupported change: ${operation}`);
+  }
+};
+
+/**
+ * Apply a change plan to a board, undoing the applied steps if a later step fails
+ * @param {Object} monday - Monday SDK instance
+ * @param {String} boardId - ID of the board
+ * @param {Array} changePlan - List of change plan steps
+ * @param {Object} boardData - Current board data (used to resolve group names)
+ * @returns {Promise<Object>} - Result with success flag, journal entries and error details
+ */
+export const executeChangePlan = async (monday, boardId, changePlan, boardData = {}) => {
+  const groupIdsByName = {};
+  (boardData.groups || []).forEach(group => {
+    groupIdsByName[group.title.toLowerCase()] = group.id;
+  });
+
+  let completedCount = 0;
+
+  try {
+    const entries = await runWithCompensation(monday, changePlan.map(step => async () => {
+      const entry = await executeStep(monday, boardId, step, groupIdsByName);
+      completedCount += 1;
+      return entry;
+    }));
+
+    return {
+      success: true,
+      entries,
+      completedCount,
+      failedStep: null,
+      rolledBack: false,
+      error: null
+    };
+  } catch (error) {
+    console.error('Failed to apply change plan:', error);
+
+    return {
+      success: false,
+      entries: error.remainingEntries || [],
+      completedCount,
+      failedStep: changePlan[completedCount],
+      rolledBack: Boolean(error.compensated),
+      error: error.message
+    };
+  }
+};
+
+export default {
+  describeChange,
+  previewChangePlan,
+  isExecutable,
+  executeChangePlan
+};
@@ -0,0 +1,276 @@
+/**
+ * Portfolio Analysis
+ *
+ * This file contains functions for running the workflow analysis across every board in a
+ * workspace: scores are normalized so boards can be ranked against each other, and open
+ * work is totalled per person so overload that is spread over several boards shows up.
+ */
+
+import { fetchBoardAnalysisData } from '../api/mondayApi';
+import {
+  analyzeWorkflowStructure,
+  extractStatusChanges,
+  calculateTimeInStatus,
+  identifyBottlenecks
+} from './workflowAnalysis';
+import { getTerminalStatuses, buildTerminalStatusMatcher } from './bottleneckAnalysis';
+import { calculateTimeMetrics } from './timeMetrics';
+import { getBoardColumnMapping, getMappedValue } from './columnMapping';
+import { median, mean } from '../../utils/statistics';
+
+// Weight of each bottleneck severity in a board's bottleneck score
+const SEVERITY_WEIGHTS = { high: 3, medium: 2, low: 1 };
+
+// People with this multiple of the typical open-item count are overloaded
+export const OVERLOAD_FACTOR = 1.5;
+
+// Below this many open items nobody counts as overloaded, however uneven the split
+const MIN_OVERLOAD_ITEMS = 5;
+
+/**
+ * Count open items per person on a board
+ * @param {Array} items - Board items
+ * @param {Function} isTerminal - Check for done statuses
+ * @param {Object} columnMapping - Column ID per role
+ * @returns {Object} - Open item count keyed by person name
+ */
+const countOpenItemsByPerson = (items, isTerminal, columnMapping) => {
+  const counts = {};
+
+  items.forEach(item => {
+    const statusColumn = getMappedValue(item, columnMapping.status);
+    if (statusColumn?.text && isTerminal(statusColumn.text)) return;
+
+    // People are matched across boards by name, since that's what every board shares
+    const personColumn = getMappedValue(item, columnMapping.owner);
+    if (!personColumn?.text) return;
+
+    personColumn.text.split(', ').forEach(person => {
+      counts[person] = (counts[person] || 0) + 1;
+    });
+  });
+
+  return counts;
+};
+
+/**
+ * Run the workflow analysis on one board and summarize it for the portfolio
+ * @param {Object} monday - Monday SDK instance
+ * @param {Object} board - Board (id, name)
+ * @param {Object} options - Options (from, to, timeFrame)
+ * @returns {Promise<Object>} - Board summary
+ */
+export const analyzeBoardForPortfolio = async (monday, board, options = {}) => {
+  const { from, to, timeFrame = '30days' } = options;
+
+  const boardData = await fetchBoardAnalysisData(monday, board.id, { from, to });
+  const columnMapping = getBoardColumnMapping(boardData);
+  const structure = await analyzeWorkflowStructure(boardData, { columnMapping });
+  const statusChanges = extractStatusChanges(boardData.activity_logs, { statusColumnId: columnMapping.status });
+  const terminalStatuses = getTerminalStatuses(boardData, { statusColumnId: columnMapping.status });
+  const bottlenecks = identifyBottlenecks(calculateTimeInStatus(statusChanges), { terminalStatuses });
+  const timeMetrics = calculateTimeMetrics(statusChanges, {
+    timeFrame,
+    items: boardData.items,
+    doneStatuses: terminalStatuses
+  });
+
+  // Same overall score the assistant reports for a single board
+  const efficiency = Math.round((
+    (structure.workflow?.efficiency || 0) +
+    (structure.columns?.efficiency || 0) +
+    (structure.groups?.efficiency || 0)
+  ) / 3);
+
+  return {
+    boardId: String(board.id),
+    boardName: board.name,
+    itemCount: boardData.items.length,
+    efficiency,
+    incompleteItemCount: structure.workflow?.incompleteItems?.length || 0,
+    bottlenecks: bottlenecks.map(bottleneck => ({
+      status: bottleneck.status,
+      medianTimeHours: bottleneck.medianTimeHours,
+      ratio: bottleneck.ratio,
+      severity: bottleneck.severity
+    })),
+    bottleneckScore: bottlenecks.reduce((sum, bottleneck) => sum + (SEVERITY_WEIGHTS[bottleneck.severity] || 0), 0),
+    cycleTimeDays: timeMetrics.cycleTime.average,
+    throughput: timeMetrics.throughput.value,
+    openItemsByPerson: countOpenItemsByPerson(
+      boardData.items,
+      buildTerminalStatusMatcher(terminalStatuses),
+      columnMapping
+    )
+  };
+};
+
+/**
+ * Scale values to 0-100 across boards, where 100 is the best board
+ * @param {Array} values - Values (null where a board has no data)
+ * @param {boolean} higherIsBetter - Whether larger values are better
+ * @returns {Array} - Normalized values (null where the input was null)
+ */
+const normalizeScores = (values, higherIsBetter) => {
+  const known = values.filter(value => typeof value === 'number');
+  if (known.length === 0) return values.map(() => null);
+
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+
+  return values.map(value => {
+    if (typeof value !== 'number') return null;
+    if (max === min) return 100;
+
+    const scaled = ((value - min) / (max - min)) * 100;
+    return Math.round(higherIsBetter ? scaled : 100 - scaled);
+  });
+};
+
+/**
+ * Rank boards by their normalized scores
+ * @param {Array} boardSummaries - Summaries from analyzeBoardForPortfolio
+ * @returns {Array} - Summaries with normalized scores and ranks, best first
+ */
+export const rankBoards = (boardSummaries) => {
+  const efficiencyScores = normalizeScores(boardSummaries.map(board => board.efficiency), true);
+  const bottleneckScores = normalizeScores(boardSummaries.map(board => board.bottleneckScore), false);
+  const cycleTimeScores = normalizeScores(boardSummaries.map(board => board.cycleTimeDays), false);
+
+  const scored = boardSummaries.map((board, index) => {
+    const scores = {
+      efficiency: efficiencyScores[index],
+      bottlenecks: bottleneckScores[index],
+      cycleTime: cycleTimeScores[index]
+    };
+
+    return {
+      ...board,
+      scores,
+      portfolioScore: Math.round(mean(Object.values(scores).filter(score => score !== null)) || 0)
+    };
+  });
+
+  const rankBy = (key) => {
+    const order = [...scored].sort(key);
+    return (board) => order.indexOf(board) + 1;
+  };
+
+  const efficiencyRank = rankBy((a, b) => b.efficiency - a.efficiency);
+  const bottleneckRank = rankBy((a, b) => b.bottleneckScore - a.bottleneckScore);
+
+  return scored
+    .map(board => ({
+      ...board,
+      efficiencyRank: efficiencyRank(board),
+      // 1 is the board with the most severe bottlenecks
+      bottleneckRank: bottleneckRank(board)
+    }))
+    .sort((a, b) => b.portfolioScore - a.portfolioScore)
+    .map((board, index) => ({ ...board, rank: index + 1 }));
+};
+
+/**
+ * Find people whose open work across all boards is well above what is typical
+ * @param {Array} boardSummaries - Summaries from analyzeBoardForPortfolio
+ * @param {Object} options - Options (factor)
+ * @returns {Array} - People (name, totalOpenItems, boards, overloaded, overloadedOnBoards), busiest first
+ */
+export const findCrossBoardOverload = (boardSummaries, options = {}) => {
+  const { factor = OVERLOAD_FACTOR } = options;
+  const people = {};
+
+  boardSummaries.forEach(board => {
+    const boardCounts = Object.values(board.openItemsByPerson);
+    const boardTypical = median(boardCounts);
+
+    Object.entries(board.openItemsByPerson).forEach(([name, openItems]) => {
+      if (!people[name]) {
+        people[name] = { name, totalOpenItems: 0, boards: [], overloadedOnBoards: 0 };
+      }
+
+      const overloadedHere = openItems >= MIN_OVERLOAD_ITEMS && openItems >= boardTypical * factor;
+
+      people[name].totalOpenItems += openItems;
+      people[name].boards.push({ boardId: board.boardId, boardName: board.boardName, openItems, overloaded: overloadedHere });
+      if (overloadedHere) people[name].overloadedOnBoards++;
+    });
+  });
+
+  const typical = median(Object.values(people).map(person => person.totalOpenItems));
+
+  return Object.values(people)
+    .map(person => ({
+      ...person,
+      boards: person.boards.sort((a, b) => b.openItems - a.openItems),
+      ratio: typical ? person.totalOpenItems / typical : null,
+      overloaded: person.totalOpenItems >= MIN_OVERLOAD_ITEMS && person.totalOpenItems >= typical * factor
+    }))
+    .sort((a, b) => b.totalOpenItems - a.totalOpenItems);
+};
+
+/**
+ * Run the workflow analysis across a set of boards, one board at a time
+ * @param {Object} monday - Monday SDK instance
+ * @param {Array} boards - Boards to analyze (id, name)
+ * @param {Object} options - Options (from, to, timeFrame, onProgress)
+ * @returns {Promise<Object>} - Ranked boards, people, failed boards and averages
+ */
+export const analyzePortfolio = async (monday, boards, options = {}) => {
+  const { onProgress = null } = options;
+  const summaries = [];
+  const failedBoards = [];
+
+  // Boards are analyzed in turn so the portfolio doesn't exhaust the API complexity budget
+  for (let i = 0; i < boards.length; i++) {
+    const board = boards[i];
+    if (onProgress) onProgress({ stage: 'boards', loaded: i, total: boards.length, boardName: board.name });
+
+    try {
+      summaries.push(await analyzeBoardForPortfolio(monday, board, options));
+    } catch (error) {
+      console.error(`Failed to analyze board ${board.name}:`, error);
+      failedBoards.push({ boardId: String(board.id), boardName: board.name, error: error.message });
+    }
+  }
+
+  if (onProgress) onProgress({ stage: 'boards', loaded: boards.length, total: boards.length });
+
+  const rankedBoards = rankBoards(summaries);
+  const people = findCrossBoardOverload(summaries);
+
+  return {
+    boards: rankedBoards,
+    people,
+    overloadedPeople: people.filter(person => person.overloaded),
+    failedBoards,
+    averages: {
+      efficiency: summaries.length ? Math.round(mean(summaries.map(board => board.efficiency))) : null,
+      bottleneckScore: summaries.length ? mean(summaries.map(board => board.bottleneckScore)) : null,
+      cycleTimeDays: mean(summaries.map(board => board.cycleTimeDays).filter(value => value !== null))
+    },
+    analyzedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Find where a board stands in a portfolio
+ * @param {Object} portfolio - Result of analyzePortfolio
+ * @param {string} boardId - ID of the board
+ * @returns {Object|null} - Board summary with rank and board count (null if not in the portfolio)
+ */
+export const getBoardPosition = (portfolio, boardId) => {
+  if (!portfolio) return null;
+
+  const board = portfolio.boards.find(summary => summary.boardId === String(boardId));
+  return board ? { ...board, boardCount: portfolio.boards.length } : null;
+};
+
+export default {
+  OVERLOAD_FACTOR,
+  analyzeBoardForPortfolio,
+  rankBoards,
+  findCrossBoardOverload,
+  analyzePortfolio,
+  getBoardPosition
+};
@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { MondayContext } from '../../context/MondayContext';
+import { AnalysisContext } from '../../context/AnalysisContext';
+import './PortfolioAnalyzer.css';
+
+const PortfolioAnalyzer = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { workspaces } = useContext(MondayContext);
+  const {
+    runPortfolioAnalysis,
+    portfolioResults,
+    portfolioLoading,
+    portfolioProgress,
+    analysisError
+  } = useContext(AnalysisContext);
+
+  const [workspaceId, setWorkspaceId] = useState(searchParams.get('workspace') || '');
+
+  // Default to the first workspace once they have loaded
+  useEffect(() => {
+    if (!workspaceId && workspaces.length > 0) {
+      setWorkspaceId(String(workspaces[0].id));
+    }
+  }, [workspaces, workspaceId]);
+
+  const startAnalysis = async () => {
+    if (!workspaceId) return;
+
+    try {
+      await runPortfolioAnalysis(workspaceId);
+    } catch (err) {
+      console.error('Failed to run portfolio analysis:', err);
+    }
+  };
+
+  // Results are only shown for the workspace they were run on
+  const results = portfolioResults?.workspaceId === String(workspaceId) ? portfolioResults : null;
+
+  const getProgressLabel = () => {
+    if (!portfolioProgress) return 'Loading boards...';
+
+    const { loaded, total, boardName } = portfolioProgress;
+    return boardName
+      ? `Analyzing "${boardName}" (${loaded + 1} of ${total})`
+      : `Analyzed ${loaded} of ${total} boards`;
+  };
+
+  const formatValue = (value, unit) => (value === null || value === undefined ? '–' : `${value}${unit}`);
+
+  return (
+    <div className="portfolio-analyzer">
+      <div className="analyzer-header">
+        <h1>Portfolio Analysis</h1>
+        <div className="analyzer-actions">
+          <select value={workspaceId} onChange={(e) => setWorkspaceId(e.target.value)}>
+            {workspaces.map(workspace => (
+              <option key={workspace.id} value={workspace.id}>{workspace.name}</option>
+            ))}
+          </select>
+          <button
+            className="start-analysis-btn"
+            onClick={startAnalysis}
+            disabled={portfolioLoading || !workspaceId}
+          >
+            {portfolioLoading ? 'Analyzing...' : results ? 'Refresh Analysis' : 'Analyze Workspace'}
+          </button>
+        </div>
+      </div>
+
+      {analysisError && (
+        <div className="error-message">
+          <p>{analysisError}</p>
+        </div>
+      )}
+
+      {portfolioLoading ? (
+        <div className="loading">
+          {portfolioProgress?.total ? (
+            <div className="progress-bar">
+              <div
+                className="progress-bar-fill"
+                style={{ width: `${Math.round((portfolioProgress.loaded / portfolioProgress.total) * 100)}%` }}
+              ></div>
+            </div>
+          ) : (
+            <div className="spinner"></div>
+          )}
+          <p>{getProgressLabel()}</p>
+        </div>
+      ) : !results ? (
+        <div className="start-analysis-prompt">
+          <p>Analyze every board in a workspace to compare their efficiency and bottlenecks.</p>
+          <p>Boards are analyzed one at a time, so large workspaces can take a few minutes.</p>
+        </div>
+      ) : (
+        <>
+          <div className="summary-metrics">
+            <div className="metric-card">
+              <h3>Boards Analyzed</h3>
+              <div className="metric-value">{results.boards.length}</div>
+            </div>
+            <div className="metric-card">
+              <h3>Average Efficiency</h3>
+              <div className="metric-value">{formatValue(results.averages.efficiency, '%')}</div>
+            </div>
+            <div className="metric-card">
+              <h3>Overloaded People</h3>
+              <div className="metric-value">{results.overloadedPeople.length}</div>
+            </div>
+          </div>
+
+          <div className="visualization-section">
+            <h2>Board Ranking</h2>
+            <p>Scores are scaled from 0 (worst) to 100 (best) within this workspace.</p>
+            <table className="portfolio-table">
+              <thead>
+                <tr>
+                  <th>Rank</th>
+                  <th>Board</th>
+                  <th>Score</th>
+                  <th>Efficiency</th>
+                  <th>Bottlenecks</th>
+                  <th>Avg. Cycle Time</th>
+                  <th>Throughput</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.boards.map(board => (
+                  <tr key={board.boardId}>
+                    <td>{board.rank}</td>
+                    <td>
+                      <button className="link-btn" onClick={() => navigate(`/analyze/${board.boardId}`)}>
+                        {board.boardName}
+                      </button>
+                    </td>
+                    <td><strong>{board.portfolioScore}</strong></td>
+                    <td>{board.efficiency}%</td>
+                    <td>
+                      {board.bottlenecks.length === 0 ? 'None' : board.bottlenecks.map(bottleneck => (
+                        <span key={bottleneck.status} className={`severity-tag ${bottleneck.severity}`}>
+                          {bottleneck.status}
+                        </span>
+                      ))}
+                    </td>
+                    <td>{formatValue(board.cycleTimeDays, ' days')}</td>
+                    <td>{board.throughput}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {results.failedBoards.length > 0 && (
+              <p className="portfolio-failed">
+                Could not analyze: {results.failedBoards.map(board => board.boardName).join(', ')}
+              </p>
+            )}
+          </div>
+
+          <div className="visualization-section">
+            <h2>Workload Across Boards</h2>
+            {results.people.length === 0 ? (
+              <p>No items are assigned to anyone on these boards.</p>
+            ) : (
+              <table className="portfolio-table">
+                <thead>
+                  <tr>
+                    <th>Person</th>
+                    <th>Open Items</th>
+                    <th>Boards</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.people.map(person => (
+                    <tr key={person.name} className={person.overloaded ? 'overloaded' : ''}>
+                      <td>{person.name}</td>
+                      <td>{person.totalOpenItems}</td>
+                      <td>
+                        {person.boards.map(board => `${board.boardName} (${board.openItems})`).join(', ')}
+                      </td>
+                      <td>
+                        {person.overloaded && (
+                          <span className="overload-badge">
+                            {person.overloadedOnBoards === 0 ? 'Overloaded across boards' : 'Overloaded'}
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PortfolioAnalyzer;
@@ -0,0 +1,191 @@
+/**
+ * Process Mining
+ *
+ * This file contains functions for mining the status changes produced by
+ * extractStatusChanges: transition times, rework loops and the most common
+ * end-to-end paths items take through the workflow.
+ */
+
+import { median, percentile } from '../../utils/statistics';
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+/**
+ * Group status changes by item, sorted by time
+ * @param {Array} statusChanges - List of status changes
+ * @returns {Object} - Status changes keyed by item ID
+ */
+const groupChangesByItem = (statusChanges) => {
+  const changesByItem = {};
+
+  statusChanges.forEach(change => {
+    if (!change.itemId) return;
+
+    if (!changesByItem[change.itemId]) {
+      changesByItem[change.itemId] = [];
+    }
+
+    changesByItem[change.itemId].push(change);
+  });
+
+  Object.values(changesByItem).forEach(changes => {
+    changes.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+  });
+
+  return changesByItem;
+};
+
+/**
+ * Get the sequence of statuses an item went through
+ * @param {Array} changes - Item's status changes, sorted by time
+ * @returns {Array} - Status path
+ */
+const getItemPath = (changes) => {
+  const path = [];
+
+  if (changes.length > 0 && changes[0].previousStatus) {
+    path.push(changes[0].previousStatus);
+  }
+
+  changes.forEach(change => {
+    if (change.newStatus && path[path.length - 1] !== change.newStatus) {
+      path.push(change.newStatus);
+    }
+  });
+
+  return path;
+};
+
+/**
+ * Calculate how long items spend in a status before each outgoing transition
+ * @param {Array} statusChanges - List of status changes
+ * @returns {Object} - Nested map from status to next status with count, medianHours and p85Hours
+ */
+export const analyzeTransitionTimes = (statusChanges) => {
+  const durations = {};
+
+  Object.values(groupChangesByItem(statusChanges || [])).forEach(changes => {
+    // The first change has no known entry time into its previous status
+    for (let i = 1; i < changes.length; i++) {
+      const from = changes[i].previousStatus || changes[i - 1].newStatus;
+      const to = changes[i].newStatus;
+      if (!from || !to) continue;
+
+      const hours = (new Date(changes[i].timestamp) - new Date(changes[i - 1].timestamp)) / MS_PER_HOUR;
+
+      if (!durations[from]) durations[from] = {};
+      if (!durations[from][to]) durations[from][to] = [];
+
+      durations[from][to].push(hours);
+    }
+  });
+
+  const transitionTimes = {};
+
+  Object.entries(durations).forEach(([from, targets]) => {
+    transitionTimes[from] = {};
+
+    Object.entries(targets).forEach(([to, hours]) => {
+      transitionTimes[from][to] = {
+        count: hours.length,
+        medianHours: median(hours),
+        p85Hours: percentile(hours, 85)
+      };
+    });
+  });
+
+  return transitionTimes;
+};
+
+/**
+ * Find rework loops: moves back to a status the item first reached before its current one
+ * @param {Array} statusChanges - List of status changes
+ * @returns {Array} - Rework loops (from, to, count, itemCount, itemIds), most frequent first
+ */
+export const findReworkLoops = (statusChanges) => {
+  const loops = {};
+
+  Object.entries(groupChangesByItem(statusChanges || [])).forEach(([itemId, changes]) => {
+    // Order in which the item first reached each status
+    const firstVisit = {};
+    getItemPath(changes).forEach((status, index) => {
+      if (firstVisit[status] === undefined) firstVisit[status] = index;
+    });
+
+    changes.forEach(change => {
+      const { previousStatus: from, newStatus: to } = change;
+      if (!from || !to) return;
+
+      if (firstVisit[to] < firstVisit[from]) {
+        const key = `${from}\u0000${to}`;
+
+        if (!loops[key]) {
+          loops[key] = { from, to, count: 0, itemIds: new Set() };
+        }
+
+        loops[key].count++;
+        loops[key].itemIds.add(itemId);
+      }
+    });
+  });
+
+  return Object.values(loops)
+    .map(loop => ({
+      from: loop.from,
+      to: loop.to,
+      count: loop.count,
+      itemCount: loop.itemIds.size,
+      itemIds: Array.from(loop.itemIds)
+    }))
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Find the most common end-to-end paths items take through the workflow
+ * @param {Array} statusChanges - List of status changes
+ * @param {Object} options - Options (limit)
+ * @returns {Array} - Paths (path, count, share), most frequent first
+ */
+export const findCommonPaths = (statusChanges, options = {}) => {
+  const { limit = 10 } = options;
+  const pathCounts = {};
+  let itemCount = 0;
+
+  Object.values(groupChangesByItem(statusChanges || [])).forEach(changes => {
+    const path = getItemPath(changes);
+    if (path.length < 2) return;
+
+    const key = path.join('\u0000');
+    pathCounts[key] = (pathCounts[key] || 0) + 1;
+    itemCount++;
+  });
+
+  return Object.entries(pathCounts)
+    .map(([key, count]) => ({
+      path: key.split('\u0000'),
+      count,
+      share: count / itemCount
+    }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+};
+
+/**
+ * Run all process-mining views over a set of status changes
+ * @param {Array} statusChanges - List of status changes
+ * @returns {Object} - Transition times, rework loops and common paths
+ */
+export const mineProcess = (statusChanges) => {
+  return {
+    transitionTimes: analyzeTransitionTimes(statusChanges),
+    reworkLoops: findReworkLoops(statusChanges),
+    commonPaths: findCommonPaths(statusChanges)
+  };
+};
+
+export default {
+  analyzeTransitionTimes,
+  findReworkLoops,
+  findCommonPaths,
+  mineProcess
+};
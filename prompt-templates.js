@@ -0,0 +1,276 @@
+/**
+ * Prompt Templates
+ *
+ * This file contains the prompt templates used with Claude. Each template builds prompt
+ * sections from board structure and analysis data, and declares the JSON schema its
+ * output has to match.
+ */
+
+import {
+  sendMessage,
+  estimateTokens,
+  fitSectionsToBudget,
+  parseJsonResponse,
+  DEFAULT_INPUT_TOKEN_BUDGET
+} from './claudeClient';
+import { assertSchema } from '../../utils/schemaValidation';
+
+const COLUMN_TYPES = [
+  'status', 'people', 'dropdown', 'numbers', 'date', 'text', 'long_text',
+  'timeline', 'checkbox', 'rating', 'link', 'email', 'phone', 'tags', 'dependency'
+];
+
+const IMPACT_LEVELS = ['high', 'medium', 'low'];
+
+const BASE_SYSTEM_PROMPT = `You are the Monday.com Workflow Assistant. You help teams understand and improve their boards.
+Only use facts from the board data and analysis provided. If the data doesn't answer the question, say so.
+Respond with a single JSON object that matches the requested shape, and nothing else.`;
+
+/**
+ * Summarize a board's structure for a prompt
+ * @param {Object} board - Board data
+ * @returns {string|null} - JSON summary of the board
+ */
+export const summarizeBoard = (board) => {
+  if (!board) return null;
+
+  return JSON.stringify({
+    id: board.id,
+    name: board.name,
+    columns: (board.columns || []).map(column => ({ title: column.title, type: column.type })),
+    groups: (board.groups || []).map(group => group.title),
+    itemCount: board.items?.length
+  });
+};
+
+/**
+ * Summarize analysis results for a prompt
+ * @param {Object} analysisResults - Results of workflow analysis
+ * @returns {string|null} - JSON summary of the analysis
+ */
+export const summarizeAnalysis = (analysisResults) => {
+  if (!analysisResults) return null;
+  return JSON.stringify(analysisResults);
+};
+
+/**
+ * Summarize a workspace portfolio analysis for a prompt
+ * @param {Object} portfolioResults - Results of the portfolio analysis
+ * @returns {string|null} - JSON summary of board rankings and overloaded people
+ */
+export const summarizePortfolio = (portfolioResults) => {
+  if (!portfolioResults) return null;
+
+  return JSON.stringify({
+    averages: portfolioResults.averages,
+    boards: portfolioResults.boards.map(({ openItemsByPerson, ...board }) => board),
+    overloadedPeople: portfolioResults.overloadedPeople.map(person => ({
+      name: person.name,
+      totalOpenItems: person.totalOpenItems,
+      boards: person.boards.map(board => ({ boardName: board.boardName, openItems: board.openItems }))
+    }))
+  });
+};
+
+/**
+ * Summarize earlier conversation turns for a prompt
+ * @param {Array} history - List of { role, content }
+ * @returns {string|null} - Transcript of the turns
+ */
+export const summarizeHistory = (history) => {
+  if (!history || history.length === 0) return null;
+  return history.map(turn => `${turn.role}: ${turn.content}`).join('\n');
+};
+
+// Answer a user's question, starting from the rule-based draft
+export const ASSISTANT_RESPONSE_TEMPLATE = {
+  name: 'assistant_response',
+  maxTokens: 800,
+  system: `${BASE_SYSTEM_PROMPT}
+
+Write "text" and "suggestedFollowUps" in the answer language.
+Shape:
+{
+  "text": answer to the user in plain prose (at most 4 short paragraphs),
+  "suggestedFollowUps": up to 4 short questions the user could ask next
+}`,
+  buildSections: ({ query, queryAnalysis, draft, selectedBoard, analysisResults, portfolioResults, history, language = 'English' }) => [
+    { name: 'Answer language', content: language, priority: 10 },
+    { name: 'Conversation so far', content: summarizeHistory(history), priority: 7 },
+    { name: 'User request', content: query || queryAnalysis.entities?.query, priority: 10 },
+    { name: 'Detected intent', content: JSON.stringify({ intent: queryAnalysis.intent, entities: queryAnalysis.entities }), priority: 9 },
+    { name: 'Draft answer', content: draft?.text, priority: 8 },
+    { name: 'Board', content: summarizeBoard(selectedBoard), priority: 6 },
+    { name: 'Analysis results', content: summarizeAnalysis(analysisResults), priority: 4 },
+    { name: 'Workspace comparison', content: summarizePortfolio(portfolioResults), priority: 5 }
+  ],
+  schema: {
+    type: 'object',
+    required: ['text'],
+    properties: {
+      text: { type: 'string', minLength: 1 },
+      suggestedFollowUps: { type: 'array', maxItems: 4, items: { type: 'string', minLength: 1 } }
+    }
+  }
+};
+
+// Design a board from a description
+export const WORKFLOW_GENERATION_TEMPLATE = {
+  name: 'workflow_generation',
+  maxTokens: 1500,
+  system: `${BASE_SYSTEM_PROMPT}
+
+Design a Monday.com board for the workflow the user describes.
+Shape:
+{
+  "board_name": short board name,
+  "columns": [{"title": column title, "type": one of ${COLUMN_TYPES.join(', ')}, "labels": [label names, for status and dropdown columns only]}],
+  "groups": [group names, in workflow order],
+  "roles": [team roles involved],
+  "initial_tasks": [{"name": task name, "group": one of the groups, "owner_role": one of the roles, "status": status label}]
+}
+Always include a "Status" column of type status and an owner column of type people.
+The Status labels must include every status used by initial_tasks.`,
+  buildSections: ({ description }) => [
+    { name: 'Workflow description', content: description, priority: 10 }
+  ],
+  schema: {
+    type: 'object',
+    required: ['board_name', 'columns', 'groups', 'roles', 'initial_tasks'],
+    properties: {
+      board_name: { type: 'string', minLength: 1 },
+      columns: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['title', 'type'],
+          properties: {
+            title: { type: 'string', minLength: 1 },
+            type: { type: 'string', enum: COLUMN_TYPES },
+            labels: { type: 'array', items: { type: 'string', minLength: 1 } }
+          }
+        }
+      },
+      groups: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+      roles: { type: 'array', items: { type: 'string', minLength: 1 } },
+      initial_tasks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'group'],
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            group: { type: 'string' },
+            owner_role: { type: 'string' },
+            status: { type: 'string' }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Recommend improvements from board structure and analysis
+export const OPTIMIZATION_RECOMMENDATIONS_TEMPLATE = {
+  name: 'optimization_recommendations',
+  maxTokens: 1200,
+  system: `${BASE_SYSTEM_PROMPT}
+
+Recommend concrete improvements for the board based on its bottlenecks and structure.
+Shape:
+{
+  "bottleneckRecommendations": [{"status": status name, "recommendation": text, "impact": ${IMPACT_LEVELS.join(' | ')}}],
+  "structureRecommendations": [{"type": "column_addition" | "group_change" | "status_change", "recommendation": text, "impact": ${IMPACT_LEVELS.join(' | ')}}],
+  "automationRecommendations": [{"trigger": when it runs, "action": what it does, "impact": ${IMPACT_LEVELS.join(' | ')}}]
+}`,
+  buildSections: ({ boardStructure, analysis }) => [
+    { name: 'Board', content: JSON.stringify(boardStructure), priority: 8 },
+    { name: 'Analysis results', content: JSON.stringify(analysis), priority: 6 }
+  ],
+  schema: {
+    type: 'object',
+    required: ['bottleneckRecommendations', 'structureRecommendations', 'automationRecommendations'],
+    properties: {
+      bottleneckRecommendations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['status', 'recommendation', 'impact'],
+          properties: {
+            status: { type: 'string' },
+            recommendation: { type: 'string', minLength: 1 },
+            impact: { type: 'string', enum: IMPACT_LEVELS }
+          }
+        }
+      },
+      structureRecommendations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type', 'recommendation', 'impact'],
+          properties: {
+            type: { type: 'string' },
+            recommendation: { type: 'string', minLength: 1 },
+            impact: { type: 'string', enum: IMPACT_LEVELS }
+          }
+        }
+      },
+      automationRecommendations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['trigger', 'action', 'impact'],
+          properties: {
+            trigger: { type: 'string', minLength: 1 },
+            action: { type: 'string', minLength: 1 },
+            impact: { type: 'string', enum: IMPACT_LEVELS }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Render a template into a Claude request
+ * @param {Object} template - Prompt template
+ * @param {Object} data - Data for the template
+ * @param {number} inputTokenBudget - Token budget for the prompt
+ * @returns {Object} - Request (system, messages, maxTokens)
+ */
+export const renderPrompt = (template, data, inputTokenBudget = DEFAULT_INPUT_TOKEN_BUDGET) => {
+  const sectionBudget = inputTokenBudget - estimateTokens(template.system);
+
+  return {
+    system: template.system,
+    messages: [{ role: 'user', content: fitSectionsToBudget(template.buildSections(data), sectionBudget) }],
+    maxTokens: template.maxTokens
+  };
+};
+
+/**
+ * Run a template against Claude and validate the output against its schema
+ * @param {Object} template - Prompt template
+ * @param {Object} data - Data for the template
+ * @param {Object} options - Client options (onText, timeoutMs, maxRetries, inputTokenBudget)
+ * @returns {Promise<Object>} - Validated output
+ */
+export const runPromptTemplate = async (template, data, options = {}) => {
+  const request = renderPrompt(template, data, options.inputTokenBudget);
+  const text = await sendMessage(request, options);
+
+  return assertSchema(parseJsonResponse(text), template.schema, `${template.name} output`);
+};
+
+export default {
+  ASSISTANT_RESPONSE_TEMPLATE,
+  WORKFLOW_GENERATION_TEMPLATE,
+  OPTIMIZATION_RECOMMENDATIONS_TEMPLATE,
+  summarizeBoard,
+  summarizeAnalysis,
+  summarizePortfolio,
+  summarizeHistory,
+  renderPrompt,
+  runPromptTemplate
+};
@@ -0,0 +1,683 @@
+/**
+ * Report Export
+ *
+ * This file contains functions for turning an AnalysisContext result into a shareable
+ * report: printable HTML (saved as PDF from the print dialog), CSV, Markdown, and a
+ * versioned JSON document that can be imported again.
+ */
+
+import { calculateItemTimeInStatus } from './workflowAnalysis';
+import { calculateTimeMetrics } from './timeMetrics';
+import { assertSchema } from '../../utils/schemaValidation';
+
+// Bump when the JSON report shape changes, and teach migrateReport to upgrade older versions
+export const REPORT_SCHEMA_VERSION = 1;
+
+// Formats offered by export menus
+export const EXPORT_FORMATS = {
+  pdf: { label: 'PDF (print)', extension: 'pdf', mimeType: 'application/pdf' },
+  html: { label: 'HTML', extension: 'html', mimeType: 'text/html' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  timeInStatusCsv: { label: 'Time in Status (CSV)', extension: 'csv', mimeType: 'text/csv' },
+  incompleteItemsCsv: { label: 'Incomplete Items (CSV)', extension: 'csv', mimeType: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+};
+
+const nullableNumber = { type: ['number', 'null'] };
+
+// Schema for JSON reports, checked on import
+export const REPORT_SCHEMA = {
+  type: 'object',
+  required: ['schemaVersion', 'generatedAt', 'board', 'timeInStatus', 'bottlenecks', 'incompleteItems'],
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 1 },
+    generatedAt: { type: 'string', minLength: 1 },
+    board: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        id: { type: ['string', 'null'] },
+        name: { type: 'string' }
+      }
+    },
+    summary: {
+      type: 'object',
+      properties: {
+        efficiency: nullableNumber,
+        itemCount: { type: 'integer', minimum: 0 },
+        bottleneckCount: { type: 'integer', minimum: 0 },
+        incompleteItemCount: { type: 'integer', minimum: 0 }
+      }
+    },
+    terminalStatuses: { type: 'array', items: { type: 'string' } },
+    timeMetrics: { type: ['object', 'null'] },
+    timeInStatus: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['status', 'averageTimeHours'],
+        properties: {
+          status: { type: 'string' },
+          averageTimeHours: { type: 'number' },
+          medianTimeHours: nullableNumber,
+          p85TimeHours: nullableNumber,
+          totalItems: { type: 'integer', minimum: 0 }
+        }
+      }
+    },
+    bottlenecks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['status', 'medianTimeHours', 'severity'],
+        properties: {
+          status: { type: 'string' },
+          averageTimeHours: { type: 'number' },
+          medianTimeHours: { type: 'number' },
+          p85TimeHours: nullableNumber,
+          itemCount: { type: 'integer', minimum: 0 },
+          typicalHours: nullableNumber,
+          ratio: nullableNumber,
+          severity: { type: 'string', enum: ['high', 'medium', 'low'] }
+        }
+      }
+    },
+    agingOutliers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['status', 'typicalHours', 'items'],
+        properties: {
+          status: { type: 'string' },
+          typicalHours: { type: 'number' },
+          medianRatio: { type: 'number' },
+          items: { type: 'array' }
+        }
+      }
+    },
+    itemTimeInStatus: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['itemId', 'status', 'hours'],
+        properties: {
+          itemId: { type: 'string' },
+          itemName: { type: ['string', 'null'] },
+          status: { type: 'string' },
+          hours: { type: 'number' }
+        }
+      }
+    },
+    incompleteItems: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'missingFields'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          missingFields: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    suggestions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+          category: { type: 'string' },
+          title: { type: 'string' },
+          description: { type: 'string' },
+          impact: { type: 'string' },
+          benefits: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Round hours to one decimal place
+ * @param {Number} hours - Hours
+ * @returns {Number|null} - Rounded hours
+ */
+const roundHours = (hours) => (
+  typeof hours === 'number' && isFinite(hours) ? Math.round(hours * 10) / 10 : null
+);
+
+/**
+ * Format hours for reading, switching to days for long durations
+ * @param {Number} hours - Hours
+ * @returns {string} - Formatted duration
+ */
+const formatHours = (hours) => {
+  if (hours === null || hours === undefined) return '–';
+  return hours >= 24 ? `${(hours / 24).toFixed(1)} days` : `${hours.toFixed(1)} hrs`;
+};
+
+/**
+ * Build a report from analysis results
+ * @param {Object} analysisResults - Results from runWorkflowAnalysis
+ * @param {Object} options - Options (board, statusChanges, items, timeFrame, now)
+ * @returns {Object} - Report matching REPORT_SCHEMA
+ */
+export const buildReport = (analysisResults, options = {}) => {
+  const { board = null, statusChanges = [], items = [], timeFrame = '30days', now = new Date() } = options;
+  const results = analysisResults || {};
+
+  const timeInStatus = Object.entries(results.timeInStatus || {})
+    .map(([status, data]) => ({
+      status,
+      averageTimeHours: roundHours(data.averageTimeHours),
+      medianTimeHours: roundHours(data.medianTimeHours),
+      p85TimeHours: roundHours(data.p85TimeHours),
+      totalItems: data.totalItems
+    }))
+    .sort((a, b) => (b.medianTimeHours || 0) - (a.medianTimeHours || 0));
+
+  const bottlenecks = (results.bottlenecks || []).map(bottleneck => ({
+    status: bottleneck.status,
+    averageTimeHours: roundHours(bottleneck.averageTimeHours),
+    medianTimeHours: roundHours(bottleneck.medianTimeHours),
+    p85TimeHours: roundHours(bottleneck.p85TimeHours),
+    itemCount: bottleneck.itemCount,
+    typicalHours: roundHours(bottleneck.typicalHours),
+    ratio: roundHours(bottleneck.ratio),
+    severity: bottleneck.severity
+  }));
+
+  const agingOutliers = (results.agingOutliers || []).map(outlier => ({
+    status: outlier.status,
+    typicalHours: roundHours(outlier.typicalHours),
+    medianRatio: roundHours(outlier.medianRatio),
+    items: outlier.items.map(item => ({
+      itemId: String(item.itemId),
+      itemName: item.itemName || null,
+      ageHours: roundHours(item.ageHours)
+    }))
+  }));
+
+  const itemTimeInStatus = [];
+  Object.entries(calculateItemTimeInStatus(statusChanges)).forEach(([itemId, item]) => {
+    Object.entries(item.statusDurations).forEach(([status, hours]) => {
+      itemTimeInStatus.push({ itemId: String(itemId), itemName: item.itemName || null, status, hours: roundHours(hours) });
+    });
+  });
+
+  const incompleteItems = (results.workflow?.incompleteItems || []).map(item => ({
+    id: String(item.id),
+    name: item.name,
+    missingFields: Array.isArray(item.missingFields) ? item.missingFields : []
+  }));
+
+  const suggestions = (results.optimizationSuggestions || []).map(suggestion => ({
+    category: suggestion.category || '',
+    title: suggestion.title,
+    description: suggestion.description || '',
+    impact: suggestion.impact || '',
+    benefits: suggestion.benefits || []
+  }));
+
+  const timeMetrics = statusChanges.length > 0
+    ? calculateTimeMetrics(statusChanges, { timeFrame, items, doneStatuses: results.terminalStatuses, now })
+    : null;
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generatedAt: now.toISOString(),
+    board: {
+      id: board?.id ? String(board.id) : null,
+      name: board?.name || results.boardName || 'Untitled board'
+    },
+    summary: {
+      efficiency: results.workflow ? results.workflow.efficiency : null,
+      itemCount: items.length,
+      bottleneckCount: bottlenecks.length,
+      incompleteItemCount: incompleteItems.length
+    },
+    terminalStatuses: results.terminalStatuses || [],
+    timeMetrics,
+    timeInStatus,
+    bottlenecks,
+    agingOutliers,
+    itemTimeInStatus,
+    incompleteItems,
+    suggestions
+  };
+};
+
+/**
+ * Upgrade a report from an older schema version
+ * @param {Object} report - Parsed report
+ * @returns {Object} - Report at REPORT_SCHEMA_VERSION
+ */
+const migrateReport = (report) => {
+  if (report.schemaVersion > REPORT_SCHEMA_VERSION) {
+    throw new Error(
+      `Report schema version ${report.schemaVersion} is newer than this app supports (${REPORT_SCHEMA_VERSION})`
+    );
+  }
+
+  // Version 1 is the first version, so there is nothing to migrate yet
+  return report;
+};
+
+/**
+ * Serialize a report as JSON
+ * @param {Object} report - Report from buildReport
+ * @returns {string} - JSON document
+ */
+export const toJsonReport = (report) => JSON.stringify(report, null, 2);
+
+/**
+ * Parse and validate a JSON report for import
+ * @param {string} text - JSON document
+ * @returns {Object} - Report at REPORT_SCHEMA_VERSION
+ */
+export const parseJsonReport = (text) => {
+  let report;
+
+  try {
+    report = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Report is not valid JSON');
+  }
+
+  if (!report || typeof report.schemaVersion !== 'number') {
+    throw new Error('Report is missing a schemaVersion');
+  }
+
+  return assertSchema(migrateReport(report), REPORT_SCHEMA, 'report');
+};
+
+/**
+ * Convert an imported report back into the shape of analysis results
+ * @param {Object} report - Report from parseJsonReport
+ * @returns {Object} - Analysis results (without the data that needs raw activity logs)
+ */
+export const reportToAnalysisResults = (report) => {
+  const timeInStatus = {};
+  report.timeInStatus.forEach(({ status, ...data }) => {
+    timeInStatus[status] = data;
+  });
+
+  return {
+    boardName: report.board.name,
+    workflow: {
+      efficiency: report.summary?.efficiency ?? 0,
+      incompleteItems: report.incompleteItems
+    },
+    bottlenecks: report.bottlenecks,
+    timeInStatus,
+    terminalStatuses: report.terminalStatuses || [],
+    agingOutliers: report.agingOutliers || [],
+    wipOverTime: [],
+    optimizationSuggestions: (report.suggestions || []).map(suggestion => ({ ...suggestion, changePlan: [] })),
+    importedFrom: { generatedAt: report.generatedAt, schemaVersion: report.schemaVersion }
+  };
+};
+
+/**
+ * Escape a value for a CSV cell
+ * Text that a spreadsheet would read as a formula, such as an item named "=HYPERLINK(...)",
+ * is prefixed with a quote so it stays text.
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document from a header and rows
+ * @param {Array} header - Column names
+ * @param {Array} rows - Rows of cell values
+ * @returns {string} - CSV document
+ */
+const toCsv = (header, rows) => (
+  [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\r\n')
+);
+
+/**
+ * Export per-item time in status as CSV
+ * @param {Object} report - Report from buildReport
+ * @returns {string} - CSV document
+ */
+export const toTimeInStatusCsv = (report) => toCsv(
+  ['Item ID', 'Item Name', 'Status', 'Hours'],
+  report.itemTimeInStatus.map(row => [row.itemId, row.itemName, row.status, row.hours])
+);
+
+/**
+ * Export incomplete items as CSV
+ * @param {Object} report - Report from buildReport
+ * @returns {string} - CSV document
+ */
+export const toIncompleteItemsCsv = (report) => toCsv(
+  ['Item ID', 'Item Name', 'Missing Fields'],
+  report.incompleteItems.map(item => [item.id, item.name, item.missingFields.join('; ')])
+);
+
+/**
+ * Escape text for a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+const toMarkdownCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+/**
+ * Export a report as Markdown
+ * @param {Object} report - Report from buildReport
+ * @returns {string} - Markdown document
+ */
+export const toMarkdownReport = (report) => {
+  const lines = [
+    `# Workflow Analysis: ${report.board.name}`,
+    '',
+    `_Generated ${new Date(report.generatedAt).toLocaleString()}_`,
+    ''
+  ];
+
+  lines.push('## Summary', '');
+  if (report.summary?.efficiency !== null && report.summary?.efficiency !== undefined) {
+    lines.push(`- Overall efficiency: ${report.summary.efficiency}%`);
+  }
+  if (report.timeMetrics) {
+    lines.push(
+      `- Average cycle time: ${report.timeMetrics.cycleTime.average ?? '–'} days (p85 ${report.timeMetrics.cycleTime.p85 ?? '–'})`,
+      `- Average lead time: ${report.timeMetrics.leadTime.average ?? '–'} days (p85 ${report.timeMetrics.leadTime.p85 ?? '–'})`,
+      `- Completion rate: ${report.timeMetrics.completionRate.value}%`,
+      `- Throughput: ${report.timeMetrics.throughput.value} items`
+    );
+  }
+  lines.push(
+    `- Bottlenecks: ${report.bottlenecks.length}`,
+    `- Incomplete items: ${report.incompleteItems.length}`,
+    ''
+  );
+
+  if (report.bottlenecks.length > 0) {
+    lines.push('## Bottlenecks', '', '| Status | Median | 85th Percentile | vs. Typical | Severity |', '| --- | --- | --- | --- | --- |');
+    report.bottlenecks.forEach(bottleneck => {
+      lines.push(`| ${toMarkdownCell(bottleneck.status)} | ${formatHours(bottleneck.medianTimeHours)} | ${formatHours(bottleneck.p85TimeHours)} | ${bottleneck.ratio ?? '–'}× | ${bottleneck.severity} |`);
+    });
+    lines.push('');
+  }
+
+  if (report.agingOutliers.length > 0) {
+    lines.push('## Aging Items', '');
+    report.agingOutliers.forEach(outlier => {
+      lines.push(`- ${outlier.items.length} item${outlier.items.length !== 1 ? 's have' : ' has'} been in "${outlier.status}" ${outlier.medianRatio}× longer than typical (${formatHours(outlier.typicalHours)})`);
+    });
+    lines.push('');
+  }
+
+  if (report.timeInStatus.length > 0) {
+    lines.push('## Time in Status', '', '| Status | Average | Median | 85th Percentile | Items |', '| --- | --- | --- | --- | --- |');
+    report.timeInStatus.forEach(row => {
+      lines.push(`| ${toMarkdownCell(row.status)} | ${formatHours(row.averageTimeHours)} | ${formatHours(row.medianTimeHours)} | ${formatHours(row.p85TimeHours)} | ${row.totalItems ?? ''} |`);
+    });
+    lines.push('');
+  }
+
+  if (report.incompleteItems.length > 0) {
+    lines.push('## Incomplete Items', '', '| Item | Missing Fields |', '| --- | --- |');
+    report.incompleteItems.forEach(item => {
+      lines.push(`| ${toMarkdownCell(item.name)} | ${toMarkdownCell(item.missingFields.join(', '))} |`);
+    });
+    lines.push('');
+  }
+
+  if (report.suggestions.length > 0) {
+    lines.push('## Optimization Suggestions', '');
+    report.suggestions.forEach(suggestion => {
+      lines.push(`- **${suggestion.title}**${suggestion.impact ? ` (${suggestion.impact} impact)` : ''}: ${suggestion.description}`);
+    });
+    lines.push('');
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Render a horizontal bar chart as inline SVG
+ * @param {Array} rows - Bars (label, value, highlight)
+ * @param {Function} formatValue - Formats a bar's value label
+ * @returns {string} - SVG markup
+ */
+const renderBarChartSvg = (rows, formatValue) => {
+  const barHeight = 22;
+  const gap = 8;
+  const labelWidth = 160;
+  const chartWidth = 360;
+  const height = rows.length * (barHeight + gap);
+  const maxValue = Math.max(1, ...rows.map(row => row.value));
+
+  const bars = rows.map((row, index) => {
+    const y = index * (barHeight + gap);
+    const width = Math.max(1, (row.value / maxValue) * chartWidth);
+
+    return `
+      <text x="${labelWidth - 8}" y="${y + barHeight * 0.7}" text-anchor="end" font-size="12">${escapeHtml(row.label)}</text>
+      <rect x="${labelWidth}" y="${y}" width="${width}" height="${barHeight}" fill="${row.highlight ? '#ff5252' : '#0073ea'}" rx="3" />
+      <text x="${labelWidth + width + 6}" y="${y + barHeight * 0.7}" font-size="12">${escapeHtml(formatValue(row.value))}</text>`;
+  }).join('');
+
+  return `<svg width="${labelWidth + chartWidth + 90}" height="${height}" xmlns="http://www.w3.org/2000/svg">${bars}</svg>`;
+};
+
+/**
+ * Render an HTML table
+ * @param {Array} header - Column names
+ * @param {Array} rows - Rows of cell values
+ * @returns {string} - Table markup
+ */
+const renderHtmlTable = (header, rows) => `
+  <table>
+    <thead><tr>${header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead>
+    <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+  </table>`;
+
+/**
+ * Export a report as a standalone, printable HTML page with charts
+ * @param {Object} report - Report from buildReport
+ * @returns {string} - HTML document
+ */
+export const toHtmlReport = (report) => {
+  const bottleneckStatuses = report.bottlenecks.map(bottleneck => bottleneck.status);
+  const sections = [];
+
+  const summaryItems = [];
+  if (report.summary?.efficiency !== null && report.summary?.efficiency !== undefined) {
+    summaryItems.push(`Overall efficiency: <strong>${report.summary.efficiency}%</strong>`);
+  }
+  if (report.timeMetrics) {
+    summaryItems.push(
+      `Average cycle time: <strong>${report.timeMetrics.cycleTime.average ?? '–'} days</strong>`,
+      `Average lead time: <strong>${report.timeMetrics.leadTime.average ?? '–'} days</strong>`,
+      `Completion rate: <strong>${report.timeMetrics.completionRate.value}%</strong>`,
+      `Throughput: <strong>${report.timeMetrics.throughput.value} items</strong>`
+    );
+  }
+  summaryItems.push(
+    `Bottlenecks: <strong>${report.bottlenecks.length}</strong>`,
+    `Incomplete items: <strong>${report.incompleteItems.length}</strong>`
+  );
+  sections.push(`<h2>Summary</h2><ul>${summaryItems.map(item => `<li>${item}</li>`).join('')}</ul>`);
+
+  if (report.timeInStatus.length > 0) {
+    const chart = renderBarChartSvg(
+      report.timeInStatus.map(row => ({
+        label: row.status,
+        value: row.medianTimeHours ?? row.averageTimeHours,
+        highlight: bottleneckStatuses.includes(row.status)
+      })),
+      formatHours
+    );
+
+    sections.push(`<h2>Median Time in Status</h2>${chart}`);
+  }
+
+  if (report.bottlenecks.length > 0) {
+    sections.push(`<h2>Bottlenecks</h2>${renderHtmlTable(
+      ['Status', 'Median', '85th Percentile', 'vs. Typical', 'Severity'],
+      report.bottlenecks.map(bottleneck => [
+        bottleneck.status,
+        formatHours(bottleneck.medianTimeHours),
+        formatHours(bottleneck.p85TimeHours),
+        bottleneck.ratio !== null ? `${bottleneck.ratio}×` : '–',
+        bottleneck.severity
+      ])
+    )}`);
+  }
+
+  if (report.agingOutliers.length > 0) {
+    sections.push(`<h2>Aging Items</h2><ul>${report.agingOutliers.map(outlier => `
+      <li>${outlier.items.length} item${outlier.items.length !== 1 ? 's have' : ' has'} been in
+        "${escapeHtml(outlier.status)}" ${outlier.medianRatio}× longer than typical (${formatHours(outlier.typicalHours)})</li>`
+    ).join('')}</ul>`);
+  }
+
+  if (report.incompleteItems.length > 0) {
+    sections.push(`<h2>Incomplete Items</h2>${renderHtmlTable(
+      ['Item', 'Missing Fields'],
+      report.incompleteItems.map(item => [item.name, item.missingFields.join(', ')])
+    )}`);
+  }
+
+  if (report.suggestions.length > 0) {
+    sections.push(`<h2>Optimization Suggestions</h2><ul>${report.suggestions.map(suggestion => `
+      <li><strong>${escapeHtml(suggestion.title)}</strong>${suggestion.impact ? ` (${escapeHtml(suggestion.impact)} impact)` : ''}:
+        ${escapeHtml(suggestion.description)}</li>`
+    ).join('')}</ul>`);
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>Workflow Analysis: ${escapeHtml(report.board.name)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #323338; margin: 32px; }
+    h1 { font-size: 24px; margin-bottom: 4px; }
+    h2 { font-size: 18px; margin-top: 28px; border-bottom: 1px solid #e6e9ef; padding-bottom: 4px; }
+    .generated { color: #676879; font-size: 13px; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #e6e9ef; }
+    th { color: #676879; font-weight: 500; }
+    h2, table, svg { page-break-inside: avoid; }
+  </style>
+</head>
+<body>
+  <h1>Workflow Analysis: ${escapeHtml(report.board.name)}</h1>
+  <p class="generated">Generated ${escapeHtml(new Date(report.generatedAt).toLocaleString())}</p>
+  ${sections.join('\n')}
+</body>
+</html>`;
+};
+
+/**
+ * Build a file name for an export
+ * @param {Object} report - Report from buildReport
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {string} - File name
+ */
+const getExportFilename = (report, format) => {
+  const slug = report.board.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'board';
+  const date = report.generatedAt.slice(0, 10);
+  const suffix = format === 'timeInStatusCsv' ? '-time-in-status'
+    : format === 'incompleteItemsCsv' ? '-incomplete-items'
+    : '';
+
+  return `${slug}-workflow-analysis${suffix}-${date}.${EXPORT_FORMATS[format].extension}`;
+};
+
+/**
+ * Render a report in an export format
+ * @param {Object} report - Report from buildReport
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {Object} - Export (content, filename, mimeType)
+ */
+export const renderExport = (report, format) => {
+  const renderers = {
+    pdf: toHtmlReport,
+    html: toHtmlReport,
+    markdown: toMarkdownReport,
+    timeInStatusCsv: toTimeInStatusCsv,
+    incompleteItemsCsv: toIncompleteItemsCsv,
+    json: toJsonReport
+  };
+
+  if (!renderers[format]) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  return {
+    content: renderers[format](report),
+    filename: getExportFilename(report, format),
+    mimeType: format === 'pdf' ? EXPORT_FORMATS.html.mimeType : EXPORT_FORMATS[format].mimeType
+  };
+};
+
+/**
+ * Save an export in the browser, opening the print dialog for PDF
+ * @param {Object} report - Report from buildReport
+ * @param {string} format - Key of EXPORT_FORMATS
+ */
+export const downloadExport = (report, format) => {
+  const { content, filename, mimeType } = renderExport(report, format);
+
+  if (format === 'pdf') {
+    // The print dialog's "Save as PDF" keeps the SVG charts sharp without a PDF library
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      throw new Error('Allow pop-ups for this site to export a PDF');
+    }
+
+    printWindow.document.write(content);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    return;
+  }
+
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export default {
+  REPORT_SCHEMA_VERSION,
+  REPORT_SCHEMA,
+  EXPORT_FORMATS,
+  buildReport,
+  toJsonReport,
+  parseJsonReport,
+  reportToAnalysisResults,
+  toTimeInStatusCsv,
+  toIncompleteItemsCsv,
+  toMarkdownReport,
+  toHtmlReport,
+  renderExport,
+  downloadExport
+};
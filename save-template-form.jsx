@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+
+const SaveTemplateForm = ({ initial = {}, updatableTemplate = null, onSave, onCancel, saving = false }) => {
+  const [details, setDetails] = useState({
+    name: initial.name || '',
+    description: initial.description || '',
+    category: initial.category || '',
+    tags: (initial.tags || []).join(', ')
+  });
+  const [update, setUpdate] = useState(Boolean(updatableTemplate));
+
+  const handleChange = (field, value) => {
+    setDetails(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(details, { update });
+  };
+
+  return (
+    <form className="save-template-form" onSubmit={handleSubmit}>
+      <h3>Save as Template</h3>
+
+      {updatableTemplate && (
+        <div className="save-template-mode">
+          <label>
+            <input type="radio" checked={update} onChange={() => setUpdate(true)} />
+            Update "{updatableTemplate.name}" to version {updatableTemplate.version + 1}
+          </label>
+          <label>
+            <input type="radio" checked={!update} onChange={() => setUpdate(false)} />
+            Save as a new template
+          </label>
+        </div>
+      )}
+
+      <label>
+        Name
+        <input
+          type="text"
+          value={details.name}
+          onChange={(e) => handleChange('name', e.target.value)}
+          required
+        />
+      </label>
+      <label>
+        Description
+        <textarea
+          value={details.description}
+          onChange={(e) => handleChange('description', e.target.value)}
+          rows={3}
+        />
+      </label>
+      <label>
+        Category
+        <input
+          type="text"
+          value={details.category}
+          onChange={(e) => handleChange('category', e.target.value)}
+          placeholder="e.g. software, marketing, hr"
+          required
+        />
+      </label>
+      <label>
+        Tags
+        <input
+          type="text"
+          value={details.tags}
+          onChange={(e) => handleChange('tags', e.target.value)}
+          placeholder="Comma-separated, e.g. onboarding, team standard"
+        />
+      </label>
+
+      <div className="confirmation-buttons">
+        <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-primary" disabled={saving || !details.name.trim() || !details.category.trim()}>
+          {saving ? 'Saving...' : 'Save Template'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default SaveTemplateForm;
@@ -0,0 +1,125 @@
+/**
+ * Schema Validation
+ *
+ * This file contains a small validator for the subset of JSON Schema used to check
+ * model output and imported data (type, enum, required, properties, items, bounds).
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} - Type name
+ */
+const getType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * Check whether a value matches one of the allowed schema types
+ * @param {*} value - Value to check
+ * @param {string|Array} allowedTypes - Allowed type or list of types
+ * @returns {boolean} - Whether the type matches
+ */
+const matchesType = (value, allowedTypes) => {
+  const actualType = getType(value);
+
+  return [].concat(allowedTypes).some(type =>
+    type === actualType || (type === 'number' && actualType === 'integer')
+  );
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema to validate against
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array} - List of validation errors (empty if valid)
+ */
+export const validateSchema = (value, schema, path = 'value') => {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path} should be ${[].concat(schema.type).join(' or ')}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} should have at least ${schema.minLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} should be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} should be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (getType(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      const propertySchema = schema.properties?.[key];
+
+      if (propertySchema) {
+        errors.push(...validateSchema(propertyValue, propertySchema, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Validate a value against a schema, throwing if it doesn't match
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema to validate against
+ * @param {string} label - Name of the value, used in the error message
+ * @returns {*} - The value, if valid
+ */
+export const assertSchema = (value, schema, label = 'value') => {
+  const errors = validateSchema(value, schema, label);
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid ${label}: ${errors.join('; ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  return value;
+};
+
+export default {
+  validateSchema,
+  assertSchema
+};
@@ -0,0 +1,281 @@
+/**
+ * Auth Middleware
+ *
+ * Works out who a request is from and what they may do. Inside monday.com the app sends
+ * the session token monday.com signs with the app's client secret; when the app runs
+ * standalone the OAuth callback sets a signed session cookie instead.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getValidToken } = require('../services/oauthService');
+
+const SESSION_COOKIE = 'wa_session';
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Scopes each kind of mutation needs; the first matching rule wins
+const MUTATION_SCOPE_RULES = [
+  { pattern: /^(create|update|delete|archive|duplicate)_workspace$|^(add|delete)_(users|teams)_(to|from)_workspace$/, scope: 'workspaces:write' },
+  { pattern: /^(create|update|delete|archive|duplicate)_doc|^add_content_to_doc/, scope: 'docs:write' },
+  { pattern: /^(create|delete)_webhook$/, scope: 'webhooks:write' },
+  { pattern: /^(add|delete)_(users|teams)_(to|from)_team$/, scope: 'teams:write' },
+  { pattern: /^create_notification$/, scope: 'notifications:write' },
+  { pattern: /^(create|delete)_update$|^like_update$/, scope: 'updates:write' },
+  { pattern: /./, scope: 'boards:write' }
+];
+
+// Comments and strings, which can hold text that looks like a mutation or hides one
+const IGNORED_TEXT = /"""(?:\\"""|[\s\S])*?"""|"(?:[^"\\\n]|\\.)*"|#[^\n\r]*/g;
+
+// Punctuation that shapes a GraphQL document, and names
+const DOCUMENT_TOKENS = /\.\.\.|[{}()@]|[A-Za-z_][A-Za-z0-9_]*/g;
+
+/**
+ * Verify a monday.com session token
+ * @param {string} token - Session token from monday.get('sessionToken')
+ * @returns {Object} - Identity (accountId, userId)
+ */
+const verifySessionToken = (token) => {
+  const payload = jwt.verify(token, process.env.MONDAY_CLIENT_SECRET, { algorithms: ['HS256'] });
+  const data = payload.dat || {};
+
+  if (!data.account_id || !data.user_id) {
+    throw new Error('Session token has no account or user');
+  }
+
+  return { accountId: String(data.account_id), userId: String(data.user_id) };
+};
+
+/**
+ * Require a webhook request signed by monday.com
+ * monday.com signs webhook requests with the app's signing secret; the local event
+ * replayer signs them the same way.
+ */
+const verifyWebhook = (req, res, next) => {
+  try {
+    jwt.verify(req.headers.authorization || '', process.env.MONDAY_SIGNING_SECRET, { algorithms: ['HS256'] });
+  } catch (error) {
+    return res.status(401).json({ error: 'invalid_signature', message: error.message });
+  }
+
+  return next();
+};
+
+/**
+ * Sign a value with the session secret
+ * @param {string} value - Value
+ * @returns {string} - Signature
+ */
+const sign = (value) => crypto.createHmac('sha256', process.env.SESSION_SECRET).update(value).digest('base64url');
+
+/**
+ * Set the session cookie for a standalone user
+ * @param {Object} res - Express response
+ * @param {Object} identity - Account and user
+ */
+const setSessionCookie = (res, identity) => {
+  // The expiry is signed too, so a copied cookie stops working even if the browser would keep it
+  const expiresAt = Date.now() + SESSION_MAX_AGE_MS;
+  const value = `${identity.accountId}:${identity.userId}:${expiresAt}`;
+
+  res.cookie(SESSION_COOKIE, `${value}.${sign(value)}`, {
+    httpOnly: true,
+    secure: true,
+    // The app is embedded in monday.com, so the cookie has to be sent cross-site
+    sameSite: 'none',
+    maxAge: SESSION_MAX_AGE_MS
+  });
+};
+
+/**
+ * Clear the session cookie
+ * @param {Object} res - Express response
+ */
+const clearSessionCookie = (res) => {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, secure: true, sameSite: 'none' });
+};
+
+/**
+ * Read the session cookie
+ * @param {Object} req - Express request
+ * @returns {Object|null} - Identity (null if there is no valid, unexpired cookie)
+ */
+const readSessionCookie = (req) => {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${SESSION_COOKIE}=`));
+  if (!cookie) return null;
+
+  const [value, signature] = decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)).split('.');
+  const expected = sign(value || '');
+
+  if (!signature || signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  const [accountId, userId, expiresAt] = value.split(':');
+  if (!accountId || !userId || !(Number(expiresAt) > Date.now())) {
+    return null;
+  }
+
+  return { accountId, userId };
+};
+
+/**
+ * Get the identity a request is from
+ * @param {Object} req - Express request
+ * @returns {Object|null} - Identity (null if the request is anonymous)
+ */
+const getRequestIdentity = (req) => {
+  const header = req.headers.authorization || '';
+  const sessionToken = header.replace(/^Bearer\s+/i, '');
+
+  // A session token that fails verification is rejected rather than falling back to the cookie
+  return sessionToken ? verifySessionToken(sessionToken) : readSessionCookie(req);
+};
+
+/**
+ * Require a monday.com session token or session cookie
+ * Sets req.identity.
+ */
+const authenticate = (req, res, next) => {
+  try {
+    req.identity = getRequestIdentity(req);
+  } catch (error) {
+    return res.status(401).json({ error: 'invalid_session', message: error.message });
+  }
+
+  if (!req.identity) {
+    return res.status(401).json({ error: 'not_authenticated', message: 'Sign in with monday.com first' });
+  }
+
+  return next();
+};
+
+/**
+ * Require the user to have connected their monday.com account
+ * Sets req.mondayToken, refreshing the token if it is about to expire.
+ */
+const requireToken = async (req, res, next) => {
+  try {
+    req.mondayToken = await getValidToken(req.identity);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!req.mondayToken) {
+    return res.status(401).json({ error: 'not_connected', message: 'Connect your monday.com account first' });
+  }
+
+  return next();
+};
+
+/**
+ * Get the scopes a GraphQL request needs
+ * Every definition in the document is classified, since a document can hold several
+ * operations. Queries need boards:read; each mutation field needs the write scope for
+ * what it changes, including fields in fragments on the Mutation type.
+ * @param {string} query - GraphQL query
+ * @returns {Array} - Required scopes
+ */
+const getRequiredScopes = (query) => {
+  const tokens = (query || '').replace(IGNORED_TEXT, ' ').match(DOCUMENT_TOKENS) || [];
+  const scopes = new Set();
+  const fields = [];
+
+  // Kind of the definition being read: query, mutation, subscription or fragment
+  let definition = null;
+  // Open selection sets; inline fragments ("... on Board { }") are marked, as they add no level
+  const selections = [];
+  let parens = 0;
+  let skipName = false;
+  let inlineFragment = false;
+
+  tokens.forEach((token, index) => {
+    const next = tokens[index + 1];
+
+    // Arguments, variable definitions and their values hold no fields
+    if (token === '(') parens += 1;
+    else if (token === ')') parens = Math.max(0, parens - 1);
+    if (parens > 0 || token === ')') return;
+
+    if (token === '{') {
+      if (selections.length === 0) {
+        definition = definition || 'query';
+        if (definition !== 'mutation' && definition !== 'fragment') scopes.add('boards:read');
+      }
+      selections.push(inlineFragment);
+      inlineFragment = false;
+    } else if (token === '}') {
+      selections.pop();
+      if (selections.length === 0) definition = null;
+    } else if (token === '...') {
+      // An inline fragment, or a spread of a named fragment (counted where it's defined)
+      inlineFragment = next === 'on' || next === '{' || next === '@';
+      skipName = !inlineFragment;
+    } else if (token === '@' || token === 'on') {
+      // Directive names, and type conditions; a fragment on Mutation holds mutation fields
+      if (token === 'on' && selections.length === 0 && definition === 'fragment' && next === 'Mutation') {
+        definition = 'mutation';
+      }
+      skipName = true;
+    } else if (skipName) {
+      skipName = false;
+    } else if (selections.length === 0) {
+      if (['query', 'mutation', 'subscription', 'fragment'].includes(token) && !definition) definition = token;
+    } else if (definition === 'mutation' && selections.filter(inline => !inline).length === 1) {
+      // Top-level fields of the mutation, e.g. "create_board" in "mutation { create_board (...) { id } }"
+      fields.push(token);
+    }
+  });
+
+  fields
+    // Aliases ("alias: field") show up here too; monday.com mutation names all contain an underscore
+    .filter(field => /_/.test(field))
+    .forEach(field => scopes.add(MUTATION_SCOPE_RULES.find(rule => rule.pattern.test(field)).scope));
+
+  return scopes.size > 0 ? Array.from(scopes) : ['boards:read'];
+};
+
+/**
+ * Get the scopes a token is missing
+ * @param {Object} token - Token record
+ * @param {Array} scopes - Required scopes
+ * @returns {Array} - Missing scopes
+ */
+const getMissingScopes = (token, scopes) => scopes.filter(scope => !(token.scopes || []).includes(scope));
+
+/**
+ * Require the user's token to have the given scopes
+ * @param {Array|Function} scopes - Scopes, or a function returning the scopes a request needs
+ * @returns {Function} - Express middleware
+ */
+const requireScopes = (scopes) => (req, res, next) => {
+  const required = typeof scopes === 'function' ? scopes(req) : scopes;
+  const missing = getMissingScopes(req.mondayToken, required);
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      error: 'missing_scopes',
+      missingScopes: missing,
+      message: `This needs the ${missing.join(', ')} permission. Reconnect your monday.com account to grant it.`
+    });
+  }
+
+  return next();
+};
+
+module.exports = {
+  verifySessionToken,
+  verifyWebhook,
+  setSessionCookie,
+  clearSessionCookie,
+  getRequestIdentity,
+  authenticate,
+  requireToken,
+  getRequiredScopes,
+  getMissingScopes,
+  requireScopes
+};
@@ -0,0 +1,136 @@
+/**
+ * Auth Routes
+ *
+ * OAuth sign-in with monday.com, the current session, token refresh and sign-out.
+ */
+
+const express = require('express');
+const {
+  createAuthorizeUrl,
+  consumeState,
+  exchangeCode,
+  fetchIdentity,
+  saveToken,
+  refreshToken,
+  getValidToken,
+  revokeToken
+} = require('../services/oauthService');
+const {
+  verifySessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+  authenticate
+} = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * Page the OAuth popup ends on: it tells the app how sign-in went and closes itself
+ * @param {Object} result - Result posted to the app (success, error)
+ * @returns {string} - HTML
+ */
+const renderCallbackPage = (result) => {
+  const message = JSON.stringify({ type: 'monday-oauth', ...result }).replace(/</g, '\\u003c');
+  const appOrigin = JSON.stringify(process.env.APP_URL);
+
+  return `<!DOCTYPE html>
+<html>
+  <body>
+    <p>${result.success ? 'Connected to monday.com. You can close this window.' : 'Could not connect to monday.com. You can close this window and try again.'}</p>
+    <script>
+      if (window.opener) {
+        window.opener.postMessage(${message}, ${appOrigin});
+        window.close();
+      }
+    </script>
+  </body>
+</html>`;
+};
+
+// Start sign-in; inside monday.com the app passes its session token so the grant is tied to that user
+router.get('/monday/authorize', (req, res) => {
+  let expectedIdentity = null;
+
+  if (req.query.sessionToken) {
+    try {
+      expectedIdentity = verifySessionToken(req.query.sessionToken);
+    } catch (error) {
+      return res.status(401).send(renderCallbackPage({ success: false, error: 'invalid_session' }));
+    }
+  }
+
+  return res.redirect(createAuthorizeUrl(expectedIdentity));
+});
+
+router.get('/monday/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+  const pending = consumeState(state);
+
+  if (error || !code || !pending) {
+    return res.status(400).send(renderCallbackPage({ success: false, error: error || 'invalid_state' }));
+  }
+
+  try {
+    const token = await exchangeCode(code);
+    const identity = await fetchIdentity(token.accessToken);
+
+    if (pending.expectedIdentity
+      && (pending.expectedIdentity.accountId !== identity.accountId || pending.expectedIdentity.userId !== identity.userId)) {
+      return res.status(403).send(renderCallbackPage({ success: false, error: 'user_mismatch' }));
+    }
+
+    saveToken(identity, token);
+    setSessionCookie(res, identity);
+
+    return res.send(renderCallbackPage({ success: true }));
+  } catch (err) {
+    console.error('Failed to complete monday.com sign-in:', err);
+    return res.status(502).send(renderCallbackPage({ success: false, error: 'token_exchange_failed' }));
+  }
+});
+
+router.get('/session', authenticate, async (req, res, next) => {
+  try {
+    const token = await getValidToken(req.identity);
+
+    res.json({
+      authenticated: Boolean(token),
+      user: token ? { ...token.identity } : { ...req.identity },
+      scopes: token ? token.scopes : [],
+      expiresAt: token && token.expiresAt ? new Date(token.expiresAt).toISOString() : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/refresh', authenticate, async (req, res, next) => {
+  try {
+    const token = await refreshToken(req.identity);
+
+    if (!token) {
+      return res.status(401).json({ error: 'not_connected', message: 'Connect your monday.com account first' });
+    }
+
+    return res.json({
+      authenticated: true,
+      user: { ...token.identity },
+      scopes: token.scopes,
+      expiresAt: token.expiresAt ? new Date(token.expiresAt).toISOString() : null
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.post('/logout', authenticate, async (req, res, next) => {
+  try {
+    await revokeToken(req.identity);
+    clearSessionCookie(res);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+/**
+ * Claude Routes
+ *
+ * Forwards the app's Claude Messages API calls with the server's API key, so the key never
+ * reaches the browser. Streamed responses are passed through as they arrive.
+ */
+
+const express = require('express');
+const { authenticate } = require('../middleware/authMiddleware');
+
+const CLAUDE_API_URL = 'https://api.anthropic.com/v1/messages';
+const CLAUDE_API_VERSION = '2023-06-01';
+
+// Request fields passed on to the API; anything else in the body is dropped
+const FORWARDED_FIELDS = ['model', 'system', 'messages', 'max_tokens', 'temperature', 'stream'];
+
+// Upper bound on the response length a caller can ask for
+const MAX_OUTPUT_TOKENS = 4096;
+
+const router = express.Router();
+
+// Lets the app decide between Claude and its rule-based answers before signing in
+router.get('/claude/status', (req, res) => {
+  res.json({ configured: Boolean(process.env.CLAUDE_API_KEY) });
+});
+
+router.post('/claude/messages', authenticate, async (req, res, next) => {
+  if (!process.env.CLAUDE_API_KEY) {
+    return res.status(503).json({ error: 'claude_not_configured', message: 'Claude is not configured on the server' });
+  }
+
+  const body = {};
+  FORWARDED_FIELDS
+    .filter(field => req.body && req.body[field] !== undefined)
+    .forEach(field => { body[field] = req.body[field]; });
+
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    return res.status(400).json({ error: 'invalid_request', message: 'At least one message is required' });
+  }
+
+  body.max_tokens = Math.min(Number(body.max_tokens) || MAX_OUTPUT_TOKENS, MAX_OUTPUT_TOKENS);
+
+  // Stop the upstream request when the app stops listening
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  try {
+    const response = await fetch(CLAUDE_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': process.env.CLAUDE_API_KEY,
+        'anthropic-version': CLAUDE_API_VERSION
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfter) {
+      res.set('Retry-After', retryAfter);
+    }
+
+    res.status(response.status);
+    res.set('Content-Type', response.headers.get('content-type') || 'application/json');
+
+    for await (const chunk of response.body) {
+      res.write(chunk);
+    }
+
+    return res.end();
+  } catch (error) {
+    if (controller.signal.aborted) return undefined;
+    if (res.headersSent) return res.end();
+    return next(error);
+  }
+});
+
+module.exports = router;
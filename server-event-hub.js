@@ -0,0 +1,86 @@
+/**
+ * Event Hub
+ *
+ * Passes board events from the webhook receiver to the app instances listening for
+ * them. Recent events are kept per board so a client that reconnects can catch up.
+ */
+
+// Events kept per board for clients that reconnect
+const MAX_BUFFERED_EVENTS = 200;
+
+const listeners = new Map();
+const buffers = new Map();
+let lastEventId = 0;
+
+/**
+ * Publish an event to a board's listeners
+ * @param {string} boardId - Board ID
+ * @param {Object} event - Webhook event
+ * @returns {Object} - Published entry (id, boardId, event, receivedAt)
+ */
+const publish = (boardId, event) => {
+  lastEventId += 1;
+
+  const entry = {
+    id: lastEventId,
+    boardId: String(boardId),
+    event,
+    receivedAt: new Date().toISOString()
+  };
+
+  const buffer = buffers.get(entry.boardId) || [];
+  buffer.push(entry);
+  buffers.set(entry.boardId, buffer.slice(-MAX_BUFFERED_EVENTS));
+
+  (listeners.get(entry.boardId) || new Set()).forEach(listener => {
+    try {
+      listener(entry);
+    } catch (error) {
+      console.error('Board event listener failed:', error);
+    }
+  });
+
+  return entry;
+};
+
+/**
+ * Listen for a board's events
+ * @param {string} boardId - Board ID
+ * @param {Function} listener - Called with each published entry
+ * @param {Object} options - Options (afterId: also replay buffered events after this ID)
+ * @returns {Function} - Stops listening
+ */
+const subscribe = (boardId, listener, options = {}) => {
+  const key = String(boardId);
+  const { afterId = null } = options;
+
+  if (afterId !== null) {
+    (buffers.get(key) || [])
+      .filter(entry => entry.id > afterId)
+      .forEach(listener);
+  }
+
+  if (!listeners.has(key)) listeners.set(key, new Set());
+  listeners.get(key).add(listener);
+
+  return () => {
+    const boardListeners = listeners.get(key);
+    if (!boardListeners) return;
+
+    boardListeners.delete(listener);
+    if (boardListeners.size === 0) listeners.delete(key);
+  };
+};
+
+/**
+ * Count a board's listeners
+ * @param {string} boardId - Board ID
+ * @returns {number} - Listener count
+ */
+const getListenerCount = (boardId) => (listeners.get(String(boardId)) || new Set()).size;
+
+module.exports = {
+  publish,
+  subscribe,
+  getListenerCount
+};
@@ -0,0 +1,45 @@
+/**
+ * GraphQL Routes
+ *
+ * Forwards the app's monday.com API calls with the user's OAuth token, after checking
+ * the token has the scopes the call needs.
+ */
+
+const express = require('express');
+const { callMondayApi } = require('../services/oauthService');
+const {
+  authenticate,
+  requireToken,
+  requireScopes,
+  getRequiredScopes
+} = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.post(
+  '/graphql',
+  authenticate,
+  requireToken,
+  requireScopes(req => getRequiredScopes(req.body && req.body.query)),
+  async (req, res, next) => {
+    const { query, variables } = req.body || {};
+
+    if (typeof query !== 'string' || !query.trim()) {
+      return res.status(400).json({ errors: [{ message: 'A GraphQL query is required' }] });
+    }
+
+    try {
+      const result = await callMondayApi(req.mondayToken.accessToken, query, variables);
+
+      if (result.retryAfter) {
+        res.set('Retry-After', result.retryAfter);
+      }
+
+      return res.status(result.status).json(result.body);
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+/**
+ * Auth Server
+ *
+ * Small backend for monday.com OAuth. It keeps users' OAuth tokens, verifies monday.com
+ * session tokens, forwards the app's API calls to monday.com and Claude, and relays board
+ * webhooks to the app.
+ */
+
+const express = require('express');
+const authRoutes = require('./routes/auth');
+const graphqlRoutes = require('./routes/graphql');
+const claudeRoutes = require('./routes/claude');
+const webhookRoutes = require('./routes/webhooks');
+
+const REQUIRED_ENV = [
+  'MONDAY_CLIENT_ID',
+  'MONDAY_CLIENT_SECRET',
+  'MONDAY_SIGNING_SECRET',
+  'OAUTH_REDIRECT_URI',
+  'SESSION_SECRET',
+  'APP_URL'
+];
+
+const missingEnv = REQUIRED_ENV.filter(name => !process.env[name]);
+if (missingEnv.length > 0) {
+  console.error(`Missing environment variables: ${missingEnv.join(', ')}`);
+  process.exit(1);
+}
+
+const app = express();
+
+app.use(express.json({ limit: '1mb' }));
+
+// The app is served from another origin and sends the session cookie along
+app.use((req, res, next) => {
+  if (req.headers.origin === process.env.APP_URL) {
+    res.set({
+      'Access-Control-Allow-Origin': process.env.APP_URL,
+      'Access-Control-Allow-Credentials': 'true',
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type, Last-Event-ID',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      Vary: 'Origin'
+    });
+  }
+
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(204);
+  }
+
+  return next();
+});
+
+app.use('/auth', authRoutes);
+app.use('/api', graphqlRoutes);
+app.use('/api', claudeRoutes);
+app.use('/webhooks', webhookRoutes);
+
+app.use((error, req, res, next) => {
+  console.error('Request failed:', error);
+  res.status(500).json({ error: 'server_error', message: 'Something went wrong' });
+});
+
+const port = process.env.PORT || 4000;
+app.listen(port, () => {
+  console.log(`Auth server listening on port ${port}`);
+});
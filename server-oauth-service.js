@@ -0,0 +1,275 @@
+/**
+ * OAuth Service
+ *
+ * monday.com OAuth 2.0 authorization-code flow: building the authorize URL, exchanging
+ * codes for tokens, refreshing and revoking them, and calling the monday.com API with a
+ * user's token. Tokens never leave the server; they are kept per account and user.
+ */
+
+const crypto = require('crypto');
+
+const MONDAY_AUTHORIZE_URL = 'https://auth.monday.com/oauth2/authorize';
+const MONDAY_TOKEN_URL = 'https://auth.monday.com/oauth2/token';
+const MONDAY_API_URL = 'https://api.monday.com/v2';
+
+// Scopes requested when MONDAY_OAUTH_SCOPES isn't set
+const DEFAULT_SCOPES = ['me:read', 'boards:read', 'boards:write', 'workspaces:read', 'workspaces:write', 'users:read', 'webhooks:write'];
+
+// Pending authorization requests expire after this long
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Tokens are refreshed this long before they expire
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Pending states and tokens live in memory; swap these maps for a shared store to run several instances
+const pendingStates = new Map();
+const tokens = new Map();
+
+/**
+ * Read a required environment variable
+ * @param {string} name - Variable name
+ * @returns {string} - Value
+ */
+const requireEnv = (name) => {
+  const value = process.env[name];
+  if (!value) {
+    throw new Error(`${name} is not set`);
+  }
+  return value;
+};
+
+/**
+ * Get the scopes the app asks users to grant
+ * @returns {Array} - Scopes
+ */
+const getRequestedScopes = () => (
+  process.env.MONDAY_OAUTH_SCOPES ? process.env.MONDAY_OAUTH_SCOPES.split(/[\s,]+/).filter(Boolean) : DEFAULT_SCOPES
+);
+
+/**
+ * Get the key tokens are stored under
+ * @param {Object} identity - Account and user (accountId, userId)
+ * @returns {string} - Token key
+ */
+const getTokenKey = (identity) => `${identity.accountId}:${identity.userId}`;
+
+/**
+ * Start an authorization request
+ * @param {Object} expectedIdentity - User the token must belong to (from a session token), or null
+ * @returns {string} - URL to send the user to
+ */
+const createAuthorizeUrl = (expectedIdentity = null) => {
+  const state = crypto.randomBytes(24).toString('hex');
+  pendingStates.set(state, { expectedIdentity, expiresAt: Date.now() + STATE_TTL_MS });
+
+  const params = new URLSearchParams({
+    client_id: requireEnv('MONDAY_CLIENT_ID'),
+    redirect_uri: requireEnv('OAUTH_REDIRECT_URI'),
+    scope: getRequestedScopes().join(' '),
+    state
+  });
+
+  return `${MONDAY_AUTHORIZE_URL}?${params.toString()}`;
+};
+
+/**
+ * Take a pending authorization request; each state can only be used once
+ * @param {string} state - State returned to the callback
+ * @returns {Object|null} - Pending request (null if unknown or expired)
+ */
+const consumeState = (state) => {
+  const pending = pendingStates.get(state);
+  pendingStates.delete(state);
+
+  // Drop other expired requests while we're here
+  const now = Date.now();
+  pendingStates.forEach((value, key) => {
+    if (value.expiresAt < now) pendingStates.delete(key);
+  });
+
+  return pending && pending.expiresAt >= now ? pending : null;
+};
+
+/**
+ * Post a form to the token endpoint
+ * @param {Object} fields - Form fields
+ * @returns {Promise<Object>} - Token response
+ */
+const requestToken = async (fields) => {
+  const response = await fetch(MONDAY_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: requireEnv('MONDAY_CLIENT_ID'),
+      client_secret: requireEnv('MONDAY_CLIENT_SECRET'),
+      ...fields
+    }).toString()
+  });
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok || !body.access_token) {
+    throw new Error(body.error_description || body.error || `Token request failed with status ${response.status}`);
+  }
+
+  return body;
+};
+
+/**
+ * Turn a token response into the record we store
+ * @param {Object} response - Token response
+ * @param {Object} previous - Previous record, for fields a refresh response leaves out
+ * @returns {Object} - Token record (accessToken, refreshToken, scopes, expiresAt)
+ */
+const toTokenRecord = (response, previous = {}) => ({
+  ...previous,
+  accessToken: response.access_token,
+  refreshToken: response.refresh_token || previous.refreshToken || null,
+  scopes: response.scope ? response.scope.split(/[\s,]+/).filter(Boolean) : previous.scopes || [],
+  // monday.com tokens don't expire unless the response says so
+  expiresAt: response.expires_in ? Date.now() + response.expires_in * 1000 : null
+});
+
+/**
+ * Exchange an authorization code for a token
+ * @param {string} code - Authorization code
+ * @returns {Promise<Object>} - Token record
+ */
+const exchangeCode = async (code) => toTokenRecord(await requestToken({
+  code,
+  redirect_uri: requireEnv('OAUTH_REDIRECT_URI')
+}));
+
+/**
+ * Call the monday.com GraphQL API with a user's token
+ * @param {string} accessToken - Access token
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} - HTTP status, body and Retry-After header
+ */
+const callMondayApi = async (accessToken, query, variables = {}) => {
+  const response = await fetch(MONDAY_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: accessToken,
+      'API-Version': process.env.MONDAY_API_VERSION || '2024-01'
+    },
+    body: JSON.stringify({ query, variables })
+  });
+
+  return {
+    status: response.status,
+    body: await response.json().catch(() => ({ errors: [{ message: `monday.com API returned ${response.status}` }] })),
+    retryAfter: response.headers.get('retry-after')
+  };
+};
+
+/**
+ * Look up who a token belongs to
+ * @param {string} accessToken - Access token
+ * @returns {Promise<Object>} - Identity (accountId, userId, name)
+ */
+const fetchIdentity = async (accessToken) => {
+  const { body } = await callMondayApi(accessToken, 'query { me { id name account { id } } }');
+  const me = body.data && body.data.me;
+
+  if (!me) {
+    throw new Error('Could not read the connected monday.com user');
+  }
+
+  return { accountId: String(me.account.id), userId: String(me.id), name: me.name };
+};
+
+/**
+ * Store a user's token
+ * @param {Object} identity - Account and user (accountId, userId, name)
+ * @param {Object} record - Token record
+ */
+const saveToken = (identity, record) => {
+  tokens.set(getTokenKey(identity), { ...record, identity });
+};
+
+/**
+ * Refresh a user's token
+ * @param {Object} identity - Account and user
+ * @returns {Promise<Object|null>} - Refreshed token record (null if there is nothing to refresh)
+ */
+const refreshToken = async (identity) => {
+  const record = tokens.get(getTokenKey(identity));
+  if (!record || !record.refreshToken) return record || null;
+
+  try {
+    const refreshed = toTokenRecord(await requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: record.refreshToken
+    }), record);
+
+    tokens.set(getTokenKey(identity), refreshed);
+    return refreshed;
+  } catch (error) {
+    // A refresh token that no longer works means the user has to connect again
+    console.error('Failed to refresh monday.com token:', error);
+    tokens.delete(getTokenKey(identity));
+    return null;
+  }
+};
+
+/**
+ * Get a user's token, refreshing it if it is about to expire
+ * @param {Object} identity - Account and user
+ * @returns {Promise<Object|null>} - Token record (null if the user hasn't connected)
+ */
+const getValidToken = async (identity) => {
+  const record = tokens.get(getTokenKey(identity));
+  if (!record) return null;
+
+  if (record.expiresAt && record.expiresAt - REFRESH_MARGIN_MS <= Date.now()) {
+    return record.refreshToken ? refreshToken(identity) : (tokens.delete(getTokenKey(identity)), null);
+  }
+
+  return record;
+};
+
+/**
+ * Revoke a user's token
+ * monday.com has no public revocation endpoint, so the token is forgotten here; set
+ * MONDAY_OAUTH_REVOKE_URL to also revoke it upstream. Uninstalling the app revokes all tokens.
+ * @param {Object} identity - Account and user
+ * @returns {Promise<boolean>} - Whether a token was stored
+ */
+const revokeToken = async (identity) => {
+  const record = tokens.get(getTokenKey(identity));
+  tokens.delete(getTokenKey(identity));
+
+  if (record && process.env.MONDAY_OAUTH_REVOKE_URL) {
+    try {
+      await fetch(process.env.MONDAY_OAUTH_REVOKE_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          client_id: requireEnv('MONDAY_CLIENT_ID'),
+          client_secret: requireEnv('MONDAY_CLIENT_SECRET'),
+          token: record.accessToken
+        }).toString()
+      });
+    } catch (error) {
+      console.error('Failed to revoke monday.com token upstream:', error);
+    }
+  }
+
+  return Boolean(record);
+};
+
+module.exports = {
+  getRequestedScopes,
+  createAuthorizeUrl,
+  consumeState,
+  exchangeCode,
+  callMondayApi,
+  fetchIdentity,
+  saveToken,
+  refreshToken,
+  getValidToken,
+  revokeToken
+};
@@ -0,0 +1,175 @@
+/**
+ * Event Replayer
+ *
+ * Sends recorded board events to the webhook receiver, signed like monday.com signs
+ * them, so live analysis can be tried and tested without a public URL.
+ *
+ * Usage:
+ *   node server/scripts/replayEvents.js <events.json> [--url <receiver>] [--board <id>] [--speed <n>] [--retime]
+ *
+ * The file holds webhook bodies ({ "event": {...} }), bare webhook events, or activity
+ * log entries as returned by the monday.com API, either as a JSON array or one per line.
+ *   --url     Receiver URL (default http://localhost:4000/webhooks/monday)
+ *   --board   Send every event as coming from this board
+ *   --speed   Recorded seconds per real second (default 3600; 0 sends without waiting)
+ *   --retime  Stamp each event with the time it is sent instead of its recorded time
+ */
+
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_URL = 'http://localhost:4000/webhooks/monday';
+const DEFAULT_SPEED = 3600;
+
+// Longest wait between two events, however far apart they were recorded
+const MAX_DELAY_MS = 10 * 1000;
+
+/**
+ * Parse command line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - Options (file, url, boardId, speed, retime)
+ */
+const parseArgs = (args) => {
+  const options = { file: null, url: DEFAULT_URL, boardId: null, speed: DEFAULT_SPEED, retime: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--url') options.url = args[++i];
+    else if (arg === '--board') options.boardId = args[++i];
+    else if (arg === '--speed') options.speed = Number(args[++i]);
+    else if (arg === '--retime') options.retime = true;
+    else if (!options.file) options.file = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+
+  if (!options.file) {
+    throw new Error('Give the file of events to replay');
+  }
+  if (Number.isNaN(options.speed) || options.speed < 0) {
+    throw new Error('--speed must be a number of 0 or more');
+  }
+
+  return options;
+};
+
+/**
+ * Read entries from a JSON array or a file with one JSON entry per line
+ * @param {string} text - File content
+ * @returns {Array} - Entries
+ */
+const readEntries = (text) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[')) return JSON.parse(trimmed);
+
+  return trimmed.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+};
+
+/**
+ * Parse a JSON string, or return the value if it isn't one
+ * @param {*} value - Value
+ * @returns {*} - Parsed value
+ */
+const parseJson = (value) => {
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Turn an activity log entry into the webhook event monday.com sends for the same change
+ * @param {Object} log - Activity log entry
+ * @returns {Object|null} - Webhook event (null for entries that aren't column changes)
+ */
+const eventFromActivityLog = (log) => {
+  if (log.event !== 'change_column_value') return null;
+
+  const data = parseJson(log.data) || {};
+  const toStatusValue = (value) => {
+    const parsed = parseJson(value);
+    if (!parsed) return null;
+
+    return { label: { text: typeof parsed === 'object' ? parsed.label?.text || parsed.label : parsed } };
+  };
+
+  return {
+    type: 'update_column_value',
+    boardId: data.board_id || log.board_id,
+    pulseId: data.pulse_id || log.entity?.id,
+    pulseName: data.pulse_name || log.entity?.name,
+    columnId: data.column_id,
+    columnType: data.column_type || 'color',
+    value: toStatusValue(data.value),
+    previousValue: toStatusValue(data.previous_value),
+    changedAt: new Date(log.created_at).getTime() / 1000,
+    userId: log.user?.id || log.user_id,
+    triggerUuid: log.id
+  };
+};
+
+/**
+ * Get the webhook event for a file entry
+ * @param {Object} entry - Webhook body, webhook event or activity log entry
+ * @returns {Object|null} - Webhook event
+ */
+const toEvent = (entry) => {
+  if (entry.event && typeof entry.event === 'object') return { ...entry.event };
+  if (entry.type) return { ...entry };
+  return eventFromActivityLog(entry);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!process.env.MONDAY_SIGNING_SECRET) {
+    throw new Error('MONDAY_SIGNING_SECRET must be set to the receiver\'s signing secret');
+  }
+
+  const events = readEntries(fs.readFileSync(options.file, 'utf8'))
+    .map(toEvent)
+    .filter(Boolean)
+    .sort((a, b) => (a.changedAt || 0) - (b.changedAt || 0));
+
+  console.log(`Replaying ${events.length} events to ${options.url}`);
+
+  let previousChangedAt = null;
+  let sent = 0;
+
+  for (const recorded of events) {
+    if (options.speed > 0 && previousChangedAt !== null && recorded.changedAt) {
+      await sleep(Math.min(MAX_DELAY_MS, ((recorded.changedAt - previousChangedAt) * 1000) / options.speed));
+    }
+    previousChangedAt = recorded.changedAt || previousChangedAt;
+
+    const event = {
+      ...recorded,
+      ...(options.boardId ? { boardId: options.boardId } : {}),
+      ...(options.retime ? { changedAt: Date.now() / 1000, triggerTime: new Date().toISOString() } : {})
+    };
+
+    const response = await fetch(options.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: jwt.sign({ dat: { replay: true } }, process.env.MONDAY_SIGNING_SECRET, { expiresIn: '5m' })
+      },
+      body: JSON.stringify({ event })
+    });
+
+    if (response.ok) sent += 1;
+    console.log(`${response.status} ${event.pulseName || event.pulseId}: ${event.previousValue?.label?.text || '-'} -> ${event.value?.label?.text || '-'}`);
+  }
+
+  console.log(`Sent ${sent} of ${events.length} events`);
+};
+
+main().catch((error) => {
+  console.error(`Replay failed: ${error.message}`);
+  process.exit(1);
+});
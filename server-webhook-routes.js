@@ -0,0 +1,129 @@
+/**
+ * Webhook Routes
+ *
+ * Receives monday.com board webhooks and streams them to the app as server-sent events,
+ * so open analyses can update as statuses change.
+ */
+
+const express = require('express');
+const { callMondayApi } = require('../services/oauthService');
+const { publish, subscribe } = require('../services/eventHub');
+const {
+  authenticate,
+  requireToken,
+  requireScopes,
+  verifyWebhook
+} = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Comment lines sent this often keep proxies from closing idle event streams
+const HEARTBEAT_MS = 25 * 1000;
+
+// Webhooks this server registered, by board ID
+const boardWebhooks = new Map();
+
+/**
+ * Require the user to be able to read the board in the URL
+ */
+const requireBoardAccess = async (req, res, next) => {
+  try {
+    const { body } = await callMondayApi(
+      req.mondayToken.accessToken,
+      'query ($ids: [ID!]) { boards(ids: $ids) { id } }',
+      { ids: [req.params.boardId] }
+    );
+
+    if (!body.data || !body.data.boards || body.data.boards.length === 0) {
+      return res.status(404).json({ error: 'board_not_found', message: 'Board not found or not shared with you' });
+    }
+
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Webhook receiver; monday.com first sends a challenge that has to be echoed back
+router.post('/monday', (req, res, next) => {
+  if (req.body && req.body.challenge) {
+    return res.json({ challenge: req.body.challenge });
+  }
+
+  return verifyWebhook(req, res, next);
+}, (req, res) => {
+  const event = req.body && req.body.event;
+
+  if (!event || !event.boardId) {
+    return res.status(400).json({ error: 'invalid_event', message: 'Expected a board event' });
+  }
+
+  publish(event.boardId, event);
+  return res.json({ received: true });
+});
+
+// Register a webhook for a board's status changes (once per board)
+router.post(
+  '/boards/:boardId/subscribe',
+  authenticate,
+  requireToken,
+  requireScopes(['webhooks:write']),
+  requireBoardAccess,
+  async (req, res, next) => {
+    const { boardId } = req.params;
+
+    if (boardWebhooks.has(boardId)) {
+      return res.json({ webhookId: boardWebhooks.get(boardId), created: false });
+    }
+
+    if (!process.env.PUBLIC_SERVER_URL) {
+      return res.status(501).json({
+        error: 'webhooks_not_configured',
+        message: 'Set PUBLIC_SERVER_URL so monday.com can reach the webhook receiver'
+      });
+    }
+
+    try {
+      const { body } = await callMondayApi(
+        req.mondayToken.accessToken,
+        'mutation ($boardId: ID!, $url: String!) { create_webhook (board_id: $boardId, url: $url, event: change_status_column_value) { id } }',
+        { boardId, url: `${process.env.PUBLIC_SERVER_URL.replace(/\/$/, '')}/webhooks/monday` }
+      );
+
+      if (!body.data || !body.data.create_webhook) {
+        const message = (body.errors || []).map(error => error.message).join('; ') || 'monday.com did not create the webhook';
+        return res.status(502).json({ error: 'webhook_failed', message });
+      }
+
+      boardWebhooks.set(boardId, body.data.create_webhook.id);
+      return res.json({ webhookId: body.data.create_webhook.id, created: true });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+// Stream a board's events to the app
+router.get('/boards/:boardId/events', authenticate, requireToken, requireBoardAccess, (req, res) => {
+  const lastEventId = parseInt(req.headers['last-event-id'], 10);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const unsubscribe = subscribe(req.params.boardId, (entry) => {
+    res.write(`id: ${entry.id}\ndata: ${JSON.stringify(entry)}\n\n`);
+  }, { afterId: Number.isNaN(lastEventId) ? null : lastEventId });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
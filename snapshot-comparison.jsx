@@ -0,0 +1,197 @@
+import React, { useState, useMemo } from 'react';
+import {
+  TREND_METRICS,
+  compareSnapshots,
+  buildTrendSeries
+} from '../../services/analysis/analysisSnapshots';
+import './SnapshotComparison.css';
+
+const SnapshotComparison = ({ snapshots = [] }) => {
+  const [baseId, setBaseId] = useState(null);
+  const [targetId, setTargetId] = useState(null);
+  const [trendMetric, setTrendMetric] = useState('efficiency');
+
+  // Default to comparing the latest run with the one before it
+  const base = snapshots.find(snapshot => snapshot.id === baseId) || snapshots[snapshots.length - 2];
+  const target = snapshots.find(snapshot => snapshot.id === targetId) || snapshots[snapshots.length - 1];
+
+  const comparison = useMemo(
+    () => (base && target && base.id !== target.id ? compareSnapshots(base, target) : null),
+    [base, target]
+  );
+
+  const trendSeries = useMemo(() => buildTrendSeries(snapshots, trendMetric), [snapshots, trendMetric]);
+
+  if (snapshots.length < 2) {
+    return (
+      <div className="no-snapshots">
+        <h2>Not Enough History Yet</h2>
+        <p>Each analysis run is saved as a snapshot. Run the analysis again later to compare results over time.</p>
+      </div>
+    );
+  }
+
+  const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString();
+
+  // Format a metric value with its unit
+  const formatValue = (value, unit) => {
+    if (value === null || value === undefined) return '–';
+    return unit === '%' ? `${value}%` : `${value} ${unit}`;
+  };
+
+  // Format the change between snapshots, e.g. "+12%"
+  const formatChange = (change) => {
+    if (change.difference === null) return '–';
+    const sign = change.difference > 0 ? '+' : '';
+    return change.percent !== null ? `${sign}${change.difference} (${sign}${change.percent}%)` : `${sign}${change.difference}`;
+  };
+
+  // Line chart of the selected metric across all snapshots
+  const renderTrendLine = () => {
+    if (trendSeries.length < 2) {
+      return <p className="trend-empty">Not enough snapshots with this metric to draw a trend.</p>;
+    }
+
+    const width = 600;
+    const height = 160;
+    const padding = 24;
+    const values = trendSeries.map(point => point.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+    const step = (width - padding * 2) / (trendSeries.length - 1);
+
+    const points = trendSeries.map((point, index) => ({
+      ...point,
+      x: padding + index * step,
+      y: height - padding - ((point.value - min) / range) * (height - padding * 2)
+    }));
+
+    return (
+      <svg className="snapshot-trend" viewBox={`0 0 ${width} ${height}`}>
+        <polyline
+          points={points.map(point => `${point.x},${point.y}`).join(' ')}
+          fill="none"
+          stroke="#0073ea"
+          strokeWidth="2"
+        />
+        {points.map(point => (
+          <circle key={point.date} cx={point.x} cy={point.y} r="4" fill="#0073ea">
+            <title>{`${formatDate(point.date)}: ${point.value}`}</title>
+          </circle>
+        ))}
+        <text x={padding} y={height - 4} fontSize="11">{formatDate(points[0].date)}</text>
+        <text x={width - padding} y={height - 4} fontSize="11" textAnchor="end">
+          {formatDate(points[points.length - 1].date)}
+        </text>
+      </svg>
+    );
+  };
+
+  const renderSnapshotSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)}>
+      {snapshots.map(snapshot => (
+        <option key={snapshot.id} value={snapshot.id}>
+          {new Date(snapshot.createdAt).toLocaleString()}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="snapshot-comparison">
+      <div className="snapshot-trend-section">
+        <div className="snapshot-section-header">
+          <h2>Trend</h2>
+          <select value={trendMetric} onChange={(e) => setTrendMetric(e.target.value)}>
+            {Object.entries(TREND_METRICS).map(([metric, definition]) => (
+              <option key={metric} value={metric}>{definition.label}</option>
+            ))}
+          </select>
+        </div>
+        {renderTrendLine()}
+      </div>
+
+      <div className="snapshot-diff-section">
+        <div className="snapshot-section-header">
+          <h2>Compare Runs</h2>
+          <div className="snapshot-pickers">
+            {renderSnapshotSelect(base.id, setBaseId)}
+            <span>to</span>
+            {renderSnapshotSelect(target.id, setTargetId)}
+          </div>
+        </div>
+
+        {!comparison ? (
+          <p>Choose two different runs to compare.</p>
+        ) : (
+          <>
+            <table className="snapshot-diff-table">
+              <thead>
+                <tr>
+                  <th>Metric</th>
+                  <th>{formatDate(comparison.base.createdAt)}</th>
+                  <th>{formatDate(comparison.target.createdAt)}</th>
+                  <th>Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(comparison.metrics).map(([metric, change]) => (
+                  <tr key={metric}>
+                    <td>{TREND_METRICS[metric].label}</td>
+                    <td>{formatValue(change.from, TREND_METRICS[metric].unit)}</td>
+                    <td>{formatValue(change.to, TREND_METRICS[metric].unit)}</td>
+                    <td className={change.improved === null ? '' : change.improved ? 'improved' : 'worsened'}>
+                      {formatChange(change)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {comparison.bottlenecks.length > 0 && (
+              <>
+                <h3>Bottlenecks</h3>
+                <table className="snapshot-diff-table">
+                  <thead>
+                    <tr>
+                      <th>Status</th>
+                      <th>State</th>
+                      <th>Avg. Time Before</th>
+                      <th>Avg. Time After</th>
+                      <th>Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparison.bottlenecks.map(bottleneck => (
+                      <tr key={bottleneck.status}>
+                        <td>{bottleneck.status}</td>
+                        <td><span className={`bottleneck-state ${bottleneck.state}`}>{bottleneck.state}</span></td>
+                        <td>{formatValue(bottleneck.averageTimeHours.from, 'hrs')}</td>
+                        <td>{formatValue(bottleneck.averageTimeHours.to, 'hrs')}</td>
+                        <td className={bottleneck.averageTimeHours.improved === null ? '' : bottleneck.averageTimeHours.improved ? 'improved' : 'worsened'}>
+                          {formatChange(bottleneck.averageTimeHours)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+
+            {comparison.addressedSuggestions.length > 0 && (
+              <>
+                <h3>Suggestions No Longer Raised</h3>
+                <ul>
+                  {comparison.addressedSuggestions.map(title => <li key={title}>{title}</li>)}
+                </ul>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SnapshotComparison;
@@ -0,0 +1,85 @@
+/**
+ * Statistics Utilities
+ *
+ * This file contains small numeric helpers shared by the analysis services.
+ */
+
+/**
+ * Calculate a percentile using linear interpolation between closest ranks
+ * @param {Array} values - List of numbers
+ * @param {Number} p - Percentile to calculate (0-100)
+ * @returns {Number|null} - Percentile value, or null if there are no values
+ */
+export const percentile = (values, p) => {
+  if (!values || values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+
+  if (sorted.length === 1) return sorted[0];
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  const weight = rank - lower;
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * weight;
+};
+
+/**
+ * Calculate the median of a list of numbers
+ * @param {Array} values - List of numbers
+ * @returns {Number|null} - Median value, or null if there are no values
+ */
+export const median = (values) => percentile(values, 50);
+
+/**
+ * Calculate the arithmetic mean of a list of numbers
+ * @param {Array} values - List of numbers
+ * @returns {Number|null} - Mean value, or null if there are no values
+ */
+export const mean = (values) => {
+  if (!values || values.length === 0) return null;
+
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+};
+
+/**
+ * Summarize a distribution with min/avg/max and common percentiles
+ * @param {Array} values - List of numbers
+ * @returns {Object} - Summary (count, min, average, max, p50, p85, p95)
+ */
+export const summarize = (values) => {
+  if (!values || values.length === 0) {
+    return { count: 0, min: null, average: null, max: null, p50: null, p85: null, p95: null };
+  }
+
+  return {
+    count: values.length,
+    min: Math.min(...values),
+    average: mean(values),
+    max: Math.max(...values),
+    p50: percentile(values, 50),
+    p85: percentile(values, 85),
+    p95: percentile(values, 95)
+  };
+};
+
+/**
+ * Calculate the percentage change between two values
+ * @param {Number} current - Value for the current period
+ * @param {Number} previous - Value for the previous period
+ * @returns {Number|null} - Percentage change, or null if it can't be calculated
+ */
+export const percentChange = (current, previous) => {
+  if (current === null || current === undefined || !previous) return null;
+
+  return ((current - previous) / previous) * 100;
+};
+
+export default {
+  percentile,
+  median,
+  mean,
+  summarize,
+  percentChange
+};
@@ -0,0 +1,372 @@
+/**
+ * Template Registry
+ *
+ * This file contains functions for the workflow template library: saving boards and
+ * configured workflows as versioned templates, searching them by category and tags, and
+ * sharing them between accounts as JSON files.
+ */
+
+import { validateSchema, assertSchema } from '../../utils/schemaValidation';
+import { getStatusLabels } from '../analysis/automationRecipes';
+import { BUILT_IN_TEMPLATES, FALLBACK_TEMPLATE_ID } from '../../constants/workflowTemplates';
+
+export const TEMPLATE_SCHEMA_VERSION = 1;
+
+const TEMPLATE_FILE_KIND = 'workflow-templates';
+
+// Column types whose labels are kept when a board is saved as a template
+const LABELLED_COLUMN_TYPES = {
+  status: 'status',
+  color: 'status',
+  dropdown: 'dropdown'
+};
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+export const TEMPLATE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'category', 'version', 'structure'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    category: { type: 'string', minLength: 1 },
+    tags: STRING_LIST,
+    version: { type: 'integer', minimum: 1 },
+    createdAt: { type: 'string' },
+    updatedAt: { type: 'string' },
+    structure: {
+      type: 'object',
+      required: ['board_name', 'columns', 'groups'],
+      properties: {
+        board_name: { type: 'string' },
+        columns: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['title', 'type'],
+            properties: {
+              title: { type: 'string', minLength: 1 },
+              type: { type: 'string', minLength: 1 },
+              labels: STRING_LIST
+            }
+          }
+        },
+        groups: STRING_LIST,
+        roles: STRING_LIST,
+        initial_tasks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'group'],
+            properties: {
+              name: { type: 'string', minLength: 1 },
+              group: { type: 'string' },
+              owner_role: { type: 'string' },
+              status: { type: 'string' }
+            }
+          }
+        },
+        automations: { type: 'array', items: { type: 'object' } }
+      }
+    }
+  }
+};
+
+const TEMPLATE_FILE_SCHEMA = {
+  type: 'object',
+  required: ['schemaVersion', 'kind', 'templates'],
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 1 },
+    kind: { enum: [TEMPLATE_FILE_KIND] },
+    templates: { type: 'array', items: TEMPLATE_SCHEMA }
+  }
+};
+
+let templateCounter = 0;
+
+/**
+ * Normalize a list of tags: trimmed, lower-case and without duplicates
+ * @param {Array|string} tags - Tags, or a comma-separated string of tags
+ * @returns {Array} - Tags
+ */
+export const normalizeTags = (tags) => {
+  const list = typeof tags === 'string' ? tags.split(',') : tags || [];
+  return Array.from(new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean)));
+};
+
+/**
+ * Keep only the parts of a workflow structure that belong in a template
+ * Role assignments refer to people in one account, so they are left out.
+ * @param {Object} structure - Workflow structure
+ * @returns {Object} - Template structure
+ */
+const toTemplateStructure = (structure) => ({
+  board_name: structure.board_name || '',
+  columns: (structure.columns || []).map(({ title, type, labels }) => ({
+    title,
+    type,
+    ...(labels && labels.length > 0 ? { labels: labels.map(label => label.trim()).filter(Boolean) } : {})
+  })),
+  groups: [...(structure.groups || [])],
+  roles: [...(structure.roles || [])],
+  initial_tasks: (structure.initial_tasks || []).map(task => ({ ...task })),
+  automations: (structure.automations || []).map(recipe => ({ ...recipe }))
+});
+
+/**
+ * Create a template from a workflow structure, e.g. the result of the workflow configurator
+ * @param {Object} structure - Workflow structure
+ * @param {Object} details - Template details (name, description, category, tags)
+ * @param {Object} options - Options (now)
+ * @returns {Object} - Template at version 1
+ */
+export const templateFromStructure = (structure, details = {}, options = {}) => {
+  const { now = new Date() } = options;
+  templateCounter += 1;
+
+  return {
+    id: `template-${now.getTime()}-${templateCounter}`,
+    name: details.name || structure.board_name || 'Untitled Template',
+    description: details.description || '',
+    category: (details.category || 'general').trim().toLowerCase(),
+    tags: normalizeTags(details.tags),
+    version: 1,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    structure: toTemplateStructure(structure)
+  };
+};
+
+/**
+ * Create a template from an existing board's columns and groups
+ * @param {Object} boardData - Board data from fetchBoardData
+ * @param {Object} details - Template details (name, description, category, tags)
+ * @param {Object} options - Options (now)
+ * @returns {Object} - Template at version 1
+ */
+export const templateFromBoard = (boardData, details = {}, options = {}) => {
+  const columns = (boardData.columns || [])
+    // The item name column is part of every board
+    .filter(column => column.type !== 'name')
+    .map(column => {
+      const type = LABELLED_COLUMN_TYPES[column.type] || column.type;
+      const labels = LABELLED_COLUMN_TYPES[column.type] ? getStatusLabels(column) : [];
+
+      return { title: column.title, type, ...(labels.length > 0 ? { labels } : {}) };
+    });
+
+  return templateFromStructure({
+    board_name: boardData.name,
+    columns,
+    groups: (boardData.groups || []).map(group => group.title),
+    roles: [],
+    initial_tasks: []
+  }, {
+    name: boardData.name,
+    description: boardData.description || '',
+    ...details
+  }, options);
+};
+
+/**
+ * Save changes to a template as its next version
+ * @param {Object} template - Current template
+ * @param {Object} changes - Changed details or structure
+ * @param {Object} options - Options (now)
+ * @returns {Object} - Template with its version increased
+ */
+export const reviseTemplate = (template, changes = {}, options = {}) => {
+  const { now = new Date() } = options;
+
+  return {
+    ...template,
+    ...changes,
+    tags: changes.tags ? normalizeTags(changes.tags) : template.tags,
+    structure: changes.structure ? toTemplateStructure(changes.structure) : template.structure,
+    version: template.version + 1,
+    updatedAt: now.toISOString()
+  };
+};
+
+/**
+ * Validate a template
+ * @param {Object} template - Template
+ * @returns {Array} - Validation errors (empty if the template is valid)
+ */
+export const validateTemplate = (template) => {
+  const errors = validateSchema(template, TEMPLATE_SCHEMA, 'template');
+  if (errors.length > 0) return errors;
+
+  const { groups, roles = [], initial_tasks: tasks = [] } = template.structure;
+
+  tasks.forEach(task => {
+    if (!groups.includes(task.group)) {
+      errors.push(`Task "${task.name}" is in group "${task.group}", which the template doesn't have`);
+    }
+    if (task.owner_role && !roles.includes(task.owner_role)) {
+      errors.push(`Task "${task.name}" is owned by role "${task.owner_role}", which the template doesn't have`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Add a template to a library, replacing an older version of it
+ * @param {Array} library - Saved templates
+ * @param {Object} template - Template to add
+ * @returns {Array} - Updated library
+ */
+export const upsertTemplate = (library, template) => {
+  const errors = validateTemplate(template);
+  if (errors.length > 0) {
+    throw new Error(`Invalid template: ${errors.join('; ')}`);
+  }
+
+  const existing = library.find(saved => saved.id === template.id);
+  if (existing && existing.version > template.version) {
+    throw new Error(`The library already has version ${existing.version} of "${existing.name}"`);
+  }
+
+  return [...library.filter(saved => saved.id !== template.id), template];
+};
+
+/**
+ * Combine the built-in templates with the organisation's saved ones
+ * @param {Array} savedTemplates - Saved templates
+ * @returns {Array} - Templates, built-in first; each flagged as builtIn or not
+ */
+export const getTemplateLibrary = (savedTemplates = []) => [
+  ...BUILT_IN_TEMPLATES.map(template => ({ ...template, builtIn: true })),
+  ...savedTemplates.map(template => ({ ...template, builtIn: false }))
+];
+
+/**
+ * Search templates by text, category and tags
+ * @param {Array} templates - Templates
+ * @param {Object} filters - Filters (query, category, tags: every tag must match)
+ * @returns {Array} - Matching templates
+ */
+export const searchTemplates = (templates, filters = {}) => {
+  const { query = '', category = 'all', tags = [] } = filters;
+  const text = query.trim().toLowerCase();
+
+  return templates.filter(template => {
+    const matchesText = !text || [template.name, template.description, ...(template.tags || [])]
+      .some(value => (value || '').toLowerCase().includes(text));
+    const matchesCategory = category === 'all' || template.category === category;
+    const matchesTags = tags.every(tag => (template.tags || []).includes(tag));
+
+    return matchesText && matchesCategory && matchesTags;
+  });
+};
+
+/**
+ * Get the categories used by templates
+ * @param {Array} templates - Templates
+ * @returns {Array} - Categories, in order of first use
+ */
+export const getTemplateCategories = (templates) => Array.from(new Set(templates.map(template => template.category)));
+
+/**
+ * Get the tags used by templates
+ * @param {Array} templates - Templates
+ * @returns {Array} - Tags, sorted alphabetically
+ */
+export const getTemplateTags = (templates) => (
+  Array.from(new Set(templates.flatMap(template => template.tags || []))).sort()
+);
+
+/**
+ * Pick the built-in template whose keywords match a workflow description
+ * @param {string} description - Workflow description
+ * @returns {Object} - Template (the fallback template if no keywords match)
+ */
+export const matchTemplateToDescription = (description) => {
+  const text = (description || '').toLowerCase();
+
+  return BUILT_IN_TEMPLATES.find(template => template.keywords.some(keyword => text.includes(keyword)))
+    || BUILT_IN_TEMPLATES.find(template => template.id === FALLBACK_TEMPLATE_ID);
+};
+
+/**
+ * Export templates as a JSON file that can be imported into another library
+ * @param {Array} templates - Templates
+ * @param {Object} options - Options (now)
+ * @returns {string} - JSON file content
+ */
+export const exportTemplates = (templates, options = {}) => {
+  const { now = new Date() } = options;
+
+  return JSON.stringify({
+    schemaVersion: TEMPLATE_SCHEMA_VERSION,
+    kind: TEMPLATE_FILE_KIND,
+    exportedAt: now.toISOString(),
+    templates: templates.map(({ builtIn, keywords, icon, ...template }) => template)
+  }, null, 2);
+};
+
+/**
+ * Import templates from a JSON file
+ * @param {string} text - JSON file content from exportTemplates
+ * @returns {Array} - Templates
+ */
+export const importTemplates = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (file?.schemaVersion > TEMPLATE_SCHEMA_VERSION) {
+    throw new Error(`These templates were exported by a newer version (schema ${file.schemaVersion})`);
+  }
+
+  assertSchema(file, TEMPLATE_FILE_SCHEMA, 'template file');
+
+  file.templates.forEach(template => {
+    const errors = validateTemplate(template);
+    if (errors.length > 0) {
+      throw new Error(`Template "${template.name}" is invalid: ${errors.join('; ')}`);
+    }
+  });
+
+  return file.templates;
+};
+
+/**
+ * Save templates as a JSON file in the browser
+ * @param {Array} templates - Templates
+ * @param {string} filename - File name
+ */
+export const downloadTemplates = (templates, filename = 'workflow-templates.json') => {
+  const url = URL.createObjectURL(new Blob([exportTemplates(templates)], { type: 'application/json;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export default {
+  TEMPLATE_SCHEMA_VERSION,
+  TEMPLATE_SCHEMA,
+  normalizeTags,
+  templateFromStructure,
+  templateFromBoard,
+  reviseTemplate,
+  validateTemplate,
+  upsertTemplate,
+  getTemplateLibrary,
+  searchTemplates,
+  getTemplateCategories,
+  getTemplateTags,
+  matchTemplateToDescription,
+  exportTemplates,
+  importTemplates,
+  downloadTemplates
+};
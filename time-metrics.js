@@ -0,0 +1,224 @@
+/**
+ * Time Metrics
+ *
+ * This file contains functions for calculating cycle time, lead time, completion rate
+ * and throughput from the status changes produced by extractStatusChanges.
+ */
+
+import { summarize, percentChange } from '../../utils/statistics';
+import { matchesStatusTerm, getStatusTerms, normalizeText } from '../i18n/i18n';
+
+const HOURS_PER_DAY = 24;
+const MS_PER_DAY = 1000 * 60 * 60 * HOURS_PER_DAY;
+
+// Length of each selectable time frame in days (null means no limit)
+export const TIME_FRAMES = {
+  '7days': 7,
+  '30days': 30,
+  '90days': 90,
+  'alltime': null
+};
+
+/**
+ * Default check for statuses that mean work is finished, in any supported language
+ * @param {string} status - Status label
+ * @returns {boolean} - Whether the status is a done status
+ */
+const defaultIsDoneStatus = (status) => matchesStatusTerm(status, 'done');
+
+/**
+ * Default check for statuses that mean work hasn't started yet, in any supported language
+ * @param {string} status - Status label
+ * @returns {boolean} - Whether the status is a not-started status
+ */
+const defaultIsNotStartedStatus = (status) => {
+  const normalizedStatus = normalizeText(status);
+  return getStatusTerms('notStarted').some(
+    name => normalizedStatus === name || normalizedStatus.startsWith(name + ' ')
+  );
+};
+
+/**
+ * Build a status matcher from a list of status labels, or fall back to a default check
+ * @param {Array|null} statuses - List of status labels
+ * @param {Function} fallback - Check to use when no list is given
+ * @returns {Function} - Status matcher
+ */
+const buildStatusMatcher = (statuses, fallback) => {
+  if (!statuses || statuses.length === 0) return fallback;
+
+  const lowerStatuses = statuses.map(status => status.toLowerCase());
+  return (status) => lowerStatuses.includes(status.toLowerCase());
+};
+
+/**
+ * Collect first-seen, first-active and first-done timestamps for each item
+ * @param {Array} statusChanges - List of status changes
+ * @param {Object} options - Options (items, doneStatuses, notStartedStatuses)
+ * @returns {Object} - Timestamps keyed by item ID
+ */
+export const getItemTimestamps = (statusChanges, options = {}) => {
+  const { items = [], doneStatuses = null, notStartedStatuses = null } = options;
+
+  const isDone = buildStatusMatcher(doneStatuses, defaultIsDoneStatus);
+  const isNotStarted = buildStatusMatcher(notStartedStatuses, defaultIsNotStartedStatus);
+
+  // Item creation dates give a better lead time start than the first status change
+  const createdAtById = {};
+  items.forEach(item => {
+    if (item.created_at) {
+      createdAtById[item.id] = new Date(item.created_at);
+    }
+  });
+
+  const timestamps = {};
+
+  [...(statusChanges || [])]
+    .filter(change => change.itemId)
+    .sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime())
+    .forEach(change => {
+      if (!timestamps[change.itemId]) {
+        timestamps[change.itemId] = {
+          itemName: change.itemName,
+          firstSeen: createdAtById[change.itemId] || change.timestamp,
+          firstActive: null,
+          firstDone: null
+        };
+      }
+
+      const item = timestamps[change.itemId];
+      const status = change.newStatus;
+
+      if (!status || item.firstDone) return;
+
+      if (isDone(status)) {
+        item.firstDone = change.timestamp;
+      } else if (!item.firstActive && !isNotStarted(status)) {
+        item.firstActive = change.timestamp;
+      }
+    });
+
+  return timestamps;
+};
+
+/**
+ * Calculate metrics for the items completed within a period
+ * @param {Array} itemTimestamps - List of item timestamps
+ * @param {Date|null} start - Start of the period (null for no limit)
+ * @param {Date} end - End of the period
+ * @returns {Object} - Period metrics
+ */
+const calculatePeriodMetrics = (itemTimestamps, start, end) => {
+  const inPeriod = (date) => date && (!start || date >= start) && date <= end;
+
+  const completed = itemTimestamps.filter(item => inPeriod(item.firstDone));
+
+  // Items that were open at some point during the period
+  const inScope = itemTimestamps.filter(item =>
+    item.firstSeen <= end && (!item.firstDone || !start || item.firstDone >= start)
+  );
+
+  const cycleTimes = completed
+    .filter(item => item.firstActive)
+    .map(item => (item.firstDone - item.firstActive) / MS_PER_DAY);
+
+  const leadTimes = completed.map(item => (item.firstDone - item.firstSeen) / MS_PER_DAY);
+
+  return {
+    cycleTime: summarize(cycleTimes),
+    leadTime: summarize(leadTimes),
+    completedCount: completed.length,
+    inScopeCount: inScope.length,
+    completionRate: inScope.length > 0 ? (completed.length / inScope.length) * 100 : 0
+  };
+};
+
+/**
+ * Round a summary for display
+ * @param {Object} summary - Distribution summary
+ * @returns {Object} - Rounded summary with unit
+ */
+const formatSummary = (summary) => {
+  const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+  return {
+    average: round(summary.average),
+    min: round(summary.min),
+    max: round(summary.max),
+    p50: round(summary.p50),
+    p85: round(summary.p85),
+    p95: round(summary.p95),
+    count: summary.count,
+    unit: 'days'
+  };
+};
+
+/**
+ * Format a period-over-period trend
+ * @param {Number} current - Value for the current period
+ * @param {Number} previous - Value for the previous period
+ * @returns {Object} - Trend text and direction
+ */
+const formatTrend = (current, previous) => {
+  const change = percentChange(current, previous);
+
+  if (change === null) {
+    return { trend: null, trendDirection: null };
+  }
+
+  const rounded = Math.round(change);
+
+  return {
+    trend: `${rounded >= 0 ? '+' : ''}${rounded}%`,
+    trendDirection: rounded > 0 ? 'up' : rounded < 0 ? 'down' : 'flat'
+  };
+};
+
+/**
+ * Calculate cycle time, lead time, completion rate and throughput for a time frame
+ * @param {Array} statusChanges - List of status changes
+ * @param {Object} options - Options (timeFrame, items, doneStatuses, notStartedStatuses, now)
+ * @returns {Object} - Time metrics with trends against the previous period
+ */
+export const calculateTimeMetrics = (statusChanges, options = {}) => {
+  const { timeFrame = '30days', now = new Date() } = options;
+
+  const itemTimestamps = Object.values(getItemTimestamps(statusChanges, options));
+  const periodDays = TIME_FRAMES[timeFrame] ?? null;
+
+  const currentStart = periodDays ? new Date(now.getTime() - periodDays * MS_PER_DAY) : null;
+  const current = calculatePeriodMetrics(itemTimestamps, currentStart, now);
+
+  // "All time" has no previous period to compare against
+  let previous = null;
+  if (periodDays) {
+    const previousStart = new Date(currentStart.getTime() - periodDays * MS_PER_DAY);
+    previous = calculatePeriodMetrics(itemTimestamps, previousStart, currentStart);
+  }
+
+  return {
+    timeFrame,
+    cycleTime: {
+      ...formatSummary(current.cycleTime),
+      ...formatTrend(current.cycleTime.average, previous?.cycleTime.average)
+    },
+    leadTime: {
+      ...formatSummary(current.leadTime),
+      ...formatTrend(current.leadTime.average, previous?.leadTime.average)
+    },
+    completionRate: {
+      value: Math.round(current.completionRate),
+      ...formatTrend(current.completionRate, previous?.completionRate)
+    },
+    throughput: {
+      value: current.completedCount,
+      ...formatTrend(current.completedCount, previous?.completedCount)
+    }
+  };
+};
+
+export default {
+  TIME_FRAMES,
+  getItemTimestamps,
+  calculateTimeMetrics
+};
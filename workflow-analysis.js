@@ -5,32 +5,45 @@
  * and generating optimization suggestions.
  */
 
+import { median, percentile } from '../../utils/statistics';
+import { buildTerminalStatusMatcher, getTerminalStatuses } from './bottleneckAnalysis';
+import { COLUMN_ROLES, detectColumnMapping, getMappedValue } from './columnMapping';
+import { buildDueDateReminderRecipe, buildStatusChangeNotificationRecipe } from './automationRecipes';
+import { getWorkflowOrders, matchesStatusTerm, normalizeText } from '../i18n/i18n';
+
+// A status is a bottleneck when its median time exceeds the typical status time by this factor
+const BOTTLENECK_THRESHOLD_FACTOR = 1.5;
+
 /**
  * Analyze the structure of a board and its workflow
  * @param {Object} boardData - Data for the board to analyze
+ * @param {Object} options - Options (columnMapping; detected from the columns if not given)
  * @returns {Object} - Analysis results
  */
-export const analyzeWorkflowStructure = async (boardData) => {
+export const analyzeWorkflowStructure = async (boardData, options = {}) => {
   try {
+    const columnMapping = options.columnMapping || detectColumnMapping(boardData.columns);
+    
     // Analyze columns
-    const columnsAnalysis = analyzeColumns(boardData.columns);
+    const columnsAnalysis = analyzeColumns(boardData.columns, columnMapping);
     
     // Analyze groups
     const groupsAnalysis = analyzeGroups(boardData.groups, boardData.items);
     
     // Analyze workflow efficiency
-    const workflowAnalysis = analyzeWorkflowEfficiency(boardData.items);
+    const workflowAnalysis = analyzeWorkflowEfficiency(boardData.items, columnMapping);
     
     // Extract status transitions from activity logs (if available)
     let statusTransitions = {};
     if (boardData.activity_logs) {
-      const statusChanges = extractStatusChanges(boardData.activity_logs);
+      const statusChanges = extractStatusChanges(boardData.activity_logs, { statusColumnId: columnMapping.status });
       statusTransitions = analyzeStatusTransitions(statusChanges);
     }
     
     // Return complete analysis
     return {
       boardName: boardData.name,
+      columnMapping,
       columns: columnsAnalysis,
       groups: groupsAnalysis,
       workflow: workflowAnalysis,
@@ -45,19 +58,14 @@ export const analyzeWorkflowStructure = async (boardData) => {
 /**
  * Analyze columns for missing essential types and duplicates
  * @param {Array} columns - List of columns
+ * @param {Object} columnMapping - Column ID per role
  * @returns {Object} - Column analysis results
  */
-const analyzeColumns = (columns) => {
-  // Check for missing important columns
-  const missingColumnTypes = [];
-  const essentialColumnTypes = ['status', 'people', 'date', 'numbers'];
-  
-  const existingColumnTypes = columns.map(col => col.type);
-  essentialColumnTypes.forEach(type => {
-    if (!existingColumnTypes.includes(type)) {
-      missingColumnTypes.push(type);
-    }
-  });
+const analyzeColumns = (columns, columnMapping) => {
+  // An essential column is missing when no column is mapped to its role
+  const missingColumnTypes = Object.entries(COLUMN_ROLES)
+    .filter(([role]) => !columnMapping[role])
+    .map(([, definition]) => definition.columnType);
   
   // Check for duplicate columns
   const columnTitles = columns.map(col => col.title.toLowerCase());
@@ -106,6 +114,18 @@ const calculateColumnEfficiency = (columns, missingTypes) => {
   return Math.min(100, Math.max(0, Math.round(efficiency)));
 };
 
+/**
+ * Find the group that holds a workflow stage; a group counts when its title contains the
+ * stage, so "In Progress (Sprint 4)" holds "In Progress"
+ * @param {Array} groups - List of groups
+ * @param {string} stage - Workflow stage
+ * @returns {Object|undefined} - Matching group
+ */
+const findStageGroup = (groups, stage) => {
+  const normalizedStage = normalizeText(stage);
+  return groups.find(group => normalizeText(group.title || '').includes(normalizedStage));
+};
+
 /**
  * Analyze groups for logical workflow and item distribution
  * @param {Array} groups - List of groups
@@ -113,14 +133,8 @@ const calculateColumnEfficiency = (columns, missingTypes) => {
  * @returns {Object} - Group analysis results
  */
 const analyzeGroups = (groups, items) => {
-  // Check if groups follow a logical workflow
-  const commonWorkflowOrders = [
-    ['Backlog', 'To Do', 'In Progress', 'Done'],
-    ['Planning', 'Development', 'Testing', 'Deployment'],
-    ['Not Started', 'Working on it', 'Stuck', 'Done']
-  ];
-  
-  const groupTitles = groups.map(g => g.title);
+  // Check if groups follow a logical workflow, in any supported language
+  const commonWorkflowOrders = getWorkflowOrders();
   
   let matchesKnownWorkflow = false;
   let bestMatchWorkflow = null;
@@ -128,9 +142,7 @@ const analyzeGroups = (groups, items) => {
   
   for (const workflow of commonWorkflowOrders) {
     // Check if current groups match or are a subset of a known workflow
-    const currentMatchScore = workflow.filter(stage => 
-      groupTitles.some(title => title.toLowerCase().includes(stage.toLowerCase()))
-    ).length / workflow.length;
+    const currentMatchScore = workflow.filter(stage => findStageGroup(groups, stage)).length / workflow.length;
     
     if (currentMatchScore > matchScore) {
       matchScore = currentMatchScore;
@@ -163,7 +175,7 @@ const analyzeGroups = (groups, items) => {
   
   // Identify unbalanced groups
   const imbalancedGroups = groupDistribution.filter(g => 
-    g.itemCount > 20 || (g.itemCount === 0 && g.groupName.toLowerCase() !== 'done')
+    g.itemCount > 20 || (g.itemCount === 0 && !matchesStatusTerm(g.groupName, 'done'))
   );
   
   // Calculate group efficiency based on alignment with known workflows and distribution
@@ -190,42 +202,26 @@ const analyzeGroups = (groups, items) => {
 /**
  * Analyze workflow efficiency based on items and their data completeness
  * @param {Array} items - List of items
+ * @param {Object} columnMapping - Column ID per role
  * @returns {Object} - Workflow efficiency analysis
  */
-const analyzeWorkflowEfficiency = (items) => {
+const analyzeWorkflowEfficiency = (items, columnMapping) => {
+  const requiredFields = [
+    { field: 'status', columnId: columnMapping.status },
+    { field: 'owner', columnId: columnMapping.owner },
+    { field: 'due date', columnId: columnMapping.dueDate }
+  ];
+  
   // Check for items missing critical information
-  const incompleteItems = items.filter(item => {
-    const columnValues = item.column_values || [];
-    
-    const hasStatus = columnValues.some(col => 
-      (col.type === 'status' || col.id === 'status' || col.title?.toLowerCase() === 'status') && col.text
-    );
-    
-    const hasOwner = columnValues.some(col => 
-      (col.type === 'people' || col.id === 'person' || col.title?.toLowerCase().includes('owner') || 
-       col.title?.toLowerCase().includes('assignee')) && col.text
-    );
-    
-    const hasDueDate = columnValues.some(col => 
-      (col.type === 'date' || col.id === 'date' || col.title?.toLowerCase().includes('due')) && col.text
-    );
-    
-    return !hasStatus || !hasOwner || !hasDueDate;
-  }).map(item => ({
-    id: item.id,
-    name: item.name,
-    missingFields: []
-      .concat(!item.column_values?.some(col => 
-        (col.type === 'status' || col.id === 'status' || col.title?.toLowerCase() === 'status') && col.text
-      ) ? ['status'] : [])
-      .concat(!item.column_values?.some(col => 
-        (col.type === 'people' || col.id === 'person' || col.title?.toLowerCase().includes('owner') || 
-         col.title?.toLowerCase().includes('assignee')) && col.text
-      ) ? ['owner'] : [])
-      .concat(!item.column_values?.some(col => 
-        (col.type === 'date' || col.id === 'date' || col.title?.toLowerCase().includes('due')) && col.text
-      ) ? ['due date'] : [])
-  }));
+  const incompleteItems = items
+    .map(item => ({
+      id: item.id,
+      name: item.name,
+      missingFields: requiredFields
+        .filter(({ columnId }) => !getMappedValue(item, columnId)?.text)
+        .map(({ field }) => field)
+    }))
+    .filter(item => item.missingFields.length > 0);
   
   // Calculate efficiency based on data completeness
   const completionRate = items.length > 0 ? 
@@ -240,9 +236,12 @@ const analyzeWorkflowEfficiency = (items) => {
 /**
  * Extract status changes from activity logs
  * @param {Array} activityLogs - List of activity logs
+ * @param {Object} options - Options (statusColumnId: the column that defines the workflow)
  * @returns {Array} - Extracted status changes
  */
-export const extractStatusChanges = (activityLogs) => {
+export const extractStatusChanges = (activityLogs, options = {}) => {
+  const { statusColumnId = null } = options;
+  
   return activityLogs
     .filter(log => log.event === 'change_column_value' && log.data)
     .map(log => {
@@ -256,11 +255,11 @@ export const extractStatusChanges = (activityLogs) => {
       
       if (!parsedData.column_id || !parsedData.value) return null;
       
-      // Only process status column changes
+      // Only process changes to the workflow status column; without a mapping, guess from the column ID
       const columnId = parsedData.column_id;
-      const isStatusColumn = columnId === 'status' || 
-                            columnId.includes('status') || 
-                            parsedData.text?.toLowerCase().includes('status');
+      const isStatusColumn = statusColumnId
+        ? columnId === statusColumnId
+        : columnId === 'status' || columnId.includes('status');
       
       if (!isStatusColumn) return null;
       
@@ -293,11 +292,11 @@ export const extractStatusChanges = (activityLogs) => {
 };
 
 /**
- * Calculate time spent in each status
+ * Calculate time each item has spent in each status
  * @param {Array} statusChanges - List of status changes
- * @returns {Object} - Time in status data
+ * @returns {Object} - Item name and hours per status, keyed by item ID
  */
-export const calculateTimeInStatus = (statusChanges) => {
+export const calculateItemTimeInStatus = (statusChanges) => {
   if (!statusChanges || statusChanges.length === 0) {
     return {};
   }
@@ -362,27 +361,43 @@ export const calculateTimeInStatus = (statusChanges) => {
     }
   });
   
+  return itemTimeInStatus;
+};
+
+/**
+ * Calculate time spent in each status
+ * @param {Array} statusChanges - List of status changes
+ * @returns {Object} - Time in status data
+ */
+export const calculateTimeInStatus = (statusChanges) => {
+  const itemTimeInStatus = calculateItemTimeInStatus(statusChanges);
+  
   // Calculate average time in each status across all items
   const statusTotalTime = {};
   const statusCount = {};
+  const statusDurations = {};
   
   Object.values(itemTimeInStatus).forEach(item => {
     Object.entries(item.statusDurations).forEach(([status, duration]) => {
       if (!statusTotalTime[status]) {
         statusTotalTime[status] = 0;
         statusCount[status] = 0;
+        statusDurations[status] = [];
       }
       
       statusTotalTime[status] += duration;
       statusCount[status]++;
+      statusDurations[status].push(duration);
     });
   });
   
-  // Calculate averages
+  // Calculate averages, plus median and 85th percentile which a few stale items can't skew
   const statusAverages = {};
   Object.keys(statusTotalTime).forEach(status => {
     statusAverages[status] = {
       averageTimeHours: statusTotalTime[status] / statusCount[status],
+      medianTimeHours: median(statusDurations[status]),
+      p85TimeHours: percentile(statusDurations[status], 85),
       totalItems: statusCount[status]
     };
   });
@@ -395,7 +410,7 @@ export const calculateTimeInStatus = (statusChanges) => {
  * @param {Array} statusChanges - List of status changes
  * @returns {Object} - Status transition counts
  */
-const analyzeStatusTransitions = (statusChanges) => {
+export const analyzeStatusTransitions = (statusChanges) => {
   const transitions = {};
   
   statusChanges.forEach(change => {
@@ -421,42 +436,57 @@ const analyzeStatusTransitions = (statusChanges) => {
 /**
  * Identify bottlenecks in the workflow
  * @param {Object} timeInStatus - Time in status data
+ * @param {Object} options - Options (terminalStatuses, thresholdFactor)
  * @returns {Array} - Sorted list of bottlenecks
  */
-export const identifyBottlenecks = (timeInStatus) => {
+export const identifyBottlenecks = (timeInStatus, options = {}) => {
+  const { terminalStatuses = [], thresholdFactor = BOTTLENECK_THRESHOLD_FACTOR } = options;
+  
   if (!timeInStatus || Object.keys(timeInStatus).length === 0) {
     return [];
   }
   
-  // Convert to array for sorting
-  const statusTimes = Object.entries(timeInStatus).map(([status, data]) => ({
-    status,
-    averageTimeHours: data.averageTimeHours,
-    itemCount: data.totalItems
-  }));
+  // Terminal statuses are expected to hold items indefinitely
+  const isTerminal = buildTerminalStatusMatcher(terminalStatuses);
   
-  // Sort by average time (descending)
-  statusTimes.sort((a, b) => b.averageTimeHours - a.averageTimeHours);
+  // Convert to array for sorting
+  const statusTimes = Object.entries(timeInStatus)
+    .filter(([status]) => !isTerminal(status))
+    .map(([status, data]) => ({
+      status,
+      averageTimeHours: data.averageTimeHours,
+      medianTimeHours: data.medianTimeHours ?? data.averageTimeHours,
+      p85TimeHours: data.p85TimeHours ?? data.averageTimeHours,
+      itemCount: data.totalItems
+    }));
+  
+  // A bottleneck only stands out relative to other statuses
+  if (statusTimes.length < 2) {
+    return [];
+  }
   
-  // Filter out done/completed statuses, which are expected to have longer durations
-  const filteredBottlenecks = statusTimes.filter(item => 
-    !item.status.toLowerCase().includes('done') && 
-    !item.status.toLowerCase().includes('complete')
-  );
+  // Sort by median time (descending)
+  statusTimes.sort((a, b) => b.medianTimeHours - a.medianTimeHours);
   
-  // Calculate an average time across all statuses to identify outliers
-  const avgTimeAllStatuses = statusTimes.reduce((sum, status) => sum + status.averageTimeHours, 0) / 
-                            statusTimes.length;
+  // Compare each status to the typical (median) status time
+  const typicalHours = median(statusTimes.map(status => status.medianTimeHours));
   
-  // Identify bottlenecks as statuses with times significantly higher than average
-  // or simply use the top 3 longest status times if there aren't clear outliers
-  const significantBottlenecks = filteredBottlenecks.filter(
-    status => status.averageTimeHours > avgTimeAllStatuses * 1.5
-  );
+  if (!typicalHours) {
+    return [];
+  }
   
-  return significantBottlenecks.length > 0 ? 
-    significantBottlenecks : 
-    filteredBottlenecks.slice(0, Math.min(3, filteredBottlenecks.length));
+  return statusTimes
+    .filter(status => status.medianTimeHours > typicalHours * thresholdFactor)
+    .map(status => {
+      const ratio = status.medianTimeHours / typicalHours;
+      
+      return {
+        ...status,
+        typicalHours,
+        ratio,
+        severity: ratio >= 4 ? 'high' : ratio >= 2.5 ? 'medium' : 'low'
+      };
+    });
 };
 
 /**
@@ -468,6 +498,7 @@ export const identifyBottlenecks = (timeInStatus) => {
  */
 export const generateOptimizationSuggestions = (structureAnalysis, bottlenecks, boardData) => {
   const suggestions = [];
+  const columnMapping = structureAnalysis.columnMapping || detectColumnMapping(boardData.columns);
   
   // Add suggestions based on column analysis
   if (structureAnalysis.columns && structureAnalysis.columns.missingEssentialColumns) {
@@ -503,12 +534,17 @@ export const generateOptimizationSuggestions = (structureAnalysis, bottlenecks,
           return; // Skip unknown column types
       }
       
+      const columnToAdd = structureAnalysis.columns.recommendedAdditions?.find(col => col.type === columnType);
+      
       suggestions.push({
         category: 'Structure',
         title,
         description,
         impact: columnType === 'status' || columnType === 'people' ? 'High' : 'Medium',
-        benefits
+        benefits,
+        changePlan: columnToAdd ? [
+          { operation: 'add_column', params: { title: columnToAdd.title, type: columnToAdd.type } }
+        ] : []
       });
     });
   }
@@ -526,7 +562,8 @@ export const generateOptimizationSuggestions = (structureAnalysis, bottlenecks,
           'Clearer workflow visualization',
           'Improved process understanding',
           'Better workflow analytics'
-        ]
+        ],
+        changePlan: buildGroupReorganizationPlan(structureAnalysis.groups.bestMatchWorkflow, boardData, columnMapping)
       });
     }
     
@@ -545,7 +582,8 @@ export const generateOptimizationSuggestions = (structureAnalysis, bottlenecks,
           'Improved visibility',
           'Better manageability',
           'Reduced cognitive load'
-        ]
+        ],
+        changePlan: []
       });
     }
   }
@@ -562,7 +600,8 @@ export const generateOptimizationSuggestions = (structureAnalysis, bottlenecks,
           'Reduced cycle time',
           'Improved throughput',
           'Better workflow balance'
-        ]
+        ],
+        changePlan: []
       });
     });
   }
@@ -583,12 +622,18 @@ export const generateOptimizationSuggestions = (structureAnalysis, bottlenecks,
           'Better data for decision-making',
           'Improved reporting accuracy',
           'Enhanced workflow automation'
-        ]
+        ],
+        changePlan: []
       });
     }
   }
   
-  // Add automation suggestions
+  // Add automation suggestions, with recipes for the board's own columns where it has them
+  const notificationRecipe = buildStatusChangeNotificationRecipe(columnMapping);
+  const reminderRecipe = buildDueDateReminderRecipe(columnMapping, {
+    doneStatus: getTerminalStatuses(boardData, { statusColumnId: columnMapping.status })[0]
+  });
+  
   suggestions.push({
     category: 'Automation',
     title: 'Implement Status Change Notifications',
@@ -598,7 +643,10 @@ export const generateOptimizationSuggestions = (structureAnalysis, bottlenecks,
       'Improved awareness',
       'Faster responses to status changes',
       'Reduced need for manual updates'
-    ]
+    ],
+    changePlan: notificationRecipe ? [
+      { operation: 'create_automation', params: { recipe: notificationRecipe } }
+    ] : []
   });
   
   if (structureAnalysis.columns?.missingEssentialColumns.includes('date') === false) {
@@ -611,17 +659,67 @@ export const generateOptimizationSuggestions = (structureAnalysis, bottlenecks,
         'Reduce missed deadlines',
         'Improve accountability',
         'Enhance priority management'
-      ]
+      ],
+      changePlan: reminderRecipe ? [
+        { operation: 'create_automation', params: { recipe: reminderRecipe } }
+      ] : []
     });
   }
   
   return suggestions;
 };
 
+/**
+ * Build a change plan that creates missing workflow groups and moves items into the
+ * group matching their current status
+ * @param {Array} workflow - Ordered list of workflow stages
+ * @param {Object} boardData - Board data
+ * @param {Object} columnMapping - Column ID per role
+ * @returns {Array} - Change plan steps
+ */
+const buildGroupReorganizationPlan = (workflow, boardData, columnMapping) => {
+  const groups = boardData.groups || [];
+  const plan = [];
+  
+  workflow.forEach(stage => {
+    if (!findStageGroup(groups, stage)) {
+      plan.push({ operation: 'create_group', params: { name: stage } });
+    }
+  });
+  
+  (boardData.items || []).forEach(item => {
+    const statusColumn = getMappedValue(item, columnMapping.status);
+    if (!statusColumn?.text) return;
+    
+    const stage = workflow.find(stage => normalizeText(stage) === normalizeText(statusColumn.text));
+    if (!stage) return;
+    
+    // Existing groups are addressed by ID; groups the plan creates only have a name yet
+    const targetGroup = findStageGroup(groups, stage);
+    if (targetGroup && targetGroup.id === item.group?.id) return;
+    
+    plan.push({
+      operation: 'move_item',
+      params: {
+        itemId: item.id,
+        itemName: item.name,
+        fromGroup: item.group?.title,
+        fromGroupId: item.group?.id,
+        groupId: targetGroup?.id,
+        groupName: targetGroup ? targetGroup.title : stage
+      }
+    });
+  });
+  
+  return plan;
+};
+
 export default {
   analyzeWorkflowStructure,
   extractStatusChanges,
+  calculateItemTimeInStatus,
   calculateTimeInStatus,
+  analyzeStatusTransitions,
   identifyBottlenecks,
   generateOptimizationSuggestions
 };
\ No newline at end of file
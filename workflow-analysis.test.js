@@ -0,0 +1,232 @@
+import { createMockMonday } from '../../../mocks/mockMonday';
+import fixture from '../../../mocks/fixtures/productBoard.json';
+import { fetchBoardAnalysisData, deleteColumn } from '../../api/mondayApi';
+import {
+  analyzeWorkflowStructure,
+  extractStatusChanges,
+  calculateTimeInStatus,
+  identifyBottlenecks,
+  generateOptimizationSuggestions
+} from '../workflowAnalysis';
+import { getTerminalStatuses } from '../bottleneckAnalysis';
+
+const BOARD_ID = '1001';
+
+// 200 hours after the first status change in the fixture
+const NOW = new Date('2024-03-12T17:00:00Z');
+
+const loadBoard = async (monday = createMockMonday(fixture)) => fetchBoardAnalysisData(monday, BOARD_ID);
+
+const byItem = (statusChanges, itemId) => statusChanges
+  .filter(change => change.itemId === itemId)
+  .sort((a, b) => a.timestamp - b.timestamp);
+
+describe('extractStatusChanges', () => {
+  it('reads every change to the status column from the activity log', async () => {
+    const boardData = await loadBoard();
+    const statusChanges = extractStatusChanges(boardData.activity_logs, { statusColumnId: 'status' });
+
+    expect(statusChanges).toHaveLength(19);
+    expect(byItem(statusChanges, '3003').map(change => change.newStatus)).toEqual([
+      'To Do', 'Working on it', 'Review', 'Working on it', 'Review', 'Done'
+    ]);
+  });
+
+  it('keeps the previous status, item and user of each change', async () => {
+    const boardData = await loadBoard();
+    const [first, second] = byItem(extractStatusChanges(boardData.activity_logs, { statusColumnId: 'status' }), '3001');
+
+    expect(first.previousStatus).toBeNull();
+    expect(second).toEqual({
+      itemId: '3001',
+      itemName: 'Login page',
+      previousStatus: 'To Do',
+      newStatus: 'Working on it',
+      timestamp: new Date('2024-03-04T17:00:00Z'),
+      userId: '201',
+      userName: 'Ana Silva'
+    });
+  });
+
+  it('skips other columns, other events and entries it cannot parse', async () => {
+    const boardData = await loadBoard();
+    const logs = [
+      ...boardData.activity_logs,
+      { id: 'broken', event: 'change_column_value', created_at: '2024-03-05T09:00:00Z', data: '{not json', entity: { id: '3006' } }
+    ];
+    const statusChanges = extractStatusChanges(logs, { statusColumnId: 'status' });
+
+    expect(statusChanges).toHaveLength(19);
+    expect(statusChanges.some(change => change.itemId === '3006')).toBe(false);
+    expect(extractStatusChanges(logs, { statusColumnId: 'numbers' })).toEqual([]);
+  });
+});
+
+describe('calculateTimeInStatus', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('measures completed and current stays in each status', async () => {
+    const boardData = await loadBoard();
+    const timeInStatus = calculateTimeInStatus(extractStatusChanges(boardData.activity_logs, { statusColumnId: 'status' }));
+
+    expect(timeInStatus['To Do']).toEqual({
+      averageTimeHours: 8,
+      medianTimeHours: 8,
+      p85TimeHours: 8,
+      totalItems: 5
+    });
+
+    // Profile page has been in progress for a week
+    expect(timeInStatus['Working on it'].averageTimeHours).toBeCloseTo(41.6);
+    expect(timeInStatus['Working on it'].medianTimeHours).toBe(8);
+
+    // Password reset went through review twice; Settings page is still waiting
+    expect(timeInStatus.Review.totalItems).toBe(4);
+    expect(timeInStatus.Review.averageTimeHours).toBe(88);
+    expect(timeInStatus.Review.medianTimeHours).toBe(72);
+  });
+
+  it('returns nothing without status changes', () => {
+    expect(calculateTimeInStatus([])).toEqual({});
+  });
+});
+
+describe('identifyBottlenecks', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('flags statuses that take much longer than typical, leaving out done statuses', async () => {
+    const boardData = await loadBoard();
+    const timeInStatus = calculateTimeInStatus(extractStatusChanges(boardData.activity_logs, { statusColumnId: 'status' }));
+    const terminalStatuses = getTerminalStatuses(boardData, { statusColumnId: 'status' });
+
+    expect(terminalStatuses).toEqual(['Done']);
+
+    const bottlenecks = identifyBottlenecks(timeInStatus, { terminalStatuses });
+
+    expect(bottlenecks).toHaveLength(1);
+    expect(bottlenecks[0]).toMatchObject({
+      status: 'Review',
+      medianTimeHours: 72,
+      typicalHours: 8,
+      ratio: 9,
+      severity: 'high',
+      itemCount: 4
+    });
+  });
+
+  it('needs at least two statuses to compare', () => {
+    expect(identifyBottlenecks({
+      Review: { averageTimeHours: 90, medianTimeHours: 90, p85TimeHours: 90, totalItems: 3 }
+    })).toEqual([]);
+  });
+});
+
+describe('generateOptimizationSuggestions', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const analyze = async (boardData) => {
+    const structure = await analyzeWorkflowStructure(boardData);
+    const statusChanges = extractStatusChanges(boardData.activity_logs, { statusColumnId: structure.columnMapping.status });
+    const bottlenecks = identifyBottlenecks(calculateTimeInStatus(statusChanges), {
+      terminalStatuses: getTerminalStatuses(boardData, { statusColumnId: structure.columnMapping.status })
+    });
+
+    return generateOptimizationSuggestions(structure, bottlenecks, boardData);
+  };
+
+  it('suggests relieving bottlenecks and automations for the board\'s own columns', async () => {
+    const suggestions = await analyze(await loadBoard());
+
+    expect(suggestions.map(suggestion => suggestion.title)).toEqual([
+      'Optimize "Review" Stage',
+      'Implement Status Change Notifications',
+      'Implement Due Date Reminders'
+    ]);
+    expect(suggestions[0].description).toContain('88 hours');
+
+    const [notification] = suggestions[1].changePlan;
+    expect(notification.operation).toBe('create_automation');
+    expect(notification.params.recipe.trigger).toMatchObject({ type: 'status_changed', columnId: 'status' });
+    expect(notification.params.recipe.action).toMatchObject({ type: 'notify', columnId: 'person' });
+
+    const [reminder] = suggestions[2].changePlan;
+    expect(reminder.params.recipe.trigger).toMatchObject({ type: 'date_arrived', columnId: 'date4' });
+    expect(reminder.params.recipe.conditions).toEqual([{ columnId: 'status', operator: 'is_not', value: 'Done' }]);
+  });
+
+  it('suggests adding a column the board lost', async () => {
+    const monday = createMockMonday(fixture);
+    await deleteColumn(monday, BOARD_ID, 'date4');
+
+    const suggestions = await analyze(await loadBoard(monday));
+    const addDueDate = suggestions.find(suggestion => suggestion.title === 'Add Due Date Column');
+
+    expect(addDueDate.changePlan).toEqual([
+      { operation: 'add_column', params: { title: 'Due Date', type: 'date' } }
+    ]);
+    expect(suggestions.some(suggestion => suggestion.title === 'Implement Due Date Reminders')).toBe(false);
+  });
+
+  it('suggests regrouping a board that doesn\'t follow a known workflow', async () => {
+    const boardData = await loadBoard();
+    const regrouped = {
+      ...boardData,
+      groups: [{ id: 'topics', title: 'To Do' }, { id: 'group_done', title: 'Shipped' }],
+      items: boardData.items.map(item => ({ ...item, group: { id: 'group_done', title: 'Shipped' } }))
+    };
+
+    const reorganize = (await analyze(regrouped)).find(suggestion => suggestion.title === 'Reorganize Status Groups');
+
+    expect(reorganize.changePlan).toContainEqual({ operation: 'create_group', params: { name: 'In Progress' } });
+    expect(reorganize.changePlan).not.toContainEqual({ operation: 'create_group', params: { name: 'To Do' } });
+    expect(reorganize.changePlan).toContainEqual(expect.objectContaining({
+      operation: 'move_item',
+      params: expect.objectContaining({ itemId: '3006', groupName: 'To Do' })
+    }));
+  });
+
+  it('counts a group whose title contains a stage as that stage\'s group', async () => {
+    const boardData = await loadBoard();
+    const regrouped = {
+      ...boardData,
+      groups: [
+        { id: 'topics', title: 'To Do' },
+        { id: 'group_in_progress', title: 'In Progress (Sprint 4)' },
+        { id: 'group_done', title: 'Shipped' }
+      ],
+      items: boardData.items.map(item => ({ ...item, group: { id: 'group_done', title: 'Shipped' } }))
+    };
+
+    const reorganize = (await analyze(regrouped)).find(suggestion => suggestion.title === 'Reorganize Status Groups');
+    const createdGroups = reorganize.changePlan
+      .filter(step => step.operation === 'create_group')
+      .map(step => step.params.name);
+
+    expect(createdGroups).toEqual(['Backlog', 'Done']);
+    expect(reorganize.changePlan).toContainEqual(expect.objectContaining({
+      operation: 'move_item',
+      params: expect.objectContaining({ itemId: '3006', groupId: 'topics', groupName: 'To Do' })
+    }));
+  });
+});
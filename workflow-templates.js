@@ -0,0 +1,286 @@
+/**
+ * Workflow Templates
+ *
+ * Built-in board templates. They are offered in the template library next to the
+ * organisation's own templates, and the rule-based workflow generator picks one of them
+ * by keywords when Claude isn't available.
+ */
+
+// Keywords are matched against a workflow description, in template order
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'agile-dev',
+    name: 'Agile Development',
+    description: 'Track sprints, user stories, and bugs with an agile development workflow.',
+    category: 'software',
+    tags: ['agile', 'scrum', 'sprints'],
+    icon: 'code-icon',
+    version: 1,
+    keywords: ['agile', 'sprint', 'scrum', 'development', 'software'],
+    structure: {
+      board_name: 'Agile Development',
+      columns: [
+        { title: 'Status', type: 'status' },
+        { title: 'Owner', type: 'people' },
+        { title: 'Priority', type: 'dropdown' },
+        { title: 'Story Points', type: 'numbers' },
+        { title: 'Due Date', type: 'date' },
+        { title: 'Sprint', type: 'dropdown' }
+      ],
+      groups: [
+        'Backlog',
+        'To Do',
+        'In Progress',
+        'Review',
+        'Done'
+      ],
+      roles: [
+        'Product Owner',
+        'Scrum Master',
+        'Developer',
+        'QA Engineer',
+        'Designer'
+      ],
+      initial_tasks: [
+        {
+          name: 'Set up development environment',
+          group: 'To Do',
+          owner_role: 'Developer',
+          status: 'Working on it'
+        },
+        {
+          name: 'Create product backlog',
+          group: 'Backlog',
+          owner_role: 'Product Owner',
+          status: 'Done'
+        }
+      ]
+    }
+  },
+  {
+    id: 'marketing-campaigns',
+    name: 'Marketing Campaigns',
+    description: 'Plan, create, and track marketing campaigns across multiple channels.',
+    category: 'marketing',
+    tags: ['campaigns', 'channels'],
+    icon: 'bullhorn-icon',
+    version: 1,
+    keywords: ['marketing', 'campaign', 'content', 'social media'],
+    structure: {
+      board_name: 'Marketing Campaigns',
+      columns: [
+        { title: 'Status', type: 'status' },
+        { title: 'Owner', type: 'people' },
+        { title: 'Channel', type: 'dropdown' },
+        { title: 'Start Date', type: 'date' },
+        { title: 'End Date', type: 'date' },
+        { title: 'Budget', type: 'numbers' },
+        { title: 'Target Audience', type: 'text' }
+      ],
+      groups: [
+        'Planning',
+        'Content Creation',
+        'Design',
+        'Review',
+        'Scheduled',
+        'Live',
+        'Completed'
+      ],
+      roles: [
+        'Marketing Manager',
+        'Content Writer',
+        'Graphic Designer',
+        'Social Media Specialist'
+      ],
+      initial_tasks: [
+        {
+          name: 'Q1 Email Newsletter',
+          group: 'Planning',
+          owner_role: 'Marketing Manager',
+          status: 'Working on it'
+        }
+      ]
+    }
+  },
+  {
+    id: 'product-launch',
+    name: 'Product Launch',
+    description: 'Coordinate all aspects of a product launch from planning to post-launch analysis.',
+    category: 'product',
+    tags: ['launch', 'go-to-market'],
+    icon: 'rocket-icon',
+    version: 1,
+    keywords: ['product', 'launch', 'release'],
+    structure: {
+      board_name: 'Product Launch',
+      columns: [
+        { title: 'Status', type: 'status' },
+        { title: 'Owner', type: 'people' },
+        { title: 'Department', type: 'dropdown' },
+        { title: 'Priority', type: 'dropdown' },
+        { title: 'Timeline', type: 'timeline' },
+        { title: 'Dependencies', type: 'dependency' }
+      ],
+      groups: [
+        'Pre-Launch Planning',
+        'Product Development',
+        'Marketing Preparation',
+        'Sales Enablement',
+        'Launch',
+        'Post-Launch Analysis'
+      ],
+      roles: [
+        'Product Manager',
+        'Marketing Director',
+        'Sales Director',
+        'Customer Support Manager',
+        'Development Lead'
+      ],
+      initial_tasks: [
+        {
+          name: 'Define product positioning',
+          group: 'Pre-Launch Planning',
+          owner_role: 'Product Manager',
+          status: 'Working on it'
+        }
+      ]
+    }
+  },
+  {
+    id: 'content-calendar',
+    name: 'Content Calendar',
+    description: 'Plan and schedule content across blogs, social media, and other channels.',
+    category: 'marketing',
+    tags: ['content', 'editorial', 'publishing'],
+    icon: 'calendar-icon',
+    version: 1,
+    keywords: ['editorial', 'content calendar', 'blog'],
+    structure: {
+      board_name: 'Content Calendar',
+      columns: [
+        { title: 'Status', type: 'status' },
+        { title: 'Owner', type: 'people' },
+        { title: 'Content Type', type: 'dropdown' },
+        { title: 'Channel', type: 'dropdown' },
+        { title: 'Publish Date', type: 'date' },
+        { title: 'Keywords', type: 'text' }
+      ],
+      groups: [
+        'Ideas',
+        'Planning',
+        'Writing',
+        'Editing',
+        'Design',
+        'Scheduled',
+        'Published'
+      ],
+      roles: [
+        'Content Manager',
+        'Writer',
+        'Editor',
+        'Designer',
+        'SEO Specialist'
+      ],
+      initial_tasks: [
+        {
+          name: 'Monthly Blog Post',
+          group: 'Ideas',
+          owner_role: 'Content Manager',
+          status: 'Working on it'
+        }
+      ]
+    }
+  },
+  {
+    id: 'hr-recruitment',
+    name: 'HR Recruitment',
+    description: 'Track candidates through the hiring process from application to onboarding.',
+    category: 'hr',
+    tags: ['hiring', 'candidates'],
+    icon: 'users-icon',
+    version: 1,
+    keywords: ['hr', 'recruitment', 'hiring', 'candidate'],
+    structure: {
+      board_name: 'Recruitment Pipeline',
+      columns: [
+        { title: 'Status', type: 'status' },
+        { title: 'Recruiter', type: 'people' },
+        { title: 'Position', type: 'dropdown' },
+        { title: 'Department', type: 'dropdown' },
+        { title: 'Application Date', type: 'date' },
+        { title: 'Experience', type: 'numbers' },
+        { title: 'Salary Expectation', type: 'numbers' }
+      ],
+      groups: [
+        'New Applications',
+        'Resume Screening',
+        'Phone Interview',
+        'Technical Assessment',
+        'Final Interview',
+        'Offer',
+        'Hired',
+        'Rejected'
+      ],
+      roles: [
+        'HR Manager',
+        'Recruiter',
+        'Hiring Manager',
+        'Department Head'
+      ],
+      initial_tasks: [
+        {
+          name: 'Senior Developer Position',
+          group: 'Resume Screening',
+          owner_role: 'Recruiter',
+          status: 'Working on it'
+        }
+      ]
+    }
+  },
+  {
+    id: 'general-workflow',
+    name: 'General Workflow',
+    description: 'A simple to-do, in-progress, review and done workflow for any team.',
+    category: 'general',
+    tags: ['tasks'],
+    icon: 'list-icon',
+    version: 1,
+    keywords: [],
+    structure: {
+      board_name: 'New Workflow',
+      columns: [
+        { title: 'Status', type: 'status' },
+        { title: 'Owner', type: 'people' },
+        { title: 'Due Date', type: 'date' },
+        { title: 'Priority', type: 'dropdown' },
+        { title: 'Notes', type: 'text' }
+      ],
+      groups: [
+        'To Do',
+        'In Progress',
+        'Review',
+        'Done'
+      ],
+      roles: [
+        'Manager',
+        'Team Member'
+      ],
+      initial_tasks: [
+        {
+          name: 'Set up workflow',
+          group: 'To Do',
+          owner_role: 'Manager',
+          status: 'Working on it'
+        }
+      ]
+    }
+  }
+];
+
+// Used when a description matches no other template's keywords
+export const FALLBACK_TEMPLATE_ID = 'general-workflow';
+
+export default {
+  BUILT_IN_TEMPLATES,
+  FALLBACK_TEMPLATE_ID
+};
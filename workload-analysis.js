@@ -0,0 +1,314 @@
+/**
+ * Workload Analysis
+ *
+ * This file contains functions for measuring each person's open work on a board: items are
+ * matched to people by the IDs in the people column, weighted by an estimate column, and
+ * compared with each person's capacity. Overallocated people get concrete proposals for
+ * items to hand over, in the shape of the assistant's reassign_items action.
+ */
+
+import { buildTerminalStatusMatcher } from './bottleneckAnalysis';
+import { detectColumnMapping, getMappedValue } from './columnMapping';
+import { median } from '../../utils/statistics';
+
+const CAPACITY_STORAGE_PREFIX = 'workflowAssistant.capacity';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Effort given to items without an estimate
+export const DEFAULT_ITEM_EFFORT = 1;
+
+// Utilization above this is overallocated, below UNDERALLOCATED_UTILIZATION is underallocated
+export const OVERALLOCATED_UTILIZATION = 1.1;
+export const UNDERALLOCATED_UTILIZATION = 0.7;
+
+// Open items due within this many days count towards near-term load
+const DUE_SOON_DAYS = 7;
+
+/**
+ * Parse a column value's JSON
+ * @param {string} value - Raw column value
+ * @returns {Object|null} - Parsed value (null if missing or invalid)
+ */
+const parseJsonValue = (value) => {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the people assigned in a people column value
+ * @param {Object} columnValue - People column value
+ * @param {Object} usersById - Users keyed by ID, for names
+ * @returns {Array} - People (id, name); teams are left out
+ */
+export const getAssignees = (columnValue, usersById = {}) => {
+  if (!columnValue) return [];
+
+  const persons = (parseJsonValue(columnValue.value)?.personsAndTeams || [])
+    .filter(entry => entry.kind === 'person');
+
+  // Names in the text follow the order of personsAndTeams when there are no teams
+  const names = columnValue.text ? columnValue.text.split(', ') : [];
+
+  return persons.map((person, index) => ({
+    id: String(person.id),
+    name: usersById[person.id]?.name || names[index] || `User ${person.id}`
+  }));
+};
+
+/**
+ * Calculate each person's open work against their capacity
+ * @param {Array} items - Board items
+ * @param {Object} options - Options (columns, columnMapping, users, terminalStatuses, capacities,
+ *   defaultCapacity, now)
+ * @returns {Object} - People (busiest first), column mapping used, and the capacity applied to
+ *   people without a setting
+ */
+export const calculateWorkload = (items, options = {}) => {
+  const { columns = [], users = [], terminalStatuses = [], capacities = {}, now = new Date() } = options;
+
+  const columnMapping = options.columnMapping || detectColumnMapping(columns);
+  const isTerminal = buildTerminalStatusMatcher(terminalStatuses);
+  const usersById = {};
+  users.forEach(user => {
+    usersById[user.id] = user;
+  });
+
+  const people = {};
+
+  (items || []).forEach(item => {
+    const assignees = getAssignees(getMappedValue(item, columnMapping.owner), usersById);
+    if (assignees.length === 0) return;
+
+    const status = getMappedValue(item, columnMapping.status)?.text || null;
+    const estimate = parseFloat(getMappedValue(item, columnMapping.estimate)?.text);
+    const effort = isFinite(estimate) && estimate > 0 ? estimate : DEFAULT_ITEM_EFFORT;
+    const dueText = getMappedValue(item, columnMapping.dueDate)?.text;
+    const dueDate = dueText ? new Date(dueText) : null;
+    const isDone = status ? isTerminal(status) : false;
+
+    assignees.forEach(person => {
+      if (!people[person.id]) {
+        people[person.id] = {
+          id: person.id,
+          name: person.name,
+          openItems: 0,
+          doneItems: 0,
+          openEffort: 0,
+          overdueItems: 0,
+          dueSoonEffort: 0,
+          byStatus: {},
+          items: []
+        };
+      }
+
+      const entry = people[person.id];
+
+      if (status) {
+        entry.byStatus[status] = (entry.byStatus[status] || 0) + 1;
+      }
+
+      if (isDone) {
+        entry.doneItems++;
+        return;
+      }
+
+      // Shared items are split between their assignees
+      const share = effort / assignees.length;
+      const daysUntilDue = dueDate && !isNaN(dueDate) ? (dueDate - now) / MS_PER_DAY : null;
+
+      entry.openItems++;
+      entry.openEffort += share;
+      if (daysUntilDue !== null && daysUntilDue < 0) entry.overdueItems++;
+      if (daysUntilDue !== null && daysUntilDue <= DUE_SOON_DAYS) entry.dueSoonEffort += share;
+
+      entry.items.push({
+        id: String(item.id),
+        name: item.name,
+        status,
+        effort,
+        dueDate: daysUntilDue !== null ? dueText : null,
+        assigneeCount: assignees.length
+      });
+    });
+  });
+
+  // Without a setting, capacity is what is typical for this team
+  const defaultCapacity = options.defaultCapacity
+    || median(Object.values(people).map(person => person.openEffort).filter(effort => effort > 0))
+    || DEFAULT_ITEM_EFFORT;
+
+  const workload = Object.values(people).map(person => {
+    const configured = capacities[person.id];
+    const capacity = configured > 0 ? configured : defaultCapacity;
+    const utilization = person.openEffort / capacity;
+
+    return {
+      ...person,
+      openEffort: Math.round(person.openEffort * 10) / 10,
+      dueSoonEffort: Math.round(person.dueSoonEffort * 10) / 10,
+      capacity,
+      capacitySource: configured > 0 ? 'configured' : 'team',
+      utilization,
+      allocation: utilization > OVERALLOCATED_UTILIZATION
+        ? 'over'
+        : utilization < UNDERALLOCATED_UTILIZATION ? 'under' : 'balanced'
+    };
+  });
+
+  return {
+    people: workload.sort((a, b) => b.utilization - a.utilization),
+    columns: columnMapping,
+    defaultCapacity
+  };
+};
+
+/**
+ * Order an overallocated person's items by how easily they can be handed over
+ * @param {Array} items - Open items
+ * @returns {Array} - Items, best candidates first
+ */
+const orderHandoverCandidates = (items) => (
+  items
+    // Reassigning a shared item would drop the other assignees
+    .filter(item => item.assigneeCount === 1)
+    // Items due furthest out (or without a due date) can move with the least disruption
+    .sort((a, b) => {
+      const aDue = a.dueDate ? new Date(a.dueDate).getTime() : Infinity;
+      const bDue = b.dueDate ? new Date(b.dueDate).getTime() : Infinity;
+      return bDue - aDue || b.effort - a.effort;
+    })
+);
+
+/**
+ * Propose reassignments that bring overallocated people back within capacity
+ * @param {Object} workload - Result of calculateWorkload
+ * @param {Object} options - Options (boardId, maxItemsPerProposal)
+ * @returns {Array} - reassign_items actions (boardId, columnId, items, fromPerson, toPerson, effort)
+ */
+export const proposeReassignments = (workload, options = {}) => {
+  const { boardId, maxItemsPerProposal = 10 } = options;
+  const columnId = workload.columns.owner;
+  if (!columnId) return [];
+
+  // Track load as items are handed over, so one receiver doesn't take everything
+  const load = {};
+  workload.people.forEach(person => {
+    load[person.id] = person.openEffort;
+  });
+
+  const proposals = {};
+
+  workload.people
+    .filter(person => person.allocation === 'over')
+    .forEach(giver => {
+      for (const item of orderHandoverCandidates(giver.items)) {
+        if (load[giver.id] <= giver.capacity) break;
+
+        // Least loaded person who can take the item without going over capacity
+        const receiver = workload.people
+          .filter(person => person.id !== giver.id && person.allocation !== 'over')
+          .filter(person => load[person.id] + item.effort <= person.capacity)
+          .sort((a, b) => load[a.id] / a.capacity - load[b.id] / b.capacity)[0];
+
+        if (!receiver) continue;
+
+        const key = `${giver.id}->${receiver.id}`;
+        if (!proposals[key]) {
+          proposals[key] = {
+            type: 'reassign_items',
+            boardId,
+            columnId,
+            fromPerson: { id: giver.id, name: giver.name },
+            toPerson: { id: receiver.id, name: receiver.name },
+            items: [],
+            effort: 0
+          };
+        }
+
+        if (proposals[key].items.length >= maxItemsPerProposal) continue;
+
+        proposals[key].items.push({ id: item.id, name: item.name });
+        proposals[key].effort += item.effort;
+        load[giver.id] -= item.effort;
+        load[receiver.id] += item.effort;
+      }
+    });
+
+  return Object.values(proposals).sort((a, b) => b.effort - a.effort);
+};
+
+/**
+ * Get the storage key for a board's capacity settings
+ * @param {string} boardId - ID of the board
+ * @returns {string} - Storage key
+ */
+const getCapacityStorageKey = (boardId) => `${CAPACITY_STORAGE_PREFIX}.${boardId}`;
+
+/**
+ * Load per-person capacity settings for a board
+ * @param {string} boardId - ID of the board
+ * @returns {Object} - Capacity in estimate units keyed by person ID
+ */
+export const loadCapacitySettings = (boardId) => {
+  try {
+    const stored = window.localStorage.getItem(getCapacityStorageKey(boardId));
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Failed to load capacity settings:', error);
+    return {};
+  }
+};
+
+/**
+ * Save per-person capacity settings for a board
+ * @param {string} boardId - ID of the board
+ * @param {Object} capacities - Capacity in estimate units keyed by person ID
+ */
+export const saveCapacitySettings = (boardId, capacities) => {
+  try {
+    window.localStorage.setItem(getCapacityStorageKey(boardId), JSON.stringify(capacities));
+  } catch (error) {
+    console.error('Failed to save capacity settings:', error);
+  }
+};
+
+/**
+ * Get the colour of each status label from the board's status column settings
+ * @param {Array} columns - Board columns
+ * @param {string} statusColumnId - Mapped workflow status column (all status columns if not given)
+ * @returns {Object} - Hex colour keyed by status label
+ */
+export const getStatusColors = (columns = [], statusColumnId = null) => {
+  const colors = {};
+
+  columns
+    .filter(column => statusColumnId
+      ? column.id === statusColumnId
+      : column.type === 'status' || column.type === 'color')
+    .forEach(column => {
+      const settings = parseJsonValue(column.settings_str) || {};
+
+      Object.entries(settings.labels || {}).forEach(([index, label]) => {
+        const color = settings.labels_colors?.[index]?.color;
+        if (label && color) colors[label] = color;
+      });
+    });
+
+  return colors;
+};
+
+export default {
+  DEFAULT_ITEM_EFFORT,
+  OVERALLOCATED_UTILIZATION,
+  UNDERALLOCATED_UTILIZATION,
+  getAssignees,
+  calculateWorkload,
+  proposeReassignments,
+  loadCapacitySettings,
+  saveCapacitySettings,
+  getStatusColors
+};
@@ -0,0 +1,141 @@
+/**
+ * Workspace Creation
+ *
+ * This file contains the flow that turns a workflow structure into a monday.com workspace:
+ * the workspace, its board with labelled columns and groups, automation recipes and the
+ * initial tasks. Every step is journaled, so a failure partway through undoes what was created.
+ */
+
+import {
+  createWorkspace,
+  createBoard,
+  addColumnsToBoard,
+  createGroups,
+  createItems,
+  createAutomationRecipe
+} from './mondayApi';
+import { buildSeedItems } from './workspaceSeeding';
+import { getDraftBoard, remapRecipesToBoard, validateRecipe } from '../analysis/automationRecipes';
+import { createJournalEntry, runWithCompensation } from './changeJournal';
+
+/**
+ * Create a workspace with a board built from a workflow structure
+ * If a step fails, the steps before it are undone and the error carries the compensation
+ * results (see runWithCompensation).
+ * @param {Object} monday - Monday SDK instance
+ * @param {Object} workflowStructure - Workflow structure (board_name, columns, groups, automations, initial_tasks, role_assignments)
+ * @param {Object} options - Options (description for the workspace)
+ * @returns {Promise<Object>} - Journal entries and what was created (workspaceId, boardId, workspaceName,
+ *   boardName, skippedAutomations: titles of recipes that no longer matched the board)
+ */
+export const createWorkspaceFromStructure = async (monday, workflowStructure, options = {}) => {
+  const workspaceName = workflowStructure.board_name || 'New Workspace';
+  const { description = `Workspace for ${workspaceName}` } = options;
+  let workspaceId;
+  let boardId;
+  let createdColumns = [];
+  let createdGroups = [];
+  let skippedAutomations = [];
+
+  // Each step records what it created so a later failure can undo it
+  const entries = await runWithCompensation(monday, [
+    // Create the workspace
+    async () => {
+      const workspaceResponse = await createWorkspace(monday, {
+        name: workspaceName,
+        kind: 'open',
+        description
+      });
+
+      const workspace = workspaceResponse.data.create_workspace;
+      workspaceId = workspace.id;
+      return createJournalEntry('create_workspace', { name: workspaceName }, workspace);
+    },
+
+    // Create the board
+    async () => {
+      const boardResponse = await createBoard(monday, {
+        boardName: workflowStructure.board_name,
+        boardKind: 'public',
+        workspaceId
+      });
+
+      const board = boardResponse.data.create_board;
+      boardId = board.id;
+      return createJournalEntry('create_board', { boardName: workflowStructure.board_name, workspaceId }, board);
+    },
+
+    // Add columns to the board
+    async () => {
+      if (!workflowStructure.columns || workflowStructure.columns.length === 0) return [];
+
+      const columns = await addColumnsToBoard(monday, boardId, workflowStructure.columns);
+      createdColumns = columns;
+      return columns.map(column => createJournalEntry('create_column', { boardId, title: column.title }, column));
+    },
+
+    // Create groups
+    async () => {
+      if (!workflowStructure.groups || workflowStructure.groups.length === 0) return [];
+
+      const groups = await createGroups(monday, boardId, workflowStructure.groups);
+      createdGroups = groups;
+      return groups.map(group => createJournalEntry('create_group', { boardId, name: group.title }, group));
+    },
+
+    // Save automation recipes against the created columns and groups
+    async () => {
+      if (!workflowStructure.automations || workflowStructure.automations.length === 0) return [];
+
+      // Match columns on the types the draft used, which older API versions report differently
+      const board = {
+        id: boardId,
+        columns: createdColumns.map(column => ({
+          ...column,
+          type: workflowStructure.columns.find(draft => draft.title === column.title)?.type || column.type
+        })),
+        groups: createdGroups
+      };
+      const recipes = remapRecipesToBoard(workflowStructure.automations, getDraftBoard(workflowStructure), board);
+      skippedAutomations = recipes.filter(recipe => validateRecipe(recipe, board).length > 0);
+
+      const recipeEntries = [];
+      for (const recipe of recipes.filter(candidate => !skippedAutomations.includes(candidate))) {
+        const saved = await createAutomationRecipe(monday, boardId, recipe);
+        recipeEntries.push(createJournalEntry('create_automation', { boardId, title: saved.title }, saved));
+      }
+      return recipeEntries;
+    },
+
+    // Create the initial tasks in their groups, owned by the people assigned to their roles
+    async () => {
+      if (!workflowStructure.initial_tasks || workflowStructure.initial_tasks.length === 0) return [];
+
+      const seeds = buildSeedItems(
+        workflowStructure.initial_tasks,
+        { columns: createdColumns, groups: createdGroups },
+        workflowStructure.role_assignments
+      );
+
+      const itemEntries = [];
+      for (const { groupId, items } of seeds) {
+        const created = await createItems(monday, boardId, groupId, items);
+        itemEntries.push(...created.map(item => createJournalEntry('create_item', { boardId, groupId, name: item.name }, item)));
+      }
+      return itemEntries;
+    }
+  ]);
+
+  return {
+    entries,
+    workspaceId,
+    boardId,
+    workspaceName,
+    boardName: workflowStructure.board_name,
+    skippedAutomations: skippedAutomations.map(recipe => recipe.title)
+  };
+};
+
+export default {
+  createWorkspaceFromStructure
+};
@@ -0,0 +1,117 @@
+import { createMockMonday } from '../../../mocks/mockMonday';
+import fixture from '../../../mocks/fixtures/productBoard.json';
+import { createWorkspaceFromStructure } from '../workspaceCreation';
+import { withDefaultLabels } from '../workspaceSeeding';
+import { fetchBoardAnalysisData, fetchAutomationRecipes } from '../mondayApi';
+import { BUILT_IN_TEMPLATES } from '../../../constants/workflowTemplates';
+import { createRecipe } from '../../analysis/automationRecipes';
+import { analyzeWorkflowStructure, extractStatusChanges } from '../../analysis/workflowAnalysis';
+import { getTerminalStatuses } from '../../analysis/bottleneckAnalysis';
+import { MondayApiError } from '../mondayErrors';
+
+// The agile template as the creator configures it: default labels, people in two roles
+// and automations drafted against column and group titles
+const buildStructure = () => ({
+  ...withDefaultLabels(BUILT_IN_TEMPLATES.find(template => template.id === 'agile-dev').structure),
+  role_assignments: { Developer: '201', 'Product Owner': '203' },
+  automations: [
+    createRecipe({
+      title: 'Move finished work to Done',
+      trigger: { type: 'status_changed', columnId: 'Status', value: 'Done' },
+      action: { type: 'move_to_group', groupId: 'Done' }
+    }),
+    createRecipe({
+      title: 'Flag new work as blocked',
+      trigger: { type: 'item_created' },
+      action: { type: 'set_status', columnId: 'Status', value: 'Blocked' }
+    })
+  ]
+});
+
+const findItem = (board, name) => board.items.find(item => item.name === name);
+const getText = (item, columnId) => item.column_values.find(value => value.id === columnId)?.text;
+
+describe('createWorkspaceFromStructure', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('creates the workspace and a board with labelled columns, groups, automations and tasks', async () => {
+    const monday = createMockMonday(fixture);
+    const result = await createWorkspaceFromStructure(monday, buildStructure(), { description: 'Sprint work' });
+
+    expect(result).toMatchObject({
+      workspaceName: 'Agile Development',
+      boardName: 'Agile Development',
+      skippedAutomations: ['Flag new work as blocked']
+    });
+    expect(monday.state.workspaces).toContainEqual(expect.objectContaining({
+      id: result.workspaceId,
+      name: 'Agile Development',
+      description: 'Sprint work'
+    }));
+
+    const board = monday.getBoard(result.boardId);
+    expect(board.workspace_id).toBe(String(result.workspaceId));
+    expect(board.columns.map(column => column.title)).toEqual([
+      'Name', 'Status', 'Owner', 'Priority', 'Story Points', 'Due Date', 'Sprint'
+    ]);
+    expect(JSON.parse(board.columns.find(column => column.title === 'Status').settings_str)).toEqual({
+      done_colors: [1],
+      labels: { 0: 'Working on it', 1: 'Done', 2: 'Stuck' }
+    });
+    expect(board.groups.map(group => group.title)).toEqual(['Backlog', 'To Do', 'In Progress', 'Review', 'Done']);
+
+    // Tasks land in their groups with their status and the person assigned to their role
+    const setup = findItem(board, 'Set up development environment');
+    expect(setup.group.title).toBe('To Do');
+    expect(getText(setup, 'status')).toBe('Working on it');
+    expect(getText(setup, 'person')).toBe('Ana Silva');
+    expect(getText(findItem(board, 'Create product backlog'), 'person')).toBe('Chen Wei');
+
+    // The recipe was moved onto the created column and group
+    const [recipe] = await fetchAutomationRecipes(monday, result.boardId);
+    expect(recipe).toMatchObject({
+      title: 'Move finished work to Done',
+      trigger: { columnId: 'status', value: 'Done' },
+      action: { groupId: 'done' }
+    });
+
+    expect(result.entries.map(entry => entry.operation)).toEqual([
+      'create_workspace',
+      'create_board',
+      ...Array(6).fill('create_column'),
+      ...Array(5).fill('create_group'),
+      'create_automation',
+      'create_item',
+      'create_item'
+    ]);
+  });
+
+  it('creates a board the analysis can read straight away', async () => {
+    const monday = createMockMonday(fixture);
+    const { boardId } = await createWorkspaceFromStructure(monday, buildStructure());
+
+    const boardData = await fetchBoardAnalysisData(monday, boardId);
+    const structure = await analyzeWorkflowStructure(boardData);
+
+    expect(structure.columns.missingEssentialColumns).toEqual([]);
+    expect(getTerminalStatuses(boardData, { statusColumnId: structure.columnMapping.status })).toEqual(['Done']);
+    expect(extractStatusChanges(boardData.activity_logs, { statusColumnId: structure.columnMapping.status })
+      .map(change => change.newStatus)
+      .sort()).toEqual(['Done', 'Working on it']);
+  });
+
+  it('removes what it created when a step fails', async () => {
+    const monday = createMockMonday(fixture, { failOn: { create_item: 'Item limit reached' } });
+
+    const error = await createWorkspaceFromStructure(monday, buildStructure()).catch(err => err);
+
+    expect(error).toBeInstanceOf(MondayApiError);
+    expect(error.message).toBe('Item limit reached');
+    expect(error.compensated).toBe(true);
+    expect(error.remainingEntries).toEqual([]);
+    expect(monday.state.workspaces.map(workspace => workspace.name)).toEqual(['Product']);
+    expect(monday.state.boards.map(board => board.name)).toEqual(['Product Development']);
+  });
+});
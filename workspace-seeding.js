@@ -0,0 +1,176 @@
+/**
+ * Workspace Seeding
+ *
+ * This file contains functions for making a newly created board usable straight away:
+ * status and dropdown labels for its columns, people assigned to the workflow's roles,
+ * and the initial tasks created in their groups with their status and owner set.
+ */
+
+import { getCandidateColumns } from '../analysis/columnMapping';
+
+// Labels for common dropdown columns, by lower-case column title
+export const DEFAULT_DROPDOWN_LABELS = {
+  priority: ['High', 'Medium', 'Low'],
+  sprint: ['Sprint 1', 'Sprint 2', 'Sprint 3'],
+  channel: ['Email', 'Social Media', 'Blog', 'Paid Ads', 'Events'],
+  department: ['Product', 'Engineering', 'Marketing', 'Sales', 'Support'],
+  position: ['Engineering', 'Design', 'Marketing', 'Sales', 'Operations'],
+  category: ['Feature', 'Bug', 'Improvement']
+};
+
+export const DEFAULT_STATUS_LABELS = ['Working on it', 'Done', 'Stuck'];
+
+// Index monday.com shows in green and treats as done on a new status column
+const DONE_LABEL_INDEX = 1;
+
+const LABELLED_COLUMN_TYPES = ['status', 'dropdown'];
+
+/**
+ * Check whether a column type takes labels
+ * @param {string} type - Column type
+ * @returns {boolean} - Whether the column has status or dropdown labels
+ */
+export const hasColumnLabels = (type) => LABELLED_COLUMN_TYPES.includes(type);
+
+/**
+ * Fill in labels for status and dropdown columns that don't have any
+ * Status columns also get every status the initial tasks use.
+ * @param {Object} structure - Workflow structure (columns, initial_tasks)
+ * @returns {Object} - Structure with labels on its status and dropdown columns
+ */
+export const withDefaultLabels = (structure) => {
+  const taskStatuses = (structure.initial_tasks || []).map(task => task.status).filter(Boolean);
+
+  const columns = (structure.columns || []).map(column => {
+    if (!hasColumnLabels(column.type) || (column.labels && column.labels.length > 0)) return column;
+
+    const labels = column.type === 'status'
+      ? [...DEFAULT_STATUS_LABELS, ...taskStatuses]
+      : DEFAULT_DROPDOWN_LABELS[column.title.toLowerCase()] || [];
+
+    return { ...column, labels: Array.from(new Set(labels)) };
+  });
+
+  return { ...structure, columns };
+};
+
+/**
+ * Build the create_column defaults that set up a column's labels
+ * @param {Object} column - Column (type, labels)
+ * @returns {Object|null} - Defaults (null if the column has no labels to set)
+ */
+export const buildColumnDefaults = (column) => {
+  const labels = (column.labels || []).map(label => label.trim()).filter(Boolean);
+  if (!hasColumnLabels(column.type) || labels.length === 0) return null;
+
+  if (column.type === 'dropdown') {
+    return { settings: { labels: labels.map((name, index) => ({ id: index + 1, name })) } };
+  }
+
+  // Put the done label where monday.com expects it, and the rest around it in order
+  const doneLabel = labels.find(label => label.toLowerCase() === 'done');
+  const otherLabels = labels.filter(label => label !== doneLabel);
+  const indexedLabels = {};
+  let nextIndex = 0;
+
+  otherLabels.forEach(label => {
+    if (doneLabel && nextIndex === DONE_LABEL_INDEX) nextIndex++;
+    indexedLabels[nextIndex++] = label;
+  });
+
+  if (doneLabel) indexedLabels[DONE_LABEL_INDEX] = doneLabel;
+
+  return { labels: indexedLabels };
+};
+
+/**
+ * Build settings_str for a column that hasn't been created yet, as the board would report it
+ * @param {Object} column - Column (type, labels)
+ * @returns {string|undefined} - Settings JSON (undefined if the column has no labels)
+ */
+export const buildColumnSettings = (column) => {
+  const defaults = buildColumnDefaults(column);
+  if (!defaults) return undefined;
+
+  return JSON.stringify(defaults.settings || defaults);
+};
+
+/**
+ * Suggest a person for each role, matching roles to users' job titles
+ * @param {Array} roles - Role names
+ * @param {Array} users - Users (id, name, title)
+ * @param {Object} assignments - Current user ID per role, kept where the user still exists
+ * @returns {Object} - User ID per role (null where no one matches)
+ */
+export const suggestRoleAssignments = (roles, users, assignments = {}) => {
+  const suggestions = {};
+
+  (roles || []).forEach(role => {
+    const current = assignments[role];
+    if (current && (users || []).some(user => String(user.id) === String(current))) {
+      suggestions[role] = String(current);
+      return;
+    }
+
+    const roleName = role.toLowerCase();
+    const match = (users || []).find(user => {
+      const title = (user.title || '').toLowerCase();
+      return title && (title.includes(roleName) || roleName.includes(title));
+    });
+
+    suggestions[role] = match ? String(match.id) : null;
+  });
+
+  return suggestions;
+};
+
+/**
+ * Build the initial items for a created board, grouped by the group they go in
+ * @param {Array} tasks - Initial tasks (name, group, owner_role, status)
+ * @param {Object} board - Created board (columns with id, title and type; groups with id and title)
+ * @param {Object} roleAssignments - User ID per role
+ * @returns {Array} - Items per group ({groupId, items: [{name, columnValues}]})
+ */
+export const buildSeedItems = (tasks, board, roleAssignments = {}) => {
+  const columns = board.columns || [];
+  const groups = board.groups || [];
+  const statusColumn = getCandidateColumns(columns, 'status')[0];
+  const ownerColumn = getCandidateColumns(columns, 'owner')[0];
+  const itemsByGroup = {};
+
+  (tasks || []).forEach(task => {
+    // Tasks for a group that was removed go in the first group
+    const group = groups.find(candidate => candidate.title?.toLowerCase() === task.group?.toLowerCase()) || groups[0];
+    if (!group) return;
+
+    const columnValues = {};
+
+    if (statusColumn && task.status) {
+      columnValues[statusColumn.id] = { label: task.status };
+    }
+
+    const ownerId = task.owner_role && roleAssignments[task.owner_role];
+    if (ownerColumn && ownerId) {
+      columnValues[ownerColumn.id] = { personsAndTeams: [{ id: Number(ownerId), kind: 'person' }] };
+    }
+
+    if (!itemsByGroup[group.id]) itemsByGroup[group.id] = [];
+    itemsByGroup[group.id].push({
+      name: task.name,
+      ...(Object.keys(columnValues).length > 0 ? { columnValues } : {})
+    });
+  });
+
+  return Object.entries(itemsByGroup).map(([groupId, items]) => ({ groupId, items }));
+};
+
+export default {
+  DEFAULT_DROPDOWN_LABELS,
+  DEFAULT_STATUS_LABELS,
+  hasColumnLabels,
+  withDefaultLabels,
+  buildColumnDefaults,
+  buildColumnSettings,
+  suggestRoleAssignments,
+  buildSeedItems
+};